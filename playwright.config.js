@@ -83,5 +83,10 @@ export default defineConfig({
     url: 'http://localhost:3000',
     reuseExistingServer: !process.env.CI,
     timeout: 60000,
+    /* Credentials for the /rest Subsonic API, used as a stand-in music server */
+    env: {
+      SUBSONIC_USER: process.env.SUBSONIC_USER || 'quiz',
+      SUBSONIC_PASSWORD: process.env.SUBSONIC_PASSWORD || 'quiz-password',
+    },
   },
 });
@@ -5,6 +5,7 @@
 import * as state from './state.js';
 import { getElementById } from './utils.js';
 import { showNotification } from './ui.js';
+import { pickClipOffset } from '../shared/difficulty.js';
 
 // AbortController for cleaning up audio event listeners
 let audioAbortController = null;
@@ -149,6 +150,30 @@ export function resumeCurrentAudio() {
   }
 }
 
+/**
+ * Pause the clip while a player answers a buzz. Its stop timer is dropped;
+ * continueClip sets a new one for whatever is left.
+ */
+export function holdClip() {
+  if (state.audioTimer) {
+    clearTimeout(state.audioTimer);
+    state.setAudioTimer(null);
+  }
+  pauseCurrentAudio();
+}
+
+/**
+ * Carry on with a held clip
+ * @param {number} remainingMs - Clip time left, from the server
+ */
+export function continueClip(remainingMs) {
+  const audio = state.currentAudio;
+  if (!audio) return;
+
+  resumeCurrentAudio();
+  state.setAudioTimer(setTimeout(() => audio.pause(), remainingMs));
+}
+
 /**
  * Replay current clip from the beginning
  * @param {number} duration
@@ -184,8 +209,10 @@ export function replayCurrentClip(duration) {
  * @param {Object} song
  * @param {number} clipDuration
  * @param {Function} [onEnded]
+ * @param {string} [clipPosition='random'] - Where clips start: 'chorus', 'random' or 'intro'
+ * @param {string} [clipUrl] - Clip the server already cut, played from its start
  */
-export function playSinglePlayerSong(song, clipDuration, onEnded) {
+export function playSinglePlayerSong(song, clipDuration, onEnded, clipPosition = 'random', clipUrl = '') {
   const audioElement = getElementById('single-player-audio');
   if (!audioElement) return;
 
@@ -194,7 +221,7 @@ export function playSinglePlayerSong(song, clipDuration, onEnded) {
 
   const signal = newAudioSignal();
 
-  audioElement.src = song.url;
+  audioElement.src = clipUrl || song.url;
 
   audioElement.addEventListener('error', () => {
     console.error('Audio load error:', audioElement.error);
@@ -204,13 +231,7 @@ export function playSinglePlayerSong(song, clipDuration, onEnded) {
   audioElement.addEventListener(
     'loadedmetadata',
     () => {
-      const audioDuration = audioElement.duration;
-      let startTime = 0;
-
-      if (audioDuration > clipDuration) {
-        const maxStart = audioDuration - clipDuration;
-        startTime = Math.random() * maxStart;
-      }
+      const startTime = clipUrl ? 0 : pickClipOffset(audioElement.duration, clipDuration, clipPosition);
 
       audioElement.currentTime = startTime;
       state.setSinglePlayerClipStartTime(startTime);
@@ -350,11 +371,41 @@ export function replaySinglePlayerClip(clipDuration) {
  * @param {string} audioUrl
  * @param {number} clipDuration
  * @param {Function} [onEnded]
+ * @param {Object} [clip] - Server-chosen timing, see playClipInElement
  */
-export function playMultiplayerSong(audioUrl, clipDuration, onEnded) {
+export function playMultiplayerSong(audioUrl, clipDuration, onEnded, clip = {}) {
   const audioElement = getElementById('host-audio-player');
   if (!audioElement) return;
 
+  playClipInElement(audioElement, audioUrl, clipDuration, onEnded, clip);
+}
+
+/**
+ * Play a clip streamed from the server on a player's own device
+ * @param {string} clipUrl - Signed clip URL from songPlaying
+ * @param {number} clipDuration
+ * @param {Object} clip - Server-chosen timing, see playClipInElement
+ */
+export function playStreamedClip(clipUrl, clipDuration, clip) {
+  const audioElement = getElementById('player-audio-player');
+  if (!audioElement) return;
+
+  // The server sends only the clip's bytes, so it always plays from the top
+  playClipInElement(audioElement, clipUrl, clipDuration, null, { ...clip, startOffset: 0 });
+}
+
+/**
+ * Load a track into an audio element and play one clip of it
+ * @param {HTMLAudioElement} audioElement
+ * @param {string} audioUrl
+ * @param {number} clipDuration
+ * @param {Function|null} onEnded
+ * @param {Object} clip
+ * @param {number|null} [clip.startOffset] - Seconds into the track; picked here when not given
+ * @param {string} [clip.clipPosition] - Where to pick it: 'chorus', 'random' or 'intro'
+ * @param {number} [clip.playAt] - Local timestamp (ms) to start at, so all devices start together
+ */
+function playClipInElement(audioElement, audioUrl, clipDuration, onEnded, clip = {}) {
   stopCurrentAudio();
 
   const signal = newAudioSignal();
@@ -372,32 +423,43 @@ export function playMultiplayerSong(audioUrl, clipDuration, onEnded) {
       const audioDuration = audioElement.duration;
       let startTime = 0;
 
-      if (audioDuration > clipDuration) {
-        const maxStart = audioDuration - clipDuration;
-        startTime = Math.random() * maxStart;
+      if (typeof clip.startOffset === 'number') {
+        startTime = Math.min(clip.startOffset, Math.max(0, audioDuration - clipDuration));
+      } else {
+        startTime = pickClipOffset(audioDuration, clipDuration, clip.clipPosition);
       }
 
       audioElement.currentTime = startTime;
       state.setClipStartTime(startTime);
 
-      audioElement.play().catch((err) => {
-        console.error('Error playing audio:', err);
-        showNotification('Error playing audio', 'error');
-      });
-
-      // Setup clip end handler
       if (state.audioTimer) {
         clearTimeout(state.audioTimer);
       }
 
-      const timer = setTimeout(() => {
-        audioElement.pause();
-        if (onEnded) {
-          onEnded();
-        }
-      }, clipDuration * 1000);
-
-      state.setAudioTimer(timer);
+      // Metadata may load after the shared start time; then start straight away
+      const delayMs = clip.playAt ? Math.max(0, clip.playAt - Date.now()) : 0;
+      const startTimer = setTimeout(() => {
+        audioElement.play().catch((err) => {
+          console.error('Error playing audio:', err);
+          showNotification('Tap the page to hear the clip', 'warning');
+          // Browsers may block playback without a user gesture; retry on the next tap
+          document.addEventListener('click', () => audioElement.play().catch(() => {}), {
+            once: true,
+            signal,
+          });
+        });
+
+        const timer = setTimeout(() => {
+          audioElement.pause();
+          if (onEnded) {
+            onEnded();
+          }
+        }, clipDuration * 1000);
+
+        state.setAudioTimer(timer);
+      }, delayMs);
+
+      state.setAudioTimer(startTimer);
     },
     { once: true, signal }
   );
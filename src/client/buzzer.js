@@ -0,0 +1,172 @@
+/**
+ * Buzzer games: the players' buzz button and the host's buzz queue
+ */
+
+import * as state from './state.js';
+import { escapeHtml, getElementById } from './utils.js';
+import { addLiveUpdate, showNotification } from './ui.js';
+import { continueClip, holdClip } from './audio.js';
+import { buzz } from './socket.js';
+
+// Round phases in which the server takes buzzes
+const BUZZ_PHASES = ['clip', 'answering', 'buzzer'];
+
+// What a player is told when the server refuses their buzz
+const REJECTION_MESSAGES = {
+  locked_out: "You're locked out of this song",
+  already_buzzed: "You've already buzzed",
+  captain_answers: 'Your captain buzzes for your team',
+  game_paused: 'The game is paused',
+};
+
+/**
+ * @returns {boolean}
+ */
+function isBuzzerGame() {
+  return Boolean(state.gameSession?.settings?.buzzerMode);
+}
+
+// =========================
+// PLAYER
+// =========================
+
+/**
+ * Buzz in on the current song (players only)
+ */
+export function buzzIn() {
+  if (state.currentPlayer?.isHost || !isBuzzerGame()) return;
+
+  // Stays disabled until the server says where the buzz landed
+  const button = getElementById('buzz-button');
+  if (button) button.disabled = true;
+
+  buzz();
+}
+
+/**
+ * Show the buzz button as the latest buzzes leave this player: free to buzz,
+ * queued, answering, or locked out of the song
+ */
+function updateBuzzButton() {
+  const button = getElementById('buzz-button');
+  if (!button) return;
+
+  const visible =
+    isBuzzerGame() && !state.currentPlayer?.isHost && BUZZ_PHASES.includes(state.roundPhase?.phase);
+  button.classList.toggle('hidden', !visible);
+  if (!visible) return;
+
+  const buzzState = state.buzzState;
+  const isMe = (entry) => entry?.playerId === state.currentPlayer?.id;
+  const queuePosition = buzzState?.queue.findIndex(isMe) ?? -1;
+
+  if (buzzState?.lockedOut.some(isMe)) {
+    button.disabled = true;
+    button.textContent = 'Locked out';
+  } else if (queuePosition >= 0) {
+    button.disabled = true;
+    button.textContent = `Queued #${queuePosition + 1}`;
+  } else {
+    button.disabled = isMe(buzzState?.holder);
+    button.textContent = 'Buzz!';
+  }
+}
+
+// =========================
+// HOST
+// =========================
+
+/**
+ * List the current song's buzzes for the host, in the order the server got
+ * them, with each one's delay after the first
+ */
+function renderBuzzQueue() {
+  const container = getElementById('host-buzz-queue');
+  const list = getElementById('host-buzz-list');
+  if (!container || !list) return;
+
+  container.classList.toggle('hidden', !isBuzzerGame() || !state.currentPlayer?.isHost);
+
+  const buzzState = state.buzzState;
+  const entries = [
+    ...(buzzState?.holder ? [{ ...buzzState.holder, status: 'answering' }] : []),
+    ...(buzzState?.queue || []).map((entry) => ({ ...entry, status: 'queued' })),
+    ...(buzzState?.lockedOut || []).map((entry) => ({ ...entry, status: 'locked-out' })),
+  ].sort((a, b) => a.receivedAt - b.receivedAt);
+
+  if (entries.length === 0) {
+    list.innerHTML = '<li class="buzz-empty">No buzzes yet</li>';
+    return;
+  }
+
+  const first = entries[0].receivedAt;
+  list.innerHTML = entries
+    .map((entry) => {
+      const delay =
+        entry.receivedAt === first
+          ? 'first'
+          : `+${((entry.receivedAt - first) / 1000).toFixed(2)}s`;
+      return `<li class="buzz-entry buzz-${entry.status}">
+        <span class="buzz-name">${escapeHtml(entry.playerName)}</span>
+        <span class="buzz-delay">${delay}</span>
+        <span class="buzz-status">${entry.status.replace('-', ' ')}</span>
+      </li>`;
+    })
+    .join('');
+}
+
+/**
+ * Bring the buzz button and queue up to date
+ */
+function refreshBuzzer() {
+  updateBuzzButton();
+  renderBuzzQueue();
+}
+
+// =========================
+// EVENT LISTENERS
+// =========================
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('songPlaying', () => {
+    state.setBuzzState(null);
+    refreshBuzzer();
+  });
+
+  window.addEventListener('roundPhase', () => {
+    updateBuzzButton();
+  });
+
+  // Whoever plays the clip pauses it while the buzz is answered
+  window.addEventListener('buzzed', (event) => {
+    holdClip();
+    refreshBuzzer();
+
+    const { holder } = event.detail;
+    if (holder.playerId !== state.currentPlayer?.id) {
+      addLiveUpdate(`${holder.playerName} buzzed in!`);
+    }
+  });
+
+  window.addEventListener('buzzQueued', () => {
+    refreshBuzzer();
+  });
+
+  // A wrong buzz: the clip carries on if it hadn't finished
+  window.addEventListener('buzzReleased', (event) => {
+    const data = event.detail;
+    if (data.phase === 'clip') continueClip(data.remainingMs);
+    refreshBuzzer();
+
+    const lockedOut = data.lockedOut[data.lockedOut.length - 1];
+    if (lockedOut) addLiveUpdate(`${lockedOut.playerName} is locked out`);
+  });
+
+  window.addEventListener('buzzRejected', (event) => {
+    const { reason } = event.detail;
+    if (reason !== 'song_advanced') {
+      showNotification(REJECTION_MESSAGES[reason] || 'Buzzing is closed', 'warning');
+    }
+    updateBuzzButton();
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * Server song catalog as a music source, for hosts with no music files of their own
+ */
+
+import * as state from './state.js';
+import { getElementById } from './utils.js';
+import { displayServerMusicList, hideLoading, showLoading, showNotification } from './ui.js';
+
+/**
+ * Show the catalog picker if the server has a catalog, and list its albums
+ */
+export async function refreshCatalogPicker() {
+  const section = getElementById('catalog-source');
+  const albumSelect = getElementById('catalog-album');
+  if (!section || !albumSelect) return;
+
+  try {
+    const response = await fetch('/api/catalog/albums');
+    const { albums = [] } = await response.json();
+
+    section.style.display = albums.length > 0 ? '' : 'none';
+    albumSelect.innerHTML = '';
+    albums.forEach((album) => {
+      const option = document.createElement('option');
+      option.value = album.id;
+      option.textContent = `${album.name} (${album.songCount} songs)`;
+      albumSelect.appendChild(option);
+    });
+  } catch (err) {
+    section.style.display = 'none';
+    console.error('Failed to load catalog albums:', err);
+  }
+}
+
+/**
+ * Show the search box or album list for the chosen catalog mode
+ */
+export function updateCatalogInputs() {
+  const mode = getElementById('catalog-mode')?.value;
+  const queryInput = getElementById('catalog-query');
+  const albumSelect = getElementById('catalog-album');
+
+  if (queryInput) queryInput.style.display = mode === 'search' ? '' : 'none';
+  if (albumSelect) albumSelect.style.display = mode === 'album' ? '' : 'none';
+}
+
+/**
+ * Load songs from the catalog as the current music files
+ */
+export async function loadCatalogSongs() {
+  const mode = getElementById('catalog-mode')?.value || 'random';
+  const params = new URLSearchParams({ source: mode });
+
+  if (mode === 'search') {
+    const query = getElementById('catalog-query')?.value.trim();
+    if (!query) {
+      showNotification('Enter part of a song title to search for', 'error');
+      return;
+    }
+    params.set('query', query);
+  } else if (mode === 'album') {
+    params.set('albumId', getElementById('catalog-album')?.value || '');
+  } else {
+    // Fetch more than the game needs so wrong answers come from a wider pool
+    const songsCount = parseInt(getElementById('songs-count')?.value || '10');
+    params.set('count', String(Math.max(songsCount * 4, 20)));
+  }
+
+  showLoading('Loading songs from the catalog...');
+
+  try {
+    const response = await fetch(`/api/catalog/songs?${params}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    if (result.songs.length === 0) {
+      showNotification('No catalog songs matched', 'warning');
+      return;
+    }
+
+    state.setMusicFiles(result.songs);
+    state.setLoadedPlaylist(null);
+    displayServerMusicList('Server catalog');
+    showNotification(`Loaded ${result.songs.length} songs from the catalog`, 'success');
+  } catch (err) {
+    console.error('Failed to load catalog songs:', err);
+    showNotification(`Failed to load catalog songs: ${err.message}`, 'error');
+  } finally {
+    hideLoading();
+  }
+}
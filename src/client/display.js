@@ -0,0 +1,386 @@
+/**
+ * Big-screen display (?display=GAMEID): a read-only view of a game for a TV
+ * or projector. It has its own socket connection and never joins as a
+ * player, so none of the host or player handlers run on it.
+ */
+
+import { io } from 'socket.io-client';
+
+import * as state from './state.js';
+import { escapeHtml, getElementById } from './utils.js';
+import { formatTeamMembers, getStandings, showPanel } from './ui.js';
+import { getQuestionPrompt } from './kahoot.js';
+import { describeRevealedAnswer } from './multiplayer.js';
+
+// Rows the leaderboard shows; a TV has room for a few more than a phone
+const LEADERBOARD_SIZE = 8;
+
+// Same colours and shapes as the players' option buttons
+const OPTION_STYLES = [
+  { color: 'kahoot-red', shape: '▲' },
+  { color: 'kahoot-blue', shape: '◆' },
+  { color: 'kahoot-yellow', shape: '●' },
+  { color: 'kahoot-green', shape: '■' },
+];
+
+let displaySocket = null;
+let countdownInterval = null;
+// Server clock minus ours, from the latest snapshot
+let serverOffset = 0;
+
+// =========================
+// STARTUP
+// =========================
+
+/**
+ * Start the display if the page was opened with ?display=GAMEID
+ * @returns {boolean} Whether this page is a display
+ */
+export function startDisplayFromUrl() {
+  const gameId = new URLSearchParams(window.location.search).get('display');
+  if (!gameId || gameId.length !== 6) return false;
+
+  startDisplay(gameId.toUpperCase());
+  return true;
+}
+
+/**
+ * Watch a game on this screen
+ * @param {string} gameId
+ */
+export function startDisplay(gameId) {
+  state.setGameId(gameId);
+  showPanel('display');
+
+  const gameIdEl = getElementById('display-game-id');
+  const joinHint = getElementById('display-join-hint');
+  if (gameIdEl) gameIdEl.textContent = `Game ${gameId}`;
+  if (joinHint) joinHint.textContent = `Join at ${window.location.origin} with code ${gameId}`;
+  setStatus('Connecting...');
+
+  displaySocket = io(window.location.origin, {
+    transports: ['polling', 'websocket'],
+    reconnection: true,
+    reconnectionDelay: 1000,
+    timeout: 10000,
+  });
+  setupDisplayEvents(displaySocket, gameId);
+}
+
+// =========================
+// RENDERING
+// =========================
+
+function setStatus(text) {
+  const statusEl = getElementById('display-status');
+  if (statusEl) statusEl.textContent = text;
+}
+
+/**
+ * Show or hide one of the display's parts
+ * @param {string} id
+ * @param {boolean} visible
+ */
+function toggle(id, visible) {
+  getElementById(id)?.classList.toggle('hidden', !visible);
+}
+
+/**
+ * Clear the question, bars and reveal before a new song
+ */
+function clearQuestion() {
+  toggle('display-question', false);
+  toggle('display-options', false);
+  toggle('display-answered', false);
+  toggle('display-reveal', false);
+}
+
+/**
+ * Show the question players are answering
+ * @param {Object} question - kahootOptions payload
+ */
+function showQuestion(question) {
+  const questionEl = getElementById('display-question');
+  const optionsEl = getElementById('display-options');
+
+  if (questionEl) {
+    questionEl.textContent =
+      question.answerMode === 'text'
+        ? `${getQuestionPrompt(question.questionType)} Type your answer!`
+        : getQuestionPrompt(question.questionType);
+  }
+  if (optionsEl) {
+    optionsEl.innerHTML = question.options
+      .map(
+        (
+          option,
+          index
+        ) => `<li class="display-option ${OPTION_STYLES[index].color}" data-option="${index}">
+          <span class="display-option-shape">${OPTION_STYLES[index].shape}</span>
+          <span class="display-option-text">${escapeHtml(option.text)}</span>
+          <span class="display-option-count"></span>
+          <span class="display-option-bar"></span>
+        </li>`
+      )
+      .join('');
+  }
+
+  toggle('display-question', true);
+  toggle('display-options', question.options.length > 0);
+  showAnsweredCount(0);
+}
+
+/**
+ * @param {number} answeredCount
+ */
+function showAnsweredCount(answeredCount) {
+  const answeredEl = getElementById('display-answered');
+  const players = (state.gameSession?.players || []).filter((p) => !p.isHost);
+  if (answeredEl) answeredEl.textContent = `${answeredCount} / ${players.length} answered`;
+  toggle('display-answered', true);
+}
+
+/**
+ * Reveal the answer: mark the right option and grow each option's bar to
+ * the share of players who picked it
+ * @param {Object} data - revealAnswers payload
+ */
+function showReveal(data) {
+  const counts = data.answerCounts || [];
+  const most = Math.max(1, ...counts);
+
+  document.querySelectorAll('#display-options .display-option').forEach((optionEl, index) => {
+    const count = counts[index] || 0;
+    optionEl.classList.toggle('correct', index === data.correctIndex);
+    optionEl.classList.toggle('wrong', index !== data.correctIndex);
+    optionEl.querySelector('.display-option-count').textContent = String(count);
+    optionEl.querySelector('.display-option-bar').style.width = `${(count / most) * 100}%`;
+  });
+
+  const answerEl = getElementById('display-correct-answer');
+  const coverEl = getElementById('display-cover');
+  if (answerEl) answerEl.textContent = describeRevealedAnswer(data);
+  if (coverEl) {
+    coverEl.classList.toggle('hidden', !data.coverUrl);
+    if (data.coverUrl) coverEl.src = data.coverUrl;
+  }
+
+  toggle('display-answered', false);
+  toggle('display-reveal', true);
+  setStatus('The answer is...');
+}
+
+/**
+ * Top players (or teams) by score
+ */
+function renderLeaderboard() {
+  const list = getElementById('display-leaderboard-list');
+  if (!list) return;
+
+  const standings = getStandings().slice(0, LEADERBOARD_SIZE);
+  list.innerHTML = standings.length
+    ? standings
+        .map(
+          (standing, index) => `<li class="display-leaderboard-entry">
+            <span class="display-rank">${index + 1}</span>
+            <span class="display-name">${escapeHtml(standing.name)}${formatTeamMembers(standing.members)}</span>
+            <span class="display-score">${standing.score}</span>
+          </li>`
+        )
+        .join('')
+    : '<li class="display-leaderboard-empty">Waiting for players...</li>';
+}
+
+/**
+ * Headline for a lobby or a finished game
+ */
+function showGameState() {
+  const session = state.gameSession;
+  if (!session) return;
+
+  const players = session.players.filter((p) => !p.isHost);
+  if (session.state === 'lobby') {
+    setStatus(
+      `Waiting for the host to start — ${players.length} player${players.length === 1 ? '' : 's'} joined`
+    );
+  } else if (session.state === 'finished') {
+    setStatus('Final standings');
+  }
+}
+
+// =========================
+// COUNTDOWN
+// =========================
+
+/**
+ * Count down to the end of the current phase
+ * @param {Object} round - roundPhase snapshot
+ */
+function updateCountdown(round) {
+  const countdownEl = getElementById('display-countdown');
+  clearInterval(countdownInterval);
+  countdownInterval = null;
+  serverOffset = round.serverTime ? round.serverTime - Date.now() : 0;
+
+  const counting = ['clip', 'answering', 'buzzer'].includes(round.phase);
+  toggle('display-countdown', counting);
+  if (!counting || !countdownEl) return;
+
+  if (round.paused) {
+    countdownEl.textContent = 'Paused';
+    return;
+  }
+
+  const tick = () => {
+    const remaining = Math.max(0, round.endsAt - (Date.now() + serverOffset));
+    countdownEl.textContent = String(Math.ceil(remaining / 1000));
+    if (remaining <= 0) {
+      clearInterval(countdownInterval);
+      countdownInterval = null;
+    }
+  };
+  tick();
+  countdownInterval = setInterval(tick, 250);
+}
+
+/**
+ * Status line for a round phase
+ * @param {Object} round - roundPhase snapshot
+ */
+function showPhase(round) {
+  const songCount = state.gameSession?.songs?.length || 0;
+  const songLabel = `Song ${round.songIndex + 1} of ${songCount}`;
+
+  if (round.paused) {
+    setStatus('Paused');
+    return;
+  }
+
+  switch (round.phase) {
+    case 'clip':
+      setStatus(`${songLabel} — listen!`);
+      break;
+    case 'answering':
+      setStatus(`${songLabel} — answer now!`);
+      break;
+    case 'reveal':
+      setStatus('The answer is...');
+      break;
+    case 'intermission':
+      setStatus(round.waitingForHost ? 'Waiting for the host...' : 'Next song coming up');
+      break;
+    default:
+      break;
+  }
+}
+
+// =========================
+// SOCKET EVENTS
+// =========================
+
+/**
+ * @param {Object} sock
+ * @param {string} gameId
+ */
+function setupDisplayEvents(sock, gameId) {
+  // Watch again after every reconnect; the server sends a fresh snapshot
+  sock.on('connect', () => {
+    sock.emit('watchGame', { gameId });
+  });
+
+  sock.on('disconnect', () => {
+    setStatus('Reconnecting...');
+  });
+
+  sock.on('error', (data) => {
+    setStatus(data.message);
+  });
+
+  sock.on('watchingGame', (data) => {
+    state.setGameSession(data.gameSession);
+    clearQuestion();
+    showGameState();
+    if (data.gameSession.state === 'playing') {
+      showPhase(data.round);
+      updateCountdown(data.round);
+    }
+    if (data.question) {
+      showQuestion(data.question);
+      showAnsweredCount(data.answeredCount);
+    }
+    if (data.buzz?.holder) setStatus(`${data.buzz.holder.playerName} buzzed in!`);
+    renderLeaderboard();
+  });
+
+  ['playerJoined', 'playerLeft', 'teamsUpdated', 'gameReset'].forEach((event) => {
+    sock.on(event, (data) => {
+      if (data.gameSession) state.setGameSession(data.gameSession);
+      showGameState();
+      renderLeaderboard();
+    });
+  });
+
+  sock.on('gameStarted', (data) => {
+    state.setGameSession(data.gameSession);
+    clearQuestion();
+    renderLeaderboard();
+  });
+
+  sock.on('songVoided', (data) => {
+    state.setGameSession(data.gameSession);
+    renderLeaderboard();
+  });
+
+  sock.on('songChanged', (data) => {
+    state.setGameSession(data.gameSession);
+    clearQuestion();
+  });
+
+  sock.on('roundPhase', (round) => {
+    showPhase(round);
+    updateCountdown(round);
+  });
+
+  sock.on('kahootOptions', (question) => {
+    showQuestion(question);
+  });
+
+  sock.on('playerAnswered', (data) => {
+    showAnsweredCount(data.answeredCount);
+  });
+
+  sock.on('buzzed', (data) => {
+    setStatus(`${data.holder.playerName} buzzed in!`);
+  });
+
+  sock.on('buzzReleased', (data) => {
+    const lockedOut = data.lockedOut[data.lockedOut.length - 1];
+    if (lockedOut) setStatus(`${lockedOut.playerName} got it wrong — keep listening!`);
+  });
+
+  sock.on('answerResult', (data) => {
+    const player = state.gameSession?.players.find((p) => p.id === data.playerId);
+    if (player) player.score = data.totalScore;
+    renderLeaderboard();
+  });
+
+  sock.on('revealAnswers', (data) => {
+    state.setGameSession(data.gameSession);
+    showReveal(data);
+    renderLeaderboard();
+  });
+
+  sock.on('gameEnded', (data) => {
+    state.setGameSession(data.gameSession);
+    clearQuestion();
+    updateCountdown({ phase: 'finished' });
+    showGameState();
+    renderLeaderboard();
+  });
+
+  sock.on('gameDeleted', () => {
+    clearQuestion();
+    updateCountdown({ phase: 'finished' });
+    setStatus('This game has ended');
+  });
+}
@@ -0,0 +1,202 @@
+/**
+ * Past games panel - browse archived results of finished multiplayer games
+ */
+
+import { escapeHtml, getElementById } from './utils.js';
+import { showNotification, showPanel } from './ui.js';
+
+// =========================
+// GAME LIST
+// =========================
+
+/**
+ * Open the past games panel with the most recent games
+ */
+export async function showHistory() {
+  showPanel('history');
+  toggleDetail(false);
+
+  const listEl = getElementById('history-list');
+  if (!listEl) return;
+  listEl.innerHTML = '<p class="history-empty">Loading...</p>';
+
+  try {
+    const { games } = await requestJson('/api/history?limit=50');
+    if (games.length === 0) {
+      listEl.innerHTML = '<p class="history-empty">No finished games yet</p>';
+      return;
+    }
+
+    listEl.innerHTML = games
+      .map(
+        (game) => `
+        <button class="history-item" data-game-id="${escapeHtml(game.gameId)}">
+          <span class="history-date">${formatDate(game.finishedAt)}</span>
+          <span class="history-game-id">${escapeHtml(game.gameId)}</span>
+          <span class="history-summary">
+            ${game.songCount} songs · ${game.playerCount} players · hosted by ${escapeHtml(game.host)}
+          </span>
+          <span class="history-winner">
+            ${game.winner ? `🏆 ${escapeHtml(game.winner)} (${game.topScore})` : ''}
+          </span>
+        </button>`
+      )
+      .join('');
+
+    listEl.querySelectorAll('.history-item').forEach((item) => {
+      item.addEventListener('click', () => showHistoryGame(item.dataset.gameId));
+    });
+  } catch (err) {
+    console.error('Failed to load past games:', err);
+    listEl.innerHTML = '<p class="history-empty">Could not load past games</p>';
+  }
+}
+
+// =========================
+// GAME DETAIL
+// =========================
+
+/**
+ * Show standings and every answer for one archived game
+ * @param {string} gameId
+ */
+export async function showHistoryGame(gameId) {
+  const detailEl = getElementById('history-detail');
+  if (!detailEl) return;
+
+  try {
+    const { plays } = await requestJson(`/api/history/${encodeURIComponent(gameId)}`);
+    detailEl.innerHTML = plays.map(renderPlay).join('');
+    toggleDetail(true);
+  } catch (err) {
+    console.error('Failed to load game results:', err);
+    showNotification(`Failed to load game: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * @param {Object} play - One archived play of a game
+ * @returns {string}
+ */
+function renderPlay(play) {
+  const standings = play.players
+    .map(
+      (player) => `
+      <tr>
+        <td>${player.rank}</td>
+        <td>${escapeHtml(player.name)}</td>
+        <td>${player.answers.filter((a) => a.isCorrect).length}/${play.songs.length}</td>
+        <td>${player.score}</td>
+      </tr>`
+    )
+    .join('');
+
+  const songRows = play.songs
+    .map((song) => {
+      const cells = play.players
+        .map((player) =>
+          renderAnswerCell(
+            song,
+            player.answers.find((a) => a.songIndex === song.songIndex)
+          )
+        )
+        .join('');
+      return `
+        <tr>
+          <td class="history-song">
+            ${escapeHtml(song.title)}
+            <small>${escapeHtml(song.artist)}</small>
+            ${song.questionType && song.questionType !== 'title' ? `<small>Asked: ${song.questionType}</small>` : ''}
+          </td>
+          ${cells}
+        </tr>`;
+    })
+    .join('');
+
+  return `
+    <section class="history-play">
+      <h3>Game ${escapeHtml(play.gameId)} · ${formatDate(play.finishedAt)}</h3>
+      <p class="history-summary">
+        Hosted by ${escapeHtml(play.host)} · ${escapeHtml(formatDifficulty(play.settings?.difficulty))}
+      </p>
+      <table class="history-table">
+        <thead><tr><th>#</th><th>Player</th><th>Correct</th><th>Score</th></tr></thead>
+        <tbody>${standings}</tbody>
+      </table>
+      <div class="history-table-scroll">
+        <table class="history-table history-answers">
+          <thead>
+            <tr>
+              <th>Song</th>
+              ${play.players.map((player) => `<th>${escapeHtml(player.name)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${songRows}</tbody>
+        </table>
+      </div>
+    </section>`;
+}
+
+/**
+ * @param {Object} song - Archived song with its answer options
+ * @param {Object|undefined} answer - The player's answer, if they gave one
+ * @returns {string}
+ */
+function renderAnswerCell(song, answer) {
+  const typed = typeof answer?.answerText === 'string';
+  if (!answer || (!typed && answer.selectedOption < 0)) {
+    return '<td class="history-answer missed">—</td>';
+  }
+
+  const chosen = typed ? answer.answerText : song.options[answer.selectedOption] || '';
+  const outcome = answer.isCorrect ? 'correct' : answer.isPartial ? 'partial' : 'wrong';
+  const seconds = (answer.responseTime / 1000).toFixed(1);
+  return `
+    <td class="history-answer ${outcome}" title="${escapeHtml(chosen)}">
+      ${{ correct: '✓', partial: '~', wrong: '✗' }[outcome]} ${seconds}s
+      <small>+${answer.points}</small>
+    </td>`;
+}
+
+// =========================
+// HELPERS
+// =========================
+
+/**
+ * @param {boolean} showDetail - Show one game's results instead of the list
+ */
+function toggleDetail(showDetail) {
+  getElementById('history-list')?.classList.toggle('hidden', showDetail);
+  getElementById('history-detail')?.classList.toggle('hidden', !showDetail);
+  getElementById('history-back-btn')?.classList.toggle('hidden', !showDetail);
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * @param {string} [difficulty] - Games archived before difficulty presets have none
+ * @returns {string}
+ */
+function formatDifficulty(difficulty = 'normal') {
+  return `${difficulty.charAt(0).toUpperCase()}${difficulty.slice(1)} difficulty`;
+}
+
+/**
+ * Fetch a history endpoint and unwrap its JSON response
+ * @param {string} path
+ * @returns {Promise<Object>}
+ */
+async function requestJson(path) {
+  const response = await fetch(path);
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result;
+}
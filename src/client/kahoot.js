@@ -3,7 +3,7 @@
  */
 
 import * as state from './state.js';
-import { shuffleArray, formatSongAnswer, getElementById } from './utils.js';
+import { formatSongAnswer, getElementById } from './utils.js';
 import {
   displayKahootOptions,
   resetKahootOptionStates,
@@ -12,187 +12,64 @@ import {
   updateAnswerTimer,
   hideAnswerTimer,
   showPlayerResult,
+  showCoverArt,
   updateSinglePlayerDisplay,
 } from './ui.js';
 import { stopSinglePlayerTimeBonus } from './audio.js';
-import { getSocket } from './socket.js';
-
-// =========================
-// OPTION GENERATION
-// =========================
+import { getSocket, serverNow } from './socket.js';
+import { buildSongOptions, pickQuestionType, scoreYearGuess } from '../shared/quizOptions.js';
+import { getDifficulty } from '../shared/difficulty.js';
+import { getTeamCaptainId } from '../shared/teams.js';
+
+// What players are asked in each question type (see QUESTION_TYPES)
+const QUESTION_PROMPTS = {
+  title: 'Name that song!',
+  artist: 'Who is the artist?',
+  album: 'Which album is it from?',
+  year: 'What year is it from?',
+};
 
 /**
- * Get song title only from metadata
- * @param {Object} song
+ * What players are asked in a question of the given type
+ * @param {string} questionType
  * @returns {string}
  */
-function getSongTitle(song) {
-  const title = song?.metadata?.title;
-  if (!title) return 'Unknown';
-  return title.replace(/^\d+[.\-\s]+/, '').trim() || 'Unknown';
+export function getQuestionPrompt(questionType) {
+  return QUESTION_PROMPTS[questionType] || QUESTION_PROMPTS.title;
 }
 
+// =========================
+// OPTION GENERATION
+// =========================
+
 /**
  * Generate Kahoot-style options for a single song
  * @param {Object} correctSong
  * @param {Array} allSongs
  * @param {number} [songIndex=0]
+ * @param {string} [questionTypeSetting='title'] - One of QUESTION_TYPES, or 'mixed'
+ * @param {Object} [choice] - How wrong answers are chosen (see getWrongAnswers)
  * @returns {Array}
  */
-export function generateKahootOptions(correctSong, allSongs, songIndex = 0) {
-  const options = [];
-
-  // Use only the title from metadata
-  const correctAnswer = getSongTitle(correctSong);
-  options.push({ text: correctAnswer, isCorrect: true });
-
-  // Get wrong answers from other songs in the library
-  const wrongAnswers = getWrongAnswers(correctSong, allSongs, 3, songIndex);
-  wrongAnswers.forEach((answer) => {
-    options.push({ text: answer, isCorrect: false });
-  });
-
-  // Shuffle options
-  shuffleArray(options);
+export function generateKahootOptions(correctSong, allSongs, songIndex = 0, questionTypeSetting = 'title', choice = {}) {
+  // Wrong answers come from other songs in the library
+  let questionType = pickQuestionType(questionTypeSetting, correctSong);
+  let { options, correctIndex } = buildSongOptions(correctSong, allSongs, songIndex, questionType, choice);
+
+  // Too few different artists or albums to choose from: ask for the title
+  if (options.length < 2 && questionType !== 'title') {
+    questionType = 'title';
+    ({ options, correctIndex } = buildSongOptions(correctSong, allSongs, songIndex, 'title', choice));
+  }
 
-  // Store the correct index after shuffling
-  const correctIndex = options.findIndex((opt) => opt.isCorrect);
   state.setKahootCorrectIndex(correctIndex);
   state.setCurrentKahootOptions(options);
   state.setKahootAnswerSelected(false);
+  state.setKahootQuestionType(questionType);
 
   return options;
 }
 
-/**
- * Pre-generate all Kahoot options for a game
- * @param {Array} songs - Songs selected for this game round
- * @param {Array} allMusicFiles - All uploaded music files (for wrong options)
- * @returns {Array}
- */
-export function preGenerateAllKahootOptions(songs, allMusicFiles = null) {
-  const allOptions = [];
-  // Use all music files for wrong options if provided, otherwise fall back to selected songs
-  const wrongOptionPool = allMusicFiles && allMusicFiles.length > 0 ? allMusicFiles : songs;
-
-  songs.forEach((song, index) => {
-    const options = [];
-
-    // Use only the title from metadata
-    const correctAnswer = getSongTitle(song);
-    options.push({ text: correctAnswer, isCorrect: true });
-
-    // Get wrong answers from all music files (not just selected songs)
-    const wrongAnswers = getWrongAnswers(song, wrongOptionPool, 3, -1);
-    wrongAnswers.forEach((answer) => {
-      options.push({ text: answer, isCorrect: false });
-    });
-
-    // Shuffle options
-    shuffleArray(options);
-
-    // Find correct index after shuffling
-    const correctIndex = options.findIndex((opt) => opt.isCorrect);
-
-    allOptions.push({
-      songIndex: index,
-      options: options,
-      correctIndex: correctIndex,
-    });
-  });
-
-  return allOptions;
-}
-
-/**
- * Get wrong answers for Kahoot options - ONLY titles from songs in the selected folder
- * If there aren't enough unique songs, repeat from the pool to fill all slots
- * @param {Object} correctSong
- * @param {Array} allSongs
- * @param {number} count
- * @param {number} songIndex
- * @returns {string[]}
- */
-function getWrongAnswers(correctSong, allSongs, count, songIndex) {
-  const wrongAnswers = [];
-  const usedAnswers = new Set();
-  const correctTitleOriginal = getSongTitle(correctSong);
-  const correctTitleLower = correctTitleOriginal.toLowerCase();
-  usedAnswers.add(correctTitleLower);
-
-  // Get other songs from the folder, excluding the correct song
-  const otherSongs = allSongs.filter((song, idx) => {
-    if (songIndex >= 0 && idx === songIndex) return false;
-    const songTitle = getSongTitle(song).toLowerCase();
-    return songTitle !== correctTitleLower && songTitle !== 'unknown';
-  });
-
-  // Shuffle to randomize which songs are picked for each question
-  shuffleArray(otherSongs);
-
-  // Use only titles from other songs in folder
-  for (const song of otherSongs) {
-    if (wrongAnswers.length >= count) break;
-    const title = getSongTitle(song);
-    const titleLower = title.toLowerCase();
-    if (title && !usedAnswers.has(titleLower) && titleLower !== 'unknown') {
-      usedAnswers.add(titleLower);
-      wrongAnswers.push(title);
-    }
-  }
-
-  // If not enough unique wrong answers, cycle through the pool again
-  // This handles cases where fewer than 4 songs are in the library
-  // Never uses the correct answer as a wrong option
-  if (wrongAnswers.length < count && otherSongs.length > 0) {
-    let repeatIndex = 0;
-    while (wrongAnswers.length < count) {
-      const song = otherSongs[repeatIndex % otherSongs.length];
-      const title = getSongTitle(song);
-      if (title && title.toLowerCase() !== 'unknown') {
-        wrongAnswers.push(title);
-      }
-      repeatIndex++;
-      if (repeatIndex >= otherSongs.length * count) break;
-    }
-  }
-
-  return wrongAnswers.slice(0, count);
-}
-
-/**
- * Generate multiplayer Kahoot options (generated just before each song plays)
- * @param {Object} correctSong - The current song being played
- * @param {Array} selectedSongs - Songs selected for this game (to find current song index)
- * @param {Array} allMusicFiles - All music files for wrong options pool (maintains randomness)
- * @returns {{options: Array, correctIndex: number}}
- */
-export function generateMultiplayerKahootOptions(correctSong, selectedSongs, allMusicFiles = null) {
-  const options = [];
-
-  // Use only the title from metadata
-  const correctAnswer = getSongTitle(correctSong);
-  options.push({ text: correctAnswer, isCorrect: true });
-
-  // Use all music files for wrong options if provided, otherwise fall back to selected songs
-  const wrongOptionsPool = allMusicFiles && allMusicFiles.length > 0 ? allMusicFiles : selectedSongs;
-
-  const wrongAnswers = getWrongAnswers(
-    correctSong,
-    wrongOptionsPool,
-    3,
-    -1 // Use -1 since we're filtering by title, not index
-  );
-  wrongAnswers.forEach((answer) => {
-    options.push({ text: answer, isCorrect: false });
-  });
-
-  shuffleArray(options);
-  const correctIndex = options.findIndex((opt) => opt.isCorrect);
-
-  return { options, correctIndex };
-}
-
 // =========================
 // SINGLE PLAYER SELECTION
 // =========================
@@ -209,6 +86,15 @@ export function selectKahootOption(element, optionIndex) {
   const selectedOption = state.currentKahootOptions[optionIndex];
   const isCorrect = selectedOption?.isCorrect || false;
 
+  // Year questions: the closer the year, the more of the points it earns
+  const credit =
+    state.kahootQuestionType === 'year' && !isCorrect
+      ? scoreYearGuess(
+          Number(selectedOption?.text),
+          Number(state.currentKahootOptions[state.kahootCorrectIndex]?.text)
+        )
+      : Number(isCorrect);
+
   // Mark selected option
   element.classList.add('selected');
 
@@ -231,8 +117,12 @@ export function selectKahootOption(element, optionIndex) {
       element.classList.add('wrong');
     }
 
+    // Catalog songs come with cover art
+    const currentSong = state.singlePlayerSongs[state.singlePlayerCurrentSong];
+    showCoverArt('single-cover-art', currentSong?.coverUrl);
+
     // Score the answer
-    scoreSinglePlayerKahootAnswer(isCorrect);
+    scoreSinglePlayerKahootAnswer(isCorrect, credit);
 
     // Auto-advance after showing result
     setTimeout(() => {
@@ -245,9 +135,12 @@ export function selectKahootOption(element, optionIndex) {
 /**
  * Score a single player Kahoot answer
  * @param {boolean} isCorrect
+ * @param {number} [credit] - Share of the points a close year guess earns
  */
-function scoreSinglePlayerKahootAnswer(isCorrect) {
+function scoreSinglePlayerKahootAnswer(isCorrect, credit = Number(isCorrect)) {
   const currentSong = state.singlePlayerSongs[state.singlePlayerCurrentSong];
+  const isPartial = !isCorrect && credit > 0;
+  const { scoreMultiplier } = getDifficulty(state.singlePlayerSettings.difficulty);
   let points = 0;
 
   if (isCorrect) {
@@ -264,8 +157,13 @@ function scoreSinglePlayerKahootAnswer(isCorrect) {
       const streakBonus = newStreak * 5;
       points += streakBonus;
     }
+    points = Math.round(points * scoreMultiplier);
 
     showNotification(`Correct! +${points} points`, 'success');
+  } else if (isPartial) {
+    points = Math.round((100 + state.singlePlayerTimeBonus * 10) * credit * scoreMultiplier);
+    state.setSinglePlayerCurrentStreak(0);
+    showNotification(`Close! +${points} points`, 'info');
   } else {
     // Reset streak on wrong answer
     state.setSinglePlayerCurrentStreak(0);
@@ -279,8 +177,9 @@ function scoreSinglePlayerKahootAnswer(isCorrect) {
     guess: correctOption?.text || '',
     selectedAnswer: state.currentKahootOptions[state.kahootCorrectIndex]?.text || '',
     isCorrect: isCorrect,
+    isPartial: isPartial,
     points: points,
-    accuracy: isCorrect ? 'Correct!' : 'Incorrect',
+    accuracy: isCorrect ? 'Correct!' : isPartial ? 'Close' : 'Incorrect',
     correctTitle: currentSong?.metadata?.title || 'Unknown',
     correctArtist: currentSong?.metadata?.artist || 'Unknown',
     correctAlbum: currentSong?.metadata?.album || 'Unknown',
@@ -362,8 +261,9 @@ export function selectKahootOptionMultiplayer(element, optionIndex) {
  * correctIndex is no longer sent from server to prevent cheating;
  * answer correctness is determined server-side and returned via answerResult event.
  * @param {Array} options
+ * @param {string} [questionType='title'] - What the options name
  */
-export function showOptionsToPlayers(options) {
+export function showOptionsToPlayers(options, questionType = 'title') {
   state.setMultiplayerKahootOptions(options);
   state.setMultiplayerKahootCorrectIndex(-1);
   state.setMultiplayerKahootAnswered(false);
@@ -383,7 +283,7 @@ export function showOptionsToPlayers(options) {
   // Update status text
   const statusEl = getElementById('player-song-status');
   if (statusEl) {
-    statusEl.textContent = 'Select your answer!';
+    statusEl.textContent = getQuestionPrompt(questionType);
   }
 
   // Populate options and hide unused ones
@@ -409,19 +309,151 @@ export function showOptionsToPlayers(options) {
 }
 
 /**
- * Start the answer countdown timer
+ * Show the answer box to players in a free-text ("type the answer") game
+ * @param {string} [questionType='title'] - What players type
+ */
+export function showTextAnswerBox(questionType = 'title') {
+  state.setMultiplayerKahootOptions([]);
+  state.setMultiplayerKahootCorrectIndex(-1);
+  state.setMultiplayerKahootAnswered(false);
+  state.setAnswerStartTime(Date.now());
+
+  const waitingState = getElementById('player-waiting-state');
+  const answerForm = getElementById('text-answer-form');
+  const answerInput = getElementById('text-answer-input');
+  const answerStatus = getElementById('player-answer-status');
+  const resultDisplay = getElementById('player-result-display');
+
+  if (waitingState) waitingState.style.display = 'none';
+  if (answerForm) answerForm.style.display = 'flex';
+  if (answerStatus) answerStatus.classList.add('hidden');
+  if (resultDisplay) resultDisplay.classList.add('hidden');
+  if (answerInput) {
+    answerInput.value = '';
+    answerInput.disabled = false;
+    answerInput.inputMode = questionType === 'year' ? 'numeric' : 'text';
+    answerInput.placeholder = questionType === 'year' ? 'Type the year' : `Type the ${questionType}`;
+    answerInput.focus();
+  }
+
+  const statusEl = getElementById('player-song-status');
+  if (statusEl) {
+    statusEl.textContent = getQuestionPrompt(questionType);
+  }
+
+  startAnswerTimer();
+}
+
+/**
+ * Show the player's answer to the current song as already sent, for a view
+ * restored after a reconnect: their option picked (or their typed answer)
+ * and nothing left to answer
+ * @param {Object} answer - The player's answer from the server's resync
+ */
+export function showSentAnswer(answer) {
+  state.setMultiplayerKahootAnswered(true);
+  stopAnswerTimer();
+
+  const waitingState = getElementById('player-waiting-state');
+  if (waitingState) waitingState.style.display = 'none';
+
+  const selected = document.querySelector(
+    `#nonhost-kahoot-options .kahoot-option[data-option="${answer.selectedOption}"]`
+  );
+  if (selected) selected.classList.add('selected');
+  document.querySelectorAll('#nonhost-kahoot-options .kahoot-option').forEach((opt) => opt.classList.add('disabled'));
+
+  const answerInput = getElementById('text-answer-input');
+  if (answerInput) {
+    answerInput.value = answer.answerText || '';
+    answerInput.disabled = true;
+  }
+}
+
+/**
+ * Team games where only captains answer: keep a teammate on the waiting
+ * screen and say who is answering for them
+ * @returns {boolean} True when this player doesn't answer themselves
+ */
+export function waitForCaptain() {
+  const session = state.gameSession;
+  if (!session?.settings?.teamMode || !session.settings.captainAnswers) return false;
+
+  const me = session.players.find((p) => p.id === state.currentPlayer?.id);
+  const team = session.teams?.find((t) => t.id === me?.teamId);
+  if (!team) return false;
+
+  const captainId = getTeamCaptainId(team, session.players);
+  if (!captainId || captainId === me.id) return false;
+
+  const captain = session.players.find((p) => p.id === captainId);
+  const statusEl = getElementById('player-song-status');
+  if (statusEl) {
+    statusEl.textContent = `${captain?.name || 'Your captain'} is answering for ${team.name}`;
+  }
+  return true;
+}
+
+/**
+ * Send the typed answer to the server, which judges how close it is
+ * @param {Event} [event] - Form submit event
+ */
+export function submitTextAnswer(event) {
+  event?.preventDefault();
+  if (state.multiplayerKahootAnswered) return;
+  if (state.currentPlayer?.isHost) return;
+
+  const answerInput = getElementById('text-answer-input');
+  const answerText = answerInput?.value.trim();
+  if (!answerText) return;
+
+  state.setMultiplayerKahootAnswered(true);
+  const responseTime = Date.now() - state.answerStartTime;
+
+  stopAnswerTimer();
+  if (answerInput) answerInput.disabled = true;
+
+  const socket = getSocket();
+  if (socket && socket.connected) {
+    socket.emit('submitAnswer', {
+      gameId: state.gameId,
+      playerId: state.currentPlayer?.id,
+      playerName: state.currentPlayer?.name,
+      songIndex: state.currentSongIndex,
+      answerText,
+      responseTime: responseTime,
+      responseTimeSeconds: responseTime / 1000,
+    });
+  }
+
+  const answerStatus = getElementById('player-answer-status');
+  if (answerStatus) {
+    answerStatus.classList.remove('hidden');
+  }
+}
+
+/**
+ * Start the answer countdown timer. It counts down to the server's deadline
+ * rather than from the answer time, so a late or lagging client doesn't get
+ * extra seconds the server won't accept.
  */
 export function startAnswerTimer() {
-  let timeLeft = state.answerTimeLimit;
+  if (state.answerDeadline === null) {
+    state.setAnswerDeadline(serverNow() + state.answerTimeLimit * 1000);
+  }
+  const secondsLeft = () => Math.max(0, Math.ceil((state.answerDeadline - serverNow()) / 1000));
 
-  showAnswerTimer(timeLeft);
+  showAnswerTimer(secondsLeft());
 
   if (state.answerTimerInterval) {
     clearInterval(state.answerTimerInterval);
   }
 
   const interval = setInterval(() => {
-    timeLeft--;
+    // A paused game holds the countdown until the server sets a new deadline
+    if (state.roundPhase?.paused) return;
+
+    const timeLeft = secondsLeft();
     updateAnswerTimer(timeLeft);
 
     if (timeLeft <= 0) {
@@ -432,7 +464,7 @@ export function startAnswerTimer() {
         handleTimeUp();
       }
     }
-  }, 1000);
+  }, 250);
 
   state.setAnswerTimerInterval(interval);
 }
@@ -457,6 +489,8 @@ function handleTimeUp() {
   // Disable all options
   const allOptions = document.querySelectorAll('#nonhost-kahoot-options .kahoot-option');
   allOptions.forEach((opt) => opt.classList.add('disabled'));
+  const answerInput = getElementById('text-answer-input');
+  if (answerInput) answerInput.disabled = true;
 
   // Send timeout to server
   const socket = getSocket();
@@ -493,17 +527,20 @@ export function resetPlayerViewForNextSong(songNumber) {
   state.setMultiplayerKahootCorrectIndex(-1);
   state.setMultiplayerKahootAnswered(false);
   state.setAnswerStartTime(0);
+  state.setAnswerDeadline(null);
 
   // Leaderboard overlay is hidden by its own timeout — not force-hidden here
 
   // Show waiting state, hide options
   const waitingState = getElementById('player-waiting-state');
   const optionsContainer = getElementById('nonhost-kahoot-options');
+  const answerForm = getElementById('text-answer-form');
   const answerStatus = getElementById('player-answer-status');
   const resultDisplay = getElementById('player-result-display');
 
   if (waitingState) waitingState.style.display = 'flex';
   if (optionsContainer) optionsContainer.style.display = 'none';
+  if (answerForm) answerForm.style.display = 'none';
   if (answerStatus) answerStatus.classList.add('hidden');
   if (resultDisplay) resultDisplay.classList.add('hidden');
 
@@ -0,0 +1,168 @@
+/**
+ * Leaderboards panel and single-player score submission
+ */
+
+import * as state from './state.js';
+import { escapeHtml, getElementById } from './utils.js';
+import { showNotification, showPanel } from './ui.js';
+import { getProfileCredentials, getSignedInProfile } from './profiles.js';
+
+// =========================
+// LEADERBOARDS PANEL
+// =========================
+
+/**
+ * Open the leaderboards panel
+ */
+export async function showLeaderboards() {
+  showPanel('leaderboards');
+  await refreshPlaylistFilter();
+  await refreshLeaderboard();
+}
+
+/**
+ * Fill the playlist filter with the saved playlists
+ */
+async function refreshPlaylistFilter() {
+  const select = getElementById('leaderboard-playlist');
+  if (!select) return;
+
+  try {
+    const response = await fetch('/api/playlists');
+    const { playlists = [] } = await response.json();
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">All music</option>';
+    playlists.forEach((playlist) => {
+      const option = document.createElement('option');
+      option.value = playlist.id;
+      option.textContent = playlist.name;
+      select.appendChild(option);
+    });
+    select.value = playlists.some((p) => p.id === selected) ? selected : '';
+  } catch (err) {
+    console.error('Failed to load playlists for leaderboards:', err);
+  }
+}
+
+/**
+ * Load and show the leaderboard for the chosen mode, period and playlist
+ */
+export async function refreshLeaderboard() {
+  const tableEl = getElementById('leaderboard-table');
+  if (!tableEl) return;
+
+  const params = new URLSearchParams({
+    mode: getElementById('leaderboard-mode')?.value || 'multiplayer',
+    period: getElementById('leaderboard-period')?.value || 'all',
+  });
+  const playlistId = getElementById('leaderboard-playlist')?.value;
+  if (playlistId) params.set('playlistId', playlistId);
+
+  try {
+    const response = await fetch(`/api/leaderboards?${params}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    renderLeaderboard(tableEl, result.leaderboard);
+  } catch (err) {
+    console.error('Failed to load leaderboard:', err);
+    tableEl.innerHTML = '<p class="history-empty">Could not load the leaderboard</p>';
+  }
+}
+
+/**
+ * @param {HTMLElement} tableEl
+ * @param {Object} leaderboard - Leaderboard from the API
+ */
+function renderLeaderboard(tableEl, leaderboard) {
+  if (leaderboard.entries.length === 0) {
+    tableEl.innerHTML = '<p class="history-empty">No scores yet</p>';
+    return;
+  }
+
+  const showWins = leaderboard.mode === 'multiplayer';
+  const rows = leaderboard.entries
+    .map(
+      (entry) => `
+      <tr>
+        <td>${entry.rank}</td>
+        <td>${escapeHtml(entry.name)}</td>
+        <td>${entry.totalScore}</td>
+        <td>${entry.games}</td>
+        ${showWins ? `<td>${entry.wins}</td>` : ''}
+        <td>${entry.bestScore}</td>
+        <td>${entry.accuracy === null ? '-' : `${Math.round(entry.accuracy * 100)}%`}</td>
+      </tr>`
+    )
+    .join('');
+
+  tableEl.innerHTML = `
+    <table class="history-table leaderboard-table">
+      <thead>
+        <tr>
+          <th>#</th><th>Player</th><th>Points</th><th>Games</th>
+          ${showWins ? '<th>Wins</th>' : ''}
+          <th>Best</th><th>Accuracy</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// =========================
+// SINGLE-PLAYER SUBMISSION
+// =========================
+
+/**
+ * Reset the submit form on the single-player results screen
+ */
+export function resetScoreSubmission() {
+  const nameInput = getElementById('leaderboard-name');
+  const submitButton = getElementById('submit-score-btn');
+  const profile = getSignedInProfile();
+
+  if (nameInput && profile) nameInput.value = profile.nickname;
+  if (submitButton) submitButton.disabled = false;
+}
+
+/**
+ * Submit the finished single-player game to the leaderboards
+ */
+export async function submitSingleScore() {
+  const playerName = getElementById('leaderboard-name')?.value.trim();
+  const submitButton = getElementById('submit-score-btn');
+
+  if (!playerName) {
+    showNotification('Please enter your name', 'error');
+    return;
+  }
+
+  if (submitButton) submitButton.disabled = true;
+
+  try {
+    const response = await fetch('/api/leaderboards/single', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        playerName,
+        playlistId: state.loadedPlaylist?.id || null,
+        difficulty: state.singlePlayerSettings.difficulty,
+        score: state.singlePlayerScore,
+        correct: state.singlePlayerAnswers.filter((a) => a.isCorrect).length,
+        total: state.singlePlayerSongs.length,
+        profile: getProfileCredentials(),
+      }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Request failed (${response.status})`);
+    }
+    showNotification('Score submitted to the leaderboards', 'success');
+  } catch (err) {
+    console.error('Failed to submit score:', err);
+    showNotification(`Failed to submit score: ${err.message}`, 'error');
+    if (submitButton) submitButton.disabled = false;
+  }
+}
@@ -10,7 +10,16 @@ import * as socket from './socket.js';
 import * as singlePlayer from './singlePlayer.js';
 import * as multiplayer from './multiplayer.js';
 import * as kahoot from './kahoot.js';
-import { copyToClipboard, getElementById, extractFileMetadataAsync } from './utils.js';
+import * as buzzer from './buzzer.js';
+import * as display from './display.js';
+import * as playlists from './playlists.js';
+import * as catalog from './catalog.js';
+import * as subsonic from './subsonic.js';
+import * as profiles from './profiles.js';
+import * as history from './history.js';
+import * as leaderboards from './leaderboards.js';
+import { copyToClipboard, getElementById, extractFileMetadataAsync, syncSettingsButtons } from './utils.js';
+import { getDifficulty } from '../shared/difficulty.js';
 
 // =========================
 // INITIALIZATION
@@ -20,9 +29,13 @@ import { copyToClipboard, getElementById, extractFileMetadataAsync } from './uti
  * Initialize the application
  */
 async function init() {
+  // A big-screen display only watches a game; it never joins or rejoins one
+  if (display.startDisplayFromUrl()) return;
+
   // Setup initial UI
   ui.showPanel('home');
   ui.updateReturnToGameSection();
+  profiles.refreshProfileCard();
 
   // Setup event listeners
   setupEventListeners();
@@ -82,6 +95,7 @@ function setupSettingsButtons() {
     { container: 'answer-options', select: 'answer-time' },
     { container: 'players-options', select: 'max-players' },
     { container: 'difficulty-options', select: 'difficulty' },
+    { container: 'question-options', select: 'question-type' },
   ];
 
   settingMappings.forEach(({ container, select }) => {
@@ -101,6 +115,18 @@ function setupSettingsButtons() {
       });
     }
   });
+
+  // A difficulty fills in its clip length; hosts can still change it afterwards
+  getElementById('difficulty-options')
+    ?.querySelectorAll('.setting-btn')
+    .forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const clipDurationSelect = getElementById('clip-duration');
+        if (!clipDurationSelect) return;
+        clipDurationSelect.value = String(getDifficulty(btn.dataset.value).clipDuration);
+        syncSettingsButtons();
+      });
+    });
 }
 
 /**
@@ -174,6 +200,7 @@ async function loadMusic(event, type) {
   );
 
   state.setMusicFiles(musicFiles);
+  state.setLoadedPlaylist(null);
 
   // Map legacy types to display types based on current mode
   const displayType =
@@ -247,6 +274,7 @@ function showPanel(panelName) {
 function goHome() {
   state.setCurrentMode('menu');
   ui.showPanel('home');
+  profiles.refreshProfileCard();
 }
 
 /**
@@ -400,17 +428,62 @@ defineGlobal('startGame', startGame);
 defineGlobal('joinGame', multiplayer.joinGame);
 defineGlobal('startMultiplayerGame', multiplayer.startMultiplayerGame);
 defineGlobal('copyGameId', multiplayer.copyGameId);
+defineGlobal('openDisplay', multiplayer.openDisplay);
 defineGlobal('hostShowOptions', multiplayer.hostShowOptions);
 defineGlobal('revealAnswerAndNext', multiplayer.revealAnswerAndNext);
 defineGlobal('nextSong', multiplayer.nextSong);
+defineGlobal('skipSong', multiplayer.skipSong);
+defineGlobal('togglePause', multiplayer.togglePause);
 defineGlobal('replayClip', multiplayer.replayClip);
 defineGlobal('leaveGame', multiplayer.leaveGame);
 defineGlobal('kickPlayer', multiplayer.kickPlayer);
+defineGlobal('banPlayer', multiplayer.banPlayer);
+defineGlobal('unbanPlayer', multiplayer.unbanPlayer);
+defineGlobal('toggleLobbyLock', multiplayer.toggleLobbyLock);
+defineGlobal('toggleCoHost', multiplayer.toggleCoHost);
+defineGlobal('transferHost', multiplayer.transferHost);
 defineGlobal('playAgain', multiplayer.playAgain);
 
+// Teams
+defineGlobal('createTeam', multiplayer.createTeam);
+defineGlobal('renameTeam', multiplayer.renameTeam);
+defineGlobal('removeTeam', multiplayer.removeTeam);
+defineGlobal('balanceTeams', multiplayer.balanceTeams);
+defineGlobal('joinTeam', multiplayer.joinTeam);
+defineGlobal('setTeamCaptain', multiplayer.setTeamCaptain);
+
+// Playlists
+defineGlobal('loadSelectedPlaylist', playlists.loadSelectedPlaylist);
+defineGlobal('saveMusicAsPlaylist', playlists.saveMusicAsPlaylist);
+defineGlobal('deleteSelectedPlaylist', playlists.deleteSelectedPlaylist);
+
+// Server catalog
+defineGlobal('loadCatalogSongs', catalog.loadCatalogSongs);
+defineGlobal('updateCatalogInputs', catalog.updateCatalogInputs);
+
+// Subsonic / Navidrome servers
+defineGlobal('connectSubsonic', subsonic.connectSubsonic);
+defineGlobal('updateSubsonicChoices', subsonic.updateSubsonicChoices);
+defineGlobal('loadSubsonicSongs', subsonic.loadSubsonicSongs);
+
+// Player profiles
+defineGlobal('createProfile', profiles.createProfile);
+defineGlobal('signInProfile', profiles.signInProfile);
+defineGlobal('signOutProfile', profiles.signOutProfile);
+
+// Past games
+defineGlobal('showHistory', history.showHistory);
+
+// Leaderboards
+defineGlobal('showLeaderboards', leaderboards.showLeaderboards);
+defineGlobal('refreshLeaderboard', leaderboards.refreshLeaderboard);
+defineGlobal('submitSingleScore', leaderboards.submitSingleScore);
+
 // Kahoot
 defineGlobal('selectKahootOption', kahoot.selectKahootOption);
 defineGlobal('selectKahootOptionMultiplayer', kahoot.selectKahootOptionMultiplayer);
+defineGlobal('submitTextAnswer', kahoot.submitTextAnswer);
+defineGlobal('buzzIn', buzzer.buzzIn);
 
 // UI
 defineGlobal('toggleScoreboard', ui.toggleScoreboard);
@@ -0,0 +1,83 @@
+/**
+ * MD5 for Subsonic token authentication (token = md5(password + salt)).
+ * Browsers' SubtleCrypto has no MD5, so this is a small RFC 1321 implementation.
+ * Not for anything security-sensitive beyond what the Subsonic API requires.
+ */
+
+// Per-round shift amounts
+const SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14,
+  20, 5, 9, 14, 20, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 6, 10, 15, 21, 6,
+  10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+
+// K[i] = floor(abs(sin(i + 1)) * 2^32)
+const K = Array.from(
+  { length: 64 },
+  (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0
+);
+
+/**
+ * Hex MD5 digest of a string (UTF-8 encoded)
+ * @param {string} text
+ * @returns {string}
+ */
+export function md5(text) {
+  const bytes = new TextEncoder().encode(text);
+
+  // Pad to 56 mod 64 bytes, then append the bit length as a 64-bit little-endian integer
+  const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+  const buffer = new Uint8Array(paddedLength);
+  buffer.set(bytes);
+  buffer[bytes.length] = 0x80;
+  const view = new DataView(buffer.buffer);
+  view.setUint32(paddedLength - 8, (bytes.length * 8) >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bytes.length / 0x20000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+
+  for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const sum = (a + f + K[i] + view.getUint32(chunk + g * 4, true)) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) >>> 0;
+    }
+
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const out = new DataView(new ArrayBuffer(16));
+  [a0, b0, c0, d0].forEach((word, i) => out.setUint32(i * 4, word, true));
+  return Array.from(new Uint8Array(out.buffer), (byte) => byte.toString(16).padStart(2, '0')).join(
+    ''
+  );
+}
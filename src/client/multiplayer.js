@@ -16,6 +16,9 @@ import {
 import {
   addLiveUpdate,
   displayMusicFileList,
+  formatTeamMembers,
+  getStandings,
+  hasHostControls,
   hideCorrectAnswerReveal,
   hideIntermediateLeaderboard,
   hideLoading,
@@ -31,31 +34,52 @@ import {
   updateLobbyDisplay,
 } from './ui.js';
 import {
+  continueClip,
+  holdClip,
+  pauseCurrentAudio,
   playMultiplayerSong,
+  playStreamedClip,
   replayMultiplayerClip,
   resetHostControls,
   stopCurrentAudio,
   updateHostSongNumber,
 } from './audio.js';
 import {
-  generateMultiplayerKahootOptions,
   resetPlayerViewForNextSong,
   selectKahootOptionMultiplayer,
 } from './kahoot.js';
 import {
+  acceptAnswer as socketAcceptAnswer,
+  balanceTeams as socketBalanceTeams,
   broadcastOptions,
   createGame as socketCreateGame,
+  createTeam as socketCreateTeam,
   endGame as socketEndGame,
   initializeSocket,
   isConnected,
   joinGame as socketJoinGame,
+  joinTeam as socketJoinTeam,
   kickPlayer as socketKickPlayer,
+  unbanPlayer as socketUnbanPlayer,
+  setLobbyLocked as socketSetLobbyLocked,
   leaveGame as socketLeaveGame,
   nextSong as socketNextSong,
+  pauseGame as socketPauseGame,
+  removeTeam as socketRemoveTeam,
+  renameTeam as socketRenameTeam,
+  resumeGame as socketResumeGame,
   revealAnswer as socketRevealAnswer,
+  setCoHost as socketSetCoHost,
+  skipSong as socketSkipSong,
+  setTeamCaptain as socketSetTeamCaptain,
   startGame as socketStartGame,
+  transferHost as socketTransferHost,
   waitForSocket,
 } from './socket.js';
+import { refreshPlaylistPicker, uploadSongFiles } from './playlists.js';
+import { refreshCatalogPicker } from './catalog.js';
+import { restoreSubsonicServer } from './subsonic.js';
+import { getProfileCredentials, getSignedInProfile } from './profiles.js';
 
 // =========================
 // GAME SETUP
@@ -85,6 +109,13 @@ export function showJoinGame() {
   state.setCurrentMode('multiplayer');
   initializeSocket();
   showPanel('join');
+
+  // Players with a profile usually play under their nickname
+  const nameInput = getElementById('join-player-name');
+  const profile = getSignedInProfile();
+  if (nameInput && profile && !nameInput.value) {
+    nameInput.value = profile.nickname;
+  }
 }
 
 /**
@@ -93,6 +124,8 @@ export function showJoinGame() {
 function setupMultiplayerUI() {
   const startButton = getElementById('start-game-button');
   const maxPlayersGroup = getElementById('max-players-group');
+  const streamOption = getElementById('stream-to-players-option');
+  const textAnswersOption = getElementById('text-answers-option');
 
   if (startButton) {
     startButton.disabled = state.musicFiles.length === 0;
@@ -102,9 +135,35 @@ function setupMultiplayerUI() {
   if (maxPlayersGroup) {
     maxPlayersGroup.style.display = '';
   }
+  if (streamOption) {
+    streamOption.style.display = '';
+  }
+  if (textAnswersOption) {
+    textAnswersOption.style.display = '';
+  }
+  // Teams, the buzzer and late joining are multiplayer features
+  [
+    'buzzer-mode-option',
+    'team-mode-option',
+    'team-average-option',
+    'captain-answers-option',
+    'late-join-option',
+    'late-join-lowest-option',
+  ].forEach((id) => {
+    const option = getElementById(id);
+    if (option) option.style.display = '';
+  });
+  // Hints are a single-player feature
+  const hintsOption = getElementById('single-player-options');
+  if (hintsOption) {
+    hintsOption.style.display = 'none';
+  }
 
   // Sync visual buttons with current select values
   syncSettingsButtons();
+  refreshPlaylistPicker();
+  refreshCatalogPicker();
+  restoreSubsonicServer();
 }
 
 /**
@@ -139,6 +198,7 @@ export async function loadMultiplayerMusic(event) {
     }
 
     state.setMusicFiles(musicFiles);
+    state.setLoadedPlaylist(null);
     displayMusicFileList('multiplayer');
 
     const startButton = getElementById('start-game-button');
@@ -200,27 +260,27 @@ async function proceedWithGameCreation(hostName) {
   const clipDurationSelect = getElementById('clip-duration');
   const answerTimeSelect = getElementById('answer-time');
   const maxPlayersSelect = getElementById('max-players');
+  const autoplayCheckbox = getElementById('autoplay-next');
 
   const songsCount = parseInt(songsCountSelect?.value || '10');
   const clipDuration = parseInt(clipDurationSelect?.value || '20');
   const answerTime = parseInt(answerTimeSelect?.value || '15');
   const maxPlayers = parseInt(maxPlayersSelect?.value || '8');
+  const autoplayEnabled = autoplayCheckbox ? autoplayCheckbox.checked : true;
+  const answerMode = getAnswerMode();
 
   // Shuffle and select songs
   const shuffledSongs = shuffleArray([...state.musicFiles]);
   const selectedSongs = shuffledSongs.slice(0, Math.min(songsCount, shuffledSongs.length));
 
-  // Options are now generated just before each song plays (in hostShowOptions)
-  // This maintains randomness and uses all music files for wrong options
+  // The server builds the answer options; it draws wrong titles from the
+  // whole library so small games still get varied options
+  const distractorTitles = getLibraryTitles();
 
-  // Use local files - no upload needed!
-  // Songs are played locally on host's device only (Kahoot-style)
-  // Players only see the answer options, not the audio
-  const songsMetadata = selectedSongs.map((song) => ({
-    metadata: song.metadata,
-    // Local URL - only works on host's browser
-    localUrl: song.url,
-  }));
+  // By default songs play locally on the host's device only (Kahoot-style).
+  // In stream mode they are uploaded so players can hear clips on their own devices.
+  const uploads = isStreamingSelected() ? await uploadSongsForStreaming(selectedSongs) : null;
+  const songsMetadata = buildSongsMetadata(selectedSongs, uploads);
 
   socketCreateGame(
     hostName,
@@ -229,8 +289,17 @@ async function proceedWithGameCreation(hostName) {
       clipDuration,
       answerTime,
       maxPlayers,
+      autoplayEnabled,
+      streamToPlayers: Boolean(uploads),
+      buzzerMode: Boolean(getElementById('buzzer-mode')?.checked),
+      answerMode,
+      questionType: getElementById('question-type')?.value || 'title',
+      difficulty: getElementById('difficulty')?.value || 'normal',
+      ...getTeamSettings(),
+      ...getLateJoinSettings(),
     },
-    songsMetadata
+    songsMetadata,
+    distractorTitles
   );
 
   state.setMusicQuizSongs(selectedSongs);
@@ -250,19 +319,19 @@ async function proceedWithGameRestart(hostName) {
   const songsCountSelect = getElementById('songs-count');
   const clipDurationSelect = getElementById('clip-duration');
   const answerTimeSelect = getElementById('answer-time');
+  const autoplayCheckbox = getElementById('autoplay-next');
 
   const songsCount = parseInt(songsCountSelect?.value || '10');
   const clipDuration = parseInt(clipDurationSelect?.value || '20');
   const answerTime = parseInt(answerTimeSelect?.value || '15');
+  const autoplayEnabled = autoplayCheckbox ? autoplayCheckbox.checked : true;
 
   // Shuffle and select songs
   const shuffledSongs = shuffleArray([...state.musicFiles]);
   const selectedSongs = shuffledSongs.slice(0, Math.min(songsCount, shuffledSongs.length));
 
-  const songsMetadata = selectedSongs.map((song) => ({
-    metadata: song.metadata,
-    localUrl: song.url,
-  }));
+  const uploads = isStreamingSelected() ? await uploadSongsForStreaming(selectedSongs) : null;
+  const songsMetadata = buildSongsMetadata(selectedSongs, uploads);
 
   // Emit restartGame instead of createGame — reuses existing game ID and players
   const sock = initializeSocket();
@@ -272,8 +341,18 @@ async function proceedWithGameRestart(hostName) {
       songsCount: selectedSongs.length,
       clipDuration,
       answerTime,
+      autoplayEnabled,
+      streamToPlayers: Boolean(uploads),
+      buzzerMode: Boolean(getElementById('buzzer-mode')?.checked),
+      answerMode: getAnswerMode(),
+      questionType: getElementById('question-type')?.value || 'title',
+      difficulty: getElementById('difficulty')?.value || 'normal',
+      ...getTeamSettings(),
+      ...getLateJoinSettings(),
     },
     songsMetadata,
+    distractorTitles: getLibraryTitles(),
+    playlistId: state.loadedPlaylist?.id || null,
   });
 
   state.setMusicQuizSongs(selectedSongs);
@@ -283,8 +362,93 @@ async function proceedWithGameRestart(hostName) {
   hideLoading();
 }
 
-// Note: uploadMusicFiles is no longer needed since we use local playback
-// Music files stay on host's device and are never uploaded to server
+/**
+ * Whether players pick from four options or type the title
+ * @returns {'choice'|'text'}
+ */
+function getAnswerMode() {
+  return getElementById('text-answers')?.checked ? 'text' : 'choice';
+}
+
+/**
+ * Team game settings from the setup form
+ * @returns {{teamMode: boolean, teamScoring: 'sum'|'average', captainAnswers: boolean}}
+ */
+function getTeamSettings() {
+  return {
+    teamMode: Boolean(getElementById('team-mode')?.checked),
+    teamScoring: getElementById('team-average')?.checked ? 'average' : 'sum',
+    captainAnswers: Boolean(getElementById('captain-answers')?.checked),
+  };
+}
+
+/**
+ * Mid-game join settings from the setup form
+ * @returns {{allowLateJoin: boolean, lateJoinScore: 'zero'|'lowest'}}
+ */
+function getLateJoinSettings() {
+  return {
+    allowLateJoin: Boolean(getElementById('late-join')?.checked),
+    lateJoinScore: getElementById('late-join-lowest')?.checked ? 'lowest' : 'zero',
+  };
+}
+
+/**
+ * Titles of every loaded music file, used by the server as the wrong-answer pool
+ * @returns {string[]}
+ */
+function getLibraryTitles() {
+  return state.musicFiles.map((song) => song.metadata?.title).filter(Boolean);
+}
+
+/**
+ * Whether the host chose to stream audio to players' devices
+ * @returns {boolean}
+ */
+function isStreamingSelected() {
+  return Boolean(getElementById('stream-to-players')?.checked);
+}
+
+/**
+ * Upload the selected songs so the server can stream clips of them.
+ * Songs loaded from a saved playlist are already on the server.
+ * @param {Array} selectedSongs
+ * @returns {Promise<Array|null>} Upload results in song order, or null on failure
+ */
+async function uploadSongsForStreaming(selectedSongs) {
+  showLoading('Uploading songs for streaming...');
+
+  try {
+    await uploadSongFiles(selectedSongs);
+    return selectedSongs.map((song) => ({
+      filename: song.filename,
+      originalName: song.originalName || '',
+    }));
+  } catch (err) {
+    console.error('Error uploading songs for streaming:', err);
+    showNotification('Upload failed - songs will play on the host device only', 'warning');
+    return null;
+  }
+}
+
+/**
+ * Song list sent to the server when creating or restarting a game
+ * @param {Array} selectedSongs
+ * @param {Array|null} uploads - Results of uploadSongsForStreaming
+ * @returns {Array}
+ */
+function buildSongsMetadata(selectedSongs, uploads) {
+  return selectedSongs.map((song, index) => ({
+    metadata: song.metadata,
+    // Local URL - only works on host's browser. Subsonic stream URLs carry the
+    // host's login token, so they stay in the browser.
+    localUrl: song.external ? '' : song.url,
+    filename: uploads?.[index]?.filename || '',
+    originalName: uploads?.[index]?.originalName || '',
+    catalogId: song.catalogId || '',
+    acceptedAnswers: song.acceptedAnswers || [],
+  }));
+}
 
 // =========================
 // JOIN GAME
@@ -316,7 +480,9 @@ export async function joinGame() {
     return;
   }
 
-  socketJoinGame(gameId, playerName);
+  // Team games put players on the team they name, or the smallest team
+  const team = getElementById('join-team-name')?.value.trim() || null;
+  socketJoinGame(gameId, playerName, getProfileCredentials(), team);
 }
 
 // =========================
@@ -345,10 +511,19 @@ export function copyGameId() {
 }
 
 /**
- * Start the multiplayer game (host only)
+ * Open the big-screen display for this game in a new tab, to put on a TV
+ */
+export function openDisplay() {
+  if (state.gameId) {
+    window.open(`${window.location.origin}/?display=${state.gameId}`, '_blank');
+  }
+}
+
+/**
+ * Start the multiplayer game (host or co-host)
  */
 export function startMultiplayerGame() {
-  if (!state.currentPlayer?.isHost) {
+  if (!hasHostControls()) {
     showNotification('Only the host can start the game', 'error');
     return;
   }
@@ -366,6 +541,63 @@ export function startMultiplayerGame() {
   socketStartGame();
 }
 
+// =========================
+// TEAMS
+// =========================
+
+/**
+ * Add a team named in the lobby's new-team box (host only)
+ */
+export function createTeam() {
+  const input = getElementById('new-team-name');
+  const name = input?.value.trim();
+  if (!name) {
+    showNotification('Enter a team name first', 'error');
+    return;
+  }
+  socketCreateTeam(name);
+  input.value = '';
+}
+
+/**
+ * @param {string} teamId
+ * @param {string} name
+ */
+export function renameTeam(teamId, name) {
+  if (name.trim()) socketRenameTeam(teamId, name.trim());
+}
+
+/**
+ * @param {string} teamId
+ */
+export function removeTeam(teamId) {
+  socketRemoveTeam(teamId);
+}
+
+/**
+ * Shuffle every player across the teams evenly (host only)
+ */
+export function balanceTeams() {
+  socketBalanceTeams();
+}
+
+/**
+ * Switch to a team, or move another player there (host only)
+ * @param {string} teamId
+ * @param {string} [playerId] - Defaults to the current player
+ */
+export function joinTeam(teamId, playerId) {
+  socketJoinTeam(teamId, playerId);
+}
+
+/**
+ * @param {string} teamId
+ * @param {string} playerId
+ */
+export function setTeamCaptain(teamId, playerId) {
+  socketSetTeamCaptain(teamId, playerId);
+}
+
 // =========================
 // GAME FLOW
 // =========================
@@ -385,6 +617,8 @@ export function setupMultiplayerGameInterface() {
   } else {
     setupPlayerControls();
   }
+  updateCoHostControls();
+  updatePauseControls(state.roundPhase);
 }
 
 /**
@@ -403,6 +637,7 @@ function setupHostControls() {
 
   // Reset controls
   resetHostControls();
+  resetHostTextAnswers();
   updateHostSongNumber();
 }
 
@@ -435,14 +670,19 @@ function setupPlayerControls() {
 }
 
 /**
- * Play current song (host only - uses local file)
+ * Play current song (host only - uses local file).
+ * Called when the server's round engine starts the clip.
+ * @param {Object} [clip] - songPlaying payload (duration, start offset, start time)
  */
-export function playCurrentSong() {
+export function playCurrentSong(clip = {}) {
   if (!state.currentPlayer?.isHost) return;
 
   const song = state.musicQuizSongs[state.currentSongIndex];
-  // Use local URL from the File object (blob URL created when files were loaded)
-  const audioUrl = song?.url || song?.localUrl;
+  // Use local URL from the File object (blob URL created when files were loaded),
+  // else the URL the server signed for the host. A host who took over mid-game
+  // without either can still play a streamed clip.
+  const audioUrl =
+    song?.url || song?.localUrl || state.hostSongUrls[state.currentSongIndex] || clip.clipUrl;
 
   if (!audioUrl) {
     console.error('No audio URL for song:', state.currentSongIndex);
@@ -450,38 +690,33 @@ export function playCurrentSong() {
     return;
   }
 
-  const clipDuration = state.gameSession?.settings.clipDuration || 20;
+  const duration = clip.clipDuration || state.gameSession?.settings.clipDuration || 20;
 
-  playMultiplayerSong(audioUrl, clipDuration, () => {
-    // Song ended - automatically show options to players
-    hostShowOptions();
-  });
+  // The server opens the answer window when the clip time is up.
+  // A streamed clip is already cut to the right part of the song.
+  playMultiplayerSong(audioUrl, duration, null, audioUrl === clip.clipUrl ? { ...clip, startOffset: 0 } : clip);
 
   updateHostSongNumber();
   addLiveUpdate(`Playing song ${state.currentSongIndex + 1}`);
 }
 
 /**
- * Host shows options to players (called automatically when music clip ends)
+ * Host override: stop waiting for the clip and open the answer window now
  */
 export function hostShowOptions() {
   if (!state.currentPlayer?.isHost) return;
   if (state.optionsSentForCurrentSong) return;
 
   state.setOptionsSentForCurrentSong(true);
+  broadcastOptions(state.currentSongIndex);
+}
 
-  const song = state.musicQuizSongs[state.currentSongIndex];
-  // Generate options just before showing - uses all music files for wrong options pool
-  const { options, correctIndex } = generateMultiplayerKahootOptions(song, state.musicQuizSongs, state.musicFiles);
-
-  // Store for later reveal
-  state.setMultiplayerKahootOptions(options);
-  state.setMultiplayerKahootCorrectIndex(correctIndex);
-
-  // Send options to all players
-  broadcastOptions(options, correctIndex, state.currentSongIndex);
+/**
+ * Update host UI once the server opens the answer window
+ */
+function onAnsweringStarted() {
+  state.setOptionsSentForCurrentSong(true);
 
-  // Update host UI - show reveal button and waiting status
   const revealBtn = getElementById('reveal-answer-btn');
   const waitingStatus = getElementById('host-waiting-status');
 
@@ -495,79 +730,191 @@ export function hostShowOptions() {
   showNotification('Options sent to players!', 'info');
 }
 
+// =========================
+// TYPED ANSWERS (HOST)
+// =========================
+
+/**
+ * Clear the host's typed answer list; it is only shown in free-text games
+ */
+function resetHostTextAnswers() {
+  const container = getElementById('host-text-answers');
+  const list = getElementById('host-text-answer-list');
+
+  if (list) list.innerHTML = '';
+  if (container) container.classList.toggle('hidden', state.gameSession?.settings.answerMode !== 'text');
+}
+
+/**
+ * Add a player's typed answer to the host's list
+ * @param {Object} data - textAnswer payload
+ */
+function showHostTextAnswer(data) {
+  const list = getElementById('host-text-answer-list');
+  if (!list || data.songIndex !== state.currentSongIndex) return;
+
+  const item = document.createElement('li');
+  item.className = 'host-text-answer';
+  item.dataset.playerId = data.playerId;
+  item.innerHTML = `
+    <span class="host-text-answer-name">${escapeHtml(data.playerName)}</span>
+    <span class="host-text-answer-text">${escapeHtml(data.answerText)}</span>
+    <span class="host-text-answer-points"></span>
+    <button class="btn btn-secondary">Accept</button>`;
+  item.querySelector('button').onclick = () => acceptTextAnswer(data.playerId);
+
+  list.appendChild(item);
+  markHostTextAnswer(data);
+}
+
+/**
+ * Show how a typed answer was scored; fully correct answers need no Accept button
+ * @param {{playerId: string, isCorrect: boolean, isPartial: boolean, points: number}} result
+ */
+function markHostTextAnswer(result) {
+  const item = document.querySelector(`#host-text-answer-list [data-player-id="${CSS.escape(result.playerId)}"]`);
+  if (!item) return;
+
+  item.classList.remove('correct', 'partial', 'wrong');
+  item.classList.add(result.isCorrect ? 'correct' : result.isPartial ? 'partial' : 'wrong');
+  item.querySelector('.host-text-answer-points').textContent = `+${result.points}`;
+  item.querySelector('button')?.classList.toggle('hidden', result.isCorrect);
+}
+
+/**
+ * Give full points for a typed answer the server didn't fully accept (host or co-host)
+ * @param {string} playerId
+ */
+export function acceptTextAnswer(playerId) {
+  if (!hasHostControls()) return;
+
+  socketAcceptAnswer(playerId, state.currentSongIndex);
+}
+
 // Track if answer has been revealed for current song (prevent duplicate calls)
 let answerRevealedForSong = -1;
 
 /**
- * Host reveals answer
+ * Host override: close the answer window and reveal now
  */
 export function revealAnswerAndNext() {
   if (!state.currentPlayer?.isHost) return;
+  if (answerRevealedForSong === state.currentSongIndex) return;
 
+  socketRevealAnswer(state.currentSongIndex);
+}
+
+/**
+ * Show the server's reveal on the host screen
+ * @param {Object} data - revealAnswers payload
+ */
+function showHostReveal(data) {
   // Prevent duplicate reveals for the same song
-  if (answerRevealedForSong === state.currentSongIndex) return;
-  answerRevealedForSong = state.currentSongIndex;
+  if (answerRevealedForSong === data.songIndex) return;
+  answerRevealedForSong = data.songIndex;
 
-  const song = state.musicQuizSongs[state.currentSongIndex];
-  const correctAnswer = formatSongAnswer(song);
+  const correctAnswer = describeRevealedAnswer(data);
 
-  // Show correct answer to host
   const correctAnswerDiv = getElementById('host-correct-answer');
   const correctAnswerText = getElementById('correct-answer-text');
   const waitingStatus = getElementById('host-waiting-status');
   const revealBtn = getElementById('reveal-answer-btn');
-  const nextBtn = getElementById('next-song-btn');
 
   if (correctAnswerDiv) correctAnswerDiv.classList.remove('hidden');
   if (correctAnswerText) correctAnswerText.textContent = correctAnswer;
   if (waitingStatus) waitingStatus.style.display = 'none';
   if (revealBtn) revealBtn.style.display = 'none';
-  if (nextBtn) nextBtn.style.display = 'inline-block';
-
-  // Broadcast reveal to players
-  socketRevealAnswer(state.currentSongIndex);
 
   addLiveUpdate(`Answer: ${correctAnswer}`);
   updateLiveScoreboard();
 
-  // Step 1: Show correct answer reveal on host screen (2.5 seconds)
-  showCorrectAnswerReveal(correctAnswer);
+  // Correct answer first; the scoreboard follows when the server enters intermission
+  showCorrectAnswerReveal(correctAnswer, data.coverUrl);
+}
 
-  // Step 2: Hide answer, show scoreboard (after 2.5 seconds)
-  setTimeout(() => {
-    hideCorrectAnswerReveal();
-    showIntermediateLeaderboard();
-  }, 2500);
+/**
+ * Text for the host's reveal: the song plus what the round asked about it
+ * @param {Object} data - revealAnswers payload
+ * @returns {string}
+ */
+export function describeRevealedAnswer(data) {
+  const title = formatSongAnswer({ metadata: { title: data.title, artist: data.artist } });
+
+  switch (data.questionType) {
+    case 'artist':
+    case 'album':
+      return `${data.correctAnswer} — ${title}`;
+    case 'year':
+      return `${title} (${data.correctAnswer})`;
+    default:
+      return title;
+  }
+}
 
-  // Step 3: Hide scoreboard, proceed to next song (after 6 seconds total)
-  setTimeout(() => {
-    hideIntermediateLeaderboard();
-    nextSong();
-  }, 6000);
+/**
+ * Show the scoreboard between songs; in manual mode offer the Next button
+ * @param {Object} phase - roundPhase snapshot
+ */
+function showHostIntermission(phase) {
+  hideCorrectAnswerReveal();
+  showIntermediateLeaderboard();
+
+  const nextBtn = getElementById('next-song-btn');
+  if (nextBtn) nextBtn.style.display = phase.waitingForHost ? 'inline-block' : 'none';
 }
 
 /**
- * Move to next song
+ * Move to next song (host or co-host). The server ends the game after the last song.
  */
 export function nextSong() {
-  if (!state.currentPlayer?.isHost) return;
+  if (!hasHostControls()) return;
 
-  const nextIndex = state.currentSongIndex + 1;
-  const totalSongs = state.gameSession?.settings.songsCount || state.musicQuizSongs.length;
+  socketNextSong();
+}
 
-  if (nextIndex >= totalSongs) {
-    // Game finished
-    finishGame();
+/**
+ * Skip the current song, whatever phase it is in (host or co-host). A song
+ * skipped before its answer is revealed scores nothing.
+ */
+export function skipSong() {
+  if (!hasHostControls()) return;
+
+  socketSkipSong();
+}
+
+// The round as it was paused, so its resume isn't taken for a new phase
+let pausedRound = null;
+
+/**
+ * Pause the game for everyone, or carry it on (host or co-host)
+ */
+export function togglePause() {
+  if (!hasHostControls()) return;
+
+  if (state.roundPhase?.paused) {
+    socketResumeGame();
   } else {
-    // Move to next song
-    socketNextSong();
-    state.setCurrentSongIndex(nextIndex);
-    state.setOptionsSentForCurrentSong(false);
-    resetHostControls();
-    playCurrentSong();
+    socketPauseGame();
   }
 }
 
+/**
+ * Cover the game while it is paused; whoever has the host controls can
+ * resume it from the overlay
+ * @param {Object|null} phase - roundPhase snapshot, null once the game is over
+ */
+function updatePauseControls(phase) {
+  const paused = Boolean(phase?.paused);
+  getElementById('paused-overlay')?.classList.toggle('hidden', !paused);
+  getElementById('paused-resume-btn')?.classList.toggle('hidden', !hasHostControls());
+
+  // Nothing to pause while the game waits for the host to move on
+  document.querySelectorAll('.pause-game-btn').forEach((button) => {
+    button.textContent = paused ? 'Resume' : 'Pause';
+    button.disabled = !paused && !phase?.endsAt;
+  });
+}
+
 /**
  * Replay current clip (host)
  */
@@ -605,9 +952,8 @@ export function showMultiplayerResults() {
   if (singleResultsDiv) singleResultsDiv.classList.add('hidden');
   if (playAgainSingleBtn) playAgainSingleBtn.classList.add('hidden');
 
-  const sortedPlayers = [...state.gameSession.players]
-    .filter((p) => !p.isHost)
-    .sort((a, b) => b.score - a.score);
+  // Teams take the podium in a team game
+  const standings = getStandings();
 
   // Hide other rankings and actions initially — podium first
   const otherRankingsEl = getElementById('other-rankings');
@@ -615,23 +961,23 @@ export function showMultiplayerResults() {
   if (playAgainMultiBtn) playAgainMultiBtn.style.display = 'none';
 
   // Step 1: Show podium with staggered animation
-  populatePodium(sortedPlayers);
+  populatePodium(standings);
   startConfetti();
 
   // Step 2: After podium has been shown, hide podium and show full standings
   const podiumContainer = getElementById('podium-container');
   setTimeout(() => {
     if (podiumContainer) podiumContainer.classList.add('hidden');
-    showOtherRankings(sortedPlayers);
+    showOtherRankings(standings);
     if (playAgainMultiBtn) playAgainMultiBtn.style.display = 'inline-block';
   }, 4000);
 }
 
 /**
- * Populate the podium with top 3 players
- * @param {Array} sortedPlayers
+ * Populate the podium with the top 3 players or teams
+ * @param {Array} standings - From getStandings
  */
-function populatePodium(sortedPlayers) {
+function populatePodium(standings) {
   // Match the HTML IDs: podium-1st, podium-2nd, podium-3rd
   const positions = ['1st', '2nd', '3rd'];
 
@@ -643,12 +989,13 @@ function populatePodium(sortedPlayers) {
     const playersDiv = podiumEl.querySelector('.podium-players');
     if (!playersDiv) return;
 
-    if (sortedPlayers[index]) {
-      const player = sortedPlayers[index];
+    if (standings[index]) {
+      const standing = standings[index];
       playersDiv.innerHTML = `
         <div class="podium-player-info">
-          <div class="podium-player-name">${escapeHtml(player.name)}</div>
-          <div class="podium-player-score">${player.score} pts</div>
+          <div class="podium-player-name">${escapeHtml(standing.name)}</div>
+          ${formatTeamMembers(standing.members)}
+          <div class="podium-player-score">${standing.score} pts</div>
         </div>
       `;
       podiumEl.classList.remove('hidden');
@@ -660,14 +1007,14 @@ function populatePodium(sortedPlayers) {
 }
 
 /**
- * Show final standings for all players
- * @param {Array} sortedPlayers
+ * Show final standings for all players or teams
+ * @param {Array} standings - From getStandings
  */
-function showOtherRankings(sortedPlayers) {
+function showOtherRankings(standings) {
   const otherRankingsEl = getElementById('other-rankings');
   if (!otherRankingsEl) return;
 
-  if (sortedPlayers.length === 0) {
+  if (standings.length === 0) {
     otherRankingsEl.classList.add('hidden');
     return;
   }
@@ -675,13 +1022,13 @@ function showOtherRankings(sortedPlayers) {
   otherRankingsEl.classList.remove('hidden');
   otherRankingsEl.innerHTML =
     '<h3 class="final-standings-title">Final Standings</h3>' +
-    sortedPlayers
+    standings
       .map(
-        (player, index) => `
+        (standing, index) => `
       <div class="ranking-entry final-ranking" style="animation-delay: ${index * 0.1}s">
         <span class="rank">${getOrdinalSuffix(index + 1)}</span>
-        <span class="name">${escapeHtml(player.name)}</span>
-        <span class="score">${player.score} pts</span>
+        <span class="name">${escapeHtml(standing.name)}${formatTeamMembers(standing.members)}</span>
+        <span class="score">${standing.score} pts</span>
       </div>
     `
       )
@@ -703,14 +1050,75 @@ export function leaveGame() {
 }
 
 /**
- * Kick a player (host only)
+ * Kick a player (host or co-host)
  * @param {string} playerId
  */
 export function kickPlayer(playerId) {
-  if (!state.currentPlayer?.isHost) return;
+  if (!hasHostControls()) return;
   socketKickPlayer(playerId);
 }
 
+/**
+ * Kick a player and keep them out of this game (host or co-host)
+ * @param {string} playerId
+ */
+export function banPlayer(playerId) {
+  if (!hasHostControls()) return;
+  socketKickPlayer(playerId, true);
+}
+
+/**
+ * Let a banned player join again (host or co-host)
+ * @param {string} playerName
+ */
+export function unbanPlayer(playerName) {
+  if (!hasHostControls()) return;
+  socketUnbanPlayer(playerName);
+}
+
+/**
+ * Stop new players joining, or let them in again (host or co-host)
+ */
+export function toggleLobbyLock() {
+  if (!hasHostControls()) return;
+  socketSetLobbyLocked(!state.gameSession?.lobbyLocked);
+}
+
+/**
+ * Give a player the host controls alongside their own answers, or take them
+ * away again (host only)
+ * @param {string} playerId
+ */
+export function toggleCoHost(playerId) {
+  if (!state.currentPlayer?.isHost) return;
+  const player = state.gameSession?.players.find((p) => p.id === playerId);
+  if (player) socketSetCoHost(playerId, !player.isCoHost);
+}
+
+/**
+ * Hand the game to a player; the host carries on as a player (host only)
+ * @param {string} playerId
+ */
+export function transferHost(playerId) {
+  if (!state.currentPlayer?.isHost) return;
+  socketTransferHost(playerId);
+}
+
+/**
+ * Co-hosts play like everyone else but get the round controls too; Next
+ * shows only while the game waits for the host
+ */
+function updateCoHostControls() {
+  const controls = getElementById('cohost-controls');
+  if (!controls) return;
+
+  const visible = !state.currentPlayer?.isHost && hasHostControls();
+  controls.classList.toggle('hidden', !visible);
+
+  const nextBtn = getElementById('cohost-next-btn');
+  if (nextBtn) nextBtn.classList.toggle('hidden', !state.roundPhase?.waitingForHost);
+}
+
 /**
  * Play again (return to lobby)
  */
@@ -754,30 +1162,91 @@ export function cleanupMultiplayer() {
 if (typeof window !== 'undefined') {
   window.addEventListener('gameStarted', ((event) => {
     setupMultiplayerGameInterface();
+  }));
+
+  window.addEventListener('songChanged', ((event) => {
+    if (state.currentPlayer?.isHost) {
+      hideCorrectAnswerReveal();
+      hideIntermediateLeaderboard();
+      resetHostControls();
+      resetHostTextAnswers();
+    }
+  }));
 
+  window.addEventListener('textAnswer', ((event) => {
     if (state.currentPlayer?.isHost) {
-      playCurrentSong();
+      showHostTextAnswer(event.detail);
     }
   }));
 
-  window.addEventListener('songChanged', ((event) => {
+  window.addEventListener('answerAccepted', ((event) => {
+    if (state.currentPlayer?.isHost) {
+      markHostTextAnswer(event.detail);
+    }
+  }));
+
+  window.addEventListener('songPlaying', ((event) => {
     const data = event.detail;
 
     if (state.currentPlayer?.isHost) {
+      state.setCurrentSongIndex(data.songIndex);
       state.setOptionsSentForCurrentSong(false);
-      resetHostControls();
-      playCurrentSong();
+      playCurrentSong(data);
+    } else if (data.clipUrl) {
+      playStreamedClip(data.clipUrl, data.clipDuration, data);
+    }
+  }));
+
+  window.addEventListener('roundPhase', ((event) => {
+    const phase = event.detail;
+    updateCoHostControls();
+    updatePauseControls(phase);
+
+    // Pausing and resuming resend the same phase; only a clip needs picking up again
+    const resumed = pausedRound?.phase === phase.phase && pausedRound.songIndex === phase.songIndex;
+    pausedRound = phase.paused ? phase : null;
+    if (phase.paused) {
+      holdClip();
+      return;
+    }
+    if (resumed) {
+      if (phase.phase === 'clip') continueClip(phase.remainingMs);
+      return;
+    }
+
+    if (!state.currentPlayer?.isHost) return;
+
+    if (phase.phase === 'answering') {
+      pauseCurrentAudio();
+      // Buzzer games show the question only to whoever buzzes (see buzzer.js)
+      if (!state.gameSession?.settings.buzzerMode) onAnsweringStarted();
+    } else if (phase.phase === 'intermission') {
+      showHostIntermission(phase);
+    }
+  }));
+
+  window.addEventListener('revealAnswers', ((event) => {
+    if (state.currentPlayer?.isHost) {
+      showHostReveal(event.detail);
     }
   }));
 
   window.addEventListener('gameEnded', ((event) => {
+    pausedRound = null;
+    updatePauseControls(null);
     showMultiplayerResults();
   }));
 
-  // Auto-reveal answer when all players answered or time expired
-  window.addEventListener('autoRevealAnswer', () => {
-    if (state.currentPlayer?.isHost) {
-      revealAnswerAndNext();
+  // Whoever became host, or stopped being host, switches views mid-game
+  window.addEventListener('hostChanged', ((event) => {
+    if (event.detail.roleChanged && state.gameSession?.state === 'playing') {
+      setupMultiplayerGameInterface();
     }
-  });
+  }));
+
+  window.addEventListener('coHostChanged', (() => {
+    if (state.gameSession?.state !== 'playing') return;
+    updateCoHostControls();
+    updatePauseControls(state.roundPhase);
+  }));
 }
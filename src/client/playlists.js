@@ -0,0 +1,306 @@
+/**
+ * Saved playlists - song lists kept on the server so hosts don't have to
+ * reselect their music folder for every game
+ */
+
+import * as state from './state.js';
+import { escapeHtml, getElementById } from './utils.js';
+import {
+  displayMusicFileList,
+  displayServerMusicList,
+  hideLoading,
+  showLoading,
+  showNotification,
+} from './ui.js';
+
+// Matches the per-request file limit of /api/upload
+const UPLOAD_BATCH_SIZE = 100;
+
+// =========================
+// SERVER REQUESTS
+// =========================
+
+/**
+ * Call the playlist API and unwrap its JSON response
+ * @param {string} path
+ * @param {RequestInit} [options]
+ * @returns {Promise<Object>}
+ */
+async function requestJson(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result;
+}
+
+/**
+ * Upload any songs that only exist on this device. Songs that are already on
+ * the server (from a playlist or an earlier upload) are left as they are.
+ * The server filename is recorded on each song object.
+ * @param {Array} songs - Music file entries from state.musicFiles
+ * @returns {Promise<Array>} The same songs
+ */
+export async function uploadSongFiles(songs) {
+  const pending = songs.filter((song) => !song.filename && song.file);
+
+  for (let i = 0; i < pending.length; i += UPLOAD_BATCH_SIZE) {
+    const batch = pending.slice(i, i + UPLOAD_BATCH_SIZE);
+    const formData = new FormData();
+    batch.forEach((song) => formData.append('music', song.file));
+
+    const response = await fetch('/api/upload', { method: 'POST', body: formData });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Upload failed (${response.status})`);
+    }
+
+    batch.forEach((song, index) => {
+      song.filename = result.files[index].filename;
+      song.originalName = result.files[index].originalName;
+    });
+  }
+
+  return songs;
+}
+
+// =========================
+// PLAYLIST PICKER
+// =========================
+
+/**
+ * Fill the setup form's playlist dropdown from the server
+ */
+export async function refreshPlaylistPicker() {
+  const select = getElementById('playlist-select');
+  if (!select) return;
+
+  try {
+    const { playlists } = await requestJson('/api/playlists');
+    select.innerHTML = '<option value="">Choose a saved playlist...</option>';
+    playlists.forEach((playlist) => {
+      const option = document.createElement('option');
+      option.value = playlist.id;
+      option.textContent = `${playlist.name} (${playlist.songCount} songs)`;
+      select.appendChild(option);
+    });
+    select.value = state.loadedPlaylist?.id || '';
+  } catch (err) {
+    console.error('Failed to load playlists:', err);
+  }
+}
+
+/**
+ * Load the playlist chosen in the dropdown as the current music files
+ */
+export async function loadSelectedPlaylist() {
+  const playlistId = getElementById('playlist-select')?.value;
+  if (!playlistId) {
+    showNotification('Choose a playlist first', 'error');
+    return;
+  }
+
+  showLoading('Loading playlist...');
+
+  try {
+    const { playlist } = await requestJson(`/api/playlists/${encodeURIComponent(playlistId)}`);
+    state.setMusicFiles(playlist.songs.map(toMusicFile));
+    state.setLoadedPlaylist(playlist);
+    showLoadedPlaylist();
+    showNotification(`Loaded playlist "${playlist.name}"`, 'success');
+  } catch (err) {
+    console.error('Failed to load playlist:', err);
+    showNotification(`Failed to load playlist: ${err.message}`, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+/**
+ * Save the loaded music files as a new playlist, uploading any local files first
+ */
+export async function saveMusicAsPlaylist() {
+  const nameInput = getElementById('playlist-name-input');
+  const name = nameInput?.value.trim();
+
+  if (state.musicFiles.length === 0) {
+    showNotification('Please load music files first', 'error');
+    return;
+  }
+  if (!name) {
+    showNotification('Please enter a playlist name', 'error');
+    return;
+  }
+  // Subsonic songs need the host's login to play, so they can't be shared
+  if (state.musicFiles.some((song) => song.external)) {
+    showNotification("Songs from a Subsonic server can't be saved as a playlist", 'error');
+    return;
+  }
+
+  showLoading('Uploading songs for the playlist...');
+
+  try {
+    await uploadSongFiles(state.musicFiles);
+    const { playlist } = await requestJson('/api/playlists', {
+      method: 'POST',
+      body: JSON.stringify({ name, songs: state.musicFiles.map(toPlaylistSong) }),
+    });
+
+    state.setLoadedPlaylist(playlist);
+    if (nameInput) nameInput.value = '';
+    await refreshPlaylistPicker();
+    renderPlaylistEditor();
+    showNotification(`Saved playlist "${playlist.name}"`, 'success');
+  } catch (err) {
+    console.error('Failed to save playlist:', err);
+    showNotification(`Failed to save playlist: ${err.message}`, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+/**
+ * Delete the playlist chosen in the dropdown
+ */
+export async function deleteSelectedPlaylist() {
+  const playlistId = getElementById('playlist-select')?.value;
+  if (!playlistId) {
+    showNotification('Choose a playlist first', 'error');
+    return;
+  }
+
+  try {
+    await requestJson(`/api/playlists/${encodeURIComponent(playlistId)}`, { method: 'DELETE' });
+    if (state.loadedPlaylist?.id === playlistId) {
+      state.setLoadedPlaylist(null);
+      displayMusicFileList(state.currentMode === 'single-player' ? 'single' : 'multiplayer');
+    }
+    await refreshPlaylistPicker();
+    showNotification('Playlist deleted', 'success');
+  } catch (err) {
+    console.error('Failed to delete playlist:', err);
+    showNotification(`Failed to delete playlist: ${err.message}`, 'error');
+  }
+}
+
+// =========================
+// SONG OVERRIDES
+// =========================
+
+/**
+ * Replace the song list modal with per-song title / accepted-answer fields
+ * for the loaded playlist
+ */
+export function renderPlaylistEditor() {
+  const listEl = getElementById('music-file-list');
+  const playlist = state.loadedPlaylist;
+  if (!listEl || !playlist) return;
+
+  listEl.innerHTML = playlist.songs
+    .map(
+      (song, index) => `
+      <div class="music-item playlist-song" data-index="${index}">
+        <span class="music-number">${index + 1}</span>
+        <span class="music-title">${escapeHtml(song.metadata.title)}</span>
+        <input type="text" class="playlist-title-override" maxlength="200"
+          placeholder="Quiz title" value="${escapeHtml(song.titleOverride)}">
+        <input type="text" class="playlist-accepted-answers"
+          placeholder="Also accept (comma separated)" value="${escapeHtml(song.acceptedAnswers.join(', '))}">
+      </div>`
+    )
+    .join('');
+
+  const saveButton = document.createElement('button');
+  saveButton.className = 'btn btn-small';
+  saveButton.textContent = 'Save Playlist Changes';
+  saveButton.addEventListener('click', savePlaylistEdits);
+  listEl.appendChild(saveButton);
+}
+
+/**
+ * Store the override fields from the song list modal on the server
+ */
+async function savePlaylistEdits() {
+  const playlist = state.loadedPlaylist;
+  if (!playlist) return;
+
+  const songs = playlist.songs.map((song, index) => {
+    const row = document.querySelector(`.playlist-song[data-index="${index}"]`);
+    if (!row) return song;
+    return {
+      ...song,
+      titleOverride: row.querySelector('.playlist-title-override').value.trim(),
+      acceptedAnswers: row
+        .querySelector('.playlist-accepted-answers')
+        .value.split(',')
+        .map((answer) => answer.trim())
+        .filter(Boolean),
+    };
+  });
+
+  try {
+    const { playlist: updated } = await requestJson(
+      `/api/playlists/${encodeURIComponent(playlist.id)}`,
+      { method: 'PUT', body: JSON.stringify({ songs }) }
+    );
+
+    state.setMusicFiles(updated.songs.map(toMusicFile));
+    state.setLoadedPlaylist(updated);
+    showLoadedPlaylist();
+    showNotification('Playlist saved', 'success');
+  } catch (err) {
+    console.error('Failed to save playlist changes:', err);
+    showNotification(`Failed to save playlist: ${err.message}`, 'error');
+  }
+}
+
+// =========================
+// HELPERS
+// =========================
+
+/**
+ * Convert a stored playlist song into a music file entry the games can play
+ * @param {Object} song
+ * @returns {Object}
+ */
+function toMusicFile(song) {
+  return {
+    // Songs play from URLs the server signs once a game is running
+    coverUrl: song.coverUrl,
+    filename: song.filename,
+    originalName: song.originalName,
+    catalogId: song.catalogId,
+    metadata: {
+      ...song.metadata,
+      title: song.titleOverride || song.metadata.title,
+    },
+    acceptedAnswers: song.acceptedAnswers,
+  };
+}
+
+/**
+ * Convert a loaded music file into a playlist song for the API
+ * @param {Object} song
+ * @returns {Object}
+ */
+function toPlaylistSong(song) {
+  return {
+    metadata: song.metadata,
+    filename: song.filename || '',
+    catalogId: song.catalogId || '',
+    originalName: song.originalName || song.file?.name || '',
+    acceptedAnswers: song.acceptedAnswers || [],
+  };
+}
+
+/**
+ * Update the setup form after the music files came from a playlist
+ */
+function showLoadedPlaylist() {
+  displayServerMusicList(state.loadedPlaylist.name);
+  renderPlaylistEditor();
+}
@@ -0,0 +1,175 @@
+/**
+ * Player profiles - a nickname plus a PIN (or a key kept on this device)
+ * that collects lifetime stats from every multiplayer game joined with it
+ */
+
+import { escapeHtml, getElementById, storage } from './utils.js';
+import { showNotification } from './ui.js';
+
+// Signed-in profile: { id, nickname, secret }
+const PROFILE_KEY = 'musicQuizProfile';
+// Random key used instead of a PIN when the player doesn't choose one
+const DEVICE_KEY = 'musicQuizDeviceKey';
+
+// =========================
+// SIGNED-IN PROFILE
+// =========================
+
+/**
+ * The profile signed in on this device, if any
+ * @returns {{id: string, nickname: string, secret: string}|null}
+ */
+export function getSignedInProfile() {
+  return storage.get(PROFILE_KEY, null);
+}
+
+/**
+ * Credentials sent with joinGame so the game counts towards the profile
+ * @returns {{id: string, secret: string}|null}
+ */
+export function getProfileCredentials() {
+  const profile = getSignedInProfile();
+  return profile ? { id: profile.id, secret: profile.secret } : null;
+}
+
+/**
+ * This device's key, created on first use. crypto.randomUUID needs a secure
+ * context, which LAN games served over plain http don't have.
+ * @returns {string}
+ */
+function getDeviceKey() {
+  let key = storage.get(DEVICE_KEY, null);
+  if (!key) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    key = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    storage.set(DEVICE_KEY, key);
+  }
+  return key;
+}
+
+// =========================
+// SIGN IN / OUT
+// =========================
+
+/**
+ * Create a profile from the home screen form
+ */
+export function createProfile() {
+  return submitProfileForm('/api/profiles', 'Profile created');
+}
+
+/**
+ * Sign in to an existing profile from the home screen form
+ */
+export function signInProfile() {
+  return submitProfileForm('/api/profiles/login', 'Signed in');
+}
+
+/**
+ * Forget the profile on this device (the profile itself is kept)
+ */
+export function signOutProfile() {
+  storage.remove(PROFILE_KEY);
+  refreshProfileCard();
+}
+
+/**
+ * Send the nickname and PIN (or device key) to a profile endpoint
+ * @param {string} path
+ * @param {string} successMessage
+ */
+async function submitProfileForm(path, successMessage) {
+  const nickname = getElementById('profile-nickname')?.value.trim();
+  const pinInput = getElementById('profile-pin');
+  const secret = pinInput?.value.trim() || getDeviceKey();
+
+  if (!nickname) {
+    showNotification('Please enter a nickname', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ nickname, secret }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Request failed (${response.status})`);
+    }
+
+    storage.set(PROFILE_KEY, { id: result.profile.id, nickname: result.profile.nickname, secret });
+    if (pinInput) pinInput.value = '';
+    renderProfile(result.profile);
+    showNotification(`${successMessage} as ${result.profile.nickname}`, 'success');
+  } catch (err) {
+    console.error('Profile sign-in failed:', err);
+    showNotification(err.message, 'error');
+  }
+}
+
+// =========================
+// PROFILE CARD
+// =========================
+
+/**
+ * Show the sign-in form or the signed-in profile's latest stats
+ */
+export async function refreshProfileCard() {
+  const profile = getSignedInProfile();
+  if (!profile) {
+    renderProfile(null);
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/profiles/${encodeURIComponent(profile.id)}`);
+    if (response.status === 404) {
+      storage.remove(PROFILE_KEY);
+      renderProfile(null);
+      return;
+    }
+    const result = await response.json();
+    if (response.ok) renderProfile(result.profile);
+  } catch (err) {
+    console.error('Failed to load profile:', err);
+  }
+}
+
+/**
+ * @param {Object|null} profile - Profile from the API, or null when signed out
+ */
+function renderProfile(profile) {
+  const signedOut = getElementById('profile-signed-out');
+  const signedIn = getElementById('profile-signed-in');
+  const statsEl = getElementById('profile-stats');
+  if (!signedOut || !signedIn || !statsEl) return;
+
+  signedOut.classList.toggle('hidden', Boolean(profile));
+  signedIn.classList.toggle('hidden', !profile);
+  if (!profile) return;
+
+  const { stats } = profile;
+  const tiles = [
+    ['Games', stats.gamesPlayed],
+    ['Wins', stats.wins],
+    ['Accuracy', stats.accuracy === null ? '-' : `${Math.round(stats.accuracy * 100)}%`],
+    [
+      'Fastest',
+      stats.fastestCorrectMs === null ? '-' : `${(stats.fastestCorrectMs / 1000).toFixed(1)}s`,
+    ],
+    ['Best streak', stats.bestStreak],
+  ];
+
+  getElementById('profile-nickname-label').textContent = profile.nickname;
+  statsEl.innerHTML = tiles
+    .map(
+      ([label, value]) => `
+      <div class="profile-stat">
+        <span class="profile-stat-value">${escapeHtml(value)}</span>
+        <span class="profile-stat-label">${label}</span>
+      </div>`
+    )
+    .join('');
+}
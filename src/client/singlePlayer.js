@@ -13,9 +13,15 @@ import {
   displayKahootOptions,
   resetKahootOptionStates,
   displayMusicFileList,
+  showCoverArt,
 } from './ui.js';
 import { playSinglePlayerSong, stopCurrentAudio, replaySinglePlayerClip, stopSinglePlayerTimeBonus } from './audio.js';
-import { generateKahootOptions, selectKahootOption as kahootSelectOption } from './kahoot.js';
+import { generateKahootOptions, getQuestionPrompt, selectKahootOption as kahootSelectOption } from './kahoot.js';
+import { refreshPlaylistPicker } from './playlists.js';
+import { refreshCatalogPicker } from './catalog.js';
+import { restoreSubsonicServer } from './subsonic.js';
+import { resetScoreSubmission } from './leaderboards.js';
+import { getDifficulty } from '../shared/difficulty.js';
 
 // =========================
 // GAME SETUP
@@ -53,8 +59,36 @@ function setupSinglePlayerUI() {
     maxPlayersGroup.style.display = 'none';
   }
 
+  // Streaming to other devices, typed answers, teams and late joining only apply to multiplayer
+  const streamOption = getElementById('stream-to-players-option');
+  if (streamOption) {
+    streamOption.style.display = 'none';
+  }
+  const textAnswersOption = getElementById('text-answers-option');
+  if (textAnswersOption) {
+    textAnswersOption.style.display = 'none';
+  }
+  [
+    'buzzer-mode-option',
+    'team-mode-option',
+    'team-average-option',
+    'captain-answers-option',
+    'late-join-option',
+    'late-join-lowest-option',
+  ].forEach((id) => {
+    const option = getElementById(id);
+    if (option) option.style.display = 'none';
+  });
+  const hintsOption = getElementById('single-player-options');
+  if (hintsOption) {
+    hintsOption.style.display = '';
+  }
+
   // Sync visual buttons with current select values
   syncSettingsButtons();
+  refreshPlaylistPicker();
+  refreshCatalogPicker();
+  restoreSubsonicServer();
 }
 
 /**
@@ -77,6 +111,7 @@ export function loadSinglePlayerMusic(event) {
   });
 
   state.setMusicFiles(musicFiles);
+  state.setLoadedPlaylist(null);
   displayMusicFileList('single');
 
   const startButton = getElementById('start-single-game-btn');
@@ -97,6 +132,9 @@ export function startSinglePlayerGame() {
 
   const songsCount = parseInt(songsCountSelect?.value || '10');
   const clipDuration = parseInt(clipDurationSelect?.value || '20');
+  const questionType = getElementById('question-type')?.value || 'title';
+  const difficulty = getElementById('difficulty')?.value || 'normal';
+  const showHints = getElementById('show-hints')?.checked ?? true;
 
   if (state.musicFiles.length === 0) {
     showNotification('Please load music files first', 'error');
@@ -112,6 +150,12 @@ export function startSinglePlayerGame() {
     answerTime: 30,
     maxPlayers: 1,
     autoplayEnabled: true,
+    questionType,
+    difficulty,
+    // Harder difficulties don't allow hints, whatever the toggle says
+    showHints: showHints && getDifficulty(difficulty).hints,
+    // Seeds each song's options so a game's questions can be rebuilt
+    optionSeed: Math.random().toString(36).slice(2),
   });
 
   // Shuffle and select songs
@@ -172,18 +216,91 @@ function playSinglePlayerSongAtIndex(index) {
   state.setSinglePlayerCurrentSong(index);
   const song = state.singlePlayerSongs[index];
 
+  const { clipPosition, similarDistractors } = getDifficulty(state.singlePlayerSettings.difficulty);
+
   // Generate Kahoot options
-  const options = generateKahootOptions(song, state.singlePlayerSongs, index);
+  const options = generateKahootOptions(
+    song,
+    state.singlePlayerSongs,
+    index,
+    state.singlePlayerSettings.questionType,
+    { similar: similarDistractors, seed: `${state.singlePlayerSettings.optionSeed}:${index}` }
+  );
   displayKahootOptions(options, 'single');
 
+  const promptEl = getElementById('single-song-title');
+  if (promptEl) promptEl.textContent = getQuestionPrompt(state.kahootQuestionType);
+  updateSongHints(song);
+
   // Update display
   updateSinglePlayerDisplay();
+  showCoverArt('single-cover-art', null);
 
   // Play the song
   const clipDuration = state.singlePlayerSettings.clipDuration || 20;
-  playSinglePlayerSong(song, clipDuration, () => {
+  const onEnded = () => {
     // Song clip ended - player can still answer
+  };
+
+  // Playlist and catalog songs have no URL on this device, so the server cuts their clip
+  if (!song.url) {
+    fetchSoloClipUrl(song, clipDuration)
+      .then((clipUrl) => {
+        if (state.currentMode !== 'single-player' || state.singlePlayerCurrentSong !== index) return;
+        playSinglePlayerSong(song, clipDuration, onEnded, clipPosition, clipUrl);
+      })
+      .catch((err) => {
+        console.error('Failed to load clip:', err);
+        showNotification('Failed to load audio file', 'error');
+      });
+    return;
+  }
+
+  playSinglePlayerSong(song, clipDuration, onEnded, clipPosition);
+}
+
+/**
+ * Ask the server to cut a clip of a song this device has no file for
+ * @param {Object} song
+ * @param {number} clipDuration
+ * @returns {Promise<string>} Signed clip URL
+ */
+async function fetchSoloClipUrl(song, clipDuration) {
+  const response = await fetch('/api/solo/clip', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      filename: song.filename,
+      catalogId: song.catalogId,
+      clipDuration,
+      difficulty: state.singlePlayerSettings.difficulty,
+    }),
   });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Request failed (${response.status})`);
+  }
+  return result.url;
+}
+
+/**
+ * Show the album and year under the prompt when hints are on, leaving out
+ * whichever one the question asks for
+ * @param {Object} song
+ */
+function updateSongHints(song) {
+  const hintsEl = getElementById('song-hints');
+  if (!hintsEl) return;
+
+  const album = state.kahootQuestionType === 'album' ? '' : song?.metadata?.album || '';
+  const year = state.kahootQuestionType === 'year' ? '' : String(song?.metadata?.year || '');
+
+  const albumEl = getElementById('hint-album');
+  const yearEl = getElementById('hint-year');
+  if (albumEl) albumEl.textContent = album || '-';
+  if (yearEl) yearEl.textContent = year || '-';
+
+  hintsEl.classList.toggle('hidden', !state.singlePlayerSettings.showHints || (!album && !year));
 }
 
 /**
@@ -253,6 +370,11 @@ export function showSingleHints() {
   const currentSong = state.singlePlayerSongs[state.singlePlayerCurrentSong];
   if (!currentSong) return;
 
+  if (!getDifficulty(state.singlePlayerSettings.difficulty).hints) {
+    showNotification('Hints are off at this difficulty', 'info');
+    return;
+  }
+
   const hints = [];
 
   if (currentSong.metadata?.artist && currentSong.metadata.artist !== 'Unknown') {
@@ -267,6 +389,10 @@ export function showSingleHints() {
     hints.push(`Year: ${currentSong.metadata.year}`);
   }
 
+  if (currentSong.metadata?.genre) {
+    hints.push(`Genre: ${currentSong.metadata.genre}`);
+  }
+
   if (hints.length > 0) {
     showNotification(hints.join(' | '), 'info');
   } else {
@@ -283,6 +409,7 @@ export function revealSingleAnswer() {
 
   const answer = formatSongAnswer(currentSong);
   showNotification(`Answer: ${answer}`, 'info');
+  showCoverArt('single-cover-art', currentSong.coverUrl);
 
   // Show correct option
   const correctOptionEl = document.querySelector(
@@ -356,6 +483,7 @@ function showSinglePlayerResults() {
 
   // Show detailed results
   showSinglePlayerDetailedResults();
+  resetScoreSubmission();
 }
 
 /**
@@ -16,11 +16,17 @@ import {
   showPlayerResult,
   hideIntermediateLeaderboard,
   startConfetti,
+  hasHostControls,
 } from './ui.js';
-import { showOptionsToPlayers, resetPlayerViewForNextSong } from './kahoot.js';
-import { formatSongAnswer, storage } from './utils.js';
 import {
-  revealAnswerAndNext,
+  showOptionsToPlayers,
+  showTextAnswerBox,
+  showSentAnswer,
+  resetPlayerViewForNextSong,
+  waitForCaptain,
+} from './kahoot.js';
+import { storage } from './utils.js';
+import {
   setupMultiplayerGameInterface,
   showMultiplayerResults,
 } from './multiplayer.js';
@@ -82,6 +88,14 @@ export function isConnected() {
   return socket?.connected ?? false;
 }
 
+/**
+ * The time by the server's clock, so countdowns end when the server's do
+ * @returns {number}
+ */
+export function serverNow() {
+  return Date.now() + (state.serverClockOffset ?? 0);
+}
+
 /**
  * Wait for socket to be initialized
  * @returns {Promise<Object>} socket instance
@@ -125,6 +139,13 @@ function setupSocketEvents(sock) {
     updateConnectionStatus();
   });
 
+  // The server's clock as it was half a round trip ago. Answering the ping is
+  // how the server measures our latency, which it takes out of answer times.
+  sock.on('clockPing', (data, ack) => {
+    state.setServerClockOffset(data.serverTime + (data.rttMs || 0) / 2 - Date.now());
+    if (typeof ack === 'function') ack();
+  });
+
   sock.on('reconnect', () => {
     state.setConnectionStatus('connected');
     updateConnectionStatus();
@@ -164,6 +185,11 @@ function setupSocketEvents(sock) {
 
     saveGameStateForReconnection(data.reconnectToken);
     updateGameUrl(data.gameId);
+    if (data.catchUp) {
+      catchUpLateJoiner(data);
+      showNotification(`Joined game ${data.gameId} mid-game!`, 'success');
+      return;
+    }
     showPanel('lobby');
     updateLobbyDisplay();
     showNotification(`Joined game ${data.gameId}!`, 'success');
@@ -172,6 +198,7 @@ function setupSocketEvents(sock) {
   sock.on('playerJoined', (data) => {
     state.setGameSession(data.gameSession);
     updateLobbyDisplay();
+    if (data.gameSession.state === 'playing') updateLiveScoreboard();
     addLiveUpdate(`${data.player.name} joined the game`);
   });
 
@@ -181,6 +208,12 @@ function setupSocketEvents(sock) {
     addLiveUpdate(`${data.playerName} left the game`);
   });
 
+  // Team games: teams were added, renamed, removed or rearranged in the lobby
+  sock.on('teamsUpdated', (data) => {
+    state.setGameSession(data.gameSession);
+    updateLobbyDisplay();
+  });
+
   sock.on('gameStarted', (data) => {
     state.setGameSession(data.gameSession);
     state.setCurrentSongIndex(0);
@@ -213,12 +246,26 @@ function setupSocketEvents(sock) {
     window.dispatchEvent(new CustomEvent('songChanged', { detail: data }));
   });
 
-  sock.on('kahootOptions', (data) => {
-    if (state.currentPlayer?.isHost) return; // Host doesn't answer
-
-    if (data.options) {
-      showOptionsToPlayers(data.options);
+  // Round engine phase changes (clip → answering → reveal → intermission)
+  sock.on('roundPhase', (data) => {
+    state.setRoundPhase(data);
+    // A resumed answer window ends later than it was going to
+    if (data.endsAt && (data.phase === 'answering' || data.phase === 'buzzer')) {
+      state.setAnswerDeadline(data.endsAt);
     }
+    window.dispatchEvent(new CustomEvent('roundPhase', { detail: data }));
+  });
+
+  // Server started the clip for a song; the host (and streaming players) play it
+  sock.on('songPlaying', (data) => {
+    // Turn the server's start time into a local one, by the synced clock once we have it
+    const offset = state.serverClockOffset ?? data.serverTime - Date.now();
+    const playAt = data.startAt && data.serverTime ? data.startAt - offset : 0;
+    window.dispatchEvent(new CustomEvent('songPlaying', { detail: { ...data, playAt } }));
+  });
+
+  sock.on('kahootOptions', (data) => {
+    showQuestion(data);
   });
 
   sock.on('answerResult', (data) => {
@@ -232,7 +279,7 @@ function setupSocketEvents(sock) {
 
     // Show result to the player who answered
     if (data.playerId === state.currentPlayer?.id) {
-      showPlayerResult(data.isCorrect, data.points, data.correctAnswer);
+      showPlayerResult(data.isCorrect, data.points, data.correctAnswer, data.isPartial);
       if (data.points > 0) {
         addLiveUpdate(`You scored ${data.points} points!`);
       }
@@ -243,34 +290,45 @@ function setupSocketEvents(sock) {
       }
     }
 
+    if (data.acceptedByHost) {
+      window.dispatchEvent(new CustomEvent('answerAccepted', { detail: data }));
+    }
+
     // Update scoreboard
     updateLiveScoreboard();
   });
 
+  // Free-text games: the host receives every typed answer
+  sock.on('textAnswer', (data) => {
+    window.dispatchEvent(new CustomEvent('textAnswer', { detail: data }));
+  });
+
+  // Buzzer games: a player holds the buzz, queued behind it, or was locked out
+  ['buzzed', 'buzzQueued', 'buzzReleased'].forEach((event) => {
+    sock.on(event, (data) => {
+      state.setBuzzState(data);
+      window.dispatchEvent(new CustomEvent(event, { detail: data }));
+    });
+  });
+
+  sock.on('buzzRejected', (data) => {
+    window.dispatchEvent(new CustomEvent('buzzRejected', { detail: data }));
+  });
+
+  // The server reveals the answer itself right after these two events
   sock.on('answerTimeExpired', (data) => {
     state.setGameSession(data.gameSession);
-
-    // Auto-reveal answer when time expires (host only)
-    if (state.currentPlayer?.isHost) {
-      try {
-        revealAnswerAndNext();
-      } catch (error) {
-        console.error('Failed to reveal answer:', error);
-      }
-    }
   });
 
   sock.on('allPlayersAnswered', (data) => {
     state.setGameSession(data.gameSession);
+  });
 
-    // Auto-reveal answer when all players answered (host only)
-    if (state.currentPlayer?.isHost) {
-      try {
-        revealAnswerAndNext();
-      } catch (error) {
-        console.error('Failed to reveal answer:', error);
-      }
-    }
+  // The host skipped a song before its reveal; nobody keeps its points
+  sock.on('songVoided', (data) => {
+    state.setGameSession(data.gameSession);
+    updateLiveScoreboard();
+    addLiveUpdate(`Song ${data.songIndex + 1} was skipped — no points`);
   });
 
   sock.on('playerAnswered', (data) => {
@@ -286,23 +344,9 @@ function setupSocketEvents(sock) {
   sock.on('revealAnswers', (data) => {
     state.setGameSession(data.gameSession);
     updateLiveScoreboard();
+    showRevealToPlayer(data);
 
-    // Show the correct answer text for players (in their answer status area)
-    const correctAnswerEl = document.getElementById('correct-answer-display');
-    if (correctAnswerEl) {
-      correctAnswerEl.textContent = data.correctAnswer;
-    }
-
-    // Highlight the correct option for players (safe: answer period is over)
-    if (typeof data.correctIndex === 'number' && data.correctIndex >= 0) {
-      const correctOption = document.querySelector(
-        `#nonhost-kahoot-options .kahoot-option[data-option="${data.correctIndex}"]`
-      );
-      if (correctOption) {
-        correctOption.classList.add('correct');
-      }
-    }
-
+    window.dispatchEvent(new CustomEvent('revealAnswers', { detail: data }));
   });
 
   sock.on('gameEnded', (data) => {
@@ -371,20 +415,70 @@ function setupSocketEvents(sock) {
     showPanel('home');
   });
 
+  // Sent when hosting changes hands, since a token says whether it's the host's
+  sock.on('reconnectToken', (data) => {
+    saveGameStateForReconnection(data.reconnectToken);
+  });
+
+  // Whole songs for the host's device to play; players only ever get clips
+  sock.on('hostSongUrls', (data) => {
+    state.setHostSongUrls(Array.isArray(data.songUrls) ? data.songUrls : []);
+  });
+
   sock.on('hostChanged', (data) => {
     state.setGameSession(data.gameSession);
 
-    // Update current player if they became host
+    // The host isn't a player, so whoever swaps roles swaps their player record
+    let roleChanged = false;
     if (data.newHostId === state.currentPlayer?.id) {
-      const updatedPlayer = data.gameSession.players.find((p) => p.id === data.newHostId);
+      state.setCurrentPlayer({
+        id: data.newHostId,
+        name: data.newHostName,
+        isHost: true,
+        score: 0,
+        isReady: true,
+      });
+      roleChanged = true;
+      showNotification('You are now the host!', 'info');
+    } else if (state.currentPlayer?.isHost) {
+      const updatedPlayer = data.gameSession.players.find((p) => p.id === state.currentPlayer.id);
       if (updatedPlayer) {
         state.setCurrentPlayer(updatedPlayer);
+        roleChanged = true;
+        state.setHostSongUrls([]);
+        showNotification(`${data.newHostName} is now hosting. You're playing!`, 'info');
       }
-      showNotification('You are now the host!', 'info');
     }
 
     updateLobbyDisplay();
     addLiveUpdate(`${data.newHostName} is now the host`);
+    window.dispatchEvent(new CustomEvent('hostChanged', { detail: { ...data, roleChanged } }));
+  });
+
+  sock.on('banListUpdated', (data) => {
+    state.setGameSession(data.gameSession);
+    updateLobbyDisplay();
+  });
+
+  sock.on('lobbyLockChanged', (data) => {
+    state.setGameSession(data.gameSession);
+    updateLobbyDisplay();
+    addLiveUpdate(data.locked ? 'The game is locked to new players' : 'The game is open to new players');
+  });
+
+  sock.on('coHostChanged', (data) => {
+    state.setGameSession(data.gameSession);
+    updateLobbyDisplay();
+
+    if (data.playerId === state.currentPlayer?.id) {
+      showNotification(
+        data.isCoHost ? 'You are now a co-host!' : 'You are no longer a co-host',
+        'info'
+      );
+    } else if (data.isCoHost) {
+      addLiveUpdate(`${data.playerName} is now a co-host`);
+    }
+    window.dispatchEvent(new CustomEvent('coHostChanged', { detail: data }));
   });
 
   sock.on('error', (data) => {
@@ -411,6 +505,7 @@ function setupSocketEvents(sock) {
       updateGameDisplay();
       // Initialize host/player controls (missed on rejoin vs fresh gameStarted)
       setupMultiplayerGameInterface();
+      if (data.resync) restoreRound(data.resync);
 
       if (data.isHost && state.musicFiles.length === 0) {
         showNotification('Rejoined! Load music files to continue hosting.', 'info');
@@ -436,6 +531,97 @@ function setupSocketEvents(sock) {
   });
 }
 
+// =========================
+// QUESTIONS
+// =========================
+
+/**
+ * Show players the question for the current song. The countdown runs to the
+ * server's deadline, so it ends when the server closes the window.
+ * @param {Object} data - kahootOptions payload
+ * @param {number} [remainingMs] - Time left in a paused window, which has no deadline yet
+ */
+function showQuestion(data, remainingMs) {
+  if (typeof data.answerTime === 'number') {
+    state.setAnswerTimeLimit(data.answerTime);
+  }
+  if (state.currentPlayer?.isHost) return; // Host doesn't answer
+  if (waitForCaptain()) return; // The team captain answers for this player
+
+  state.setAnswerDeadline(data.endsAt ?? serverNow() + (remainingMs ?? data.answerTime * 1000));
+
+  if (data.answerMode === 'text') {
+    showTextAnswerBox(data.questionType);
+  } else if (data.options) {
+    showOptionsToPlayers(data.options, data.questionType);
+  }
+}
+
+/**
+ * Show players the revealed answer: its text in their result area and the
+ * right option highlighted (safe: the answer period is over)
+ * @param {Object} data - revealAnswers payload
+ */
+function showRevealToPlayer(data) {
+  const correctAnswerEl = document.getElementById('correct-answer-display');
+  if (correctAnswerEl) {
+    correctAnswerEl.textContent = data.correctAnswer;
+  }
+
+  if (typeof data.correctIndex === 'number' && data.correctIndex >= 0) {
+    const correctOption = document.querySelector(
+      `#nonhost-kahoot-options .kahoot-option[data-option="${data.correctIndex}"]`
+    );
+    if (correctOption) {
+      correctOption.classList.add('correct');
+    }
+  }
+}
+
+/**
+ * Drop a player who joined mid-game straight into the current song
+ * @param {Object} data - gameJoined payload with its catchUp snapshot
+ */
+function catchUpLateJoiner(data) {
+  state.setCurrentSongIndex(data.gameSession.currentSong);
+  state.setMusicQuizSongs(data.gameSession.songs);
+  showPanel('game');
+  setupMultiplayerGameInterface();
+  updateLiveScoreboard();
+  restoreRound(data.catchUp);
+}
+
+/**
+ * Put the game view back where the current song is: the round phase, any
+ * buzzes, the question with the time left, this player's answer and result,
+ * and the answer if it has been revealed
+ * @param {Object} snapshot - catchUp or resync payload
+ */
+function restoreRound(snapshot) {
+  const { round, question, buzz, answer = null, reveal = null } = snapshot;
+
+  if (!state.currentPlayer?.isHost) {
+    resetPlayerViewForNextSong(state.currentSongIndex + 1);
+  }
+  state.setBuzzState(buzz);
+  state.setRoundPhase(round);
+  window.dispatchEvent(new CustomEvent('roundPhase', { detail: round }));
+
+  if (state.currentPlayer?.isHost) {
+    if (reveal && round.phase === 'reveal') {
+      window.dispatchEvent(new CustomEvent('revealAnswers', { detail: { ...reveal, gameSession: state.gameSession } }));
+    }
+    return;
+  }
+
+  if (question) showQuestion(question, round.remainingMs);
+  if (answer) {
+    showSentAnswer(answer);
+    showPlayerResult(answer.isCorrect, answer.points, reveal?.correctAnswer || '', answer.isPartial);
+  }
+  if (reveal) showRevealToPlayer(reveal);
+}
+
 // =========================
 // RECONNECTION
 // =========================
@@ -464,6 +650,21 @@ function saveGameStateForReconnection(reconnectToken) {
   storage.set('musicQuizReconnectState', reconnectData);
 }
 
+/**
+ * This browser's ID, kept across games so a host's ban holds even under a new
+ * name. It isn't a secret, unlike the profile device key.
+ * @returns {string}
+ */
+function getDeviceId() {
+  let id = storage.get('musicQuizDeviceId', null);
+  if (!id) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    id = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    storage.set('musicQuizDeviceId', id);
+  }
+  return id;
+}
+
 function loadReconnectionState() {
   const data = storage.get('musicQuizReconnectState', null);
 
@@ -492,6 +693,7 @@ function attemptRejoinGame(reconnectData) {
     playerId: reconnectData.playerId,
     playerName: reconnectData.playerName,
     reconnectToken: reconnectData.reconnectToken,
+    deviceId: getDeviceId(),
   });
 }
 
@@ -547,8 +749,9 @@ function clearGameUrl() {
  * @param {string} hostName
  * @param {Object} settings
  * @param {Array} songsMetadata
+ * @param {string[]} distractorTitles - Library titles the server may use as wrong options
  */
-export function createGame(hostName, settings, songsMetadata) {
+export function createGame(hostName, settings, songsMetadata, distractorTitles) {
   if (!socket || !socket.connected) {
     showNotification('Not connected to server', 'error');
     return;
@@ -558,6 +761,8 @@ export function createGame(hostName, settings, songsMetadata) {
     hostName,
     settings,
     songsMetadata,
+    distractorTitles,
+    playlistId: state.loadedPlaylist?.id || null,
   });
 }
 
@@ -565,8 +770,10 @@ export function createGame(hostName, settings, songsMetadata) {
  * Join an existing game
  * @param {string} gameId
  * @param {string} playerName
+ * @param {{id: string, secret: string}|null} [profile] - Signed-in profile to record stats for
+ * @param {string|null} [team] - Team name or ID to join in a team game
  */
-export function joinGame(gameId, playerName) {
+export function joinGame(gameId, playerName, profile = null, team = null) {
   if (!socket || !socket.connected) {
     showNotification('Not connected to server', 'error');
     return;
@@ -575,6 +782,9 @@ export function joinGame(gameId, playerName) {
   socket.emit('joinGame', {
     gameId: gameId.toUpperCase(),
     playerName,
+    profile,
+    team,
+    deviceId: getDeviceId(),
   });
 }
 
@@ -611,39 +821,56 @@ export function submitAnswer(answerIndex, isCorrect, responseTime) {
 }
 
 /**
- * Broadcast Kahoot options to players (host only)
- * @param {Array} options
- * @param {number} correctIndex
+ * Buzz in on the current song (buzzer games). The server decides who was first.
+ */
+export function buzz() {
+  if (!socket || !socket.connected || !state.gameId) return;
+
+  socket.emit('buzz', {
+    gameId: state.gameId,
+    songIndex: state.currentSongIndex,
+  });
+}
+
+/**
+ * Give full points for a player's typed answer (host only)
+ * @param {string} playerId
  * @param {number} songIndex
  */
-export function broadcastOptions(options, correctIndex, songIndex) {
+export function acceptAnswer(playerId, songIndex) {
+  if (!socket || !socket.connected || !state.gameId) return;
+
+  socket.emit('acceptAnswer', {
+    gameId: state.gameId,
+    playerId,
+    songIndex,
+  });
+}
+
+/**
+ * Ask the server to show the answer options now (host only).
+ * The server builds the options itself.
+ * @param {number} songIndex
+ */
+export function broadcastOptions(songIndex) {
   if (!socket || !socket.connected || !state.gameId) return;
 
   socket.emit('showKahootOptions', {
     gameId: state.gameId,
-    options,
-    correctIndex,
     songIndex,
   });
 }
 
 /**
- * Reveal answer (host only)
+ * Ask the server to reveal the answer now (host only)
  * @param {number} songIndex
  */
 export function revealAnswer(songIndex) {
   if (!socket || !socket.connected || !state.gameId) return;
 
-  const currentSong = state.musicQuizSongs[songIndex];
-  const correctAnswer = currentSong ? formatSongAnswer(currentSong) : 'Unknown';
-
   socket.emit('revealAnswers', {
     gameId: state.gameId,
     songIndex,
-    correctAnswer,
-    title: currentSong?.metadata?.title || 'Unknown',
-    artist: currentSong?.metadata?.artist || '',
-    correctIndex: state.multiplayerKahootCorrectIndex,
   });
 }
 
@@ -659,6 +886,33 @@ export function nextSong() {
   });
 }
 
+/**
+ * Pause the game for everyone, timers included (host or co-host)
+ */
+export function pauseGame() {
+  if (!socket || !socket.connected || !state.gameId) return;
+
+  socket.emit('pauseGame', { gameId: state.gameId });
+}
+
+/**
+ * Carry on a paused game with the time that was left (host or co-host)
+ */
+export function resumeGame() {
+  if (!socket || !socket.connected || !state.gameId) return;
+
+  socket.emit('resumeGame', { gameId: state.gameId });
+}
+
+/**
+ * Skip the current song; one that hadn't been revealed scores nothing (host or co-host)
+ */
+export function skipSong() {
+  if (!socket || !socket.connected || !state.gameId) return;
+
+  socket.emit('skipSong', { gameId: state.gameId });
+}
+
 /**
  * End the game (host only)
  */
@@ -686,19 +940,133 @@ export function leaveGame() {
 }
 
 /**
- * Kick a player (host only)
+ * Kick a player (host or co-host)
  * @param {string} playerId
+ * @param {boolean} [ban] - Also keep them from joining again
  */
-export function kickPlayer(playerId) {
+export function kickPlayer(playerId, ban = false) {
   if (!socket || !socket.connected || !state.gameId) return;
-  if (!state.currentPlayer?.isHost) return;
+  if (!hasHostControls()) return;
 
   socket.emit('kickPlayer', {
     gameId: state.gameId,
     playerId,
+    ban,
+  });
+}
+
+/**
+ * Let a banned player join again (host or co-host)
+ * @param {string} playerName
+ */
+export function unbanPlayer(playerName) {
+  if (!socket || !socket.connected || !state.gameId) return;
+  if (!hasHostControls()) return;
+
+  socket.emit('unbanPlayer', {
+    gameId: state.gameId,
+    playerName,
+  });
+}
+
+/**
+ * Lock or unlock the game to new players (host or co-host)
+ * @param {boolean} locked
+ */
+export function setLobbyLocked(locked) {
+  if (!socket || !socket.connected || !state.gameId) return;
+  if (!hasHostControls()) return;
+
+  socket.emit('setLobbyLocked', {
+    gameId: state.gameId,
+    locked,
+  });
+}
+
+/**
+ * Make a player a co-host, or take it away (host only)
+ * @param {string} playerId
+ * @param {boolean} coHost
+ */
+export function setCoHost(playerId, coHost) {
+  if (!socket || !socket.connected || !state.gameId) return;
+
+  socket.emit('setCoHost', {
+    gameId: state.gameId,
+    playerId,
+    coHost,
   });
 }
 
+/**
+ * Hand the game to a player and play on as a player (host only)
+ * @param {string} playerId
+ */
+export function transferHost(playerId) {
+  if (!socket || !socket.connected || !state.gameId) return;
+
+  socket.emit('transferHost', {
+    gameId: state.gameId,
+    playerId,
+  });
+}
+
+// =========================
+// TEAMS
+// =========================
+
+/**
+ * Send a lobby team change; the server checks who may make it
+ * @param {string} event
+ * @param {Object} [data]
+ */
+function emitTeamChange(event, data = {}) {
+  if (!socket || !socket.connected || !state.gameId) return;
+  socket.emit(event, { gameId: state.gameId, ...data });
+}
+
+/**
+ * @param {string} name
+ */
+export function createTeam(name) {
+  emitTeamChange('createTeam', { name });
+}
+
+/**
+ * @param {string} teamId
+ * @param {string} name
+ */
+export function renameTeam(teamId, name) {
+  emitTeamChange('renameTeam', { teamId, name });
+}
+
+/**
+ * @param {string} teamId
+ */
+export function removeTeam(teamId) {
+  emitTeamChange('removeTeam', { teamId });
+}
+
+export function balanceTeams() {
+  emitTeamChange('balanceTeams');
+}
+
+/**
+ * @param {string} teamId
+ * @param {string} [playerId] - Another player to move (host only)
+ */
+export function joinTeam(teamId, playerId) {
+  emitTeamChange('joinTeam', { teamId, playerId });
+}
+
+/**
+ * @param {string} teamId
+ * @param {string} playerId
+ */
+export function setTeamCaptain(teamId, playerId) {
+  emitTeamChange('setTeamCaptain', { teamId, playerId });
+}
+
 /**
  * Test connection
  * @returns {Promise<boolean>}
@@ -12,6 +12,8 @@ export let currentMode = 'menu';
 export let connectionStatus = 'disconnected';
 /** @type {Array} */
 export let musicFiles = [];
+/** @type {Object|null} Saved playlist the music files were loaded from */
+export let loadedPlaylist = null;
 /** @type {HTMLAudioElement|null} */
 export let currentAudio = null;
 /** @type {number|null} */
@@ -33,6 +35,8 @@ export let gameId = null;
 export let musicQuizSongs = [];
 /** @type {Array<string>} */
 export let musicQuizSongsUrl = [];
+/** @type {Array<string|null>} Whole-song URLs the server signs for the host only */
+export let hostSongUrls = [];
 export let currentSongIndex = 0;
 /** @type {Array} */
 export let musicAnswers = [];
@@ -40,6 +44,12 @@ export let autoplayEnabled = true;
 /** @type {number|null} */
 export let autoplayCountdown = null;
 export let offlineMode = false;
+/** @type {Object|null} Latest round engine snapshot from the server */
+export let roundPhase = null;
+/** @type {Object|null} Who holds, queued for or is locked out of the buzz (buzzer games) */
+export let buzzState = null;
+/** @type {number|null} Server clock minus ours in ms, from the server's clock pings */
+export let serverClockOffset = null;
 
 // =========================
 // SINGLE PLAYER STATE
@@ -72,6 +82,8 @@ export let singlePlayerGameStartTime = null;
 export let currentKahootOptions = [];
 export let kahootCorrectIndex = -1;
 export let kahootAnswerSelected = false;
+/** What the current single-player question asks (see QUESTION_TYPES) */
+export let kahootQuestionType = 'title';
 
 // Multiplayer Kahoot state
 /** @type {Array} */
@@ -82,6 +94,8 @@ export let answerStartTime = 0;
 /** @type {number|null} */
 export let answerTimerInterval = null;
 export let answerTimeLimit = 15;
+/** @type {number|null} When the current answer window closes, by the server's clock */
+export let answerDeadline = null;
 
 // Options sent tracking
 export let optionsSentForCurrentSong = false;
@@ -110,6 +124,10 @@ export function setMusicFiles(files) {
   musicFiles = files;
 }
 
+export function setLoadedPlaylist(playlist) {
+  loadedPlaylist = playlist;
+}
+
 export function setCurrentAudio(audio) {
   currentAudio = audio;
 }
@@ -147,6 +165,10 @@ export function setMusicQuizSongsUrl(urls) {
   musicQuizSongsUrl = urls;
 }
 
+export function setHostSongUrls(urls) {
+  hostSongUrls = urls;
+}
+
 export function setCurrentSongIndex(index) {
   currentSongIndex = index;
 }
@@ -167,6 +189,18 @@ export function setOfflineMode(offline) {
   offlineMode = offline;
 }
 
+export function setRoundPhase(phase) {
+  roundPhase = phase;
+}
+
+export function setServerClockOffset(offset) {
+  serverClockOffset = offset;
+}
+
+export function setBuzzState(buzz) {
+  buzzState = buzz;
+}
+
 // Single player setters
 export function setSinglePlayerSettings(settings) {
   singlePlayerSettings = settings;
@@ -233,6 +267,10 @@ export function setKahootAnswerSelected(selected) {
   kahootAnswerSelected = selected;
 }
 
+export function setKahootQuestionType(questionType) {
+  kahootQuestionType = questionType;
+}
+
 export function setMultiplayerKahootOptions(options) {
   multiplayerKahootOptions = options;
 }
@@ -257,6 +295,10 @@ export function setAnswerTimeLimit(limit) {
   answerTimeLimit = limit;
 }
 
+export function setAnswerDeadline(deadline) {
+  answerDeadline = deadline;
+}
+
 export function setOptionsSentForCurrentSong(sent) {
   optionsSentForCurrentSong = sent;
 }
@@ -289,6 +331,7 @@ export function resetSinglePlayerState() {
   currentKahootOptions = [];
   kahootCorrectIndex = -1;
   kahootAnswerSelected = false;
+  kahootQuestionType = 'title';
 }
 
 export function resetMultiplayerState() {
@@ -297,10 +340,13 @@ export function resetMultiplayerState() {
   gameId = null;
   musicQuizSongs = [];
   musicQuizSongsUrl = [];
+  hostSongUrls = [];
   currentSongIndex = 0;
   musicAnswers = [];
   autoplayEnabled = true;
   offlineMode = false;
+  roundPhase = null;
+  buzzState = null;
   optionsSentForCurrentSong = false;
 
   if (autoplayCountdown) {
@@ -313,6 +359,7 @@ export function resetMultiplayerState() {
   multiplayerKahootCorrectIndex = -1;
   multiplayerKahootAnswered = false;
   answerStartTime = 0;
+  answerDeadline = null;
 
   if (answerTimerInterval) {
     clearInterval(answerTimerInterval);
@@ -331,6 +378,7 @@ export function resetAllState() {
     }
   }
   musicFiles = [];
+  loadedPlaylist = null;
 
   if (currentAudio) {
     currentAudio.pause();
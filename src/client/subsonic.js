@@ -0,0 +1,336 @@
+/**
+ * Subsonic / Navidrome servers as a music source. The browser talks to the
+ * server directly with token + salt auth, so the password never reaches the
+ * quiz server and isn't stored anywhere.
+ */
+
+import * as state from './state.js';
+import { md5 } from './md5.js';
+import { getElementById, storage } from './utils.js';
+import { displayServerMusicList, hideLoading, showLoading, showNotification } from './ui.js';
+
+const API_VERSION = '1.16.1';
+const CLIENT_NAME = 'fam-music-quiz';
+
+// Server URL and username are remembered between visits, never the password
+const STORAGE_KEY = 'musicQuizSubsonicServer';
+
+// getAlbumList2 returns at most this many albums per request
+const ALBUM_PAGE_SIZE = 500;
+const MAX_ALBUMS = 2000;
+
+// Subsonic "requested data was not found" - also what servers without
+// playlist support (like this project's /rest stand-in) answer with
+const ERROR_NOT_FOUND = 70;
+
+/** @type {{baseUrl: string, username: string, token: string, salt: string}|null} */
+let connection = null;
+
+/** @type {{artist: Array, album: Array, playlist: Array}} */
+let library = { artist: [], album: [], playlist: [] };
+
+// =========================
+// SUBSONIC API
+// =========================
+
+/**
+ * Server root from whatever the host typed ("music.example.com/rest/" etc.)
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeServerUrl(url) {
+  let baseUrl = url
+    .trim()
+    .replace(/\/+$/, '')
+    .replace(/\/rest$/, '');
+  if (!/^https?:\/\//i.test(baseUrl)) baseUrl = `https://${baseUrl}`;
+  return baseUrl;
+}
+
+/**
+ * Random hex salt for token auth
+ * @returns {string}
+ */
+function createSalt() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build an authenticated Subsonic API URL
+ * @param {string} endpoint - e.g. 'getAlbum'
+ * @param {Object} [params]
+ * @returns {string}
+ */
+function buildApiUrl(endpoint, params = {}) {
+  const query = new URLSearchParams({
+    ...params,
+    u: connection.username,
+    t: connection.token,
+    s: connection.salt,
+    v: API_VERSION,
+    c: CLIENT_NAME,
+    f: 'json',
+  });
+  return `${connection.baseUrl}/rest/${endpoint}.view?${query}`;
+}
+
+/**
+ * Call a Subsonic endpoint and unwrap its response envelope
+ * @param {string} endpoint
+ * @param {Object} [params]
+ * @returns {Promise<Object>}
+ */
+async function callApi(endpoint, params) {
+  let response;
+  try {
+    response = await fetch(buildApiUrl(endpoint, params));
+  } catch {
+    throw new Error('Could not reach the server (check the URL and that it allows this site)');
+  }
+  if (!response.ok) {
+    throw new Error(`Server responded with ${response.status}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  const result = body?.['subsonic-response'];
+  if (!result) {
+    throw new Error('Not a Subsonic server');
+  }
+  if (result.status !== 'ok') {
+    const error = new Error(result.error?.message || 'Request failed');
+    error.code = result.error?.code;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * All albums, alphabetically by artist
+ * @returns {Promise<Array>}
+ */
+async function fetchAlbums() {
+  const albums = [];
+  for (let offset = 0; offset < MAX_ALBUMS; offset += ALBUM_PAGE_SIZE) {
+    const { albumList2 } = await callApi('getAlbumList2', {
+      type: 'alphabeticalByArtist',
+      size: ALBUM_PAGE_SIZE,
+      offset,
+    });
+    const page = albumList2?.album || [];
+    albums.push(...page);
+    if (page.length < ALBUM_PAGE_SIZE) break;
+  }
+  return albums;
+}
+
+/**
+ * All artists, flattened out of the server's alphabetical index
+ * @returns {Promise<Array>}
+ */
+async function fetchArtists() {
+  const { artists } = await callApi('getArtists');
+  return (artists?.index || []).flatMap((entry) => entry.artist || []);
+}
+
+/**
+ * The user's playlists, or none if the server doesn't support them
+ * @returns {Promise<Array>}
+ */
+async function fetchPlaylists() {
+  try {
+    const { playlists } = await callApi('getPlaylists');
+    return playlists?.playlist || [];
+  } catch (err) {
+    if (err.code === ERROR_NOT_FOUND) return [];
+    throw err;
+  }
+}
+
+/**
+ * Songs of one album
+ * @param {string} albumId
+ * @returns {Promise<Array>}
+ */
+async function fetchAlbumSongs(albumId) {
+  const { album } = await callApi('getAlbum', { id: albumId });
+  return album?.song || [];
+}
+
+/**
+ * Songs of every album by one artist
+ * @param {string} artistId
+ * @returns {Promise<Array>}
+ */
+async function fetchArtistSongs(artistId) {
+  const { artist } = await callApi('getArtist', { id: artistId });
+  const songs = [];
+  // One album at a time to go easy on small home servers
+  for (const album of artist?.album || []) {
+    songs.push(...(await fetchAlbumSongs(album.id)));
+  }
+  return songs;
+}
+
+/**
+ * Songs of one playlist
+ * @param {string} playlistId
+ * @returns {Promise<Array>}
+ */
+async function fetchPlaylistSongs(playlistId) {
+  const { playlist } = await callApi('getPlaylist', { id: playlistId });
+  return playlist?.entry || [];
+}
+
+/**
+ * Convert a Subsonic song into a music file entry the games can play
+ * @param {Object} song
+ * @returns {Object}
+ */
+function toMusicFile(song) {
+  return {
+    url: buildApiUrl('stream', { id: song.id }),
+    coverUrl: song.coverArt ? buildApiUrl('getCoverArt', { id: song.coverArt, size: 300 }) : null,
+    subsonicId: song.id,
+    // Marks songs that only this browser can play (see buildSongsMetadata)
+    external: true,
+    metadata: {
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      genre: song.genre,
+      year: song.year || undefined,
+      track: song.track,
+    },
+    duration: song.duration || null,
+  };
+}
+
+// =========================
+// SETUP FORM
+// =========================
+
+/**
+ * Prefill the connection form with the last server used on this device
+ */
+export function restoreSubsonicServer() {
+  const saved = storage.get(STORAGE_KEY, null);
+  if (!saved) return;
+
+  const urlInput = getElementById('subsonic-url');
+  const usernameInput = getElementById('subsonic-username');
+  if (urlInput && !urlInput.value) urlInput.value = saved.url || '';
+  if (usernameInput && !usernameInput.value) usernameInput.value = saved.username || '';
+}
+
+/**
+ * Log in to the server from the setup form and list what can be played
+ */
+export async function connectSubsonic() {
+  const url = getElementById('subsonic-url')?.value.trim();
+  const username = getElementById('subsonic-username')?.value.trim();
+  const password = getElementById('subsonic-password')?.value || '';
+
+  if (!url || !username || !password) {
+    showNotification('Enter the server URL, username and password', 'error');
+    return;
+  }
+
+  const salt = createSalt();
+  connection = { baseUrl: normalizeServerUrl(url), username, token: md5(password + salt), salt };
+
+  showLoading('Connecting to music server...');
+
+  try {
+    await callApi('ping');
+    const [artist, album, playlist] = await Promise.all([
+      fetchArtists(),
+      fetchAlbums(),
+      fetchPlaylists(),
+    ]);
+    library = { artist, album, playlist };
+
+    storage.set(STORAGE_KEY, { url, username });
+    const passwordInput = getElementById('subsonic-password');
+    if (passwordInput) passwordInput.value = '';
+
+    const browser = getElementById('subsonic-browser');
+    if (browser) browser.style.display = '';
+    updateSubsonicChoices();
+    showNotification(
+      `Connected: ${artist.length} artists, ${album.length} albums, ${playlist.length} playlists`,
+      'success'
+    );
+  } catch (err) {
+    connection = null;
+    console.error('Failed to connect to Subsonic server:', err);
+    showNotification(`Could not connect: ${err.message}`, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+/**
+ * Fill the item dropdown for the chosen browse mode
+ */
+export function updateSubsonicChoices() {
+  const browseBy = getElementById('subsonic-browse-by')?.value || 'artist';
+  const select = getElementById('subsonic-choice');
+  if (!select) return;
+
+  select.innerHTML = '';
+  library[browseBy].forEach((item) => {
+    const option = document.createElement('option');
+    option.value = item.id;
+    if (browseBy === 'artist') {
+      option.textContent = `${item.name} (${item.albumCount ?? 0} albums)`;
+    } else if (browseBy === 'album') {
+      option.textContent = `${item.artist ? `${item.artist} - ` : ''}${item.name} (${item.songCount ?? 0} songs)`;
+    } else {
+      option.textContent = `${item.name} (${item.songCount ?? 0} songs)`;
+    }
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Load the chosen artist, album or playlist as the current music files
+ */
+export async function loadSubsonicSongs() {
+  const browseBy = getElementById('subsonic-browse-by')?.value || 'artist';
+  const select = getElementById('subsonic-choice');
+  const itemId = select?.value;
+
+  if (!connection) {
+    showNotification('Connect to a server first', 'error');
+    return;
+  }
+  if (!itemId) {
+    showNotification(`Choose a ${browseBy} first`, 'error');
+    return;
+  }
+
+  showLoading('Loading songs from music server...');
+
+  try {
+    let songs;
+    if (browseBy === 'artist') songs = await fetchArtistSongs(itemId);
+    else if (browseBy === 'album') songs = await fetchAlbumSongs(itemId);
+    else songs = await fetchPlaylistSongs(itemId);
+
+    if (songs.length === 0) {
+      showNotification('No songs found there', 'warning');
+      return;
+    }
+
+    state.setMusicFiles(songs.map(toMusicFile));
+    state.setLoadedPlaylist(null);
+    displayServerMusicList(select.options[select.selectedIndex].textContent);
+    showNotification(`Loaded ${songs.length} songs from the music server`, 'success');
+  } catch (err) {
+    console.error('Failed to load Subsonic songs:', err);
+    showNotification(`Failed to load songs: ${err.message}`, 'error');
+  } finally {
+    hideLoading();
+  }
+}
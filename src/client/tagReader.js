@@ -0,0 +1,954 @@
+/**
+ * In-browser audio tag reader. Reads title, artist, album, year, genre,
+ * track number, duration and embedded cover art from ID3v1 and ID3v2.2-2.4
+ * (MP3), MP4/M4A atoms, FLAC and Ogg Vorbis/Opus comments and RIFF INFO (WAV).
+ * Works on the whole file's bytes only — no DOM access.
+ */
+
+const latin1 = new TextDecoder('iso-8859-1');
+const utf8 = new TextDecoder('utf-8');
+const strictUtf8 = new TextDecoder('utf-8', { fatal: true });
+const utf16le = new TextDecoder('utf-16le');
+const utf16be = new TextDecoder('utf-16be');
+
+// The original ID3v1 genre list; ID3v2 "(17)" references and MP4 'gnre' atoms index into it
+const ID3V1_GENRES = [
+  'Blues',
+  'Classic Rock',
+  'Country',
+  'Dance',
+  'Disco',
+  'Funk',
+  'Grunge',
+  'Hip-Hop',
+  'Jazz',
+  'Metal',
+  'New Age',
+  'Oldies',
+  'Other',
+  'Pop',
+  'R&B',
+  'Rap',
+  'Reggae',
+  'Rock',
+  'Techno',
+  'Industrial',
+  'Alternative',
+  'Ska',
+  'Death Metal',
+  'Pranks',
+  'Soundtrack',
+  'Euro-Techno',
+  'Ambient',
+  'Trip-Hop',
+  'Vocal',
+  'Jazz+Funk',
+  'Fusion',
+  'Trance',
+  'Classical',
+  'Instrumental',
+  'Acid',
+  'House',
+  'Game',
+  'Sound Clip',
+  'Gospel',
+  'Noise',
+  'AlternRock',
+  'Bass',
+  'Soul',
+  'Punk',
+  'Space',
+  'Meditative',
+  'Instrumental Pop',
+  'Instrumental Rock',
+  'Ethnic',
+  'Gothic',
+  'Darkwave',
+  'Techno-Industrial',
+  'Electronic',
+  'Pop-Folk',
+  'Eurodance',
+  'Dream',
+  'Southern Rock',
+  'Comedy',
+  'Cult',
+  'Gangsta',
+  'Top 40',
+  'Christian Rap',
+  'Pop/Funk',
+  'Jungle',
+  'Native American',
+  'Cabaret',
+  'New Wave',
+  'Psychadelic',
+  'Rave',
+  'Showtunes',
+  'Trailer',
+  'Lo-Fi',
+  'Tribal',
+  'Acid Punk',
+  'Acid Jazz',
+  'Polka',
+  'Retro',
+  'Musical',
+  'Rock & Roll',
+  'Hard Rock',
+];
+
+// ID3v2.3/2.4 frames and their three-character ID3v2.2 equivalents
+const ID3_FRAMES = {
+  TIT2: 'title',
+  TT2: 'title',
+  TPE1: 'artist',
+  TP1: 'artist',
+  TALB: 'album',
+  TAL: 'album',
+  TDRC: 'year',
+  TYER: 'year',
+  TYE: 'year',
+  TCON: 'genre',
+  TCO: 'genre',
+  TRCK: 'track',
+  TRK: 'track',
+  APIC: 'picture',
+  PIC: 'picture',
+};
+
+const MP4_ITEMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+  '©day': 'year',
+  '©gen': 'genre',
+  gnre: 'genre',
+  trkn: 'track',
+  covr: 'picture',
+};
+
+// Atoms passed through on the way to the tags and the movie header
+const MP4_CONTAINERS = ['moov', 'udta', 'meta', 'ilst'];
+
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  DATE: 'year',
+  YEAR: 'year',
+  GENRE: 'genre',
+  TRACKNUMBER: 'track',
+};
+
+const RIFF_INFO = {
+  INAM: 'title',
+  IART: 'artist',
+  IPRD: 'album',
+  ICRD: 'year',
+  IGNR: 'genre',
+  ITRK: 'track',
+  IPRT: 'track',
+};
+
+// MPEG audio bitrates (kbps) by version/layer, indexed by the header's bitrate index
+const MPEG_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+// Version bits 00, 01 (reserved), 10, 11
+const MPEG_VERSIONS = [2.5, null, 2, 1];
+
+// Picture type of the front cover in ID3 and FLAC pictures
+const FRONT_COVER = 3;
+
+/**
+ * Read the tags of an audio file. Fields the file doesn't carry are left out;
+ * a damaged tag returns whatever was read before the damage.
+ * @param {ArrayBuffer} buffer - The whole file
+ * @returns {{title?: string, artist?: string, album?: string, year?: string, genre?: string,
+ *   track?: number, duration?: number, picture?: {mimeType: string, data: Uint8Array, pictureType: number}}}
+ *   duration is in whole seconds
+ */
+export function readAudioTags(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const tags = {};
+
+  try {
+    // MP3s (and the odd FLAC) start with an ID3v2 tag
+    const audioStart = readId3v2(bytes, tags);
+    const magic = readAscii(bytes, audioStart, 4);
+
+    if (magic === 'fLaC') {
+      readFlac(bytes, audioStart, tags);
+    } else if (magic === 'OggS') {
+      readOgg(bytes, tags);
+    } else if (magic === 'RIFF' && readAscii(bytes, 8, 4) === 'WAVE') {
+      readWav(bytes, tags);
+    } else if (readAscii(bytes, 4, 4) === 'ftyp') {
+      readMp4Atoms(bytes, 0, bytes.length, '', tags);
+    } else {
+      const hasId3v1 = readId3v1(bytes, tags);
+      addTag(
+        tags,
+        'duration',
+        readMpegDuration(bytes, audioStart, bytes.length - (hasId3v1 ? 128 : 0))
+      );
+    }
+  } catch (err) {
+    console.warn('Failed to read all audio tags:', err);
+  }
+
+  return tags;
+}
+
+// =========================
+// TAG VALUES
+// =========================
+
+const NORMALIZERS = {
+  year: parseYear,
+  genre: parseGenre,
+  track: parseTrackNumber,
+  duration: (seconds) =>
+    Number.isFinite(seconds) && seconds >= 1 ? Math.round(seconds) : undefined,
+};
+
+/**
+ * Set a tag unless an earlier (more specific) tag already did
+ * @param {Object} tags
+ * @param {string} name
+ * @param {*} value
+ */
+function addTag(tags, name, value) {
+  if (tags[name] !== undefined || value === undefined || value === null) return;
+
+  const normalized = NORMALIZERS[name] ? NORMALIZERS[name](value) : String(value).trim();
+  if (normalized !== undefined && normalized !== '') {
+    tags[name] = normalized;
+  }
+}
+
+/**
+ * Keep the first picture, unless a front cover turns up later
+ * @param {Object} tags
+ * @param {{mimeType: string, data: Uint8Array, pictureType: number}|null} picture
+ */
+function addPicture(tags, picture) {
+  if (!picture || picture.data.length === 0) return;
+  if (
+    tags.picture &&
+    (tags.picture.pictureType === FRONT_COVER || picture.pictureType !== FRONT_COVER)
+  )
+    return;
+  tags.picture = picture;
+}
+
+/**
+ * @param {string} value - A year or date ("1987", "1987-06-01", "2004-03-01T08:00:00Z")
+ * @returns {string|undefined}
+ */
+function parseYear(value) {
+  return String(value).match(/\b(1[89]\d\d|20\d\d)/)?.[1];
+}
+
+/**
+ * @param {string|number} value - "3", "3/12" or 3
+ * @returns {number|undefined}
+ */
+function parseTrackNumber(value) {
+  const track = parseInt(String(value), 10);
+  return track > 0 ? track : undefined;
+}
+
+/**
+ * Resolve ID3 genre references: "(17)", "(17)Rock" and "17" all mean Rock
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+function parseGenre(value) {
+  const text = String(value).trim();
+  const reference = text.match(/^\((\d+)\)(.*)$/);
+  if (reference) return reference[2].trim() || ID3V1_GENRES[Number(reference[1])];
+  if (/^\d+$/.test(text)) return ID3V1_GENRES[Number(text)];
+  return text;
+}
+
+/**
+ * Normalise a picture MIME type; ID3v2.2 and some taggers write "JPG" or "image/jpg"
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function normalizeMimeType(mimeType) {
+  const type = mimeType.trim().toLowerCase();
+  if (type.includes('png')) return 'image/png';
+  if (!type || type.includes('jp') || !type.includes('/')) return 'image/jpeg';
+  return type;
+}
+
+// =========================
+// ID3 (MP3)
+// =========================
+
+/**
+ * Read an ID3v2 tag at the start of the bytes
+ * @param {Uint8Array} bytes
+ * @param {Object} tags
+ * @returns {number} Where the audio starts (0 without a tag)
+ */
+function readId3v2(bytes, tags) {
+  if (bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return 0;
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  const tagSize = readSyncsafe(bytes, 6);
+  const tagEnd = 10 + tagSize + (version === 4 && flags & 0x10 ? 10 : 0);
+
+  // ID3v2.2 uses this flag for compression, which was never defined
+  if (version < 2 || version > 4 || (version === 2 && flags & 0x40)) return tagEnd;
+
+  let body = bytes.subarray(10, Math.min(10 + tagSize, bytes.length));
+  // ID3v2.3 unsynchronises the whole tag, ID3v2.4 each frame
+  if (version === 3 && flags & 0x80) body = removeUnsynchronisation(body);
+
+  let offset = 0;
+  if (version > 2 && flags & 0x40) {
+    offset = version === 4 ? readSyncsafe(body, 0) : readUint32(body, 0) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (offset + headerLength <= body.length) {
+    const frameId = readAscii(body, offset, idLength);
+    // Padding or garbage ends the frames
+    if (!/^[A-Z0-9]+$/.test(frameId)) break;
+
+    let frameSize = readUint32(body, offset + 4);
+    if (version === 2) frameSize = readUint24(body, offset + 3);
+    else if (version === 4) frameSize = readSyncsafe(body, offset + 4);
+
+    const frameFlags = version === 2 ? 0 : body[offset + 9];
+    let frame = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+    offset += headerLength + frameSize;
+
+    if (version === 4) {
+      // Compressed or encrypted frames are skipped
+      if (frameFlags & 0x0c) continue;
+      if (frameFlags & 0x01) frame = frame.subarray(4);
+      if (frameFlags & 0x02 || flags & 0x80) frame = removeUnsynchronisation(frame);
+    } else if (version === 3 && frameFlags & 0xc0) {
+      continue;
+    }
+
+    readId3Frame(ID3_FRAMES[frameId], frame, version, tags);
+  }
+
+  return tagEnd;
+}
+
+/**
+ * @param {string|undefined} name - Tag the frame holds
+ * @param {Uint8Array} frame - Frame body
+ * @param {number} version - ID3v2 minor version (2, 3 or 4)
+ * @param {Object} tags
+ */
+function readId3Frame(name, frame, version, tags) {
+  if (!name || frame.length < 2) return;
+
+  if (name === 'picture') {
+    addPicture(tags, readId3Picture(frame, version));
+    return;
+  }
+
+  // ID3v2.4 separates multiple values with a null; the first one is enough
+  const text = decodeId3Text(frame.subarray(1), frame[0]).split('\0')[0];
+  addTag(tags, name, text);
+}
+
+/**
+ * Read an APIC (or ID3v2.2 PIC) frame
+ * @param {Uint8Array} frame
+ * @param {number} version
+ * @returns {{mimeType: string, data: Uint8Array, pictureType: number}|null}
+ */
+function readId3Picture(frame, version) {
+  const encoding = frame[0];
+  let mimeType;
+  let offset;
+
+  if (version === 2) {
+    // Three-character image format: "JPG" or "PNG"
+    mimeType = readAscii(frame, 1, 3);
+    offset = 4;
+  } else {
+    const mimeEnd = frame.indexOf(0, 1);
+    if (mimeEnd === -1) return null;
+    mimeType = readAscii(frame, 1, mimeEnd - 1);
+    offset = mimeEnd + 1;
+  }
+
+  const pictureType = frame[offset];
+  offset = skipId3String(frame, offset + 1, encoding);
+
+  return { mimeType: normalizeMimeType(mimeType), data: frame.slice(offset), pictureType };
+}
+
+/**
+ * Skip a null-terminated string in the given text encoding
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} encoding
+ * @returns {number} Offset after the terminator
+ */
+function skipId3String(bytes, offset, encoding) {
+  // UTF-16 strings end with a two-byte null
+  if (encoding === 1 || encoding === 2) {
+    for (let i = offset; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0 && bytes[i + 1] === 0) return i + 2;
+    }
+    return bytes.length;
+  }
+
+  const end = bytes.indexOf(0, offset);
+  return end === -1 ? bytes.length : end + 1;
+}
+
+/**
+ * Decode ID3v2 text: 0 = ISO-8859-1, 1 = UTF-16 with BOM, 2 = UTF-16BE, 3 = UTF-8
+ * @param {Uint8Array} bytes
+ * @param {number} encoding
+ * @returns {string}
+ */
+function decodeId3Text(bytes, encoding) {
+  switch (encoding) {
+    case 1:
+      return (bytes[0] === 0xfe && bytes[1] === 0xff ? utf16be : utf16le).decode(bytes);
+    case 2:
+      return utf16be.decode(bytes);
+    case 3:
+      return utf8.decode(bytes);
+    default:
+      return latin1.decode(bytes);
+  }
+}
+
+/**
+ * Undo unsynchronisation: every 0xFF 0x00 pair was written for a plain 0xFF
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function removeUnsynchronisation(bytes) {
+  const result = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    result[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0) i++;
+  }
+  return result.subarray(0, length);
+}
+
+/**
+ * Read an ID3v1 (or ID3v1.1) tag from the last 128 bytes
+ * @param {Uint8Array} bytes
+ * @param {Object} tags
+ * @returns {boolean} Whether the file has one
+ */
+function readId3v1(bytes, tags) {
+  if (bytes.length < 128) return false;
+
+  const start = bytes.length - 128;
+  if (readAscii(bytes, start, 3) !== 'TAG') return false;
+
+  const field = (offset, length) =>
+    latin1.decode(bytes.subarray(start + offset, start + offset + length)).split('\0')[0];
+  addTag(tags, 'title', field(3, 30));
+  addTag(tags, 'artist', field(33, 30));
+  addTag(tags, 'album', field(63, 30));
+  addTag(tags, 'year', field(93, 4));
+
+  // ID3v1.1 keeps the track number in the last byte of the comment
+  if (bytes[start + 125] === 0 && bytes[start + 126] !== 0) {
+    addTag(tags, 'track', bytes[start + 126]);
+  }
+  addTag(tags, 'genre', ID3V1_GENRES[bytes[start + 127]]);
+  return true;
+}
+
+/**
+ * Work out an MP3's duration from its first frame: the frame count of a
+ * Xing/Info or VBRI header for VBR files, otherwise the constant bitrate
+ * @param {Uint8Array} bytes
+ * @param {number} audioStart
+ * @param {number} audioEnd
+ * @returns {number|undefined} Seconds
+ */
+function readMpegDuration(bytes, audioStart, audioEnd) {
+  const searchEnd = Math.min(audioEnd - 4, audioStart + 65536);
+
+  for (let offset = audioStart; offset < searchEnd; offset++) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) continue;
+
+    const header = readMpegHeader(bytes, offset);
+    if (!header) continue;
+
+    const frames = readVbrFrameCount(bytes, offset, header);
+    if (frames > 0) return (frames * header.samplesPerFrame) / header.sampleRate;
+    return ((audioEnd - offset) * 8) / (header.bitrate * 1000);
+  }
+
+  return undefined;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset - A frame sync
+ * @returns {Object|null} The frame header, or null if it isn't a valid one
+ */
+function readMpegHeader(bytes, offset) {
+  const version = MPEG_VERSIONS[(bytes[offset + 1] >> 3) & 0x03];
+  const layer = 4 - ((bytes[offset + 1] >> 1) & 0x03);
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+
+  if (
+    !version ||
+    layer === 4 ||
+    bitrateIndex === 0 ||
+    bitrateIndex === 15 ||
+    sampleRateIndex === 3
+  ) {
+    return null;
+  }
+
+  let bitrates = MPEG_BITRATES[`1-${layer}`];
+  if (version !== 1) bitrates = layer === 1 ? MPEG_BITRATES['2-1'] : MPEG_BITRATES['2-2'];
+
+  let samplesPerFrame = 1152;
+  if (layer === 1) samplesPerFrame = 384;
+  else if (layer === 3 && version !== 1) samplesPerFrame = 576;
+
+  return {
+    version,
+    mono: bytes[offset + 3] >> 6 === 3,
+    bitrate: bitrates[bitrateIndex],
+    sampleRate: MPEG_SAMPLE_RATES[version][sampleRateIndex],
+    samplesPerFrame,
+  };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset - The first frame
+ * @param {Object} header - Its header
+ * @returns {number} Frames in the file, or 0 without a VBR header
+ */
+function readVbrFrameCount(bytes, offset, header) {
+  // The Xing/Info header follows the side information
+  let sideInfoLength = header.mono ? 9 : 17;
+  if (header.version === 1) sideInfoLength = header.mono ? 17 : 32;
+
+  const xing = offset + 4 + sideInfoLength;
+  const xingId = readAscii(bytes, xing, 4);
+  if ((xingId === 'Xing' || xingId === 'Info') && bytes[xing + 7] & 0x01) {
+    return readUint32(bytes, xing + 8);
+  }
+
+  // The VBRI header is always 32 bytes after the frame header
+  if (readAscii(bytes, offset + 36, 4) === 'VBRI') {
+    return readUint32(bytes, offset + 50);
+  }
+
+  return 0;
+}
+
+// =========================
+// MP4 / M4A
+// =========================
+
+/**
+ * Walk MP4 atoms, descending into the ones that lead to tags
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @param {string} parent - Type of the enclosing atom
+ * @param {Object} tags
+ */
+function readMp4Atoms(bytes, start, end, parent, tags) {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const type = readAscii(bytes, offset + 4, 4);
+    let size = readUint32(bytes, offset);
+    let headerLength = 8;
+
+    if (size === 1) {
+      size = readUint64(bytes, offset + 8);
+      headerLength = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerLength || offset + size > end) break;
+
+    const bodyStart = offset + headerLength;
+    const atomEnd = offset + size;
+
+    if (type === 'meta') {
+      // ISO 'meta' is a full box with four bytes of version and flags; QuickTime's isn't
+      const fullBox = readAscii(bytes, bodyStart + 4, 4) !== 'hdlr';
+      readMp4Atoms(bytes, bodyStart + (fullBox ? 4 : 0), atomEnd, type, tags);
+    } else if (MP4_CONTAINERS.includes(type)) {
+      readMp4Atoms(bytes, bodyStart, atomEnd, type, tags);
+    } else if (type === 'mvhd') {
+      addTag(tags, 'duration', readMp4Duration(bytes.subarray(bodyStart, atomEnd)));
+    } else if (parent === 'ilst' && MP4_ITEMS[type]) {
+      readMp4Item(type, bytes.subarray(bodyStart, atomEnd), tags);
+    }
+
+    offset = atomEnd;
+  }
+}
+
+/**
+ * @param {Uint8Array} mvhd - Movie header body
+ * @returns {number} Seconds
+ */
+function readMp4Duration(mvhd) {
+  // Version 1 headers use 64-bit times
+  if (mvhd[0] === 1) {
+    return readUint64(mvhd, 24) / readUint32(mvhd, 20);
+  }
+  return readUint32(mvhd, 16) / readUint32(mvhd, 12);
+}
+
+/**
+ * Read an iTunes metadata item through its 'data' atom
+ * @param {string} type - Item atom type
+ * @param {Uint8Array} item - Item body
+ * @param {Object} tags
+ */
+function readMp4Item(type, item, tags) {
+  if (readAscii(item, 4, 4) !== 'data') return;
+
+  const dataType = readUint32(item, 8) & 0xffffff;
+  const value = item.subarray(16, readUint32(item, 0));
+
+  if (type === 'covr') {
+    // Well-known type 14 is PNG, 13 JPEG
+    addPicture(tags, {
+      mimeType: dataType === 14 ? 'image/png' : 'image/jpeg',
+      data: value.slice(),
+      pictureType: FRONT_COVER,
+    });
+  } else if (type === 'trkn') {
+    addTag(tags, 'track', readUint16(value, 2));
+  } else if (type === 'gnre') {
+    // One-based ID3v1 genre index
+    addTag(tags, 'genre', ID3V1_GENRES[readUint16(value, 0) - 1]);
+  } else {
+    addTag(tags, MP4_ITEMS[type], utf8.decode(value));
+  }
+}
+
+// =========================
+// FLAC AND OGG
+// =========================
+
+/**
+ * Read FLAC metadata blocks: stream info, Vorbis comments and pictures
+ * @param {Uint8Array} bytes
+ * @param {number} start - Offset of the "fLaC" marker
+ * @param {Object} tags
+ */
+function readFlac(bytes, start, tags) {
+  let offset = start + 4;
+  let lastBlock = false;
+
+  while (!lastBlock && offset + 4 <= bytes.length) {
+    lastBlock = (bytes[offset] & 0x80) !== 0;
+    const blockType = bytes[offset] & 0x7f;
+    const length = readUint24(bytes, offset + 1);
+    const block = bytes.subarray(offset + 4, offset + 4 + length);
+
+    if (blockType === 0) {
+      // STREAMINFO: 20-bit sample rate and 36-bit sample count
+      const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+      const totalSamples = (block[13] & 0x0f) * 2 ** 32 + readUint32(block, 14);
+      if (sampleRate > 0) addTag(tags, 'duration', totalSamples / sampleRate);
+    } else if (blockType === 4) {
+      readVorbisComments(block, tags);
+    } else if (blockType === 6) {
+      addPicture(tags, readFlacPicture(block));
+    }
+
+    offset += 4 + length;
+  }
+}
+
+/**
+ * Read a FLAC picture block (also found base64-encoded in Ogg comments)
+ * @param {Uint8Array} block
+ * @returns {{mimeType: string, data: Uint8Array, pictureType: number}}
+ */
+function readFlacPicture(block) {
+  const pictureType = readUint32(block, 0);
+  const mimeLength = readUint32(block, 4);
+  const mimeType = readAscii(block, 8, mimeLength);
+
+  // Skip the description, then width, height, colour depth and palette size
+  let offset = 8 + mimeLength;
+  offset += 4 + readUint32(block, offset) + 16;
+
+  const dataLength = readUint32(block, offset);
+  return {
+    mimeType: normalizeMimeType(mimeType),
+    data: block.slice(offset + 4, offset + 4 + dataLength),
+    pictureType,
+  };
+}
+
+/**
+ * Read a Vorbis comment block ("TITLE=...", little-endian lengths)
+ * @param {Uint8Array} block
+ * @param {Object} tags
+ */
+function readVorbisComments(block, tags) {
+  let offset = 4 + readUint32LE(block, 0);
+  const count = readUint32LE(block, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+    const length = readUint32LE(block, offset);
+    const comment = utf8.decode(block.subarray(offset + 4, offset + 4 + length));
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+
+    const field = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+
+    if (field === 'METADATA_BLOCK_PICTURE') {
+      addPicture(tags, readFlacPicture(Uint8Array.from(atob(value), (char) => char.charCodeAt(0))));
+    } else if (VORBIS_FIELDS[field]) {
+      addTag(tags, VORBIS_FIELDS[field], value);
+    }
+  }
+}
+
+/**
+ * Read an Ogg Vorbis or Opus file's comments, and its duration from the
+ * granule position of the last page
+ * @param {Uint8Array} bytes
+ * @param {Object} tags
+ */
+function readOgg(bytes, tags) {
+  const [identification, comments] = readOggPackets(bytes, 2);
+  if (!identification || !comments) return;
+
+  let sampleRate;
+  let preSkip = 0;
+
+  if (readAscii(identification, 1, 6) === 'vorbis' && readAscii(comments, 1, 6) === 'vorbis') {
+    sampleRate = readUint32LE(identification, 12);
+    readVorbisComments(comments.subarray(7), tags);
+  } else if (
+    readAscii(identification, 0, 8) === 'OpusHead' &&
+    readAscii(comments, 0, 8) === 'OpusTags'
+  ) {
+    // Opus granule positions always count 48 kHz samples
+    sampleRate = 48000;
+    preSkip = identification[10] | (identification[11] << 8);
+    readVorbisComments(comments.subarray(8), tags);
+  } else {
+    return;
+  }
+
+  const granule = readLastOggGranule(bytes);
+  if (sampleRate > 0 && granule > preSkip) {
+    addTag(tags, 'duration', (granule - preSkip) / sampleRate);
+  }
+}
+
+/**
+ * Reassemble the first packets of an Ogg stream from its pages
+ * @param {Uint8Array} bytes
+ * @param {number} count
+ * @returns {Uint8Array[]}
+ */
+function readOggPackets(bytes, count) {
+  const packets = [];
+  let pieces = [];
+  let offset = 0;
+
+  while (
+    packets.length < count &&
+    offset + 27 <= bytes.length &&
+    readAscii(bytes, offset, 4) === 'OggS'
+  ) {
+    const segmentCount = bytes[offset + 26];
+    let dataOffset = offset + 27 + segmentCount;
+
+    for (let i = 0; i < segmentCount && packets.length < count; i++) {
+      const length = bytes[offset + 27 + i];
+      pieces.push(bytes.subarray(dataOffset, dataOffset + length));
+      dataOffset += length;
+
+      // A segment shorter than 255 bytes ends its packet
+      if (length < 255) {
+        packets.push(concatBytes(pieces));
+        pieces = [];
+      }
+    }
+
+    offset = dataOffset;
+  }
+
+  return packets;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} Granule position of the last page, or 0 if none is found
+ */
+function readLastOggGranule(bytes) {
+  const searchStart = Math.max(0, bytes.length - 65536);
+  for (let offset = bytes.length - 27; offset >= searchStart; offset--) {
+    if (bytes[offset] === 0x4f && readAscii(bytes, offset, 4) === 'OggS') {
+      return readUint32LE(bytes, offset + 10) * 2 ** 32 + readUint32LE(bytes, offset + 6);
+    }
+  }
+  return 0;
+}
+
+// =========================
+// WAV
+// =========================
+
+/**
+ * Read a WAV file's RIFF chunks: format, data length, INFO list and any ID3 tag
+ * @param {Uint8Array} bytes
+ * @param {Object} tags
+ */
+function readWav(bytes, tags) {
+  let offset = 12;
+  let byteRate = 0;
+
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readAscii(bytes, offset, 4);
+    const size = readUint32LE(bytes, offset + 4);
+    const chunk = bytes.subarray(offset + 8, offset + 8 + size);
+
+    if (chunkId === 'fmt ') {
+      byteRate = readUint32LE(chunk, 8);
+    } else if (chunkId === 'data' && byteRate > 0) {
+      // Streamed WAVs may leave the size unset, so measure what's there
+      addTag(tags, 'duration', chunk.length / byteRate);
+    } else if (chunkId === 'LIST' && readAscii(chunk, 0, 4) === 'INFO') {
+      readRiffInfo(chunk.subarray(4), tags);
+    } else if (chunkId === 'id3 ' || chunkId === 'ID3 ') {
+      readId3v2(chunk, tags);
+    }
+
+    // Chunks are padded to an even length
+    offset += 8 + size + (size % 2);
+  }
+}
+
+/**
+ * @param {Uint8Array} info - INFO list body
+ * @param {Object} tags
+ */
+function readRiffInfo(info, tags) {
+  let offset = 0;
+
+  while (offset + 8 <= info.length) {
+    const field = RIFF_INFO[readAscii(info, offset, 4)];
+    const size = readUint32LE(info, offset + 4);
+
+    if (field) {
+      addTag(
+        tags,
+        field,
+        decodeUnknownText(info.subarray(offset + 8, offset + 8 + size)).split('\0')[0]
+      );
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+}
+
+/**
+ * RIFF INFO text has no declared encoding: modern taggers write UTF-8, older ones Latin-1
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeUnknownText(bytes) {
+  try {
+    return strictUtf8.decode(bytes);
+  } catch {
+    return latin1.decode(bytes);
+  }
+}
+
+// =========================
+// BYTE HELPERS
+// =========================
+
+function readAscii(bytes, offset, length) {
+  return latin1.decode(bytes.subarray(offset, offset + length));
+}
+
+function readUint16(bytes, offset) {
+  return ((bytes[offset] << 8) | bytes[offset + 1]) >>> 0;
+}
+
+function readUint24(bytes, offset) {
+  return (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+}
+
+function readUint32(bytes, offset) {
+  return (
+    ((bytes[offset] << 24) |
+      (bytes[offset + 1] << 16) |
+      (bytes[offset + 2] << 8) |
+      bytes[offset + 3]) >>>
+    0
+  );
+}
+
+function readUint32LE(bytes, offset) {
+  return (
+    ((bytes[offset + 3] << 24) |
+      (bytes[offset + 2] << 16) |
+      (bytes[offset + 1] << 8) |
+      bytes[offset]) >>>
+    0
+  );
+}
+
+function readUint64(bytes, offset) {
+  return readUint32(bytes, offset) * 2 ** 32 + readUint32(bytes, offset + 4);
+}
+
+// Four 7-bit bytes, used for ID3v2 sizes so they never contain a frame sync
+function readSyncsafe(bytes, offset) {
+  return (
+    (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3]
+  );
+}
+
+function concatBytes(pieces) {
+  const result = new Uint8Array(pieces.reduce((total, piece) => total + piece.length, 0));
+  let offset = 0;
+  for (const piece of pieces) {
+    result.set(piece, offset);
+    offset += piece.length;
+  }
+  return result;
+}
@@ -4,6 +4,7 @@
 
 import * as state from './state.js';
 import { getElementById, querySelector, querySelectorAll, escapeHtml } from './utils.js';
+import { getTeamCaptainId, getTeamStandings } from '../shared/teams.js';
 
 // =========================
 // NOTIFICATIONS
@@ -88,6 +89,11 @@ export function showPanel(panelName) {
   // Force hide scoreboard when changing panels
   forceHideScoreboard();
 
+  // The pause overlay only ever covers a game in progress
+  if (panelName !== 'game') {
+    getElementById('paused-overlay')?.classList.add('hidden');
+  }
+
   // Refresh return-to-game section when navigating to home
   if (panelName === 'home') {
     updateReturnToGameSection();
@@ -179,6 +185,17 @@ export function updateConnectionStatus() {
 // LOBBY DISPLAY
 // =========================
 
+/**
+ * Whether this client may use the host controls: the host, or a player the
+ * host made co-host
+ * @returns {boolean}
+ */
+export function hasHostControls() {
+  if (state.currentPlayer?.isHost) return true;
+  const me = state.gameSession?.players.find((p) => p.id === state.currentPlayer?.id);
+  return Boolean(me?.isCoHost);
+}
+
 export function updateLobbyDisplay() {
   if (!state.gameSession) return;
 
@@ -214,7 +231,8 @@ export function updateLobbyDisplay() {
   const hostControls = getElementById('host-controls');
   const playerControls = getElementById('player-controls');
 
-  if (state.currentPlayer?.isHost) {
+  const canHost = hasHostControls();
+  if (canHost) {
     if (hostControls) hostControls.style.display = 'block';
     if (playerControls) playerControls.style.display = 'none';
   } else {
@@ -241,11 +259,21 @@ export function updateLobbyDisplay() {
     state.gameSession.players.forEach((player) => {
       const playerEl = document.createElement('div');
       playerEl.className = `player-item${player.isHost ? ' host' : ''}`;
+      const isMe = player.id === state.currentPlayer?.id;
+      // Only the host hands out co-host and host; co-hosts can kick too
+      const hostActions =
+        state.currentPlayer?.isHost && !player.isHost
+          ? `<button class="btn-host-action" data-action="toggleCoHost" data-player-id="${escapeHtml(player.id)}" title="${player.isCoHost ? 'Remove co-host' : 'Make co-host'}">${player.isCoHost ? 'Remove co-host' : 'Co-host'}</button>
+            <button class="btn-host-action" data-action="transferHost" data-player-id="${escapeHtml(player.id)}" title="Hand the game to this player">Make host</button>`
+          : '';
       playerEl.innerHTML = `
         <span class="player-name">${escapeHtml(player.name)}</span>
         <div class="player-actions">
           ${player.isHost ? '<span class="player-status status-host">Host</span>' : '<span class="player-status status-ready">Joined</span>'}
-          ${state.currentPlayer?.isHost && !player.isHost ? `<button class="btn-kick" data-player-id="${escapeHtml(player.id)}" title="Kick player">✕</button>` : ''}
+          ${player.isCoHost ? '<span class="player-status status-cohost">Co-host</span>' : ''}
+          ${hostActions}
+          ${canHost && !player.isHost && !isMe ? `<button class="btn-host-action" data-action="banPlayer" data-player-id="${escapeHtml(player.id)}" title="Kick and keep out of this game">Ban</button>` : ''}
+          ${canHost && !player.isHost && !isMe ? `<button class="btn-kick" data-player-id="${escapeHtml(player.id)}" title="Kick player">✕</button>` : ''}
         </div>
       `;
       const kickBtn = playerEl.querySelector('.btn-kick');
@@ -256,12 +284,16 @@ export function updateLobbyDisplay() {
           }
         });
       }
+      bindHostActions(playerEl);
       playersContainer.appendChild(playerEl);
     });
   }
 
-  // Only host can start game, enable when at least 1 non-host player
-  if (startBtn && state.currentPlayer?.isHost) {
+  updateTeamsDisplay();
+  updateModerationControls();
+
+  // Host or co-host can start game, enable when at least 1 non-host player
+  if (startBtn && canHost) {
     const nonHostPlayers = state.gameSession.players.filter((p) => !p.isHost);
     startBtn.disabled = nonHostPlayers.length === 0;
   }
@@ -277,6 +309,142 @@ export function updateLobbyDisplay() {
   }
 }
 
+/**
+ * Wire up host action buttons: data-action names the global handler, called
+ * with the button's player ID or, failing that, its player name
+ * @param {HTMLElement} root
+ */
+function bindHostActions(root) {
+  root.querySelectorAll('.btn-host-action').forEach((button) => {
+    button.addEventListener('click', () => {
+      const handler = window[button.dataset.action];
+      if (typeof handler === 'function') handler(button.dataset.playerId ?? button.dataset.playerName);
+    });
+  });
+}
+
+/**
+ * Moderation controls for the host and co-hosts: the lock toggle, the
+ * banned list in the lobby and the kick/ban list during the game
+ */
+function updateModerationControls() {
+  const { players, bannedNames = [], lobbyLocked } = state.gameSession;
+  const canHost = hasHostControls();
+
+  document.querySelectorAll('.lock-lobby-btn').forEach((button) => {
+    button.textContent = lobbyLocked ? 'Unlock Game' : 'Lock Game';
+  });
+
+  const banned = getElementById('lobby-banned');
+  const bannedList = getElementById('lobby-banned-list');
+  if (banned && bannedList) {
+    banned.classList.toggle('hidden', !canHost || bannedNames.length === 0);
+    bannedList.innerHTML = bannedNames
+      .map(
+        (name) => `<li>
+          <span class="player-name">${escapeHtml(name)}</span>
+          <button class="btn-host-action" data-action="unbanPlayer" data-player-name="${escapeHtml(name)}">Unban</button>
+        </li>`
+      )
+      .join('');
+    bindHostActions(bannedList);
+  }
+
+  const moderationList = getElementById('host-moderation-list');
+  if (moderationList) {
+    const inGame = canHost && state.gameSession.state !== 'lobby';
+    moderationList.innerHTML = (inGame ? players : [])
+      .map(
+        (player) => `<li>
+          <span class="player-name">${escapeHtml(player.name)}</span>
+          <button class="btn-host-action" data-action="kickPlayer" data-player-id="${escapeHtml(player.id)}">Kick</button>
+          <button class="btn-host-action" data-action="banPlayer" data-player-id="${escapeHtml(player.id)}">Ban</button>
+        </li>`
+      )
+      .join('');
+    bindHostActions(moderationList);
+  }
+}
+
+/**
+ * Team games: each team with its players. The host renames teams, moves
+ * players and picks captains; players can switch to another team.
+ */
+function updateTeamsDisplay() {
+  const section = getElementById('teams-section');
+  const container = getElementById('teams-container');
+  const hostTeamControls = getElementById('host-team-controls');
+  if (!section || !container) return;
+
+  const { settings, teams = [], players } = state.gameSession;
+  section.classList.toggle('hidden', !settings?.teamMode);
+  if (!settings?.teamMode) return;
+
+  const isHost = hasHostControls();
+  if (hostTeamControls) hostTeamControls.classList.toggle('hidden', !isHost);
+
+  const myTeamId = players.find((p) => p.id === state.currentPlayer?.id)?.teamId;
+  const teamOptions = (selectedId) =>
+    teams
+      .map((t) => `<option value="${escapeHtml(t.id)}"${t.id === selectedId ? ' selected' : ''}>${escapeHtml(t.name)}</option>`)
+      .join('');
+
+  container.innerHTML = teams
+    .map((team) => {
+      const captainId = getTeamCaptainId(team, players);
+      const members = players.filter((p) => !p.isHost && p.teamId === team.id);
+      const memberRows = members
+        .map(
+          (player) => `
+          <div class="team-member" data-player-id="${escapeHtml(player.id)}">
+            <span class="player-name">${player.id === captainId ? '★ ' : ''}${escapeHtml(player.name)}</span>
+            ${
+              isHost
+                ? `<div class="player-actions">
+                    ${player.id !== captainId ? '<button class="btn-team-captain" title="Make captain">★</button>' : ''}
+                    <select class="team-move" title="Move to team">${teamOptions(team.id)}</select>
+                  </div>`
+                : ''
+            }
+          </div>`
+        )
+        .join('');
+
+      return `
+        <div class="team-card" data-team-id="${escapeHtml(team.id)}">
+          <div class="team-card-header">
+            ${
+              isHost
+                ? `<input type="text" class="team-name-input" value="${escapeHtml(team.name)}" maxlength="20" title="Rename team">`
+                : `<span class="team-name">${escapeHtml(team.name)}</span>`
+            }
+            ${isHost && teams.length > 2 ? '<button class="btn-kick btn-team-remove" title="Remove team">✕</button>' : ''}
+            ${!isHost && team.id !== myTeamId ? '<button class="btn btn-secondary btn-team-join">Join</button>' : ''}
+          </div>
+          ${memberRows || '<div class="team-member empty">No players yet</div>'}
+        </div>
+      `;
+    })
+    .join('');
+
+  // Buttons call the handlers main.js exposes on window, like the kick button
+  container.querySelectorAll('.team-card').forEach((card) => {
+    const teamId = card.dataset.teamId;
+    card.querySelector('.team-name-input')?.addEventListener('change', (event) => {
+      window.renameTeam?.(teamId, event.target.value);
+    });
+    card.querySelector('.btn-team-remove')?.addEventListener('click', () => window.removeTeam?.(teamId));
+    card.querySelector('.btn-team-join')?.addEventListener('click', () => window.joinTeam?.(teamId));
+    card.querySelectorAll('.team-member[data-player-id]').forEach((row) => {
+      const playerId = row.dataset.playerId;
+      row.querySelector('.btn-team-captain')?.addEventListener('click', () => window.setTeamCaptain?.(teamId, playerId));
+      row.querySelector('.team-move')?.addEventListener('change', (event) => {
+        window.joinTeam?.(event.target.value, playerId);
+      });
+    });
+  });
+}
+
 // =========================
 // GAME DISPLAY
 // =========================
@@ -411,23 +579,61 @@ export function addLiveUpdate(message) {
 // SCOREBOARD
 // =========================
 
+/**
+ * Current standings, best first: teams in a team game, otherwise players
+ * @returns {Array<{id: string, name: string, score: number, members: string[]|null, isCurrentPlayer: boolean}>}
+ */
+export function getStandings() {
+  if (!state.gameSession) return [];
+
+  const { settings, teams } = state.gameSession;
+  const players = state.gameSession.players.filter((p) => !p.isHost);
+  const currentId = state.currentPlayer?.id;
+
+  if (settings?.teamMode && teams?.length) {
+    return getTeamStandings(teams, players, settings.teamScoring).map((team) => ({
+      id: `team:${team.id}`,
+      name: team.name,
+      score: team.score,
+      members: team.members.map((p) => p.name),
+      isCurrentPlayer: team.members.some((p) => p.id === currentId),
+    }));
+  }
+
+  return players
+    .sort((a, b) => b.score - a.score)
+    .map((player) => ({
+      id: player.id,
+      name: player.name,
+      score: player.score,
+      members: null,
+      isCurrentPlayer: player.id === currentId,
+    }));
+}
+
+/**
+ * Names of a team's players, for showing under the team's name
+ * @param {string[]|null} members
+ * @returns {string} HTML, empty for players
+ */
+export function formatTeamMembers(members) {
+  if (!members) return '';
+  return `<span class="team-members">${members.length ? escapeHtml(members.join(', ')) : 'No players'}</span>`;
+}
+
 export function updateLiveScoreboard() {
   if (!state.gameSession) return;
 
   const scoreboardEl = getElementById('live-scoreboard');
   if (!scoreboardEl) return;
 
-  const sortedPlayers = [...state.gameSession.players]
-    .filter((p) => !p.isHost)
-    .sort((a, b) => b.score - a.score);
-
-  scoreboardEl.innerHTML = sortedPlayers
+  scoreboardEl.innerHTML = getStandings()
     .map(
-      (player, index) => `
+      (entry, index) => `
       <div class="scoreboard-entry">
         <span class="rank">#${index + 1}</span>
-        <span class="name">${escapeHtml(player.name)}</span>
-        <span class="score">${player.score}</span>
+        <span class="name">${escapeHtml(entry.name)}${formatTeamMembers(entry.members)}</span>
+        <span class="score">${entry.score}</span>
       </div>
     `
     )
@@ -508,6 +714,24 @@ export function displayMusicFileList(source) {
   });
 }
 
+/**
+ * Show songs loaded from the server (a saved playlist or the song catalog)
+ * @param {string} label - Shown in place of the folder path
+ */
+export function displayServerMusicList(label) {
+  displayMusicFileList(state.currentMode === 'single-player' ? 'single' : 'multiplayer');
+
+  const pathEl = getElementById('music-folder-path');
+  if (pathEl && state.musicFiles.length > 0) {
+    pathEl.textContent = `${label} (${state.musicFiles.length} songs)`;
+  }
+
+  const startButton = getElementById('start-game-button');
+  if (startButton) {
+    startButton.disabled = state.musicFiles.length === 0;
+  }
+}
+
 export function toggleSongListModal() {
   const modal = getElementById('song-list-modal');
   if (!modal) return;
@@ -536,12 +760,15 @@ export function resetKahootOptionStates(prefix = 'single') {
 }
 
 export function displayKahootOptions(options, prefix = 'single') {
-  options.forEach((option, index) => {
-    const optionEl = getElementById(`${prefix}-option-${index}`);
-    if (optionEl) {
-      optionEl.textContent = option.text;
+  // Small libraries can have fewer than four distinct answers; hide the spare slots
+  for (let i = 0; i < 4; i++) {
+    const optionWrapper = querySelector(`#${prefix}-kahoot-options .kahoot-option[data-option="${i}"]`);
+    const optionEl = getElementById(`${prefix}-option-${i}`);
+    if (optionWrapper) optionWrapper.style.display = i < options.length ? '' : 'none';
+    if (optionEl && options[i]) {
+      optionEl.textContent = options[i].text;
     }
-  });
+  }
 
   resetKahootOptionStates(prefix);
 }
@@ -587,28 +814,36 @@ export function hideAnswerTimer() {
 // PLAYER RESULT DISPLAY
 // =========================
 
-export function showPlayerResult(isCorrect, points, correctAnswer) {
+/**
+ * Show a player how their answer scored
+ * @param {boolean} isCorrect
+ * @param {number} points
+ * @param {string} [correctAnswer]
+ * @param {boolean} [isPartial=false] - Typed answer that was close but not exact
+ */
+export function showPlayerResult(isCorrect, points, correctAnswer, isPartial = false) {
   const resultDisplay = getElementById('player-result-display');
   const resultIcon = getElementById('result-icon');
   const resultText = getElementById('result-text');
   const resultPoints = getElementById('result-points');
   const correctAnswerEl = getElementById('correct-answer-display');
+  const outcome = isCorrect ? 'correct' : isPartial ? 'partial' : 'wrong';
 
   if (resultDisplay) {
-    resultDisplay.classList.remove('hidden', 'correct', 'wrong');
-    resultDisplay.classList.add(isCorrect ? 'correct' : 'wrong');
+    resultDisplay.classList.remove('hidden', 'correct', 'partial', 'wrong');
+    resultDisplay.classList.add(outcome);
   }
 
   if (resultIcon) {
-    resultIcon.textContent = isCorrect ? '+' : '×';
+    resultIcon.textContent = { correct: '+', partial: '~', wrong: '×' }[outcome];
   }
 
   if (resultText) {
-    resultText.textContent = isCorrect ? 'Correct!' : 'Wrong!';
+    resultText.textContent = { correct: 'Correct!', partial: 'Almost!', wrong: 'Wrong!' }[outcome];
   }
 
   if (resultPoints) {
-    resultPoints.textContent = isCorrect ? `+${points} points` : '0 points';
+    resultPoints.textContent = points > 0 ? `+${points} points` : '0 points';
   }
 
   if (correctAnswerEl) {
@@ -620,16 +855,35 @@ export function showPlayerResult(isCorrect, points, correctAnswer) {
 // CORRECT ANSWER REVEAL
 // =========================
 
-export function showCorrectAnswerReveal(correctAnswer) {
+export function showCorrectAnswerReveal(correctAnswer, coverUrl = null) {
   const overlay = getElementById('correct-answer-reveal');
   const titleEl = getElementById('correct-answer-title');
 
   if (!overlay || !titleEl) return;
 
   titleEl.textContent = correctAnswer;
+  showCoverArt('correct-answer-cover', coverUrl);
   overlay.classList.remove('hidden');
 }
 
+/**
+ * Show a song's cover art in an <img>, or hide it when there is none
+ * @param {string} elementId
+ * @param {string|null} coverUrl
+ */
+export function showCoverArt(elementId, coverUrl) {
+  const img = getElementById(elementId);
+  if (!img) return;
+
+  if (coverUrl) {
+    img.src = coverUrl;
+    img.classList.remove('hidden');
+  } else {
+    img.removeAttribute('src');
+    img.classList.add('hidden');
+  }
+}
+
 export function hideCorrectAnswerReveal() {
   const overlay = getElementById('correct-answer-reveal');
   if (overlay) {
@@ -652,9 +906,8 @@ export function showIntermediateLeaderboard(isFinal = false) {
 
   if (!modal || !listEl) return;
 
-  const sortedPlayers = [...state.gameSession.players]
-    .filter((p) => !p.isHost)
-    .sort((a, b) => b.score - a.score);
+  // Teams in a team game, otherwise players
+  const standings = getStandings();
 
   // Update footer text
   const footerHint = modal.querySelector('.next-song-hint');
@@ -665,14 +918,14 @@ export function showIntermediateLeaderboard(isFinal = false) {
   // Populate entries
   listEl.innerHTML = '';
 
-  if (sortedPlayers.length === 0) {
+  if (standings.length === 0) {
     listEl.innerHTML = '<div class="ranking-entry">No player scores yet</div>';
   } else {
-    sortedPlayers.forEach((player, index) => {
-      const prevRank = previousRankings[player.id]?.rank;
-      const prevScore = previousRankings[player.id]?.score ?? 0;
+    standings.forEach((standing, index) => {
+      const prevRank = previousRankings[standing.id]?.rank;
+      const prevScore = previousRankings[standing.id]?.score ?? 0;
       const newRank = index + 1;
-      const scoreDiff = player.score - prevScore;
+      const scoreDiff = standing.score - prevScore;
 
       // Position change indicator
       let posChangeHtml = '';
@@ -692,14 +945,14 @@ export function showIntermediateLeaderboard(isFinal = false) {
 
       const entry = document.createElement('div');
       entry.className = 'ranking-entry';
-      if (player.id === state.currentPlayer?.id) entry.classList.add('current-player');
+      if (standing.isCurrentPlayer) entry.classList.add('current-player');
       if (prevRank !== undefined && prevRank > newRank) entry.classList.add('moved-up');
       if (prevRank !== undefined && prevRank < newRank) entry.classList.add('moved-down');
 
       entry.innerHTML = `
         <span class="rank">#${newRank}${posChangeHtml}</span>
-        <span class="name">${escapeHtml(player.name)}</span>
-        <span class="score" data-from="${prevScore}" data-to="${player.score}">${player.score} pts${scoreDiffHtml}</span>
+        <span class="name">${escapeHtml(standing.name)}${formatTeamMembers(standing.members)}</span>
+        <span class="score" data-from="${prevScore}" data-to="${standing.score}">${standing.score} pts${scoreDiffHtml}</span>
       `;
 
       listEl.appendChild(entry);
@@ -707,8 +960,8 @@ export function showIntermediateLeaderboard(isFinal = false) {
 
     // Save current rankings for next comparison
     const newRankings = {};
-    sortedPlayers.forEach((player, index) => {
-      newRankings[player.id] = { rank: index + 1, score: player.score };
+    standings.forEach((standing, index) => {
+      newRankings[standing.id] = { rank: index + 1, score: standing.score };
     });
     previousRankings = newRankings;
   }
@@ -2,6 +2,8 @@
  * Utility functions
  */
 
+import { readAudioTags } from './tagReader.js';
+
 /**
  * Shuffle array in place using Fisher-Yates algorithm
  * @template T
@@ -252,100 +254,6 @@ export async function copyToClipboard(text) {
   }
 }
 
-/**
- * Parse ID3v1 metadata from the last 128 bytes of an MP3 file
- * @param {ArrayBuffer} buffer
- * @returns {Object|null}
- */
-function parseID3v1(buffer) {
-  const view = new DataView(buffer);
-  const decoder = new TextDecoder('iso-8859-1');
-
-  // ID3v1 tag is at the last 128 bytes
-  if (buffer.byteLength < 128) return null;
-
-  const tagOffset = buffer.byteLength - 128;
-  const tag = decoder.decode(new Uint8Array(buffer, tagOffset, 3));
-
-  if (tag !== 'TAG') return null;
-
-  const title = decoder.decode(new Uint8Array(buffer, tagOffset + 3, 30)).replace(/\0/g, '').trim();
-  const artist = decoder.decode(new Uint8Array(buffer, tagOffset + 33, 30)).replace(/\0/g, '').trim();
-  const album = decoder.decode(new Uint8Array(buffer, tagOffset + 63, 30)).replace(/\0/g, '').trim();
-
-  return { title, artist, album };
-}
-
-/**
- * Parse ID3v2 metadata from the beginning of an MP3 file
- * @param {ArrayBuffer} buffer
- * @returns {Object|null}
- */
-function parseID3v2(buffer) {
-  const view = new DataView(buffer);
-  const decoder = new TextDecoder('utf-8');
-
-  // Check for ID3v2 header
-  if (buffer.byteLength < 10) return null;
-
-  const id3 = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2));
-  if (id3 !== 'ID3') return null;
-
-  // Get tag size (syncsafe integer)
-  const size = (view.getUint8(6) << 21) | (view.getUint8(7) << 14) |
-               (view.getUint8(8) << 7) | view.getUint8(9);
-
-  const metadata = {};
-  let offset = 10;
-  const maxOffset = Math.min(10 + size, buffer.byteLength);
-
-  while (offset < maxOffset - 10) {
-    // Frame ID (4 bytes for ID3v2.3/2.4)
-    const frameId = String.fromCharCode(
-      view.getUint8(offset), view.getUint8(offset + 1),
-      view.getUint8(offset + 2), view.getUint8(offset + 3)
-    );
-
-    // Skip if invalid frame
-    if (!/^[A-Z0-9]{4}$/.test(frameId)) break;
-
-    // Frame size
-    const frameSize = view.getUint32(offset + 4);
-    if (frameSize === 0 || frameSize > maxOffset - offset) break;
-
-    offset += 10; // Skip frame header
-
-    // Extract text frames
-    if (frameId === 'TIT2' || frameId === 'TPE1' || frameId === 'TALB') {
-      const encoding = view.getUint8(offset);
-      let text = '';
-
-      try {
-        if (encoding === 0 || encoding === 3) {
-          // ISO-8859-1 or UTF-8
-          const textDecoder = new TextDecoder(encoding === 0 ? 'iso-8859-1' : 'utf-8');
-          text = textDecoder.decode(new Uint8Array(buffer, offset + 1, frameSize - 1));
-        } else if (encoding === 1) {
-          // UTF-16 with BOM
-          const textDecoder = new TextDecoder('utf-16');
-          text = textDecoder.decode(new Uint8Array(buffer, offset + 1, frameSize - 1));
-        }
-        text = text.replace(/\0/g, '').trim();
-      } catch (e) {
-        text = '';
-      }
-
-      if (frameId === 'TIT2') metadata.title = text;
-      else if (frameId === 'TPE1') metadata.artist = text;
-      else if (frameId === 'TALB') metadata.album = text;
-    }
-
-    offset += frameSize;
-  }
-
-  return Object.keys(metadata).length > 0 ? metadata : null;
-}
-
 /**
  * Extract metadata from filename as fallback
  * @param {string} fileName
@@ -368,39 +276,33 @@ function parseFilenameMetadata(fileName) {
 }
 
 /**
- * Extract metadata from audio file (ID3 tags or filename) - async version
+ * Extract metadata from audio file (embedded tags or filename) - async version
  * @param {File} file
  * @returns {Promise<Object>}
  */
 export async function extractFileMetadataAsync(file) {
   const metadata = parseFilenameMetadata(file.name);
+  const musicFile = {
+    file,
+    url: URL.createObjectURL(file),
+    metadata,
+  };
 
   try {
-    const buffer = await file.arrayBuffer();
-
-    // Try ID3v2 first (more common in modern files)
-    let id3Metadata = parseID3v2(buffer);
-
-    // Fall back to ID3v1
-    if (!id3Metadata || !id3Metadata.title) {
-      id3Metadata = parseID3v1(buffer);
-    }
-
-    // Update metadata if found
-    if (id3Metadata) {
-      if (id3Metadata.title) metadata.title = id3Metadata.title;
-      if (id3Metadata.artist) metadata.artist = id3Metadata.artist;
-      if (id3Metadata.album) metadata.album = id3Metadata.album;
+    const tags = readAudioTags(await file.arrayBuffer());
+
+    ['title', 'artist', 'album', 'year', 'genre', 'track'].forEach((field) => {
+      if (tags[field]) metadata[field] = tags[field];
+    });
+    if (tags.duration) musicFile.duration = tags.duration;
+    if (tags.picture) {
+      musicFile.coverUrl = URL.createObjectURL(new Blob([tags.picture.data], { type: tags.picture.mimeType }));
     }
   } catch (err) {
-    console.warn('Failed to read ID3 metadata:', err);
+    console.warn('Failed to read audio tags:', err);
   }
 
-  return {
-    file,
-    url: URL.createObjectURL(file),
-    metadata,
-  };
+  return musicFile;
 }
 
 /**
@@ -428,6 +330,10 @@ export function revokeObjectUrls(files) {
     if (file.audioUrl) {
       URL.revokeObjectURL(file.audioUrl);
     }
+    // Only covers read from the file's own tags are object URLs
+    if (file.coverUrl?.startsWith('blob:')) {
+      URL.revokeObjectURL(file.coverUrl);
+    }
   });
 }
 
@@ -469,6 +375,7 @@ export function syncSettingsButtons() {
     { container: 'answer-options', select: 'answer-time' },
     { container: 'players-options', select: 'max-players' },
     { container: 'difficulty-options', select: 'difficulty' },
+    { container: 'question-options', select: 'question-type' },
   ];
 
   settingMappings.forEach(({ container, select }) => {
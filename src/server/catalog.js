@@ -0,0 +1,113 @@
+// Quiz-facing view of the Subsonic song catalog (see subsonic.js).
+//
+// Hosts pick catalog songs through /api/catalog instead of the credentialed
+// /rest API. Game songs keep only the catalog id; the host plays them through
+// the same redirect stream.view uses, and cover art is shown on reveal. Both
+// only answer signed URLs (see signedUrls.js), and stream URLs are only
+// signed for a game's host, so the catalog isn't open to anyone.
+
+import {
+  getCatalogAlbumSongs,
+  getCatalogStreamUrl,
+  getRandomCatalogSongs,
+  searchCatalogSongs,
+} from './subsonic.js';
+import { config } from './config.js';
+import { signPath } from './signedUrls.js';
+
+// Largest song list one catalog request may return
+export const MAX_CATALOG_SONGS = 100;
+
+// Upstream fetches for streamed clips give up after this long
+const FETCH_TIMEOUT_MS = 15000;
+
+/**
+ * Signed URL that plays a catalog song
+ * @param {string} id - Catalog song id
+ * @returns {string}
+ */
+export function catalogStreamPath(id) {
+  return signPath(`/api/catalog/stream/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Signed URL of a catalog song's cover art
+ * @param {string} id - Catalog song id
+ * @returns {string}
+ */
+export function catalogCoverPath(id) {
+  return signPath(`/api/catalog/cover/${encodeURIComponent(id)}`);
+}
+
+/**
+ * Convert a Subsonic song into the shape the quiz client loads as a music file
+ * @param {Object} song - Subsonic song from the catalog
+ * @returns {Object}
+ */
+function toQuizSong(song) {
+  return {
+    catalogId: song.id,
+    metadata: {
+      title: song.title,
+      artist: song.artist,
+      album: song.album,
+      genre: song.genre,
+      year: song.year || undefined,
+      track: song.track,
+    },
+    duration: song.duration || null,
+    coverUrl: catalogCoverPath(song.id),
+  };
+}
+
+/**
+ * Pick catalog songs for a game
+ * @param {Object} request
+ * @param {'random'|'search'|'album'} request.source
+ * @param {string} [request.query] - Title search (source 'search')
+ * @param {string} [request.albumId] - Album to play in full (source 'album')
+ * @param {number} [request.count] - How many songs (random/search)
+ * @returns {Array<Object>|null} Songs, or null for an unknown source or album
+ */
+export function findCatalogSongs({ source, query, albumId, count }) {
+  const limit = Math.min(Math.max(parseInt(count, 10) || 20, 1), MAX_CATALOG_SONGS);
+
+  let songs;
+  switch (source) {
+    case 'random':
+      songs = getRandomCatalogSongs(limit);
+      break;
+    case 'search':
+      songs = searchCatalogSongs(query, limit);
+      break;
+    case 'album':
+      songs = getCatalogAlbumSongs(String(albumId || ''));
+      break;
+    default:
+      return null;
+  }
+
+  return songs ? songs.map(toQuizSong) : null;
+}
+
+/**
+ * Download a catalog song's audio so a clip can be cut from it
+ * @param {string} id - Catalog song id
+ * @returns {Promise<Buffer|null>}
+ */
+export async function fetchCatalogAudio(id) {
+  const url = getCatalogStreamUrl(id);
+  if (!url) return null;
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Catalog fetch failed (${response.status})`);
+  }
+
+  const size = Number(response.headers.get('content-length'));
+  if (size > config.maxFileSizeMb * 1024 * 1024) {
+    throw new Error('Catalog song is too large to stream');
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
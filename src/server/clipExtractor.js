@@ -0,0 +1,292 @@
+// Pure-JS clip extraction for /api/clip.
+//
+// Only the requested slice of a track ever leaves the server:
+//   - WAV: the PCM samples are sliced and re-wrapped in a fresh RIFF header.
+//   - MP3: whole MPEG frames covering the clip are copied out. Tags (ID3v1/v2,
+//     embedded cover art) and the Xing/Info seek header are dropped, so the
+//     clip carries no metadata that would give the answer away.
+//
+// MP3 clips are not decoded and re-encoded: there is no pure-JS encoder fast
+// enough to cut a clip for every round, and copying frames keeps the audio
+// bit-exact. A Layer III frame can borrow bytes from the frames before it
+// (the bit reservoir), so the clip starts with the few frames its first frame
+// borrows from. Those add a few milliseconds before the clip; without them the
+// clip would open with a glitch.
+// Other containers (OGG, M4A) would need a real decoder and are not supported.
+
+import path from 'path';
+
+// =========================
+// MP3
+// =========================
+
+// Bitrates in kbps, indexed by [version group][layer][bitrate index]
+const MP3_BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000], // MPEG 2.5
+};
+
+/**
+ * Parse the MPEG audio frame header at an offset
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{length: number, duration: number, reservoir: number, mainData: number}|null}
+ *   reservoir: bytes of main data the frame borrows from earlier frames;
+ *   mainData: bytes of the frame that later frames can borrow (Layer III only)
+ */
+function parseMp3Frame(buf, offset) {
+  if (offset + 4 > buf.length) return null;
+  if (buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buf[offset + 1] >> 3) & 0x03;
+  const layerBits = (buf[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buf[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buf[offset + 2] >> 2) & 0x03;
+  const padding = (buf[offset + 2] >> 1) & 0x01;
+
+  if (versionBits === 1 || layerBits === 0) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const layer = 4 - layerBits;
+  const isV1 = versionBits === 3;
+  const bitrate = MP3_BITRATES[isV1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let length;
+  let samples;
+  if (layer === 1) {
+    length = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+    samples = 384;
+  } else {
+    const coefficient = layer === 3 && !isV1 ? 72 : 144;
+    length = Math.floor((coefficient * bitrate) / sampleRate) + padding;
+    samples = layer === 3 && !isV1 ? 576 : 1152;
+  }
+
+  // Layer III side information follows the header (and its CRC, if any)
+  let reservoir = 0;
+  let mainData = 0;
+  if (layer === 3) {
+    const sideInfoOffset = offset + ((buf[offset + 1] & 0x01) === 0 ? 6 : 4);
+    const mono = ((buf[offset + 3] >> 6) & 0x03) === 3;
+    const sideInfoSize = isV1 ? (mono ? 17 : 32) : mono ? 9 : 17;
+    if (sideInfoOffset + 2 <= buf.length) {
+      reservoir = isV1
+        ? (buf[sideInfoOffset] << 1) | (buf[sideInfoOffset + 1] >> 7)
+        : buf[sideInfoOffset];
+    }
+    mainData = Math.max(0, length - (sideInfoOffset - offset) - sideInfoSize);
+  }
+
+  return { length, duration: samples / sampleRate, reservoir, mainData };
+}
+
+/**
+ * Size of a leading ID3v2 tag, or 0
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function id3v2Size(buf) {
+  if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size =
+    ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+  const hasFooter = (buf[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Whether a frame is a Xing/Info/VBRI seek header rather than audio
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @param {number} length
+ * @returns {boolean}
+ */
+function isSeekHeaderFrame(buf, offset, length) {
+  const head = buf.toString('latin1', offset, Math.min(offset + length, offset + 64, buf.length));
+  return head.includes('Xing') || head.includes('Info') || head.includes('VBRI');
+}
+
+/**
+ * Copy the MPEG frames covering [start, start + duration), led by the frames
+ * the first one borrows reservoir bytes from
+ * @param {Buffer} buf
+ * @param {number} start - seconds
+ * @param {number} duration - seconds
+ * @returns {Buffer|null}
+ */
+function extractMp3Clip(buf, start, duration) {
+  const end = start + duration;
+  const chunks = [];
+  let offset = id3v2Size(buf);
+  let time = 0;
+  let firstFrame = true;
+  // Frames before the clip, newest last, in case the first clip frame borrows from them
+  let before = [];
+
+  while (offset < buf.length && time < end) {
+    const frame = parseMp3Frame(buf, offset);
+    if (!frame || offset + frame.length > buf.length) {
+      // Resync on the next byte (stray data, trailing ID3v1 tag, truncated frame)
+      if (buf.toString('latin1', offset, offset + 3) === 'TAG') break;
+      offset++;
+      continue;
+    }
+
+    if (firstFrame) {
+      firstFrame = false;
+      if (isSeekHeaderFrame(buf, offset, frame.length)) {
+        offset += frame.length;
+        continue;
+      }
+    }
+
+    const bytes = buf.subarray(offset, offset + frame.length);
+    if (time + frame.duration > start) {
+      if (chunks.length === 0) {
+        let borrowed = 0;
+        for (let i = before.length - 1; i >= 0 && borrowed < frame.reservoir; i--) {
+          chunks.unshift(before[i].bytes);
+          borrowed += before[i].mainData;
+        }
+      }
+      chunks.push(bytes);
+    } else {
+      // main_data_begin is at most 511 bytes, which a handful of frames covers
+      before = [...before.slice(-8), { bytes, mainData: frame.mainData }];
+    }
+
+    time += frame.duration;
+    offset += frame.length;
+  }
+
+  return chunks.length > 0 ? Buffer.concat(chunks) : null;
+}
+
+// =========================
+// WAV
+// =========================
+
+/**
+ * Decode a WAV file's PCM slice and re-encode it as a standalone WAV
+ * @param {Buffer} buf
+ * @param {number} start - seconds
+ * @param {number} duration - seconds
+ * @returns {Buffer|null}
+ */
+function extractWavClip(buf, start, duration) {
+  if (
+    buf.length < 12 ||
+    buf.toString('latin1', 0, 4) !== 'RIFF' ||
+    buf.toString('latin1', 8, 12) !== 'WAVE'
+  ) {
+    return null;
+  }
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('latin1', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && size >= 16) {
+      fmt = {
+        audioFormat: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        blockAlign: buf.readUInt16LE(body + 12),
+        bitsPerSample: buf.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      data = { offset: body, size: Math.min(size, buf.length - body) };
+      break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  // Only plain PCM (1) and IEEE float (3) can be sliced sample-accurately
+  if (!fmt || !data || (fmt.audioFormat !== 1 && fmt.audioFormat !== 3) || !fmt.blockAlign) {
+    return null;
+  }
+
+  const startByte = Math.floor(start * fmt.sampleRate) * fmt.blockAlign;
+  if (startByte >= data.size) return null;
+  const length = Math.min(
+    Math.floor(duration * fmt.sampleRate) * fmt.blockAlign,
+    data.size - startByte
+  );
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(fmt.audioFormat, 20);
+  header.writeUInt16LE(fmt.channels, 22);
+  header.writeUInt32LE(fmt.sampleRate, 24);
+  header.writeUInt32LE(fmt.sampleRate * fmt.blockAlign, 28);
+  header.writeUInt16LE(fmt.blockAlign, 32);
+  header.writeUInt16LE(fmt.bitsPerSample, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(length, 40);
+
+  return Buffer.concat([
+    header,
+    buf.subarray(data.offset + startByte, data.offset + startByte + length),
+  ]);
+}
+
+// =========================
+// PUBLIC API
+// =========================
+
+/**
+ * Whether clips can be cut from files of this type
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function canExtractClip(filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  return ext === '.mp3' || ext === '.wav';
+}
+
+/**
+ * Cut a clip out of an audio file
+ * @param {Buffer} buf - Whole file contents
+ * @param {string} filename - Used to pick the container format
+ * @param {number} start - seconds
+ * @param {number} duration - seconds
+ * @returns {{data: Buffer, contentType: string}|null} null if the format is unsupported
+ *   or the clip lies outside the track
+ */
+export function extractClip(buf, filename, start, duration) {
+  switch (path.extname(filename || '').toLowerCase()) {
+    case '.mp3': {
+      const data = extractMp3Clip(buf, start, duration);
+      return data && { data, contentType: 'audio/mpeg' };
+    }
+    case '.wav': {
+      const data = extractWavClip(buf, start, duration);
+      return data && { data, contentType: 'audio/wav' };
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Clock sync and latency measurement.
+ *
+ * The server pings every socket with its clock. The client's acknowledgement
+ * gives the socket's round-trip time, which is taken out of server-measured
+ * answer times, and the client uses the pings to follow the server's clock
+ * for its countdowns. Only the server's own measurements are trusted, but a
+ * client can still hold back its acks to look further away than it is, so
+ * the time it is credited with is capped.
+ */
+
+const PING_INTERVAL_MS = 10000;
+const PING_TIMEOUT_MS = 5000;
+
+// The quickest of the last few round trips: queueing only ever adds delay
+const SAMPLE_COUNT = 5;
+
+// Covers a typical link in full, and is all a client holding back its acks
+// can gain
+const MAX_ROUND_TRIP_MS = 200;
+
+const samples = new Map(); // socketId -> recent round-trip times in ms
+
+/**
+ * Start pinging a newly connected socket. Pinging stops when it disconnects.
+ * @param {import('socket.io').Socket} socket
+ */
+export function installClockSync(socket) {
+  const ping = () => {
+    const sentAt = Date.now();
+    socket
+      .timeout(PING_TIMEOUT_MS)
+      .emit('clockPing', { serverTime: sentAt, rttMs: getRoundTrip(socket.id) }, (err) => {
+        if (err || !socket.connected) return;
+        const recent = [...(samples.get(socket.id) || []), Date.now() - sentAt].slice(
+          -SAMPLE_COUNT
+        );
+        samples.set(socket.id, recent);
+      });
+  };
+
+  ping();
+  const interval = setInterval(ping, PING_INTERVAL_MS);
+
+  socket.on('disconnect', () => {
+    clearInterval(interval);
+    samples.delete(socket.id);
+  });
+}
+
+/**
+ * Best recent round-trip time to a socket
+ * @param {string} socketId
+ * @returns {number} ms, capped at MAX_ROUND_TRIP_MS; 0 until the first ping comes back
+ */
+export function getRoundTrip(socketId) {
+  const recent = samples.get(socketId);
+  return recent?.length ? Math.min(MAX_ROUND_TRIP_MS, ...recent) : 0;
+}
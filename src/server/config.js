@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -35,6 +36,14 @@ export const config = {
   maxFileSizeMb: parseInt(process.env.MAX_FILE_SIZE_MB || '50', 10),
   uploadDir: process.env.UPLOAD_DIR || 'uploads',
 
+  // Signs short-lived clip URLs for streamed games. Random per process unless
+  // set, which invalidates outstanding URLs on restart (they only live ~1 min).
+  streamSecret: process.env.STREAM_SECRET || crypto.randomBytes(32).toString('hex'),
+
+  // Moderation: a text file of words player names may not contain, one per
+  // line (# starts a comment). Names aren't filtered when unset.
+  blockedWordsFile: process.env.BLOCKED_WORDS_FILE || null,
+
   // Paths - static/read-only files from project root, writable files from writableRoot
   publicDir: projectRoot,
   distClientDir: path.join(projectRoot, 'dist/client'),
@@ -81,6 +81,9 @@ class GameStore {
       getToken: db.prepare('SELECT * FROM reconnect_tokens WHERE token = ?'),
       deleteToken: db.prepare('DELETE FROM reconnect_tokens WHERE token = ?'),
       deleteTokensForGame: db.prepare('DELETE FROM reconnect_tokens WHERE game_id = ?'),
+      getTokenForPlayer: db.prepare(
+        'SELECT token FROM reconnect_tokens WHERE game_id = ? AND player_name = ? COLLATE NOCASE'
+      ),
       deleteTokenForPlayer: db.prepare(
         'DELETE FROM reconnect_tokens WHERE game_id = ? AND player_name = ? COLLATE NOCASE'
       ),
@@ -100,7 +103,7 @@ class GameStore {
     // Convert Set to Array for JSON
     obj.revealedSongs = Array.from(game.revealedSongs || []);
     // Strip timer references (non-serializable, transient)
-    delete obj.answerTimer;
+    delete obj.roundTimer;
     delete obj.hostDisconnectTimer;
     // Strip player timer references
     obj.players = (game.players || []).map((p) => {
@@ -219,7 +222,7 @@ class GameStore {
   delete(gameId) {
     const game = this.games.get(gameId);
     if (game) {
-      if (game.answerTimer) clearTimeout(game.answerTimer);
+      if (game.roundTimer) clearTimeout(game.roundTimer);
       if (game.hostDisconnectTimer) clearTimeout(game.hostDisconnectTimer);
       // Clean up player timers
       for (const player of game.players) {
@@ -360,6 +363,21 @@ class GameStore {
     }
   }
 
+  /**
+   * Find the reconnect token a player in a game was given
+   * @param {string} gameId
+   * @param {string} playerName
+   * @returns {string|null}
+   */
+  getTokenForPlayer(gameId, playerName) {
+    try {
+      return this._stmts.getTokenForPlayer.get(gameId, playerName)?.token || null;
+    } catch (err) {
+      console.error(`Failed to look up token for player ${playerName}:`, err.message);
+      return null;
+    }
+  }
+
   /**
    * Delete reconnect token for a specific player in a game
    * @param {string} gameId
@@ -387,7 +405,7 @@ class GameStore {
 
     for (const [gameId, game] of this.games.entries()) {
       if (now - game.createdAt > maxAge || game.players.length === 0) {
-        if (game.answerTimer) clearTimeout(game.answerTimer);
+        if (game.roundTimer) clearTimeout(game.roundTimer);
         if (game.hostDisconnectTimer) clearTimeout(game.hostDisconnectTimer);
         for (const player of game.players) {
           if (player.disconnectTimer) clearTimeout(player.disconnectTimer);
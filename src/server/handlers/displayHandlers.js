@@ -0,0 +1,39 @@
+import { gameStore } from '../gameStore.js';
+import { sanitizeGameSession } from '../utils/index.js';
+import { validateGameId } from '../validation.js';
+import { log } from '../logger.js';
+import { getCatchUpSnapshot } from '../roundEngine.js';
+
+/**
+ * Register big-screen display handlers. A display watches a game without
+ * joining it: it hears everything broadcast to the game's room but is never
+ * a player, so it doesn't count towards maxPlayers or the all-answered check.
+ * @param {import('socket.io').Server} io
+ * @param {import('socket.io').Socket} socket
+ */
+export function registerDisplayHandlers(io, socket) {
+  socket.on('watchGame', (data) => {
+    try {
+      const gameId = validateGameId(data?.gameId);
+      const game = gameId ? gameStore.get(gameId) : null;
+      if (!game) {
+        socket.emit('error', { message: 'Game not found' });
+        return;
+      }
+
+      socket.join(game.id);
+
+      // Enough to pick the game up mid-song
+      socket.emit('watchingGame', {
+        gameId: game.id,
+        gameSession: sanitizeGameSession(game),
+        ...getCatchUpSnapshot(game),
+      });
+
+      log(`Display ${socket.id} watching game ${game.id}`);
+    } catch (error) {
+      console.error('Error watching game:', error);
+      socket.emit('error', { message: 'Failed to watch game: ' + error.message });
+    }
+  });
+}
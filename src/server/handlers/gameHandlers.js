@@ -1,14 +1,43 @@
+import { randomUUID } from 'crypto';
 import { gameStore } from '../gameStore.js';
-import { generateGameId, sanitizeGameSession } from '../utils/index.js';
+import {
+  generateGameId,
+  sanitizeGameSession,
+  createDefaultTeams,
+  assignPlayerToTeam,
+  prepareTeams,
+  canHost,
+  getLateJoinScore,
+  isBanned,
+} from '../utils/index.js';
 import { config } from '../config.js';
 import { log } from '../logger.js';
+import {
+  createRoundState,
+  startRounds,
+  resetRounds,
+  getCatchUpSnapshot,
+  markQuestionSent,
+} from '../roundEngine.js';
+import { probeSongDurations, sendHostSongUrls } from '../streaming.js';
 import {
   validatePlayerName,
   validateGameSettings,
   validateGameId,
   validateSongsMetadata,
-  validateKahootOptions,
+  validateDistractorTitles,
+  validateProfileSecret,
+  validateDeviceId,
+  validateQuestionType,
+  validateDifficulty,
+  validateTeamSettings,
+  validateLateJoinSettings,
+  isBlockedName,
 } from '../validation.js';
+import { profileStore } from '../profileStore.js';
+import { playlistStore } from '../playlistStore.js';
+import { takeProfileAttempt } from '../profileLimiter.js';
+import { handOffHost } from './hostHandlers.js';
 
 /**
  * Register game-related socket handlers
@@ -21,6 +50,10 @@ export function registerGameHandlers(io, socket) {
     try {
       // Validate host name
       const hostName = validatePlayerName(data.hostName);
+      if (isBlockedName(data.hostName)) {
+        socket.emit('error', { message: "That name isn't allowed. Please pick another." });
+        return;
+      }
       if (!hostName) {
         socket.emit('error', { message: 'Invalid host name. Use 1-20 alphanumeric characters.' });
         return;
@@ -28,12 +61,13 @@ export function registerGameHandlers(io, socket) {
 
       // Validate settings
       const settings = validateGameSettings(data.settings);
+      const teamSettings = validateTeamSettings(data.settings);
 
       // Validate songs metadata if provided
       const songsMetadata = validateSongsMetadata(data.songsMetadata);
 
-      // Validate kahoot options if provided
-      const kahootOptions = validateKahootOptions(data.kahootOptions);
+      // Extra wrong-answer titles from the host's library (never the answers)
+      const distractorTitles = validateDistractorTitles(data.distractorTitles);
 
       // Generate unique game ID
       let gameId;
@@ -51,19 +85,45 @@ export function registerGameHandlers(io, socket) {
           answerTime: settings.answerTime,
           maxPlayers: settings.maxPlayers,
           autoplayEnabled: Boolean(data.settings?.autoplayEnabled),
+          streamToPlayers: Boolean(data.settings?.streamToPlayers),
+          buzzerMode: Boolean(data.settings?.buzzerMode),
+          answerMode: data.settings?.answerMode === 'text' ? 'text' : 'choice',
+          questionType: validateQuestionType(data.settings?.questionType),
+          difficulty: validateDifficulty(data.settings?.difficulty),
+          ...teamSettings,
+          ...validateLateJoinSettings(data.settings),
         },
         players: [],
+        // Team games start with two teams the host can rename, add to or remove
+        teams: teamSettings.teamMode ? createDefaultTeams() : [],
         state: 'lobby',
         currentSong: 0,
         songs: songsMetadata,
         audioUrls: songsMetadata.map((song) => song.audioUrl || song.localUrl || song.url),
-        kahootOptions: kahootOptions || {},
+        // Built by the round engine as each answer window opens
+        kahootOptions: {},
+        // Seeds each song's options; a restart draws a new one
+        optionSeed: randomUUID(),
+        questionTypes: {},
+        distractorTitles,
+        // Saved playlist the songs came from, for per-playlist leaderboards
+        playlistId: findPlaylistId(data.playlistId),
         revealedSongs: new Set(),
+        round: createRoundState(),
+        // Host moderation: banned players and whether new joiners are let in
+        bans: [],
+        lobbyLocked: false,
         createdAt: Date.now(),
       };
 
       // Store game (persists to DB)
       gameStore.set(gameId, gameSession);
+
+      if (gameSession.settings.streamToPlayers) {
+        probeSongDurations(gameSession.songs)
+          .then(() => gameStore.has(gameId) && gameStore.persist(gameId))
+          .catch((err) => console.error(`Error reading song durations for ${gameId}:`, err));
+      }
       gameStore.registerSocket(socket.id, gameId);
       socket.join(gameId);
 
@@ -75,6 +135,7 @@ export function registerGameHandlers(io, socket) {
         gameSession: sanitizeGameSession(gameSession),
         reconnectToken,
       });
+      sendHostSongUrls(io, gameSession);
 
       log(
         `Game created: ${gameId} by ${data.hostName} (${gameSession.settings.songsCount} songs)`
@@ -86,8 +147,15 @@ export function registerGameHandlers(io, socket) {
   });
 
   // Join an existing game
-  socket.on('joinGame', (data) => {
+  socket.on('joinGame', async (data) => {
     try {
+      // Profile checks share the REST sign-in budget. It's taken before the
+      // game is looked at, so nothing read below goes stale over the wait.
+      if (data.profile && !(await takeProfileAttempt(socket))) {
+        socket.emit('error', { message: 'Too many sign-in attempts, please wait a moment' });
+        return;
+      }
+
       // Validate game ID
       const gameId = validateGameId(data.gameId);
       if (!gameId) {
@@ -97,6 +165,10 @@ export function registerGameHandlers(io, socket) {
 
       // Validate player name
       const playerName = validatePlayerName(data.playerName);
+      if (isBlockedName(data.playerName)) {
+        socket.emit('error', { message: "That name isn't allowed. Please pick another." });
+        return;
+      }
       if (!playerName) {
         socket.emit('error', { message: 'Invalid player name. Use 1-20 letters, numbers, spaces, or underscores.' });
         return;
@@ -108,7 +180,21 @@ export function registerGameHandlers(io, socket) {
         return;
       }
 
-      if (game.state !== 'lobby') {
+      // The device ID catches a banned player coming back under another name
+      const deviceId = validateDeviceId(data.deviceId);
+      if (isBanned(game, playerName, null, deviceId)) {
+        socket.emit('error', { message: 'You have been banned from this game' });
+        return;
+      }
+
+      if (game.lobbyLocked) {
+        socket.emit('error', { message: 'This game is locked. Ask the host to unlock it.' });
+        return;
+      }
+
+      // Late joiners are let in while songs are playing if the host allows it
+      const lateJoin = game.state === 'playing' && game.settings.allowLateJoin;
+      if (game.state !== 'lobby' && !lateJoin) {
         socket.emit('error', { message: 'Game has already started' });
         return;
       }
@@ -127,15 +213,44 @@ export function registerGameHandlers(io, socket) {
         return;
       }
 
+      // Optional profile: the game counts towards its lifetime stats once finished
+      let profileId = null;
+      if (data.profile) {
+        const secret = validateProfileSecret(data.profile.secret);
+        if (!secret || typeof data.profile.id !== 'string' || !profileStore.verify(data.profile.id, secret)) {
+          socket.emit('error', { message: 'Profile sign-in failed. Sign in again or join without a profile.' });
+          return;
+        }
+        if (game.players.some((p) => p.profileId === data.profile.id)) {
+          socket.emit('error', { message: 'That profile is already playing in this game' });
+          return;
+        }
+        profileId = data.profile.id;
+      }
+
       const player = {
         id: socket.id,
         name: playerName,
         isHost: false,
         isReady: false,
-        score: 0,
+        score: lateJoin ? getLateJoinScore(game) : 0,
         answers: [],
+        profileId,
+        deviceId,
+        // Longest-connected player hosts if the host leaves with no co-host
+        connectedAt: Date.now(),
       };
 
+      // Team games: the team the player asked for, or the smallest one
+      if (game.settings.teamMode) {
+        assignPlayerToTeam(game, player, data.team);
+      }
+
+      // Joining during the answer window: their answer clock starts now
+      if (lateJoin) {
+        markQuestionSent(game, player);
+      }
+
       game.players.push(player);
       gameStore.registerSocket(socket.id, gameId);
       socket.join(gameId);
@@ -146,22 +261,26 @@ export function registerGameHandlers(io, socket) {
       // Generate reconnect token for player
       const reconnectToken = gameStore.createReconnectToken(gameId, playerName, false);
 
-      // Notify the joining player (only them, not the host)
+      // Notify the joining player (only them, not the host). A late joiner
+      // also gets where the current song is up to.
       socket.emit('gameJoined', {
         gameId: gameId,
         gameSession: sanitizeGameSession(game),
         player: player,
         reconnectToken,
+        catchUp: lateJoin ? getCatchUpSnapshot(game) : null,
       });
 
       // Notify all players (including host) that someone joined
+      // Everyone else gets the public view of the player, without their device ID
+      const gameSession = sanitizeGameSession(game);
       io.to(gameId).emit('playerJoined', {
-        gameSession: sanitizeGameSession(game),
-        player: player,
+        gameSession,
+        player: gameSession.players.find((p) => p.id === player.id),
       });
 
       log(
-        `${playerName} joined game ${gameId} (${game.players.length}/${game.settings.maxPlayers} players)`
+        `${playerName} joined game ${gameId}${lateJoin ? ` mid-game on ${player.score} points` : ''} (${game.players.length}/${game.settings.maxPlayers} players)`
       );
     } catch (error) {
       console.error('Error joining game:', error);
@@ -169,72 +288,8 @@ export function registerGameHandlers(io, socket) {
     }
   });
 
-  // Kick a player from the lobby
-  socket.on('kickPlayer', (data) => {
-    try {
-      if (!data.gameId || !data.playerId) {
-        socket.emit('error', { message: 'Game ID and player ID are required' });
-        return;
-      }
-
-      const game = gameStore.get(data.gameId);
-      if (!game) {
-        socket.emit('error', { message: 'Game not found' });
-        return;
-      }
-
-      if (game.hostId !== socket.id) {
-        socket.emit('error', { message: 'Only the host can kick players' });
-        return;
-      }
-
-      if (game.state !== 'lobby') {
-        socket.emit('error', { message: 'Can only kick players in the lobby' });
-        return;
-      }
-
-      const playerIndex = game.players.findIndex((p) => p.id === data.playerId);
-      if (playerIndex === -1) {
-        socket.emit('error', { message: 'Player not found' });
-        return;
-      }
-
-      const kickedPlayer = game.players[playerIndex];
-      game.players.splice(playerIndex, 1);
-      gameStore.unregisterSocket(data.playerId);
-
-      // Remove kicked player's reconnect token
-      gameStore.deleteTokensForPlayer(data.gameId, kickedPlayer.name);
-
-      // Persist after kick
-      gameStore.persist(data.gameId);
-
-      // Notify the kicked player
-      io.to(data.playerId).emit('playerKicked', {
-        message: 'You have been kicked from the game by the host',
-      });
-
-      // Make the kicked player leave the room
-      const kickedSocket = io.sockets.sockets.get(data.playerId);
-      if (kickedSocket) {
-        kickedSocket.leave(data.gameId);
-      }
-
-      // Notify remaining players
-      io.to(data.gameId).emit('playerLeft', {
-        gameSession: sanitizeGameSession(game),
-        playerName: kickedPlayer.name + ' (kicked)',
-      });
-
-      log(`${kickedPlayer.name} was kicked from game ${data.gameId} by host`);
-    } catch (error) {
-      console.error('Error kicking player:', error);
-      socket.emit('error', { message: 'Failed to kick player: ' + error.message });
-    }
-  });
-
   // Start the game
-  socket.on('startGame', (data) => {
+  socket.on('startGame', async (data) => {
     try {
       if (!data.gameId) {
         socket.emit('error', { message: 'Game ID is required' });
@@ -247,7 +302,7 @@ export function registerGameHandlers(io, socket) {
         return;
       }
 
-      if (game.hostId !== socket.id) {
+      if (!canHost(game, socket.id)) {
         socket.emit('error', { message: 'Not authorized to start game' });
         return;
       }
@@ -262,6 +317,26 @@ export function registerGameHandlers(io, socket) {
         return;
       }
 
+      // Songs sent with the start replace the game's, checked like restartGame's
+      let songsMetadata = [];
+      if (data.songs !== undefined) {
+        songsMetadata = validateSongsMetadata(data.songs);
+        if (!Array.isArray(data.songs) || songsMetadata.length !== Math.min(data.songs.length, 100)) {
+          socket.emit('error', { message: 'Invalid songs list' });
+          return;
+        }
+      }
+
+      // Streamed clips need song lengths before the first offset is picked. The
+      // game can change while they are read, so it is checked again afterwards
+      if (songsMetadata.length > 0 && game.settings.streamToPlayers) {
+        await probeSongDurations(songsMetadata);
+        if (gameStore.get(data.gameId) !== game || game.state !== 'lobby' || !canHost(game, socket.id)) {
+          socket.emit('error', { message: 'Game changed while it was starting' });
+          return;
+        }
+      }
+
       // Update game with song data from host
       game.state = 'playing';
       game.currentSong = 0;
@@ -269,10 +344,11 @@ export function registerGameHandlers(io, socket) {
       game.settings.clipDuration = data.clipDuration || game.settings.clipDuration;
       game.settings.autoplayEnabled = data.autoplayEnabled ?? game.settings.autoplayEnabled;
 
-      if (data.songs && data.songs.length > 0) {
-        game.songs = data.songs;
-        game.audioUrls = data.songs.map((s) => s.audioUrl);
+      if (songsMetadata.length > 0) {
+        game.songs = songsMetadata;
+        game.audioUrls = songsMetadata.map((song) => song.audioUrl || song.localUrl || song.url);
       }
+      prepareTeams(game);
 
       // Persist state change
       gameStore.persist(data.gameId);
@@ -280,6 +356,10 @@ export function registerGameHandlers(io, socket) {
       io.to(data.gameId).emit('gameStarted', {
         gameSession: sanitizeGameSession(game),
       });
+      if (songsMetadata.length > 0) sendHostSongUrls(io, game);
+
+      // Hand progression over to the server-side round engine
+      startRounds(io, game);
 
       log(
         `Game ${data.gameId} started with ${game.players.length} players and ${game.songs.length} songs`
@@ -308,7 +388,7 @@ export function registerGameHandlers(io, socket) {
         return;
       }
 
-      if (game.hostId !== socket.id) {
+      if (!canHost(game, socket.id)) {
         log(
           `resetGame failed: Not authorized (hostId=${game.hostId}, requester=${socket.id})`
         );
@@ -317,10 +397,12 @@ export function registerGameHandlers(io, socket) {
       }
 
       // Reset game state
+      resetRounds(game);
       game.state = 'lobby';
       game.currentSong = 0;
       game.songs = [];
       game.kahootOptions = {};
+      game.questionTypes = {};
       game.revealedSongs = new Set();
 
       // Reset all player scores and answers
@@ -347,7 +429,7 @@ export function registerGameHandlers(io, socket) {
   });
 
   // Restart game with new songs (play-again flow: reset + update songs + start)
-  socket.on('restartGame', (data) => {
+  socket.on('restartGame', async (data) => {
     try {
       if (!data.gameId) {
         socket.emit('error', { message: 'Game ID is required' });
@@ -360,11 +442,27 @@ export function registerGameHandlers(io, socket) {
         return;
       }
 
-      if (game.hostId !== socket.id) {
+      if (!canHost(game, socket.id)) {
         socket.emit('error', { message: 'Not authorized to restart game' });
         return;
       }
 
+      // Streamed clips need song lengths before the first offset is picked.
+      // They are read before anything changes, and the game is checked again
+      // afterwards in case it moved on meanwhile
+      const songsMetadata = validateSongsMetadata(data.songsMetadata);
+      const streamToPlayers = Boolean(
+        data.settings?.streamToPlayers ?? game.settings.streamToPlayers
+      );
+      if (streamToPlayers) {
+        const state = game.state;
+        await probeSongDurations(songsMetadata.length > 0 ? songsMetadata : game.songs);
+        if (gameStore.get(data.gameId) !== game || game.state !== state || !canHost(game, socket.id)) {
+          socket.emit('error', { message: 'Game changed while it was restarting' });
+          return;
+        }
+      }
+
       // Reset scores and answers
       game.players.forEach((player) => {
         player.score = 0;
@@ -376,26 +474,58 @@ export function registerGameHandlers(io, socket) {
         game.settings.songsCount = data.settings.songsCount || game.settings.songsCount;
         game.settings.clipDuration = data.settings.clipDuration || game.settings.clipDuration;
         game.settings.answerTime = data.settings.answerTime || game.settings.answerTime;
+        game.settings.autoplayEnabled =
+          data.settings.autoplayEnabled ?? game.settings.autoplayEnabled;
+        game.settings.streamToPlayers = Boolean(
+          data.settings.streamToPlayers ?? game.settings.streamToPlayers
+        );
+        game.settings.buzzerMode = Boolean(data.settings.buzzerMode ?? game.settings.buzzerMode);
+        if (data.settings.answerMode) {
+          game.settings.answerMode = data.settings.answerMode === 'text' ? 'text' : 'choice';
+        }
+        if (data.settings.questionType) {
+          game.settings.questionType = validateQuestionType(data.settings.questionType);
+        }
+        if (data.settings.difficulty) {
+          game.settings.difficulty = validateDifficulty(data.settings.difficulty);
+        }
+        if ('teamMode' in data.settings) {
+          Object.assign(game.settings, validateTeamSettings(data.settings));
+        }
+        if ('allowLateJoin' in data.settings) {
+          Object.assign(game.settings, validateLateJoinSettings(data.settings));
+        }
       }
+      prepareTeams(game);
 
       // Update songs
-      if (data.songsMetadata && data.songsMetadata.length > 0) {
-        game.songs = data.songsMetadata.map((s) => ({
-          metadata: s.metadata,
-        }));
+      if (songsMetadata.length > 0) {
+        game.songs = songsMetadata;
+        game.audioUrls = songsMetadata.map((song) => song.audioUrl || song.localUrl || song.url);
+        game.playlistId = findPlaylistId(data.playlistId);
+      }
+      if (Array.isArray(data.distractorTitles)) {
+        game.distractorTitles = validateDistractorTitles(data.distractorTitles);
       }
 
       // Start the game
+      resetRounds(game);
       game.state = 'playing';
       game.currentSong = 0;
       game.kahootOptions = {};
+      game.optionSeed = randomUUID();
+      game.questionTypes = {};
       game.revealedSongs = new Set();
+      game.resultsRecorded = false;
 
       gameStore.persist(data.gameId);
 
       io.to(data.gameId).emit('gameStarted', {
         gameSession: sanitizeGameSession(game),
       });
+      if (songsMetadata.length > 0) sendHostSongUrls(io, game);
+
+      startRounds(io, game);
 
       log(
         `Game ${data.gameId} restarted with ${game.players.length} players and ${game.songs.length} songs`
@@ -414,13 +544,10 @@ export function registerGameHandlers(io, socket) {
       const game = gameStore.get(data.gameId);
       if (!game) return;
 
-      // If host is leaving, delete the game (cascades tokens)
+      // A leaving host hands the game on; it is deleted only if nobody can take over
       if (game.hostId === socket.id) {
-        gameStore.delete(data.gameId);
-        io.to(data.gameId).emit('gameDeleted', {
-          message: 'Host has left the game',
-        });
-        log(`Game ${data.gameId} deleted (host left)`);
+        socket.leave(data.gameId);
+        handOffHost(io, game, 'Host has left the game');
         return;
       }
 
@@ -475,15 +602,11 @@ export function registerGameHandlers(io, socket) {
         graceMs,
       });
 
-      // Start grace period timer - delete game only if host doesn't rejoin
+      // Start grace period timer - hand the game on only if host doesn't rejoin
       game.hostDisconnectTimer = setTimeout(() => {
         game.hostDisconnectTimer = null;
-        // Host didn't rejoin in time - delete the game
-        gameStore.delete(gameId);
-        io.to(gameId).emit('gameDeleted', {
-          message: 'Host has disconnected',
-        });
-        log(`Game ${gameId} deleted (host did not rejoin within grace period)`);
+        log(`Host did not rejoin game ${gameId} within grace period`);
+        handOffHost(io, game, 'Host has disconnected');
       }, graceMs);
 
       return;
@@ -516,3 +639,12 @@ export function registerGameHandlers(io, socket) {
     }
   });
 }
+
+/**
+ * Keep a playlist ID sent by the host only if that playlist exists
+ * @param {*} playlistId
+ * @returns {string|null}
+ */
+function findPlaylistId(playlistId) {
+  return typeof playlistId === 'string' && playlistStore.exists(playlistId) ? playlistId : null;
+}
@@ -1,10 +1,52 @@
 import { gameStore } from '../gameStore.js';
-import { sanitizeGameSession, calculatePoints } from '../utils/index.js';
-import { validateGameId, validateAnswerSubmission } from '../validation.js';
+import { sanitizeGameSession, calculatePoints, getCaptainRule, canHost } from '../utils/index.js';
+import {
+  validateGameId,
+  validateAnswerSubmission,
+  validateTextAnswerSubmission,
+} from '../validation.js';
 import { log } from '../logger.js';
+import { matchTextAnswer } from '../../shared/answerMatching.js';
+import { getSongYear, scoreYearGuess } from '../../shared/quizOptions.js';
+import { getDifficulty } from '../../shared/difficulty.js';
+import {
+  PHASES,
+  openAnswering,
+  revealAnswer,
+  advanceSong,
+  queueAdvance,
+  skipSong,
+  advancePhase,
+  pauseRounds,
+  resumeRounds,
+  finishGame,
+  buzzIn,
+  releaseBuzz,
+  measureResponseTime,
+} from '../roundEngine.js';
+import { getRoundTrip } from '../clock.js';
+
+// Share of the points a partly right typed title, artist or album earns
+const PARTIAL_CREDIT = 0.5;
 
 /**
- * Register gameplay-related socket handlers (answering, progression, etc.)
+ * Points for an answer: faster is worth more, scaled by the share of credit
+ * it earned and the game's difficulty
+ * @param {Object} game
+ * @param {number} responseTime - ms
+ * @param {number} credit - 0 to 1
+ * @param {number} [maxTimeMs] - Time after which only the minimum is earned; the answer time by default
+ * @returns {number}
+ */
+function scoreAnswer(game, responseTime, credit, maxTimeMs = game.settings.answerTime * 1000) {
+  if (credit <= 0) return 0;
+  const { scoreMultiplier } = getDifficulty(game.settings.difficulty);
+  return Math.round(calculatePoints(responseTime, maxTimeMs) * credit * scoreMultiplier);
+}
+
+/**
+ * Register gameplay-related socket handlers (answering, host round overrides, etc.)
+ * Round progression itself is driven by the server-side round engine.
  * @param {import('socket.io').Server} io
  * @param {import('socket.io').Socket} socket
  */
@@ -14,7 +56,7 @@ export function registerGameplayHandlers(io, socket) {
     try {
       // Validate game ID
       const gameId = validateGameId(data.gameId);
-      if (!gameId || !data.playerId) {
+      if (!gameId) {
         return;
       }
 
@@ -23,7 +65,8 @@ export function registerGameplayHandlers(io, socket) {
         return;
       }
 
-      const playerIndex = game.players.findIndex((p) => p.id === data.playerId);
+      // Always the sender: answers, buzzes and timing can't be claimed for another player
+      const playerIndex = game.players.findIndex((p) => p.id === socket.id);
       if (playerIndex === -1) {
         return;
       }
@@ -44,29 +87,83 @@ export function registerGameplayHandlers(io, socket) {
         return;
       }
 
+      // Answers only count while the answer window is open; in buzzer games
+      // only the player holding the buzz may answer
+      const phase = game.round?.phase;
+      const buzz = game.settings.buzzerMode ? game.round?.buzz : null;
+      if (buzz && (phase !== PHASES.BUZZER || buzz.holder?.playerId !== player.id)) {
+        socket.emit('answerRejected', {
+          reason: 'buzz_not_held',
+          songIndex,
+        });
+        return;
+      }
+      if (!buzz && phase !== PHASES.ANSWERING) {
+        socket.emit('answerRejected', {
+          reason: phase === PHASES.CLIP ? 'options_unavailable' : 'answer_window_closed',
+          songIndex,
+        });
+        return;
+      }
+
+      // Nobody answers while the host has the game paused
+      if (game.round?.paused) {
+        socket.emit('answerRejected', {
+          reason: 'game_paused',
+          songIndex,
+        });
+        return;
+      }
+
       // Check if already answered this song
       if (player.answers.some((a) => a.songIndex === songIndex)) {
         return;
       }
 
-      // Validate answer submission (when not timed out)
-      let selectedOption;
-      let responseTime;
-      if (data.timedOut) {
-        selectedOption = -1;
-        responseTime = game.settings.answerTime * 1000;
-      } else {
+      // Team games where only captains answer: the captain answers for the team
+      const captainRule = getCaptainRule(game, player);
+      if (captainRule && captainRule.captainId !== player.id) {
+        socket.emit('answerRejected', {
+          reason: 'captain_answers',
+          songIndex,
+        });
+        return;
+      }
+
+      // Validate answer submission (when not timed out). The server times the
+      // answer itself; the client's own responseTime is never trusted for scoring.
+      const textMode = game.settings.answerMode === 'text';
+      let selectedOption = -1;
+      let answerText = null;
+      const responseTime = data.timedOut
+        ? game.settings.answerTime * 1000
+        : measureResponseTime(game, player, getRoundTrip(socket.id));
+      if (textMode && !data.timedOut) {
+        const validatedAnswer = validateTextAnswerSubmission(data);
+        if (!validatedAnswer) {
+          return; // Invalid answer data
+        }
+        answerText = validatedAnswer.answerText;
+      } else if (!data.timedOut) {
         const validatedAnswer = validateAnswerSubmission(data);
         if (!validatedAnswer) {
           return; // Invalid answer data
         }
         selectedOption = validatedAnswer.answerIndex;
-        responseTime = validatedAnswer.responseTime;
       }
 
-      // Server-side answer validation using stored correct index
-      let isCorrect = false;
-      if (!data.timedOut) {
+      // Server-side answer validation using stored correct index or the song's own metadata.
+      // credit is the share of the speed-based points the answer earns.
+      const song = game.songs[songIndex];
+      const questionType = game.questionTypes?.[songIndex] || 'title';
+      let credit = 0;
+      if (answerText !== null && questionType === 'year') {
+        const guessedYear = answerText.match(/\d{4}/);
+        credit = guessedYear ? scoreYearGuess(Number(guessedYear[0]), getSongYear(song)) : 0;
+      } else if (answerText !== null) {
+        const { match } = matchTextAnswer(answerText, song, questionType);
+        credit = { full: 1, partial: PARTIAL_CREDIT, none: 0 }[match];
+      } else if (!data.timedOut) {
         const songOptions = game.kahootOptions?.[songIndex];
         if (!songOptions || typeof songOptions.correctIndex !== 'number') {
           // Options not yet broadcast for this song — treat as host-side bug, do
@@ -80,33 +177,85 @@ export function registerGameplayHandlers(io, socket) {
           });
           return;
         }
-        isCorrect = selectedOption === songOptions.correctIndex;
+        if (questionType === 'year') {
+          // Closest wins: a year near the right one still earns some points
+          credit = scoreYearGuess(
+            Number(songOptions.options[selectedOption]),
+            Number(songOptions.options[songOptions.correctIndex])
+          );
+        } else {
+          credit = selectedOption === songOptions.correctIndex ? 1 : 0;
+        }
       }
-
-      // Calculate points based on response time
-      const maxAnswerTime = game.settings.answerTime * 1000;
-      const points = isCorrect ? calculatePoints(responseTime, maxAnswerTime) : 0;
+      // A buzz is won outright or not at all
+      if (buzz && credit < 1) credit = 0;
+      const isCorrect = credit === 1;
+      const isPartial = credit > 0 && credit < 1;
+
+      // Calculate points based on response time; a buzz scores how early in the song it came
+      const points = buzz
+        ? scoreAnswer(
+            game,
+            buzz.holder.listenedMs,
+            credit,
+            (game.settings.clipDuration + game.settings.answerTime) * 1000
+          )
+        : scoreAnswer(game, responseTime, credit);
 
       // Record the answer
-      player.answers.push({
+      const answer = {
         songIndex: songIndex,
         selectedOption: selectedOption,
+        ...(answerText !== null && { answerText }),
         isCorrect: isCorrect,
+        isPartial: isPartial,
         points: points,
         responseTime: responseTime,
-      });
+      };
+      player.answers.push(answer);
 
       player.score += points;
 
       // Notify all players
       io.to(gameId).emit('answerResult', {
-        playerId: data.playerId,
+        playerId: player.id,
         playerName: player.name,
         isCorrect: isCorrect,
+        isPartial: isPartial,
         points: points,
         totalScore: player.score,
       });
 
+      // A captain's answer scores the same for each teammate
+      captainRule?.teammates.forEach((teammate) => {
+        if (teammate.answers.some((a) => a.songIndex === songIndex)) return;
+        teammate.answers.push({ ...answer, answeredBy: player.name });
+        teammate.score += points;
+
+        io.to(gameId).emit('answerResult', {
+          playerId: teammate.id,
+          playerName: teammate.name,
+          answeredBy: player.name,
+          isCorrect,
+          isPartial,
+          points,
+          totalScore: teammate.score,
+        });
+      });
+
+      // Only the host sees typed answers, so they can accept near misses by hand
+      if (answerText !== null) {
+        io.to(game.hostId).emit('textAnswer', {
+          playerId: player.id,
+          playerName: player.name,
+          songIndex,
+          answerText,
+          isCorrect,
+          isPartial,
+          points,
+        });
+      }
+
       // Count how many players have answered
       const answeredCount = game.players.filter((p) =>
         p.answers.some((a) => a.songIndex === songIndex)
@@ -118,51 +267,122 @@ export function registerGameplayHandlers(io, socket) {
         totalPlayers: game.players.length,
       });
 
-      // Check if all players have answered
-      if (answeredCount >= game.players.length) {
-        // Clear any existing timer
-        if (game.answerTimer) {
-          clearTimeout(game.answerTimer);
-          game.answerTimer = undefined;
+      if (buzz) {
+        // First right answer wins the song; a wrong one passes the buzz on
+        if (isCorrect) {
+          revealAnswer(io, game);
+        } else {
+          releaseBuzz(io, game);
         }
-
+      } else if (answeredCount >= game.players.length) {
+        // All players have answered
         io.to(gameId).emit('allPlayersAnswered', {
           songIndex: songIndex,
           gameSession: sanitizeGameSession(game),
         });
+
+        revealAnswer(io, game);
       }
 
       log(
-        `${player.name} answered song ${songIndex + 1}: ${isCorrect ? 'correct' : 'wrong'} (${points} pts)`
+        `${player.name} answered song ${songIndex + 1}: ${isCorrect ? 'correct' : isPartial ? 'partial' : 'wrong'} (${points} pts)`
       );
     } catch (error) {
       console.error('Error submitting answer:', error);
     }
   });
 
-  // Song is playing (host notifies players)
-  socket.on('songPlaying', (data) => {
+  // Buzzer games: claim the answer window. The server's receive order decides who was first.
+  socket.on('buzz', (data) => {
+    try {
+      const gameId = validateGameId(data?.gameId);
+      if (!gameId) return;
+
+      const game = gameStore.get(gameId);
+      if (!game || game.state !== 'playing' || !game.settings.buzzerMode) return;
+
+      const player = game.players.find((p) => p.id === socket.id);
+      if (!player) return;
+
+      if (typeof data.songIndex === 'number' && data.songIndex !== game.currentSong) {
+        socket.emit('buzzRejected', { reason: 'song_advanced', songIndex: data.songIndex });
+        return;
+      }
+
+      const reason = buzzIn(io, game, player);
+      if (reason) {
+        socket.emit('buzzRejected', { reason, songIndex: game.currentSong });
+      }
+    } catch (error) {
+      console.error('Error buzzing in:', error);
+    }
+  });
+
+  // Host override: give full points for a typed answer the matcher didn't fully accept
+  socket.on('acceptAnswer', (data) => {
     try {
       if (!data.gameId) return;
 
       const game = gameStore.get(data.gameId);
       if (!game || game.state !== 'playing') return;
 
-      if (game.hostId !== socket.id) return;
+      if (!canHost(game, socket.id)) return;
+
+      // Only answers to the song that is still on screen can be accepted
+      if (data.songIndex !== game.currentSong) return;
 
-      game.currentSong = data.songIndex;
+      const player = game.players.find((p) => p.id === data.playerId);
+      const answer = player?.answers.find((a) => a.songIndex === data.songIndex);
+      if (!answer || typeof answer.answerText !== 'string' || answer.isCorrect) return;
 
-      // Broadcast to all players (except host)
-      socket.to(data.gameId).emit('songPlaying', {
-        songIndex: data.songIndex,
-        clipDuration: game.settings.clipDuration,
+      const points = scoreAnswer(game, answer.responseTime, 1);
+      player.score += points - answer.points;
+      answer.points = points;
+      answer.isCorrect = true;
+      answer.isPartial = false;
+      answer.acceptedByHost = true;
+
+      io.to(game.id).emit('answerResult', {
+        playerId: player.id,
+        playerName: player.name,
+        isCorrect: true,
+        isPartial: false,
+        acceptedByHost: true,
+        points,
+        totalScore: player.score,
+      });
+
+      // Teammates the captain answered for get the same correction
+      game.players.forEach((teammate) => {
+        const shared = teammate.answers.find(
+          (a) => a.songIndex === data.songIndex && a.answeredBy === player.name
+        );
+        if (!shared) return;
+        teammate.score += points - shared.points;
+        Object.assign(shared, { points, isCorrect: true, isPartial: false, acceptedByHost: true });
+
+        io.to(game.id).emit('answerResult', {
+          playerId: teammate.id,
+          playerName: teammate.name,
+          answeredBy: player.name,
+          isCorrect: true,
+          isPartial: false,
+          points,
+          totalScore: teammate.score,
+        });
       });
+      gameStore.persist(game.id);
+
+      log(
+        `Host accepted ${player.name}'s answer "${answer.answerText}" for song ${data.songIndex + 1}`
+      );
     } catch (error) {
-      console.error('Error in songPlaying:', error);
+      console.error('Error accepting answer:', error);
     }
   });
 
-  // Show Kahoot options to players
+  // Host override: stop the clip early and open the answer window now.
+  // Any options in the payload are ignored; the server builds its own.
   socket.on('showKahootOptions', (data) => {
     try {
       if (!data.gameId) return;
@@ -170,44 +390,17 @@ export function registerGameplayHandlers(io, socket) {
       const game = gameStore.get(data.gameId);
       if (!game || game.state !== 'playing') return;
 
-      if (game.hostId !== socket.id) return;
-
-      // Store options for this song
-      game.kahootOptions[data.songIndex] = {
-        options: data.options,
-        correctIndex: data.correctIndex,
-      };
-
-      // Clear any existing timer
-      if (game.answerTimer) {
-        clearTimeout(game.answerTimer);
-      }
+      if (!canHost(game, socket.id)) return;
 
-      // Set answer timer
-      const answerTimeMs = game.settings.answerTime * 1000;
-      game.answerTimer = setTimeout(() => {
-        // Time expired
-        io.to(data.gameId).emit('answerTimeExpired', {
-          songIndex: data.songIndex,
-          gameSession: sanitizeGameSession(game),
-        });
-      }, answerTimeMs);
-
-      // Broadcast options to all players (except host)
-      // NOTE: correctIndex is stored server-side only for validation;
-      // players receive it to highlight correct answer after reveal
-      socket.to(data.gameId).emit('kahootOptions', {
-        options: data.options,
-        songIndex: data.songIndex,
-      });
+      if (game.round?.phase !== PHASES.CLIP || data.songIndex !== game.currentSong) return;
 
-      log(`Options shown for song ${data.songIndex + 1} in game ${data.gameId}`);
+      openAnswering(io, game);
     } catch (error) {
       console.error('Error showing Kahoot options:', error);
     }
   });
 
-  // Reveal answers
+  // Host override: close the answer window and reveal now
   socket.on('revealAnswers', (data) => {
     try {
       if (!data.gameId) return;
@@ -215,35 +408,18 @@ export function registerGameplayHandlers(io, socket) {
       const game = gameStore.get(data.gameId);
       if (!game || game.state !== 'playing') return;
 
-      if (game.hostId !== socket.id) return;
+      if (!canHost(game, socket.id)) return;
 
-      // Prevent duplicate reveals for the same song
-      if (!game.revealedSongs) game.revealedSongs = new Set();
-      if (game.revealedSongs.has(data.songIndex)) return;
-      game.revealedSongs.add(data.songIndex);
+      if (game.round?.phase !== PHASES.ANSWERING) return;
+      if (typeof data.songIndex === 'number' && data.songIndex !== game.currentSong) return;
 
-      // Clear answer timer
-      if (game.answerTimer) {
-        clearTimeout(game.answerTimer);
-        game.answerTimer = undefined;
-      }
-
-      // Broadcast to all players
-      io.to(data.gameId).emit('revealAnswers', {
-        title: data.title,
-        artist: data.artist,
-        correctAnswer: data.correctAnswer,
-        correctIndex: data.correctIndex,
-        gameSession: sanitizeGameSession(game),
-      });
-
-      log(`Answer revealed for game ${data.gameId}: ${data.correctAnswer}`);
+      revealAnswer(io, game);
     } catch (error) {
       console.error('Error revealing answers:', error);
     }
   });
 
-  // Next song
+  // Host: move on to the next song once the current one has been revealed
   socket.on('nextSong', (data) => {
     try {
       if (!data.gameId) return;
@@ -251,41 +427,73 @@ export function registerGameplayHandlers(io, socket) {
       const game = gameStore.get(data.gameId);
       if (!game || game.state !== 'playing') return;
 
-      if (game.hostId !== socket.id) return;
+      if (!canHost(game, socket.id)) return;
 
       // Idempotency: only advance if client's expected index matches server state
       if (typeof data.currentSongIndex === 'number' && data.currentSongIndex !== game.currentSong) {
         return; // Already advanced past this song (duplicate request)
       }
 
-      // Increment current song index
-      const nextSongIndex = (game.currentSong || 0) + 1;
-      game.currentSong = nextSongIndex;
-
-      // Check if game is finished
-      if (nextSongIndex >= game.songs.length) {
-        game.state = 'finished';
-        gameStore.persist(data.gameId);
-        io.to(data.gameId).emit('gameEnded', {
-          gameSession: sanitizeGameSession(game),
-        });
-        log(`Game ${data.gameId} finished`);
+      // A press while the answer is showing takes effect when the reveal ends
+      if (game.round?.phase === PHASES.REVEAL) {
+        queueAdvance(game);
         return;
       }
 
-      // Notify players of next song
-      io.to(data.gameId).emit('songChanged', {
-        songIndex: nextSongIndex,
-        gameSession: sanitizeGameSession(game),
-        clipDuration: game.settings.clipDuration,
-      });
+      // Skipping a song mid-round voids it; that's hostCommand 'skip', not this
+      if (game.round?.phase !== PHASES.INTERMISSION) {
+        socket.emit('error', { message: 'The next song can start once this one is revealed' });
+        return;
+      }
 
-      log(`Game ${data.gameId} moved to song ${nextSongIndex + 1}`);
+      advanceSong(io, game);
     } catch (error) {
       console.error('Error advancing song:', error);
     }
   });
 
+  // Host round controls: pause for the doorbell, resume with the time that
+  // was left, skip a broken song (voiding it if it hadn't been revealed) or
+  // 'advance' to jump one phase ahead
+  const applyHostCommand = (data, command) => {
+    try {
+      if (!data?.gameId) return;
+
+      const game = gameStore.get(data.gameId);
+      if (!game || game.state !== 'playing') return;
+
+      if (!canHost(game, socket.id)) return;
+
+      switch (command) {
+        case 'pause':
+          pauseRounds(io, game);
+          break;
+        case 'resume':
+          resumeRounds(io, game);
+          break;
+        case 'skip':
+          skipSong(io, game);
+          break;
+        case 'advance':
+          advancePhase(io, game);
+          break;
+        default:
+          socket.emit('error', { message: 'Unknown host command' });
+          return;
+      }
+
+      log(`Host command '${command}' applied to game ${data.gameId}`);
+    } catch (error) {
+      console.error('Error applying host command:', error);
+    }
+  };
+
+  socket.on('hostCommand', (data) => applyHostCommand(data, data?.command));
+  // One event per command, as the client sends them
+  socket.on('pauseGame', (data) => applyHostCommand(data, 'pause'));
+  socket.on('resumeGame', (data) => applyHostCommand(data, 'resume'));
+  socket.on('skipSong', (data) => applyHostCommand(data, 'skip'));
+
   // End game
   socket.on('endGame', (data) => {
     try {
@@ -294,14 +502,9 @@ export function registerGameplayHandlers(io, socket) {
       const game = gameStore.get(data.gameId);
       if (!game) return;
 
-      if (game.hostId !== socket.id) return;
+      if (!canHost(game, socket.id)) return;
 
-      game.state = 'finished';
-      gameStore.persist(data.gameId);
-
-      io.to(data.gameId).emit('gameEnded', {
-        gameSession: sanitizeGameSession(game),
-      });
+      finishGame(io, game);
 
       log(`Game ${data.gameId} ended by host`);
     } catch (error) {
@@ -0,0 +1,160 @@
+import { gameStore } from '../gameStore.js';
+import {
+  sanitizeGameSession,
+  assignPlayerToTeam,
+  pickNextHost,
+  promoteToHost,
+} from '../utils/index.js';
+import { log } from '../logger.js';
+import { sendHostSongUrls } from '../streaming.js';
+
+/**
+ * Save the game and tell everyone who hosts it now. Reconnect tokens carry
+ * whether they belong to the host, so both sides of the swap get new ones.
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @param {string} previousHostName
+ * @param {string|null} previousHostId - Old host's socket if they play on, else null
+ */
+function broadcastHostChange(io, game, previousHostName, previousHostId) {
+  gameStore.persist(game.id);
+  io.to(game.id).emit('hostChanged', {
+    gameSession: sanitizeGameSession(game),
+    newHostId: game.hostId,
+    newHostName: game.host,
+    previousHostName,
+  });
+
+  const hostToken = gameStore.createReconnectToken(game.id, game.host, true);
+  io.to(game.hostId).emit('reconnectToken', { reconnectToken: hostToken });
+
+  // Replacing the old host's token also stops it reclaiming the host seat
+  const playerToken = gameStore.createReconnectToken(game.id, previousHostName, false);
+  if (previousHostId) {
+    io.to(previousHostId).emit('reconnectToken', { reconnectToken: playerToken });
+  }
+
+  sendHostSongUrls(io, game);
+}
+
+/**
+ * Pass the game on from a host who has left for good, so it carries on
+ * without them. The game is only deleted when nobody is left to host it.
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @param {string} reason - Shown to players if the game has to be deleted
+ * @returns {boolean} Whether someone took over
+ */
+export function handOffHost(io, game, reason) {
+  if (game.hostId) gameStore.unregisterSocket(game.hostId);
+
+  const nextHost = pickNextHost(game);
+  if (!nextHost) {
+    gameStore.delete(game.id);
+    io.to(game.id).emit('gameDeleted', { message: reason });
+    log(`Game ${game.id} deleted (${reason.toLowerCase()}, nobody left to host)`);
+    return false;
+  }
+
+  const previousHostName = game.host;
+  promoteToHost(game, nextHost);
+  broadcastHostChange(io, game, previousHostName, null);
+  log(`${nextHost.name} took over game ${game.id} from ${previousHostName}`);
+  return true;
+}
+
+/**
+ * Look up a game and a player in it for a host-only request
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} data
+ * @returns {{game: Object, player: Object}|null}
+ */
+function getHostRequest(socket, data) {
+  const game = data?.gameId ? gameStore.get(data.gameId) : null;
+  if (!game) {
+    socket.emit('error', { message: 'Game not found' });
+    return null;
+  }
+  if (game.hostId !== socket.id) {
+    socket.emit('error', { message: 'Only the host can do that' });
+    return null;
+  }
+  const player = game.players.find((p) => p.id === data.playerId);
+  if (!player) {
+    socket.emit('error', { message: 'Player not found' });
+    return null;
+  }
+  return { game, player };
+}
+
+/**
+ * Register host handoff handlers. The host can make players co-hosts, who
+ * share the host controls while still playing, or hand the game to a player
+ * outright and play on themselves.
+ * @param {import('socket.io').Server} io
+ * @param {import('socket.io').Socket} socket
+ */
+export function registerHostHandlers(io, socket) {
+  socket.on('setCoHost', (data) => {
+    try {
+      const request = getHostRequest(socket, data);
+      if (!request) return;
+
+      const { game, player } = request;
+      player.isCoHost = Boolean(data.coHost);
+      gameStore.persist(game.id);
+
+      io.to(game.id).emit('coHostChanged', {
+        gameSession: sanitizeGameSession(game),
+        playerId: player.id,
+        playerName: player.name,
+        isCoHost: player.isCoHost,
+      });
+
+      log(
+        `${player.name} is ${player.isCoHost ? 'now' : 'no longer'} a co-host of game ${game.id}`
+      );
+    } catch (error) {
+      console.error('Error setting co-host:', error);
+      socket.emit('error', { message: 'Failed to set co-host: ' + error.message });
+    }
+  });
+
+  // The old host takes the new host's place as a player, starting from zero
+  socket.on('transferHost', (data) => {
+    try {
+      const request = getHostRequest(socket, data);
+      if (!request) return;
+
+      const { game, player } = request;
+      if (player.disconnectTimer) {
+        socket.emit('error', { message: 'That player is disconnected' });
+        return;
+      }
+
+      const previousHostName = game.host;
+      promoteToHost(game, player);
+
+      const formerHost = {
+        id: socket.id,
+        name: previousHostName,
+        isHost: false,
+        isReady: false,
+        score: 0,
+        answers: [],
+        profileId: null,
+        connectedAt: Date.now(),
+      };
+      if (game.settings.teamMode) {
+        assignPlayerToTeam(game, formerHost);
+      }
+      game.players.push(formerHost);
+
+      broadcastHostChange(io, game, previousHostName, socket.id);
+      log(`${previousHostName} handed game ${game.id} to ${player.name}`);
+    } catch (error) {
+      console.error('Error transferring host:', error);
+      socket.emit('error', { message: 'Failed to transfer host: ' + error.message });
+    }
+  });
+}
@@ -1,7 +1,12 @@
 import { registerGameHandlers } from './gameHandlers.js';
 import { registerGameplayHandlers } from './gameplayHandlers.js';
 import { registerRejoinHandlers } from './rejoinHandlers.js';
+import { registerTeamHandlers } from './teamHandlers.js';
+import { registerDisplayHandlers } from './displayHandlers.js';
+import { registerHostHandlers } from './hostHandlers.js';
+import { registerModerationHandlers } from './moderationHandlers.js';
 import { log } from '../logger.js';
+import { installClockSync } from '../clock.js';
 
 // Per-socket sliding-window rate limit. Caps a misbehaving client without
 // touching well-behaved gameplay traffic. Counters are auto-cleaned on disconnect.
@@ -16,15 +21,30 @@ function installSocketRateLimit(socket) {
     'joinGame',
     'startGame',
     'submitAnswer',
+    'buzz',
     'showKahootOptions',
-    'songPlaying',
     'revealAnswers',
     'nextSong',
+    'hostCommand',
+    'pauseGame',
+    'resumeGame',
+    'skipSong',
     'endGame',
     'leaveGame',
     'kickPlayer',
     'rejoinGame',
     'restartGame',
+    'createTeam',
+    'renameTeam',
+    'removeTeam',
+    'balanceTeams',
+    'joinTeam',
+    'setTeamCaptain',
+    'watchGame',
+    'setCoHost',
+    'transferHost',
+    'unbanPlayer',
+    'setLobbyLocked',
   ]);
 
   socket.use(([event, ..._args], next) => {
@@ -52,13 +72,22 @@ export function registerAllHandlers(io, socket) {
   log(`New connection: ${socket.id}`);
 
   installSocketRateLimit(socket);
+  installClockSync(socket);
 
   // Register all handler modules
   registerGameHandlers(io, socket);
   registerGameplayHandlers(io, socket);
   registerRejoinHandlers(io, socket);
+  registerTeamHandlers(io, socket);
+  registerDisplayHandlers(io, socket);
+  registerHostHandlers(io, socket);
+  registerModerationHandlers(io, socket);
 }
 
 export { registerGameHandlers } from './gameHandlers.js';
 export { registerGameplayHandlers } from './gameplayHandlers.js';
 export { registerRejoinHandlers } from './rejoinHandlers.js';
+export { registerTeamHandlers } from './teamHandlers.js';
+export { registerDisplayHandlers } from './displayHandlers.js';
+export { registerHostHandlers } from './hostHandlers.js';
+export { registerModerationHandlers } from './moderationHandlers.js';
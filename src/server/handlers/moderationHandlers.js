@@ -0,0 +1,142 @@
+import { gameStore } from '../gameStore.js';
+import { sanitizeGameSession, canHost, banPlayer, unbanPlayer } from '../utils/index.js';
+import { log } from '../logger.js';
+
+/**
+ * Look up a game for a moderation request from the host or a co-host
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} data
+ * @returns {Object|null} The game
+ */
+function getModeratedGame(socket, data) {
+  const game = data?.gameId ? gameStore.get(data.gameId) : null;
+  if (!game) {
+    socket.emit('error', { message: 'Game not found' });
+    return null;
+  }
+  if (!canHost(game, socket.id)) {
+    socket.emit('error', { message: 'Only the host can do that' });
+    return null;
+  }
+  return game;
+}
+
+/**
+ * Register moderation handlers: the host and co-hosts can kick or ban
+ * players at any point in a game and lock the lobby against new joiners.
+ * @param {import('socket.io').Server} io
+ * @param {import('socket.io').Socket} socket
+ */
+export function registerModerationHandlers(io, socket) {
+  // Kick a player, in the lobby or mid-game. A ban also keeps them from
+  // joining or rejoining under that name.
+  socket.on('kickPlayer', (data) => {
+    try {
+      if (!data?.gameId || !data.playerId) {
+        socket.emit('error', { message: 'Game ID and player ID are required' });
+        return;
+      }
+
+      const game = getModeratedGame(socket, data);
+      if (!game) return;
+
+      const playerIndex = game.players.findIndex((p) => p.id === data.playerId);
+      if (playerIndex === -1) {
+        socket.emit('error', { message: 'Player not found' });
+        return;
+      }
+      if (data.playerId === socket.id) {
+        socket.emit('error', { message: "You can't kick yourself" });
+        return;
+      }
+
+      const kickedPlayer = game.players[playerIndex];
+      const banned = Boolean(data.ban);
+      if (kickedPlayer.disconnectTimer) clearTimeout(kickedPlayer.disconnectTimer);
+      game.players.splice(playerIndex, 1);
+      (game.teams || []).forEach((team) => {
+        if (team.captainId === kickedPlayer.id) team.captainId = null;
+      });
+      gameStore.unregisterSocket(data.playerId);
+
+      if (banned) {
+        banPlayer(game, kickedPlayer, gameStore.getTokenForPlayer(game.id, kickedPlayer.name));
+      }
+      // Remove kicked player's reconnect token
+      gameStore.deleteTokensForPlayer(game.id, kickedPlayer.name);
+
+      // Persist after kick
+      gameStore.persist(game.id);
+
+      // Notify the kicked player
+      io.to(data.playerId).emit('playerKicked', {
+        message: banned
+          ? 'You have been banned from the game by the host'
+          : 'You have been kicked from the game by the host',
+        gameId: game.id,
+        banned,
+      });
+
+      // Make the kicked player leave the room
+      const kickedSocket = io.sockets.sockets.get(data.playerId);
+      if (kickedSocket) {
+        kickedSocket.leave(game.id);
+      }
+
+      // Notify remaining players
+      io.to(game.id).emit('playerLeft', {
+        gameSession: sanitizeGameSession(game),
+        playerName: `${kickedPlayer.name} (${banned ? 'banned' : 'kicked'})`,
+      });
+
+      log(`${kickedPlayer.name} was ${banned ? 'banned' : 'kicked'} from game ${game.id} by host`);
+    } catch (error) {
+      console.error('Error kicking player:', error);
+      socket.emit('error', { message: 'Failed to kick player: ' + error.message });
+    }
+  });
+
+  socket.on('unbanPlayer', (data) => {
+    try {
+      const game = getModeratedGame(socket, data);
+      if (!game) return;
+
+      const playerName = typeof data.playerName === 'string' ? data.playerName.trim() : '';
+      if (!playerName || !unbanPlayer(game, playerName)) {
+        socket.emit('error', { message: 'That player is not banned' });
+        return;
+      }
+
+      gameStore.persist(game.id);
+      io.to(game.id).emit('banListUpdated', {
+        gameSession: sanitizeGameSession(game),
+      });
+
+      log(`${playerName} was unbanned from game ${game.id}`);
+    } catch (error) {
+      console.error('Error unbanning player:', error);
+      socket.emit('error', { message: 'Failed to unban player: ' + error.message });
+    }
+  });
+
+  // A locked game lets nobody new in; players already in it can still rejoin
+  socket.on('setLobbyLocked', (data) => {
+    try {
+      const game = getModeratedGame(socket, data);
+      if (!game) return;
+
+      game.lobbyLocked = Boolean(data.locked);
+      gameStore.persist(game.id);
+
+      io.to(game.id).emit('lobbyLockChanged', {
+        gameSession: sanitizeGameSession(game),
+        locked: game.lobbyLocked,
+      });
+
+      log(`Game ${game.id} ${game.lobbyLocked ? 'locked' : 'unlocked'}`);
+    } catch (error) {
+      console.error('Error locking lobby:', error);
+      socket.emit('error', { message: 'Failed to lock the lobby: ' + error.message });
+    }
+  });
+}
@@ -1,6 +1,9 @@
 import { gameStore } from '../gameStore.js';
-import { sanitizeGameSession } from '../utils/index.js';
+import { sanitizeGameSession, assignPlayerToTeam, isBanned } from '../utils/index.js';
+import { validatePlayerName, validateDeviceId, isBlockedName } from '../validation.js';
 import { log } from '../logger.js';
+import { ensureRoundsRunning, getCatchUpSnapshot, getRevealedAnswer } from '../roundEngine.js';
+import { sendHostSongUrls } from '../streaming.js';
 
 /**
  * Register reconnection/rejoin socket handlers
@@ -13,26 +16,21 @@ export function registerRejoinHandlers(io, socket) {
     try {
       log(`Rejoin attempt from ${socket.id}:`, data);
 
-      // Token-based rejoin (preferred) or fallback to name-based
+      // The reconnect token is the only proof of who someone was. Without a
+      // valid one the name is treated as a new join and checked like one.
       let gameId = data.gameId?.toUpperCase().trim();
       let playerName = data.playerName;
-      let isHost = false;
-
-      // If a reconnect token is provided, use it to identify the player
-      if (data.reconnectToken) {
-        const tokenData = gameStore.getReconnectToken(data.reconnectToken);
-        if (tokenData) {
-          gameId = tokenData.gameId;
-          playerName = tokenData.playerName;
-          isHost = tokenData.isHost;
-          log(`Token resolved: game=${gameId}, player=${playerName}, isHost=${isHost}`);
-        } else {
-          log(`Invalid or expired reconnect token`);
-          // Fall through to name-based rejoin if gameId and playerName provided
-          if (!gameId || !playerName) {
-            socket.emit('rejoinFailed', { message: 'Invalid reconnect token' });
-            return;
-          }
+
+      const tokenData = gameStore.getReconnectToken(data.reconnectToken);
+      if (tokenData) {
+        gameId = tokenData.gameId;
+        playerName = tokenData.playerName;
+        log(`Token resolved: game=${gameId}, player=${playerName}, isHost=${tokenData.isHost}`);
+      } else if (data.reconnectToken) {
+        log(`Invalid or expired reconnect token`);
+        if (!gameId || !playerName) {
+          socket.emit('rejoinFailed', { message: 'Invalid reconnect token' });
+          return;
         }
       }
 
@@ -41,6 +39,21 @@ export function registerRejoinHandlers(io, socket) {
         return;
       }
 
+      // A name without a token has to pass the same checks as joining
+      if (!tokenData) {
+        if (isBlockedName(playerName)) {
+          socket.emit('rejoinFailed', { message: "That name isn't allowed. Please pick another." });
+          return;
+        }
+        playerName = validatePlayerName(playerName);
+        if (!playerName) {
+          socket.emit('rejoinFailed', {
+            message: 'Invalid player name. Use 1-20 letters, numbers, spaces, or underscores.',
+          });
+          return;
+        }
+      }
+
       const game = gameStore.get(gameId);
 
       if (!game) {
@@ -48,17 +61,25 @@ export function registerRejoinHandlers(io, socket) {
         return;
       }
 
-      // Cancel any pending disconnect cleanup for this game
-      if (game.hostDisconnectTimer) {
-        clearTimeout(game.hostDisconnectTimer);
-        game.hostDisconnectTimer = null;
-        log(`Cancelled host disconnect timer for game ${gameId}`);
-      }
+      const isNamed = (name) => name.toLowerCase() === playerName.toLowerCase();
+      // Only someone whose connection has actually dropped is picked back up
+      const isConnected = (socketId) => Boolean(socketId) && io.sockets.sockets.has(socketId);
+
+      // Check if this is the host rejoining. A host token alone isn't enough:
+      // the game may have been handed to someone else since it was issued.
+      if (tokenData?.isHost && isNamed(game.host)) {
+        if (isConnected(game.hostId)) {
+          socket.emit('rejoinFailed', { message: 'The host is already connected' });
+          return;
+        }
+
+        // Cancel any pending disconnect cleanup for this game
+        if (game.hostDisconnectTimer) {
+          clearTimeout(game.hostDisconnectTimer);
+          game.hostDisconnectTimer = null;
+          log(`Cancelled host disconnect timer for game ${gameId}`);
+        }
 
-      // Check if this is the host rejoining
-      const isHostByName = game.host.toLowerCase() === playerName.toLowerCase();
-      const isHostById = data.playerId === game.hostId;
-      if (isHost || isHostByName || isHostById) {
         // Update host's socket ID
         const oldHostId = game.hostId;
         game.hostId = socket.id;
@@ -84,7 +105,9 @@ export function registerRejoinHandlers(io, socket) {
           player: hostPlayer,
           isHost: true,
           reconnectToken: newToken,
+          resync: getResync(io, game, null),
         });
+        sendHostSongUrls(io, game);
 
         // Notify other players
         io.to(gameId).emit('playerRejoined', {
@@ -97,16 +120,29 @@ export function registerRejoinHandlers(io, socket) {
         return;
       }
 
-      // Check if player was in the game (by name, since socket ID changed on reconnect)
-      const existingPlayerIndex = game.players.findIndex(
-        (p) => p.name.toLowerCase() === playerName.toLowerCase()
-      );
+      // A player still in the game: their token names them, since the socket
+      // ID changed on reconnect
+      const player = game.players.find((p) => isNamed(p.name));
+
+      if (player || isNamed(game.host)) {
+        if (!player || !tokenData || tokenData.isHost) {
+          socket.emit('rejoinFailed', { message: 'Name already taken in this game' });
+          return;
+        }
+        if (isConnected(player.id)) {
+          socket.emit('rejoinFailed', { message: 'You are already connected to this game' });
+          return;
+        }
 
-      if (existingPlayerIndex !== -1) {
         // Update existing player's socket ID
-        const player = game.players[existingPlayerIndex];
         const oldPlayerId = player.id;
         player.id = socket.id;
+        player.connectedAt = Date.now();
+
+        // A rejoining captain keeps the captaincy under their new socket ID
+        (game.teams || []).forEach((team) => {
+          if (team.captainId === oldPlayerId) team.captainId = socket.id;
+        });
 
         // Cancel any pending player disconnect timer
         if (player.disconnectTimer) {
@@ -127,6 +163,7 @@ export function registerRejoinHandlers(io, socket) {
           player: player,
           isHost: false,
           reconnectToken: newToken,
+          resync: getResync(io, game, player),
         });
 
         // Notify other players
@@ -140,12 +177,23 @@ export function registerRejoinHandlers(io, socket) {
         return;
       }
 
-      // Player wasn't in the game (or was removed after disconnect grace period)
-      // If they have a valid reconnect token, re-add them regardless of game state
-      const hasValidToken = data.reconnectToken && gameStore.getReconnectToken(data.reconnectToken);
+      // Player wasn't in the game (or was removed after disconnect grace period).
+      // With a valid reconnect token they're re-added regardless of game state;
+      // without one they get the same checks as joining.
+      const deviceId = validateDeviceId(data.deviceId);
+      if (isBanned(game, playerName, data.reconnectToken, deviceId)) {
+        socket.emit('rejoinFailed', { message: 'You have been banned from this game' });
+        return;
+      }
 
-      if (game.state === 'lobby' || hasValidToken) {
-        if (game.players.length >= game.settings.maxPlayers && !hasValidToken) {
+      if (game.state === 'lobby' || tokenData) {
+        if (!tokenData && game.lobbyLocked) {
+          socket.emit('rejoinFailed', {
+            message: 'This game is locked. Ask the host to unlock it.',
+          });
+          return;
+        }
+        if (game.players.length >= game.settings.maxPlayers && !tokenData) {
           socket.emit('rejoinFailed', { message: 'Game is full' });
           return;
         }
@@ -157,8 +205,15 @@ export function registerRejoinHandlers(io, socket) {
           isReady: false,
           score: 0,
           answers: [],
+          deviceId,
+          connectedAt: Date.now(),
         };
 
+        // Team games: back on a team, the same way a late joiner is placed
+        if (game.settings.teamMode) {
+          assignPlayerToTeam(game, newPlayer, data.team);
+        }
+
         game.players.push(newPlayer);
         gameStore.registerSocket(socket.id, gameId);
         socket.join(gameId);
@@ -172,6 +227,7 @@ export function registerRejoinHandlers(io, socket) {
           player: newPlayer,
           isHost: false,
           reconnectToken: newToken,
+          resync: getResync(io, game, newPlayer),
         });
 
         io.to(gameId).emit('playerRejoined', {
@@ -194,3 +250,37 @@ export function registerRejoinHandlers(io, socket) {
     }
   });
 }
+
+/**
+ * Everything a rejoining client needs to put its view back exactly as it
+ * was mid-song: the round and its deadline, the open question, the answer if
+ * it has been revealed, and the player's own answer and result. Restarts the
+ * phase timer if the game was restored from the database without one.
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @param {Object|null} player - null for the host
+ * @returns {Object|null} null unless the game is playing
+ */
+function getResync(io, game, player) {
+  if (game.state !== 'playing') return null;
+  ensureRoundsRunning(io, game);
+
+  const songIndex = game.currentSong;
+  const answer = player?.answers.find((a) => a.songIndex === songIndex);
+  return {
+    ...getCatchUpSnapshot(game),
+    reveal: game.revealedSongs?.has(songIndex) ? getRevealedAnswer(game, songIndex) : null,
+    answer: answer
+      ? {
+          songIndex,
+          selectedOption: answer.selectedOption,
+          answerText: answer.answerText ?? null,
+          answeredBy: answer.answeredBy || null,
+          isCorrect: answer.isCorrect,
+          isPartial: answer.isPartial,
+          points: answer.points,
+          totalScore: player.score,
+        }
+      : null,
+  };
+}
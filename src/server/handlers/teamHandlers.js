@@ -0,0 +1,205 @@
+import { gameStore } from '../gameStore.js';
+import {
+  sanitizeGameSession,
+  createTeam,
+  findTeam,
+  assignPlayerToTeam,
+  balanceTeams,
+  canHost,
+} from '../utils/index.js';
+import { validateTeamName } from '../validation.js';
+import { log } from '../logger.js';
+import { MAX_TEAMS, getTeamMembers } from '../../shared/teams.js';
+
+/**
+ * Look up a team game that is still in the lobby, telling the sender why not
+ * @param {import('socket.io').Socket} socket
+ * @param {Object} data
+ * @param {{hostOnly?: boolean}} [options]
+ * @returns {Object|null}
+ */
+function getTeamLobby(socket, data, { hostOnly = true } = {}) {
+  const game = data?.gameId ? gameStore.get(data.gameId) : null;
+  if (!game) {
+    socket.emit('error', { message: 'Game not found' });
+    return null;
+  }
+  if (hostOnly && !canHost(game, socket.id)) {
+    socket.emit('error', { message: 'Only the host can change teams' });
+    return null;
+  }
+  if (!game.settings.teamMode) {
+    socket.emit('error', { message: 'This game is not a team game' });
+    return null;
+  }
+  if (game.state !== 'lobby') {
+    socket.emit('error', { message: 'Teams can only be changed in the lobby' });
+    return null;
+  }
+  return game;
+}
+
+/**
+ * Save the game and show everyone the new teams
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+function broadcastTeams(io, game) {
+  gameStore.persist(game.id);
+  io.to(game.id).emit('teamsUpdated', { gameSession: sanitizeGameSession(game) });
+}
+
+/**
+ * Register team handlers. Teams are set up in the lobby: the host creates,
+ * renames, removes and balances them and picks captains; players may switch
+ * teams themselves.
+ * @param {import('socket.io').Server} io
+ * @param {import('socket.io').Socket} socket
+ */
+export function registerTeamHandlers(io, socket) {
+  socket.on('createTeam', (data) => {
+    try {
+      const game = getTeamLobby(socket, data);
+      if (!game) return;
+
+      const name = validateTeamName(data.name);
+      if (!name) {
+        socket.emit('error', {
+          message: 'Invalid team name. Use 1-20 letters, numbers, spaces, or underscores.',
+        });
+        return;
+      }
+      if (game.teams.length >= MAX_TEAMS) {
+        socket.emit('error', { message: `A game can have at most ${MAX_TEAMS} teams` });
+        return;
+      }
+      if (findTeam(game, name)) {
+        socket.emit('error', { message: 'A team with that name already exists' });
+        return;
+      }
+
+      game.teams.push(createTeam(name));
+      broadcastTeams(io, game);
+      log(`Team "${name}" created in game ${game.id}`);
+    } catch (error) {
+      console.error('Error creating team:', error);
+      socket.emit('error', { message: 'Failed to create team: ' + error.message });
+    }
+  });
+
+  socket.on('renameTeam', (data) => {
+    try {
+      const game = getTeamLobby(socket, data);
+      if (!game) return;
+
+      const team = findTeam(game, data.teamId);
+      const name = validateTeamName(data.name);
+      if (!team || !name) {
+        socket.emit('error', { message: 'Invalid team or team name' });
+        return;
+      }
+      const clash = findTeam(game, name);
+      if (clash && clash !== team) {
+        socket.emit('error', { message: 'A team with that name already exists' });
+        return;
+      }
+
+      team.name = name;
+      broadcastTeams(io, game);
+    } catch (error) {
+      console.error('Error renaming team:', error);
+      socket.emit('error', { message: 'Failed to rename team: ' + error.message });
+    }
+  });
+
+  // Removing a team moves its players to the smallest remaining teams
+  socket.on('removeTeam', (data) => {
+    try {
+      const game = getTeamLobby(socket, data);
+      if (!game) return;
+
+      const team = findTeam(game, data.teamId);
+      if (!team) {
+        socket.emit('error', { message: 'Team not found' });
+        return;
+      }
+      if (game.teams.length <= 2) {
+        socket.emit('error', { message: 'A team game needs at least 2 teams' });
+        return;
+      }
+
+      const members = getTeamMembers(team, game.players);
+      game.teams = game.teams.filter((t) => t !== team);
+      members.forEach((player) => assignPlayerToTeam(game, player));
+
+      broadcastTeams(io, game);
+      log(`Team "${team.name}" removed from game ${game.id}`);
+    } catch (error) {
+      console.error('Error removing team:', error);
+      socket.emit('error', { message: 'Failed to remove team: ' + error.message });
+    }
+  });
+
+  socket.on('balanceTeams', (data) => {
+    try {
+      const game = getTeamLobby(socket, data);
+      if (!game) return;
+
+      balanceTeams(game);
+      broadcastTeams(io, game);
+      log(`Teams balanced in game ${game.id}`);
+    } catch (error) {
+      console.error('Error balancing teams:', error);
+      socket.emit('error', { message: 'Failed to balance teams: ' + error.message });
+    }
+  });
+
+  // Players move themselves; the host can move anyone
+  socket.on('joinTeam', (data) => {
+    try {
+      const game = getTeamLobby(socket, data, { hostOnly: false });
+      if (!game) return;
+
+      const playerId = data.playerId || socket.id;
+      if (playerId !== socket.id && !canHost(game, socket.id)) {
+        socket.emit('error', { message: 'Only the host can move other players' });
+        return;
+      }
+
+      const player = game.players.find((p) => p.id === playerId);
+      const team = findTeam(game, data.teamId);
+      if (!player || !team) {
+        socket.emit('error', { message: 'Player or team not found' });
+        return;
+      }
+
+      player.teamId = team.id;
+      broadcastTeams(io, game);
+      log(`${player.name} moved to team "${team.name}" in game ${game.id}`);
+    } catch (error) {
+      console.error('Error joining team:', error);
+      socket.emit('error', { message: 'Failed to join team: ' + error.message });
+    }
+  });
+
+  socket.on('setTeamCaptain', (data) => {
+    try {
+      const game = getTeamLobby(socket, data);
+      if (!game) return;
+
+      const team = findTeam(game, data.teamId);
+      const player = game.players.find((p) => p.id === data.playerId);
+      if (!team || !player || player.teamId !== team.id) {
+        socket.emit('error', { message: 'The captain must be on the team' });
+        return;
+      }
+
+      team.captainId = player.id;
+      broadcastTeams(io, game);
+      log(`${player.name} is captain of "${team.name}" in game ${game.id}`);
+    } catch (error) {
+      console.error('Error setting team captain:', error);
+      socket.emit('error', { message: 'Failed to set team captain: ' + error.message });
+    }
+  });
+}
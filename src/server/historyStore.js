@@ -0,0 +1,212 @@
+import { gameStore } from './gameStore.js';
+import { log } from './logger.js';
+
+/**
+ * Archive of finished games, stored in the same SQLite database as games.
+ * Live game rows are purged after `gameTimeoutHours`; archived results are
+ * kept so past quiz nights can be looked back on. A game that is played
+ * again (restartGame) is archived once per play under the same game ID.
+ */
+class HistoryStore {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this._initTables();
+  }
+
+  // =========================
+  // DATABASE INITIALIZATION
+  // =========================
+
+  _initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS game_results (
+        result_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id TEXT NOT NULL,
+        host TEXT NOT NULL,
+        playlist_id TEXT,
+        settings TEXT NOT NULL,
+        songs TEXT NOT NULL,
+        finished_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS game_result_players (
+        result_id INTEGER NOT NULL,
+        player_name TEXT NOT NULL,
+        profile_id TEXT,
+        score INTEGER NOT NULL,
+        rank INTEGER NOT NULL,
+        answers TEXT NOT NULL,
+        PRIMARY KEY (result_id, player_name),
+        FOREIGN KEY (result_id) REFERENCES game_results(result_id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_results_game ON game_results(game_id);
+      CREATE INDEX IF NOT EXISTS idx_results_finished ON game_results(finished_at);
+    `);
+
+    // Archives created before per-playlist leaderboards have no playlist column
+    const columns = this.db.prepare('PRAGMA table_info(game_results)').all();
+    if (!columns.some((column) => column.name === 'playlist_id')) {
+      this.db.exec('ALTER TABLE game_results ADD COLUMN playlist_id TEXT');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_results_playlist ON game_results(playlist_id)');
+
+    this._stmts = {
+      insertResult: this.db.prepare(
+        'INSERT INTO game_results (game_id, host, playlist_id, settings, songs, finished_at) VALUES (?, ?, ?, ?, ?, ?)'
+      ),
+      insertPlayer: this.db.prepare(
+        'INSERT INTO game_result_players (result_id, player_name, profile_id, score, rank, answers) VALUES (?, ?, ?, ?, ?, ?)'
+      ),
+      listResults: this.db.prepare(`
+        SELECT r.result_id, r.game_id, r.host, r.songs, r.finished_at,
+          COUNT(p.player_name) AS player_count,
+          (SELECT player_name FROM game_result_players w
+            WHERE w.result_id = r.result_id AND w.rank = 1 AND w.score > 0 ORDER BY w.player_name LIMIT 1) AS winner,
+          MAX(p.score) AS top_score
+        FROM game_results r
+        LEFT JOIN game_result_players p ON p.result_id = r.result_id
+        GROUP BY r.result_id
+        ORDER BY r.finished_at DESC
+        LIMIT ? OFFSET ?
+      `),
+      getResultsForGame: this.db.prepare(
+        'SELECT * FROM game_results WHERE game_id = ? ORDER BY finished_at DESC'
+      ),
+      getPlayers: this.db.prepare(
+        'SELECT * FROM game_result_players WHERE result_id = ? ORDER BY rank, player_name'
+      ),
+    };
+  }
+
+  // =========================
+  // ARCHIVING
+  // =========================
+
+  /**
+   * Archive a finished game with every player's per-song answers.
+   * Games that ended before any song was revealed are not archived.
+   * @param {Object} game
+   * @returns {number|null} The archived result's id
+   */
+  archive(game) {
+    const askedSongs = Array.from(game.revealedSongs || []).sort((a, b) => a - b);
+    if (askedSongs.length === 0) return null;
+
+    const songs = askedSongs.map((songIndex) => {
+      const song = game.songs[songIndex];
+      const songOptions = game.kahootOptions?.[songIndex];
+      return {
+        songIndex,
+        title: song?.metadata?.title || 'Unknown',
+        artist: song?.metadata?.artist || '',
+        album: song?.metadata?.album || '',
+        year: song?.metadata?.year || '',
+        questionType: game.questionTypes?.[songIndex] || 'title',
+        options: songOptions?.options || [],
+        correctIndex: songOptions?.correctIndex ?? -1,
+        ...(songOptions?.seed && { optionSeed: songOptions.seed }),
+      };
+    });
+
+    // Standard competition ranking: equal scores share a rank
+    const ranked = [...game.players].sort((a, b) => b.score - a.score);
+    const rankOf = (player) => ranked.findIndex((p) => p.score === player.score) + 1;
+
+    const insertAll = this.db.transaction(() => {
+      const { lastInsertRowid } = this._stmts.insertResult.run(
+        game.id,
+        game.host,
+        game.playlistId || null,
+        JSON.stringify(game.settings),
+        JSON.stringify(songs),
+        Date.now()
+      );
+
+      for (const player of ranked) {
+        const answers = player.answers
+          .filter((a) => askedSongs.includes(a.songIndex))
+          .map((a) => ({
+            songIndex: a.songIndex,
+            selectedOption: a.selectedOption,
+            ...(typeof a.answerText === 'string' && { answerText: a.answerText }),
+            ...(a.answeredBy && { answeredBy: a.answeredBy }),
+            isCorrect: a.isCorrect,
+            isPartial: Boolean(a.isPartial),
+            responseTime: a.responseTime,
+            points: a.points,
+          }));
+        this._stmts.insertPlayer.run(
+          lastInsertRowid,
+          player.name,
+          player.profileId || null,
+          player.score,
+          rankOf(player),
+          JSON.stringify(answers)
+        );
+      }
+      return Number(lastInsertRowid);
+    });
+
+    try {
+      const resultId = insertAll();
+      log(`Archived results of game ${game.id} (${songs.length} songs, ${ranked.length} players)`);
+      return resultId;
+    } catch (err) {
+      console.error(`Failed to archive game ${game.id}:`, err.message);
+      return null;
+    }
+  }
+
+  // =========================
+  // QUERIES
+  // =========================
+
+  /**
+   * Archived games, newest first, without their answers
+   * @param {{limit?: number, offset?: number}} [page]
+   * @returns {Array<Object>}
+   */
+  list({ limit = 20, offset = 0 } = {}) {
+    return this._stmts.listResults.all(limit, offset).map((row) => ({
+      id: row.result_id,
+      gameId: row.game_id,
+      host: row.host,
+      songCount: JSON.parse(row.songs).length,
+      playerCount: row.player_count,
+      winner: row.winner,
+      topScore: row.top_score,
+      finishedAt: row.finished_at,
+    }));
+  }
+
+  /**
+   * Every archived play of a game, newest first, with all answers
+   * @param {string} gameId
+   * @returns {Array<Object>}
+   */
+  getGame(gameId) {
+    return this._stmts.getResultsForGame.all(gameId).map((row) => ({
+      id: row.result_id,
+      gameId: row.game_id,
+      host: row.host,
+      playlistId: row.playlist_id,
+      settings: JSON.parse(row.settings),
+      songs: JSON.parse(row.songs),
+      finishedAt: row.finished_at,
+      players: this._stmts.getPlayers.all(row.result_id).map((player) => ({
+        name: player.player_name,
+        profileId: player.profile_id,
+        score: player.score,
+        rank: player.rank,
+        answers: JSON.parse(player.answers),
+      })),
+    }));
+  }
+}
+
+// Export singleton instance sharing the game store's connection
+export const historyStore = new HistoryStore(gameStore.db);
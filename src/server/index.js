@@ -13,9 +13,36 @@ import { fileURLToPath } from 'url';
 import { config, isDev } from './config.js';
 import { gameStore } from './gameStore.js';
 import { registerAllHandlers } from './handlers/index.js';
-import { validatePlayerName, validateGameSettings, validateGameId } from './validation.js';
+import {
+  validatePlayerName,
+  validateGameSettings,
+  validateGameId,
+  validatePlaylist,
+  validateProfileLogin,
+  validateProfileSecret,
+  validateSingleScore,
+  validateSoloClipRequest,
+} from './validation.js';
 import { log } from './logger.js';
-import subsonicRouter from './subsonic.js';
+import subsonicRouter, { getCatalogAlbums, getCatalogStreamUrl, sendCoverArt } from './subsonic.js';
+import { findCatalogSongs } from './catalog.js';
+import {
+  verifyClipRequest,
+  getClip,
+  findClipSource,
+  resolveSongFile,
+  getSongCoverUrl,
+  createSoloClipUrl,
+} from './streaming.js';
+import { getDifficulty } from '../shared/difficulty.js';
+import { verifySignedPath } from './signedUrls.js';
+import { canExtractClip } from './clipExtractor.js';
+import { playlistStore } from './playlistStore.js';
+import { profileStore } from './profileStore.js';
+import { historyStore } from './historyStore.js';
+import { leaderboardStore } from './leaderboardStore.js';
+import { trackStore } from './trackStore.js';
+import { profileLimiter } from './profileLimiter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -107,7 +134,7 @@ const corsForExpress = (req, callback) => {
   const ok = isOriginAllowed(req.headers.origin, req.headers.host);
   callback(null, {
     origin: ok,
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
     credentials: true,
   });
 };
@@ -174,6 +201,15 @@ app.use(compression({
 
 app.use(express.json({ limit: '1mb' })); // Limit JSON body size
 
+// Uploaded songs can sit under the static root, but are never served as
+// files: the host plays them from signed /api/audio URLs
+const uploadsUnderPublic = path.relative(config.publicDir, config.uploadsDir);
+if (!uploadsUnderPublic.startsWith('..') && !path.isAbsolute(uploadsUnderPublic)) {
+  app.use(`/${uploadsUnderPublic.split(path.sep).join('/')}`, (req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+}
+
 // Static files with caching headers
 app.use(express.static(config.publicDir, {
   maxAge: isDev ? 0 : '1d',
@@ -240,9 +276,10 @@ const upload = multer({
 
 // REST API Routes - apply rate limiting
 
-// Upload music files
+// Upload music files. Each file is indexed (see trackStore); a file whose
+// contents were uploaded before is dropped in favour of the existing copy.
 app.post('/api/upload', uploadLimiter, (req, res) => {
-  upload.array('music', 100)(req, res, (err) => {
+  upload.array('music', 100)(req, res, async (err) => {
     if (err) {
       const status = err instanceof multer.MulterError ? 400 : 400;
       return res.status(status).json({ error: err.message || 'Upload failed' });
@@ -253,19 +290,69 @@ app.post('/api/upload', uploadLimiter, (req, res) => {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const uploadedFiles = files.map((file) => ({
-      // Strip any path components from originalname before echoing back
-      originalName: path.basename(file.originalname || '').slice(0, 255),
-      filename: file.filename,
-      path: `/uploads/${file.filename}`,
-      size: file.size,
-    }));
+    try {
+      const uploadedFiles = [];
+      // One at a time so two copies of a song in the same request de-duplicate
+      for (const file of files) {
+        const { track, duplicate } = await trackStore.addUpload(file);
+        uploadedFiles.push({
+          // Strip any path components from originalname before echoing back
+          originalName: path.basename(file.originalname || '').slice(0, 255),
+          filename: track.filename,
+          size: file.size,
+          trackId: track.id,
+          duplicate,
+          metadata: track.metadata,
+          duration: track.duration,
+          bitrate: track.bitrate,
+          coverUrl: track.coverUrl,
+        });
+      }
 
-    log(`Uploaded ${files.length} files`);
-    res.json({ success: true, files: uploadedFiles });
+      const duplicates = uploadedFiles.filter((file) => file.duplicate).length;
+      log(`Uploaded ${files.length} files${duplicates ? ` (${duplicates} already on the server)` : ''}`);
+      res.json({ success: true, files: uploadedFiles });
+    } catch (indexErr) {
+      console.error('Error indexing uploads:', indexErr);
+      res.status(500).json({ error: 'Failed to process uploaded files' });
+    }
   });
 });
 
+// Uploaded tracks with the tags read from them
+app.get('/api/tracks', apiLimiter, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json({ tracks: trackStore.list({ limit, offset }) });
+});
+
+// A cover's type comes from the uploaded file's own tags, so only image types
+// are served; anything else could be a page run on this origin
+const COVER_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+app.get('/api/tracks/:id/cover', apiLimiter, (req, res) => {
+  const cover = trackStore.getCover(req.params.id);
+  const mimeType = String(cover?.mimeType || '').toLowerCase().replace('image/jpg', 'image/jpeg');
+  if (!cover || !COVER_TYPES.has(mimeType)) {
+    return res.status(404).json({ error: 'Cover not found' });
+  }
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.type(mimeType).send(cover.data);
+});
+
+app.delete('/api/tracks/:id', apiLimiter, async (req, res) => {
+  try {
+    if (!(await trackStore.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting track:', err);
+    res.status(500).json({ error: 'Failed to delete track' });
+  }
+});
+
 // Get game stats
 app.get('/api/stats', apiLimiter, (req, res) => {
   const stats = gameStore.getStats();
@@ -304,12 +391,284 @@ app.get('/api/games', apiLimiter, (req, res) => {
   res.json({ games });
 });
 
+// Saved playlists
+app.get('/api/playlists', apiLimiter, (req, res) => {
+  res.json({ playlists: playlistStore.list() });
+});
+
+app.get('/api/playlists/:id', apiLimiter, (req, res) => {
+  const playlist = playlistStore.get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  // Whole songs are only signed for a game's host (see getHostSongUrls)
+  const songs = playlist.songs.map((song) => ({ ...song, coverUrl: getSongCoverUrl(song) }));
+  res.json({ playlist: { ...playlist, songs } });
+});
+
+app.post('/api/playlists', apiLimiter, (req, res) => {
+  try {
+    const playlist = validatePlaylist(req.body);
+    if (!playlist) {
+      return res.status(400).json({ error: 'A playlist needs a name and 1-500 songs' });
+    }
+    if (playlistStore.isNameTaken(playlist.name)) {
+      return res.status(409).json({ error: 'A playlist with that name already exists' });
+    }
+
+    const created = playlistStore.create(playlist);
+    log(`Playlist created: ${created.name} (${created.songs.length} songs)`);
+    res.status(201).json({ playlist: created });
+  } catch (err) {
+    console.error('Error creating playlist:', err);
+    res.status(500).json({ error: 'Failed to create playlist' });
+  }
+});
+
+app.put('/api/playlists/:id', apiLimiter, (req, res) => {
+  try {
+    const changes = validatePlaylist(req.body, { partial: true });
+    if (!changes) {
+      return res.status(400).json({ error: 'Invalid playlist name or songs' });
+    }
+    if (changes.name && playlistStore.isNameTaken(changes.name, req.params.id)) {
+      return res.status(409).json({ error: 'A playlist with that name already exists' });
+    }
+
+    const updated = playlistStore.update(req.params.id, changes);
+    if (!updated) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    res.json({ playlist: updated });
+  } catch (err) {
+    console.error('Error updating playlist:', err);
+    res.status(500).json({ error: 'Failed to update playlist' });
+  }
+});
+
+app.delete('/api/playlists/:id', apiLimiter, (req, res) => {
+  if (!playlistStore.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  res.json({ success: true });
+});
+
+// Player profiles with lifetime stats
+app.post('/api/profiles', profileLimiter, (req, res) => {
+  try {
+    const login = validateProfileLogin(req.body);
+    if (!login) {
+      return res.status(400).json({ error: 'A profile needs a nickname and a 4-8 digit PIN or device key' });
+    }
+
+    const profile = profileStore.create(login);
+    if (!profile) {
+      return res.status(409).json({ error: 'That nickname is already taken' });
+    }
+    log(`Profile created: ${profile.nickname}`);
+    res.status(201).json({ profile });
+  } catch (err) {
+    console.error('Error creating profile:', err);
+    res.status(500).json({ error: 'Failed to create profile' });
+  }
+});
+
+app.post('/api/profiles/login', profileLimiter, (req, res) => {
+  const login = validateProfileLogin(req.body);
+  if (!login) {
+    return res.status(400).json({ error: 'Enter your nickname and PIN' });
+  }
+
+  const profile = profileStore.authenticate(login);
+  if (!profile) {
+    return res.status(401).json({ error: 'Wrong nickname or PIN' });
+  }
+  res.json({ profile });
+});
+
+app.get('/api/profiles/:id', apiLimiter, (req, res) => {
+  const profile = profileStore.get(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  res.json({ profile });
+});
+
+// Archived results of finished games
+app.get('/api/history', apiLimiter, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json({ games: historyStore.list({ limit, offset }) });
+});
+
+app.get('/api/history/:gameId', apiLimiter, (req, res) => {
+  const gameId = validateGameId(req.params.gameId);
+  if (!gameId) {
+    return res.status(400).json({ error: 'Invalid game ID' });
+  }
+
+  const plays = historyStore.getGame(gameId);
+  if (plays.length === 0) {
+    return res.status(404).json({ error: 'No archived results for that game' });
+  }
+  res.json({ gameId, plays });
+});
+
+// Leaderboards built from archived games and submitted single-player scores
+app.get('/api/leaderboards', apiLimiter, (req, res) => {
+  const mode = req.query.mode || 'multiplayer';
+  const period = req.query.period || 'all';
+  if (!['multiplayer', 'single'].includes(mode) || !['all', 'month'].includes(period)) {
+    return res.status(400).json({ error: 'Unknown leaderboard mode or period' });
+  }
+
+  const leaderboard = leaderboardStore.get({
+    mode,
+    period,
+    playlistId: typeof req.query.playlistId === 'string' && req.query.playlistId ? req.query.playlistId : null,
+    limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100),
+  });
+  res.json({ leaderboard });
+});
+
+// Checks an optional profile secret, so it shares the sign-in rate limit
+app.post('/api/leaderboards/single', profileLimiter, (req, res) => {
+  try {
+    const entry = validateSingleScore(req.body);
+    if (!entry) {
+      return res.status(400).json({ error: 'Invalid score' });
+    }
+    if (entry.playlistId && !playlistStore.exists(entry.playlistId)) {
+      entry.playlistId = null;
+    }
+
+    let profileId = null;
+    if (req.body.profile) {
+      const secret = validateProfileSecret(req.body.profile.secret);
+      if (!secret || !profileStore.verify(String(req.body.profile.id), secret)) {
+        return res.status(401).json({ error: 'Profile sign-in failed' });
+      }
+      profileId = String(req.body.profile.id);
+    }
+
+    const id = leaderboardStore.submitSingleScore(entry, profileId);
+    res.status(201).json({ id });
+  } catch (err) {
+    console.error('Error submitting score:', err);
+    res.status(500).json({ error: 'Failed to submit score' });
+  }
+});
+
+// Server song catalog as a quiz music source (no Subsonic credentials needed)
+app.get('/api/catalog/albums', apiLimiter, (req, res) => {
+  const albums = getCatalogAlbums().map((album) => ({
+    id: album.id,
+    name: album.name,
+    artist: album.artist,
+    songCount: album.songCount,
+  }));
+  res.json({ albums });
+});
+
+app.get('/api/catalog/songs', apiLimiter, (req, res) => {
+  const songs = findCatalogSongs({
+    source: req.query.source,
+    query: req.query.query,
+    albumId: req.query.albumId,
+    count: req.query.count,
+  });
+  if (!songs) {
+    return res.status(400).json({ error: 'Unknown catalog source or album' });
+  }
+  res.json({ songs });
+});
+
+// Whole songs and catalog art only answer the signed URLs the server hands out
+function requireSignedUrl(req, res, next) {
+  if (!verifySignedPath(req.path, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired media URL' });
+  }
+  next();
+}
+
+// Same redirect as /rest/stream.view
+app.get('/api/catalog/stream/:id', apiLimiter, requireSignedUrl, (req, res) => {
+  const url = getCatalogStreamUrl(req.params.id);
+  if (!url) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+  res.redirect(302, url);
+});
+
+app.get('/api/catalog/cover/:id', apiLimiter, requireSignedUrl, (req, res) => {
+  sendCoverArt(res, req.params.id, parseInt(req.query.size || '0', 10));
+});
+
+// Serve just the bytes of one clip (signed, short-lived URLs handed out by the round engine)
+app.get('/api/clip/:gameId/:clipId', apiLimiter, async (req, res) => {
+  try {
+    const clip = verifyClipRequest(req.params.gameId, req.params.clipId, req.query);
+    if (!clip) {
+      return res.status(403).json({ error: 'Invalid or expired clip URL' });
+    }
+
+    const sourceId = findClipSource(req.params.gameId, req.params.clipId);
+    if (!sourceId) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    if (!canExtractClip(sourceId)) {
+      return res.status(415).json({ error: 'Clips can only be cut from MP3 or WAV files' });
+    }
+
+    const result = await getClip(sourceId, clip.start, clip.duration);
+    if (!result) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(result.data);
+  } catch (err) {
+    console.error('Error serving clip:', err);
+    res.status(500).json({ error: 'Failed to extract clip' });
+  }
+});
+
+// A clip of an uploaded or catalog song for a single-player game, which has no
+// host to hand whole songs to
+app.post('/api/solo/clip', apiLimiter, async (req, res) => {
+  try {
+    const request = validateSoloClipRequest(req.body);
+    if (!request) {
+      return res.status(400).json({ error: 'A clip needs a song and a length' });
+    }
+
+    const { clipPosition } = getDifficulty(request.difficulty);
+    const url = await createSoloClipUrl(request.song, request.clipDuration, clipPosition);
+    if (!url) {
+      return res.status(404).json({ error: 'No clip can be cut from that song' });
+    }
+    res.json({ url });
+  } catch (err) {
+    console.error('Error creating single-player clip:', err);
+    res.status(500).json({ error: 'Failed to create clip' });
+  }
+});
+
 // Subsonic-compatible API for the JW music player.
 // Streams are served as 302 redirects to jw-cdn.org so audio bytes do not proxy through this server.
 app.use('/rest', subsonicRouter);
 
-// Serve uploaded files
-app.use('/uploads', express.static(config.uploadsDir));
+// Whole uploaded songs, for the host only: signed URLs sent to the host's
+// socket (see getHostSongUrls). Players only ever get clips.
+app.get('/api/audio/:filename', apiLimiter, requireSignedUrl, (req, res) => {
+  const filePath = resolveSongFile({ filename: req.params.filename });
+  if (!filePath) {
+    return res.status(404).json({ error: 'Song not found' });
+  }
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.sendFile(filePath);
+});
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
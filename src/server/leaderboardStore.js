@@ -0,0 +1,162 @@
+import { gameStore } from './gameStore.js';
+// Create the game_results and profiles tables the leaderboards read
+import './historyStore.js';
+import './profileStore.js';
+
+/**
+ * All-time, monthly and per-playlist leaderboards.
+ * Multiplayer boards are built from archived game results (see historyStore);
+ * single-player boards from scores players submit after a solo game. The two
+ * score on different scales, so they are ranked separately.
+ */
+class LeaderboardStore {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this._initTables();
+  }
+
+  // =========================
+  // DATABASE INITIALIZATION
+  // =========================
+
+  _initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS single_player_scores (
+        score_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        player_name TEXT NOT NULL,
+        profile_id TEXT,
+        playlist_id TEXT,
+        score INTEGER NOT NULL,
+        correct INTEGER NOT NULL,
+        total INTEGER NOT NULL,
+        submitted_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_single_scores_submitted ON single_player_scores(submitted_at);
+    `);
+
+    // Scores submitted before difficulty presets were played on Normal
+    const columns = this.db.prepare('PRAGMA table_info(single_player_scores)').all();
+    if (!columns.some((column) => column.name === 'difficulty')) {
+      this.db.exec(
+        "ALTER TABLE single_player_scores ADD COLUMN difficulty TEXT NOT NULL DEFAULT 'normal'"
+      );
+    }
+
+    // Players with a profile are grouped by it (and shown by its nickname);
+    // everyone else by their case-insensitive name
+    this._stmts = {
+      insertSingleScore: this.db.prepare(`
+        INSERT INTO single_player_scores
+          (player_name, profile_id, playlist_id, difficulty, score, correct, total, submitted_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      multiplayerBoard: this.db.prepare(`
+        SELECT
+          COALESCE(pr.nickname, MAX(p.player_name)) AS name,
+          p.profile_id,
+          COUNT(*) AS games,
+          SUM(CASE WHEN p.rank = 1 AND p.score > 0 THEN 1 ELSE 0 END) AS wins,
+          SUM(p.score) AS total_score,
+          MAX(p.score) AS best_score,
+          SUM((SELECT COUNT(*) FROM json_each(p.answers) WHERE json_extract(value, '$.isCorrect'))) AS correct,
+          SUM(json_array_length(r.songs)) AS total
+        FROM game_result_players p
+        JOIN game_results r ON r.result_id = p.result_id
+        LEFT JOIN profiles pr ON pr.profile_id = p.profile_id
+        WHERE r.finished_at >= @since
+          AND (@playlistId IS NULL OR r.playlist_id = @playlistId)
+        GROUP BY COALESCE(p.profile_id, LOWER(p.player_name))
+        ORDER BY total_score DESC, best_score DESC
+        LIMIT @limit
+      `),
+      singlePlayerBoard: this.db.prepare(`
+        SELECT
+          COALESCE(pr.nickname, MAX(s.player_name)) AS name,
+          s.profile_id,
+          COUNT(*) AS games,
+          NULL AS wins,
+          SUM(s.score) AS total_score,
+          MAX(s.score) AS best_score,
+          SUM(s.correct) AS correct,
+          SUM(s.total) AS total
+        FROM single_player_scores s
+        LEFT JOIN profiles pr ON pr.profile_id = s.profile_id
+        WHERE s.submitted_at >= @since
+          AND (@playlistId IS NULL OR s.playlist_id = @playlistId)
+        GROUP BY COALESCE(s.profile_id, LOWER(s.player_name))
+        ORDER BY total_score DESC, best_score DESC
+        LIMIT @limit
+      `),
+    };
+  }
+
+  // =========================
+  // SINGLE-PLAYER SCORES
+  // =========================
+
+  /**
+   * Record a finished single-player game
+   * @param {Object} entry - Already validated (see validateSingleScore)
+   * @param {string|null} [profileId] - Verified profile of the player
+   * @returns {number} The stored score's id
+   */
+  submitSingleScore(entry, profileId = null) {
+    const { lastInsertRowid } = this._stmts.insertSingleScore.run(
+      entry.playerName,
+      profileId,
+      entry.playlistId,
+      entry.difficulty,
+      entry.score,
+      entry.correct,
+      entry.total,
+      Date.now()
+    );
+    return Number(lastInsertRowid);
+  }
+
+  // =========================
+  // LEADERBOARDS
+  // =========================
+
+  /**
+   * Build a leaderboard, ranked by total points
+   * @param {Object} [query]
+   * @param {'multiplayer'|'single'} [query.mode='multiplayer']
+   * @param {'all'|'month'} [query.period='all'] - 'month' is the current calendar month
+   * @param {string|null} [query.playlistId] - Only games played from this playlist
+   * @param {number} [query.limit=20]
+   * @returns {{mode: string, period: string, playlistId: string|null, since: number, entries: Array}}
+   */
+  get({ mode = 'multiplayer', period = 'all', playlistId = null, limit = 20 } = {}) {
+    const now = new Date();
+    const since = period === 'month' ? new Date(now.getFullYear(), now.getMonth(), 1).getTime() : 0;
+    const statement =
+      mode === 'single' ? this._stmts.singlePlayerBoard : this._stmts.multiplayerBoard;
+
+    const rows = statement.all({ since, playlistId, limit });
+    let rank = 0;
+    const entries = rows.map((row, index) => {
+      // Equal totals share a rank
+      if (index === 0 || row.total_score !== rows[index - 1].total_score) rank = index + 1;
+      return {
+        rank,
+        name: row.name,
+        profileId: row.profile_id,
+        games: row.games,
+        wins: row.wins,
+        totalScore: row.total_score,
+        bestScore: row.best_score,
+        accuracy: row.total > 0 ? row.correct / row.total : null,
+      };
+    });
+
+    return { mode, period, playlistId, since, entries };
+  }
+}
+
+// Export singleton instance sharing the game store's connection
+export const leaderboardStore = new LeaderboardStore(gameStore.db);
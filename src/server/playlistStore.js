@@ -0,0 +1,147 @@
+import { randomUUID } from 'crypto';
+import { gameStore } from './gameStore.js';
+
+/**
+ * Saved quiz playlists, stored in the same SQLite database as games.
+ * Each playlist keeps its songs as a JSON array of validated entries
+ * (see validatePlaylist) so hosts can start a game without reselecting files.
+ */
+class PlaylistStore {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this._initTables();
+  }
+
+  // =========================
+  // DATABASE INITIALIZATION
+  // =========================
+
+  _initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS playlists (
+        playlist_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        songs TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    this._stmts = {
+      listPlaylists: this.db.prepare(
+        'SELECT playlist_id, name, songs, created_at, updated_at FROM playlists ORDER BY name'
+      ),
+      getPlaylist: this.db.prepare('SELECT * FROM playlists WHERE playlist_id = ?'),
+      playlistExists: this.db.prepare('SELECT 1 FROM playlists WHERE playlist_id = ?'),
+      getPlaylistByName: this.db.prepare('SELECT playlist_id FROM playlists WHERE name = ?'),
+      insertPlaylist: this.db.prepare(
+        'INSERT INTO playlists (playlist_id, name, songs, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+      ),
+      updatePlaylist: this.db.prepare(
+        'UPDATE playlists SET name = ?, songs = ?, updated_at = ? WHERE playlist_id = ?'
+      ),
+      deletePlaylist: this.db.prepare('DELETE FROM playlists WHERE playlist_id = ?'),
+    };
+  }
+
+  _toPlaylist(row) {
+    return {
+      id: row.playlist_id,
+      name: row.name,
+      songs: JSON.parse(row.songs),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  // =========================
+  // PLAYLIST CRUD
+  // =========================
+
+  /**
+   * List all playlists without their songs
+   * @returns {Array<{id: string, name: string, songCount: number, createdAt: number, updatedAt: number}>}
+   */
+  list() {
+    return this._stmts.listPlaylists.all().map((row) => {
+      const { songs, ...summary } = this._toPlaylist(row);
+      return { ...summary, songCount: songs.length };
+    });
+  }
+
+  /**
+   * Get a playlist with its songs
+   * @param {string} playlistId
+   * @returns {Object|null}
+   */
+  get(playlistId) {
+    const row = this._stmts.getPlaylist.get(playlistId);
+    return row ? this._toPlaylist(row) : null;
+  }
+
+  /**
+   * Whether a playlist exists
+   * @param {string} playlistId
+   * @returns {boolean}
+   */
+  exists(playlistId) {
+    return Boolean(this._stmts.playlistExists.get(playlistId));
+  }
+
+  /**
+   * Whether another playlist already uses a name (names are case-insensitive)
+   * @param {string} name
+   * @param {string} [exceptId] - Playlist being renamed
+   * @returns {boolean}
+   */
+  isNameTaken(name, exceptId = null) {
+    const row = this._stmts.getPlaylistByName.get(name);
+    return Boolean(row) && row.playlist_id !== exceptId;
+  }
+
+  /**
+   * Create a playlist
+   * @param {{name: string, songs: Array}} playlist - Already validated
+   * @returns {Object} The stored playlist
+   */
+  create({ name, songs }) {
+    const playlistId = randomUUID();
+    const now = Date.now();
+    this._stmts.insertPlaylist.run(playlistId, name, JSON.stringify(songs), now, now);
+    return this.get(playlistId);
+  }
+
+  /**
+   * Replace a playlist's name and/or songs
+   * @param {string} playlistId
+   * @param {{name?: string, songs?: Array}} changes - Already validated
+   * @returns {Object|null} The updated playlist, or null if it doesn't exist
+   */
+  update(playlistId, changes) {
+    const existing = this.get(playlistId);
+    if (!existing) return null;
+
+    this._stmts.updatePlaylist.run(
+      changes.name ?? existing.name,
+      JSON.stringify(changes.songs ?? existing.songs),
+      Date.now(),
+      playlistId
+    );
+    return this.get(playlistId);
+  }
+
+  /**
+   * Delete a playlist
+   * @param {string} playlistId
+   * @returns {boolean} whether a playlist was deleted
+   */
+  delete(playlistId) {
+    return this._stmts.deletePlaylist.run(playlistId).changes > 0;
+  }
+}
+
+// Export singleton instance sharing the game store's connection
+export const playlistStore = new PlaylistStore(gameStore.db);
@@ -0,0 +1,33 @@
+import rateLimit, { MemoryStore, ipKeyGenerator } from 'express-rate-limit';
+
+/**
+ * Profile sign-ins can be used to guess PINs, so they get a much smaller
+ * budget than other requests. The REST sign-in routes and profile checks on
+ * socket joins draw on the same per-IP budget, so switching between them or
+ * opening more connections gets no extra guesses.
+ */
+
+const WINDOW_MS = 60000; // 1 minute window
+const MAX_ATTEMPTS = 10; // 10 sign-in/create attempts per minute per IP
+
+const store = new MemoryStore();
+
+export const profileLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  max: MAX_ATTEMPTS,
+  message: { error: 'Too many sign-in attempts, please wait a moment' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  store,
+});
+
+/**
+ * Count a profile check made over a socket against its IP's budget
+ * @param {import('socket.io').Socket} socket
+ * @returns {Promise<boolean>} Whether the check may go ahead
+ */
+export async function takeProfileAttempt(socket) {
+  // Keyed like the REST limiter's default, which sees the same address
+  const { totalHits } = await store.increment(ipKeyGenerator(socket.handshake.address));
+  return totalHits <= MAX_ATTEMPTS;
+}
@@ -0,0 +1,204 @@
+import { randomUUID, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { gameStore } from './gameStore.js';
+import { log } from './logger.js';
+
+/**
+ * Optional player profiles, stored in the same SQLite database as games.
+ * A profile is a nickname plus a secret (a PIN or a key generated on the
+ * player's device) and keeps lifetime stats across games.
+ */
+class ProfileStore {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this._initTables();
+  }
+
+  // =========================
+  // DATABASE INITIALIZATION
+  // =========================
+
+  _initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS profiles (
+        profile_id TEXT PRIMARY KEY,
+        nickname TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        secret_hash TEXT NOT NULL,
+        games_played INTEGER NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        answers_total INTEGER NOT NULL DEFAULT 0,
+        answers_correct INTEGER NOT NULL DEFAULT 0,
+        fastest_correct_ms INTEGER,
+        best_streak INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    this._stmts = {
+      getProfile: this.db.prepare('SELECT * FROM profiles WHERE profile_id = ?'),
+      getProfileByNickname: this.db.prepare('SELECT * FROM profiles WHERE nickname = ?'),
+      insertProfile: this.db.prepare(
+        'INSERT INTO profiles (profile_id, nickname, secret_hash, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+      ),
+      recordGame: this.db.prepare(`
+        UPDATE profiles SET
+          games_played = games_played + 1,
+          wins = wins + ?,
+          answers_total = answers_total + ?,
+          answers_correct = answers_correct + ?,
+          fastest_correct_ms = CASE
+            WHEN ? IS NULL THEN fastest_correct_ms
+            WHEN fastest_correct_ms IS NULL OR ? < fastest_correct_ms THEN ?
+            ELSE fastest_correct_ms
+          END,
+          best_streak = MAX(best_streak, ?),
+          updated_at = ?
+        WHERE profile_id = ?
+      `),
+    };
+  }
+
+  _toProfile(row) {
+    return {
+      id: row.profile_id,
+      nickname: row.nickname,
+      stats: {
+        gamesPlayed: row.games_played,
+        wins: row.wins,
+        answersTotal: row.answers_total,
+        answersCorrect: row.answers_correct,
+        accuracy: row.answers_total > 0 ? row.answers_correct / row.answers_total : null,
+        fastestCorrectMs: row.fastest_correct_ms,
+        bestStreak: row.best_streak,
+      },
+      createdAt: row.created_at,
+    };
+  }
+
+  // =========================
+  // SECRETS
+  // =========================
+
+  _hashSecret(secret) {
+    const salt = randomBytes(16).toString('hex');
+    return `${salt}:${scryptSync(secret, salt, 32).toString('hex')}`;
+  }
+
+  _secretMatches(row, secret) {
+    const [salt, hash] = row.secret_hash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    return timingSafeEqual(scryptSync(secret, salt, expected.length), expected);
+  }
+
+  // =========================
+  // PROFILES
+  // =========================
+
+  /**
+   * Get a profile's public view
+   * @param {string} profileId
+   * @returns {Object|null}
+   */
+  get(profileId) {
+    const row = this._stmts.getProfile.get(profileId);
+    return row ? this._toProfile(row) : null;
+  }
+
+  /**
+   * Create a profile
+   * @param {{nickname: string, secret: string}} login - Already validated
+   * @returns {Object|null} The new profile, or null if the nickname is taken
+   */
+  create({ nickname, secret }) {
+    if (this._stmts.getProfileByNickname.get(nickname)) return null;
+
+    const profileId = randomUUID();
+    const now = Date.now();
+    this._stmts.insertProfile.run(profileId, nickname, this._hashSecret(secret), now, now);
+    return this.get(profileId);
+  }
+
+  /**
+   * Sign in with a nickname and secret
+   * @param {{nickname: string, secret: string}} login - Already validated
+   * @returns {Object|null} The profile, or null if the details don't match
+   */
+  authenticate({ nickname, secret }) {
+    const row = this._stmts.getProfileByNickname.get(nickname);
+    return row && this._secretMatches(row, secret) ? this._toProfile(row) : null;
+  }
+
+  /**
+   * Check a profile id and secret sent along with a game join
+   * @param {string} profileId
+   * @param {string} secret
+   * @returns {boolean}
+   */
+  verify(profileId, secret) {
+    const row = this._stmts.getProfile.get(profileId);
+    return Boolean(row) && this._secretMatches(row, secret);
+  }
+
+  // =========================
+  // LIFETIME STATS
+  // =========================
+
+  /**
+   * Add a finished game to the stats of every player who joined with a profile
+   * @param {Object} game
+   */
+  recordGame(game) {
+    const profilePlayers = game.players.filter((p) => p.profileId);
+    if (profilePlayers.length === 0) return;
+
+    // Every song that reached its reveal counts as a question, answered or not
+    const askedSongs = Array.from(game.revealedSongs || []).sort((a, b) => a - b);
+    const topScore = Math.max(...game.players.map((p) => p.score));
+    const now = Date.now();
+
+    const recordAll = this.db.transaction(() => {
+      for (const player of profilePlayers) {
+        const correct = player.answers.filter(
+          (a) => a.isCorrect && askedSongs.includes(a.songIndex)
+        );
+        // A team captain's speed isn't their teammates' speed
+        const ownCorrect = correct.filter((a) => !a.answeredBy);
+        const fastest =
+          ownCorrect.length > 0 ? Math.min(...ownCorrect.map((a) => a.responseTime)) : null;
+
+        let streak = 0;
+        let bestStreak = 0;
+        for (const songIndex of askedSongs) {
+          streak = correct.some((a) => a.songIndex === songIndex) ? streak + 1 : 0;
+          bestStreak = Math.max(bestStreak, streak);
+        }
+
+        const won = topScore > 0 && player.score === topScore ? 1 : 0;
+        this._stmts.recordGame.run(
+          won,
+          askedSongs.length,
+          correct.length,
+          fastest,
+          fastest,
+          fastest,
+          bestStreak,
+          now,
+          player.profileId
+        );
+      }
+    });
+
+    try {
+      recordAll();
+      log(`Recorded profile stats for ${profilePlayers.length} player(s) in game ${game.id}`);
+    } catch (err) {
+      console.error(`Failed to record profile stats for game ${game.id}:`, err.message);
+    }
+  }
+}
+
+// Export singleton instance sharing the game store's connection
+export const profileStore = new ProfileStore(gameStore.db);
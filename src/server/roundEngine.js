@@ -0,0 +1,850 @@
+import { gameStore } from './gameStore.js';
+import { sanitizeGameSession, generateSongOptions, getCaptainRule } from './utils/index.js';
+import { log } from './logger.js';
+import { createClipUrl, canStreamSong, pickClipStart, STREAM_LEAD_MS } from './streaming.js';
+import { catalogCoverPath } from './catalog.js';
+import { profileStore } from './profileStore.js';
+import { historyStore } from './historyStore.js';
+import { getSongAnswer, pickQuestionType } from '../shared/quizOptions.js';
+import { getDifficulty } from '../shared/difficulty.js';
+
+/**
+ * Server-authoritative round engine.
+ *
+ * Every game walks lobby → clip → answering → reveal → intermission → … →
+ * finished on timers owned by the server. The host's browser only plays audio
+ * and sends override commands, so a stalled or backgrounded host tab can no
+ * longer freeze the round for everyone.
+ *
+ * When `settings.autoplayEnabled` is off the engine parks at the end of each
+ * intermission until the host advances with `nextSong`.
+ *
+ * In buzzer games (`settings.buzzerMode`) players buzz in during the clip or
+ * the answer window. The first buzz the server receives pauses the song and
+ * gives that player alone a buzzer phase to answer in; a wrong answer locks
+ * them out and hands the song back to everyone else.
+ */
+
+export const PHASES = Object.freeze({
+  LOBBY: 'lobby',
+  CLIP: 'clip',
+  ANSWERING: 'answering',
+  BUZZER: 'buzzer',
+  REVEAL: 'reveal',
+  INTERMISSION: 'intermission',
+  FINISHED: 'finished',
+});
+
+// Matches the host UI's reveal (2.5s) → scoreboard (6s total) animation timing
+const REVEAL_MS = 2500;
+const INTERMISSION_MS = 3500;
+
+// =========================
+// ROUND STATE
+// =========================
+
+/**
+ * Create a fresh round state for a game sitting in the lobby
+ * @returns {Object}
+ */
+export function createRoundState() {
+  return {
+    phase: PHASES.LOBBY,
+    songIndex: 0,
+    startedAt: null,
+    endsAt: null,
+    paused: false,
+    remainingMs: null,
+    waitingForHost: false,
+    // The host asked for the next song while the answer was still showing
+    advanceQueued: false,
+    clip: null,
+    buzz: null,
+  };
+}
+
+/**
+ * Public view of a game's round, safe to send to any client
+ * @param {Object} game
+ * @returns {Object}
+ */
+export function getRoundSnapshot(game) {
+  const round = game.round || createRoundState();
+  return {
+    phase: round.phase,
+    songIndex: round.songIndex,
+    endsAt: round.endsAt,
+    paused: round.paused,
+    remainingMs: round.paused ? round.remainingMs : remainingTime(round),
+    waitingForHost: round.waitingForHost,
+    serverTime: Date.now(),
+  };
+}
+
+function remainingTime(round) {
+  if (!round.endsAt) return null;
+  return Math.max(0, round.endsAt - Date.now());
+}
+
+/**
+ * Cancel any pending phase timer for a game
+ * @param {Object} game
+ */
+export function stopRounds(game) {
+  if (game.roundTimer) {
+    clearTimeout(game.roundTimer);
+    game.roundTimer = null;
+  }
+}
+
+/**
+ * Move the game into a phase and (optionally) schedule its timeout
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @param {string} phase
+ * @param {number|null} durationMs - null parks the engine until a command arrives
+ */
+function enterPhase(io, game, phase, durationMs) {
+  stopRounds(game);
+
+  const now = Date.now();
+  game.round = {
+    ...(game.round || createRoundState()),
+    phase,
+    songIndex: game.currentSong,
+    startedAt: now,
+    endsAt: durationMs === null ? null : now + durationMs,
+    paused: false,
+    remainingMs: null,
+    waitingForHost: false,
+    advanceQueued: false,
+  };
+
+  if (durationMs !== null) {
+    scheduleTimeout(io, game, durationMs);
+  }
+
+  gameStore.persist(game.id);
+  io.to(game.id).emit('roundPhase', getRoundSnapshot(game));
+}
+
+function scheduleTimeout(io, game, delayMs) {
+  const { phase, songIndex } = game.round;
+  game.roundTimer = setTimeout(() => {
+    game.roundTimer = null;
+    // Ignore timers that outlived the phase they were set for
+    if (!gameStore.has(game.id)) return;
+    if (game.round.phase !== phase || game.round.songIndex !== songIndex) return;
+    // A phase change that throws (a bad song, say) must not take the server,
+    // and every other game, down with it
+    try {
+      onPhaseTimeout(io, game);
+    } catch (error) {
+      console.error(`Error in ${phase} timer for game ${game.id}:`, error);
+      try {
+        waitForHost(io, game);
+      } catch (parkError) {
+        console.error(`Error parking game ${game.id}:`, parkError);
+      }
+    }
+  }, delayMs);
+}
+
+/**
+ * Stop the clock between songs until the host moves the game on
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+function waitForHost(io, game) {
+  stopRounds(game);
+  game.round = {
+    ...game.round,
+    phase: PHASES.INTERMISSION,
+    endsAt: null,
+    paused: false,
+    remainingMs: null,
+    waitingForHost: true,
+  };
+  gameStore.persist(game.id);
+  io.to(game.id).emit('roundPhase', getRoundSnapshot(game));
+}
+
+function onPhaseTimeout(io, game) {
+  switch (game.round.phase) {
+    case PHASES.CLIP:
+      openAnswering(io, game);
+      break;
+    case PHASES.ANSWERING:
+      io.to(game.id).emit('answerTimeExpired', {
+        songIndex: game.currentSong,
+        gameSession: sanitizeGameSession(game),
+      });
+      revealAnswer(io, game);
+      break;
+    case PHASES.BUZZER:
+      releaseBuzz(io, game);
+      break;
+    case PHASES.REVEAL:
+      if (game.round.advanceQueued) {
+        advanceSong(io, game);
+      } else {
+        enterPhase(io, game, PHASES.INTERMISSION, INTERMISSION_MS);
+      }
+      break;
+    case PHASES.INTERMISSION:
+      if (game.settings.autoplayEnabled) {
+        advanceSong(io, game);
+      } else {
+        waitForHost(io, game);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+// =========================
+// PHASE TRANSITIONS
+// =========================
+
+/**
+ * Start the first round of a game that has just left the lobby
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function startRounds(io, game) {
+  game.round = createRoundState();
+  startClip(io, game, 0);
+}
+
+/**
+ * Begin playing the clip for a song
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @param {number} songIndex
+ */
+function startClip(io, game, songIndex) {
+  game.currentSong = songIndex;
+
+  const clipDuration = game.settings.clipDuration;
+  const song = game.songs[songIndex];
+  const streamed = Boolean(game.settings.streamToPlayers) && canStreamSong(song);
+  // Streamed clips start a moment later so every device has time to buffer
+  const leadMs = streamed ? STREAM_LEAD_MS : 0;
+
+  const { clipPosition } = getDifficulty(game.settings.difficulty);
+  const startOffset = pickClipStart(song, clipDuration, clipPosition) ?? (streamed ? 0 : null);
+
+  enterPhase(io, game, PHASES.CLIP, leadMs + clipDuration * 1000);
+
+  game.round.clip = {
+    startOffset,
+    startAt: game.round.startedAt + leadMs,
+    clipUrl: streamed ? createClipUrl(game, song, startOffset, clipDuration) : null,
+  };
+  game.round.buzz = game.settings.buzzerMode ? createBuzzState() : null;
+
+  io.to(game.id).emit('songPlaying', {
+    songIndex,
+    clipDuration,
+    // Lets the host pick the same kind of start when the server doesn't know the song's length
+    clipPosition,
+    endsAt: game.round.endsAt,
+    ...game.round.clip,
+    serverTime: Date.now(),
+  });
+
+  log(`Game ${game.id}: clip ${songIndex + 1} playing`);
+}
+
+/**
+ * Pick the current song's question type and build its options, once per song
+ * @param {Object} game
+ * @returns {boolean} false when a multiple-choice song has no options to show
+ */
+function prepareQuestion(game) {
+  const songIndex = game.currentSong;
+
+  // Each round asks one thing about its song; 'mixed' games vary it per round
+  if (!game.questionTypes) game.questionTypes = {};
+  if (!game.questionTypes[songIndex]) {
+    game.questionTypes[songIndex] = pickQuestionType(
+      game.settings.questionType,
+      game.songs[songIndex]
+    );
+  }
+
+  // Typed answers are matched against the song itself; no options to show
+  if (game.settings.answerMode === 'text') return true;
+
+  // Options are built just before they are shown, from the server's own song data
+  if (!game.kahootOptions) game.kahootOptions = {};
+  if (!game.kahootOptions[songIndex]) {
+    let songOptions = generateSongOptions(game, songIndex, game.questionTypes[songIndex]);
+    // Too few different artists or albums in the game to choose from: ask for the title
+    if (
+      songOptions &&
+      songOptions.options.length < 2 &&
+      game.questionTypes[songIndex] !== 'title'
+    ) {
+      game.questionTypes[songIndex] = 'title';
+      songOptions = generateSongOptions(game, songIndex);
+    }
+    game.kahootOptions[songIndex] = songOptions;
+  }
+  return Boolean(game.kahootOptions[songIndex]);
+}
+
+/**
+ * The question for the current song as players see it (kahootOptions payload)
+ * @param {Object} game
+ * @returns {Object}
+ */
+function getQuestion(game) {
+  const songIndex = game.currentSong;
+  const question = {
+    questionType: game.questionTypes[songIndex],
+    songIndex,
+    answerTime: game.settings.answerTime,
+    endsAt: game.round.endsAt,
+  };
+
+  if (game.settings.answerMode === 'text') {
+    return { options: [], answerMode: 'text', ...question };
+  }
+  // Option texts only; the correct index stays on the server until reveal
+  return { options: game.kahootOptions[songIndex].options.map((text) => ({ text })), ...question };
+}
+
+/**
+ * The question players are answering right now, for a display or player
+ * that arrives mid-song
+ * @param {Object} game
+ * @returns {Object|null} kahootOptions payload, or null outside an open answer window
+ */
+export function getCurrentQuestion(game) {
+  if (game.round?.phase !== PHASES.ANSWERING || game.round.buzz) return null;
+  if (!game.questionTypes?.[game.currentSong]) return null;
+  if (game.settings.answerMode !== 'text' && !game.kahootOptions?.[game.currentSong]) return null;
+  return getQuestion(game);
+}
+
+/**
+ * Everything a client arriving mid-song needs to pick the round up: the
+ * phase and its time left, the question if the answer window is open, the
+ * buzzes so far and how many have answered
+ * @param {Object} game
+ * @returns {{round: Object, question: Object|null, buzz: Object|null, answeredCount: number}}
+ */
+export function getCatchUpSnapshot(game) {
+  return {
+    round: getRoundSnapshot(game),
+    question: getCurrentQuestion(game),
+    buzz: game.round?.buzz ? getBuzzSnapshot(game) : null,
+    answeredCount: game.players.filter((p) =>
+      p.answers.some((a) => a.songIndex === game.currentSong)
+    ).length,
+  };
+}
+
+/**
+ * Open the answer window for the current song
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function openAnswering(io, game) {
+  const songIndex = game.currentSong;
+
+  if (!prepareQuestion(game)) {
+    console.warn(`Game ${game.id} song ${songIndex} has no options; skipping to reveal`);
+    revealAnswer(io, game);
+    return;
+  }
+
+  enterPhase(io, game, PHASES.ANSWERING, game.settings.answerTime * 1000);
+
+  // Buzzer games only show the question to whoever holds the buzz
+  if (game.round.buzz) {
+    log(`Buzzing still open for song ${songIndex + 1} in game ${game.id}`);
+    return;
+  }
+
+  io.to(game.id).emit('kahootOptions', getQuestion(game));
+
+  log(
+    game.settings.answerMode === 'text'
+      ? `Answer box opened for song ${songIndex + 1} in game ${game.id}`
+      : `Options shown for song ${songIndex + 1} in game ${game.id}`
+  );
+}
+
+/**
+ * Reveal the correct answer for the current song
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function revealAnswer(io, game) {
+  const songIndex = game.currentSong;
+
+  if (!game.revealedSongs) game.revealedSongs = new Set();
+  if (game.revealedSongs.has(songIndex)) return;
+  game.revealedSongs.add(songIndex);
+
+  enterPhase(io, game, PHASES.REVEAL, REVEAL_MS);
+
+  io.to(game.id).emit('revealAnswers', {
+    ...getRevealedAnswer(game, songIndex),
+    gameSession: sanitizeGameSession(game),
+  });
+
+  log(`Answer revealed for game ${game.id} song ${songIndex + 1}`);
+}
+
+/**
+ * The answer to a song and how players answered it, as revealed to everyone
+ * @param {Object} game
+ * @param {number} songIndex
+ * @returns {Object} revealAnswers payload without the game session
+ */
+export function getRevealedAnswer(game, songIndex) {
+  const song = game.songs[songIndex];
+  const songOptions = game.kahootOptions?.[songIndex];
+  const correctIndex =
+    typeof songOptions?.correctIndex === 'number' ? songOptions.correctIndex : -1;
+  const title = song?.metadata?.title || 'Unknown';
+  const questionType = game.questionTypes?.[songIndex] || 'title';
+  // Typed-answer rounds have no options; their answer comes from the song itself
+  const correctAnswer =
+    correctIndex >= 0 ? songOptions.options[correctIndex] : getSongAnswer(song, questionType);
+
+  // How many players picked each option (captains' teammates aside), for the display's bars
+  const answerCounts =
+    correctIndex >= 0
+      ? songOptions.options.map(
+          (_, index) =>
+            game.players.filter((p) =>
+              p.answers.some(
+                (a) => a.songIndex === songIndex && !a.answeredBy && a.selectedOption === index
+              )
+            ).length
+        )
+      : null;
+
+  return {
+    songIndex,
+    title,
+    artist: song?.metadata?.artist || '',
+    questionType,
+    correctAnswer,
+    correctIndex,
+    answerCounts,
+    coverUrl: song?.catalogId ? catalogCoverPath(song.catalogId) : null,
+  };
+}
+
+/**
+ * Move on to the next song as soon as the current reveal ends
+ * @param {Object} game
+ */
+export function queueAdvance(game) {
+  game.round.advanceQueued = true;
+  gameStore.persist(game.id);
+}
+
+/**
+ * Move on to the next song, or finish the game after the last one
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function advanceSong(io, game) {
+  const nextSongIndex = (game.currentSong || 0) + 1;
+
+  if (nextSongIndex >= game.songs.length) {
+    finishGame(io, game);
+    return;
+  }
+
+  game.currentSong = nextSongIndex;
+  io.to(game.id).emit('songChanged', {
+    songIndex: nextSongIndex,
+    gameSession: sanitizeGameSession(game),
+    clipDuration: game.settings.clipDuration,
+  });
+
+  startClip(io, game, nextSongIndex);
+  log(`Game ${game.id} moved to song ${nextSongIndex + 1}`);
+}
+
+/**
+ * End the game for everyone
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function finishGame(io, game) {
+  stopRounds(game);
+  game.state = 'finished';
+  game.round = { ...(game.round || createRoundState()), phase: PHASES.FINISHED, endsAt: null };
+
+  // A game can be ended twice (host endGame racing the last reveal); record it once
+  if (!game.resultsRecorded) {
+    game.resultsRecorded = true;
+    historyStore.archive(game);
+    profileStore.recordGame(game);
+  }
+  gameStore.persist(game.id);
+
+  io.to(game.id).emit('gameEnded', {
+    gameSession: sanitizeGameSession(game),
+  });
+
+  log(`Game ${game.id} finished`);
+}
+
+/**
+ * Put a game back into the lobby phase (play-again / reset)
+ * @param {Object} game
+ */
+export function resetRounds(game) {
+  stopRounds(game);
+  game.round = createRoundState();
+}
+
+// =========================
+// BUZZER
+// =========================
+
+/**
+ * Buzz state for one song. Entries are {playerId, playerName, receivedAt,
+ * listenedMs}: listenedMs is how long the song had played when the server
+ * received the buzz, which is what a winning buzz is scored on.
+ * @returns {Object}
+ */
+function createBuzzState() {
+  return {
+    holder: null,
+    queue: [],
+    lockedOut: [],
+    // Phase and time left that the song goes back to after a wrong answer
+    resume: null,
+    pausedAt: null,
+    pausedMs: 0,
+  };
+}
+
+/**
+ * Public view of the current song's buzzes, safe to send to any client
+ * @param {Object} game
+ * @returns {Object}
+ */
+export function getBuzzSnapshot(game) {
+  const round = game.round || createRoundState();
+  const buzz = round.buzz || createBuzzState();
+  return {
+    songIndex: game.currentSong,
+    holder: buzz.holder,
+    queue: buzz.queue,
+    lockedOut: buzz.lockedOut,
+    endsAt: round.phase === PHASES.BUZZER ? round.endsAt : null,
+    serverTime: Date.now(),
+  };
+}
+
+/**
+ * Whether a player may buzz at all: in captain games only captains do
+ * @param {Object} game
+ * @param {Object} player
+ * @returns {boolean}
+ */
+function canBuzz(game, player) {
+  if (player.isHost) return false;
+  const captainRule = getCaptainRule(game, player);
+  return !captainRule || captainRule.captainId === player.id;
+}
+
+/**
+ * Take a player's buzz. Buzzes are ordered by when the server received them:
+ * the first gets the answer window, later ones queue behind it.
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @param {Object} player
+ * @returns {string|null} Why the buzz was refused, or null when it was taken
+ */
+export function buzzIn(io, game, player) {
+  const round = game.round;
+  const buzz = round?.buzz;
+  if (!buzz || ![PHASES.CLIP, PHASES.ANSWERING, PHASES.BUZZER].includes(round.phase))
+    return 'buzzer_closed';
+  if (round.paused) return 'game_paused';
+  if (!canBuzz(game, player)) return 'captain_answers';
+
+  const hasBuzzed = (entry) => entry?.playerId === player.id;
+  if (buzz.lockedOut.some(hasBuzzed)) return 'locked_out';
+  if (hasBuzzed(buzz.holder) || buzz.queue.some(hasBuzzed)) return 'already_buzzed';
+
+  const now = Date.now();
+  // Time spent paused (including a pause still going on) doesn't count as listening
+  const pausedMs = buzz.pausedMs + (buzz.pausedAt ? now - buzz.pausedAt : 0);
+  const entry = {
+    playerId: player.id,
+    playerName: player.name,
+    receivedAt: now,
+    listenedMs: Math.max(0, now - (round.clip?.startAt ?? now) - pausedMs),
+  };
+
+  if (buzz.holder) {
+    buzz.queue.push(entry);
+    gameStore.persist(game.id);
+    io.to(game.id).emit('buzzQueued', getBuzzSnapshot(game));
+    return null;
+  }
+
+  grantBuzz(io, game, entry);
+  return null;
+}
+
+/**
+ * Pause the song and give one player the answer window
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @param {Object} entry - The buzz being granted
+ */
+function grantBuzz(io, game, entry) {
+  const round = game.round;
+  const buzz = round.buzz;
+
+  if (!prepareQuestion(game)) {
+    console.warn(`Game ${game.id} song ${game.currentSong} has no options; skipping to reveal`);
+    revealAnswer(io, game);
+    return;
+  }
+
+  // Passing the buzz down the queue keeps the song where it was first paused
+  if (round.phase !== PHASES.BUZZER) {
+    buzz.resume = { phase: round.phase, remainingMs: remainingTime(round) ?? 0 };
+    buzz.pausedAt = Date.now();
+  }
+  buzz.holder = entry;
+
+  enterPhase(io, game, PHASES.BUZZER, game.settings.answerTime * 1000);
+
+  io.to(game.id).emit('buzzed', getBuzzSnapshot(game));
+  io.to(entry.playerId).emit('kahootOptions', getQuestion(game));
+
+  log(`${entry.playerName} buzzed in on song ${game.currentSong + 1} in game ${game.id}`);
+}
+
+/**
+ * Lock out the player holding the buzz after a wrong or missing answer. The
+ * next queued buzz gets the window; with no queue the song carries on for
+ * everyone else, and once nobody is left to buzz the answer is revealed.
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function releaseBuzz(io, game) {
+  const round = game.round;
+  const buzz = round?.buzz;
+  if (round?.phase !== PHASES.BUZZER || !buzz?.holder) return;
+
+  const { playerName } = buzz.holder;
+  buzz.lockedOut.push(buzz.holder);
+  buzz.holder = null;
+
+  const next = buzz.queue.shift();
+  if (next) {
+    grantBuzz(io, game, next);
+    return;
+  }
+
+  buzz.pausedMs += Date.now() - buzz.pausedAt;
+  buzz.pausedAt = null;
+
+  const stillIn = game.players.filter(
+    (p) => canBuzz(game, p) && !buzz.lockedOut.some((entry) => entry.playerId === p.id)
+  );
+  if (stillIn.length === 0) {
+    revealAnswer(io, game);
+    return;
+  }
+
+  const { phase, remainingMs } = buzz.resume;
+  buzz.resume = null;
+  enterPhase(io, game, phase, remainingMs);
+
+  io.to(game.id).emit('buzzReleased', { ...getBuzzSnapshot(game), phase, remainingMs });
+  log(`${playerName} is locked out of song ${game.currentSong + 1} in game ${game.id}`);
+}
+
+// =========================
+// ANSWER TIMING
+// =========================
+
+/**
+ * Time left in the current phase, paused or not
+ * @param {Object} round
+ * @returns {number}
+ */
+function phaseTimeLeft(round) {
+  return (round.paused ? round.remainingMs : remainingTime(round)) ?? 0;
+}
+
+/**
+ * Start a player's answer clock now rather than when the window opened,
+ * for a player who was shown the open question late (a late joiner)
+ * @param {Object} game
+ * @param {Object} player
+ */
+export function markQuestionSent(game, player) {
+  if (!getCurrentQuestion(game)) return;
+  player.questionSent = { songIndex: game.currentSong, remainingMs: phaseTimeLeft(game.round) };
+}
+
+/**
+ * How long a player took to answer, timed by the server: from when the
+ * options went out to them until their answer arrived, less their socket's
+ * round trip. Time spent paused doesn't count.
+ * @param {Object} game
+ * @param {Object} player
+ * @param {number} roundTripMs
+ * @returns {number} ms, between 0 and the answer time
+ */
+export function measureResponseTime(game, player, roundTripMs) {
+  const windowMs = game.settings.answerTime * 1000;
+  const sentWithMs =
+    player.questionSent?.songIndex === game.currentSong
+      ? player.questionSent.remainingMs
+      : windowMs;
+  const taken = sentWithMs - phaseTimeLeft(game.round) - roundTripMs;
+  return Math.min(windowMs, Math.max(0, taken));
+}
+
+// =========================
+// HOST COMMANDS
+// =========================
+
+/**
+ * Freeze the current phase timer, keeping the time that was left
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @returns {boolean} whether the game was paused
+ */
+export function pauseRounds(io, game) {
+  const round = game.round;
+  if (!round || round.paused || !round.endsAt) return false;
+
+  stopRounds(game);
+  round.paused = true;
+  round.remainingMs = remainingTime(round);
+  round.endsAt = null;
+  // The song isn't being listened to while paused; a held buzz already stopped the clock
+  if (round.buzz && !round.buzz.pausedAt) round.buzz.pausedAt = Date.now();
+
+  gameStore.persist(game.id);
+  io.to(game.id).emit('roundPhase', getRoundSnapshot(game));
+  return true;
+}
+
+/**
+ * Restart a paused phase timer with the time that was left
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ * @returns {boolean} whether the game was resumed
+ */
+export function resumeRounds(io, game) {
+  const round = game.round;
+  if (!round || !round.paused) return false;
+
+  const remaining = round.remainingMs ?? 0;
+  round.paused = false;
+  round.remainingMs = null;
+  round.endsAt = Date.now() + remaining;
+  scheduleTimeout(io, game, remaining);
+  if (round.buzz?.pausedAt && round.phase !== PHASES.BUZZER) {
+    round.buzz.pausedMs += Date.now() - round.buzz.pausedAt;
+    round.buzz.pausedAt = null;
+  }
+
+  gameStore.persist(game.id);
+  io.to(game.id).emit('roundPhase', getRoundSnapshot(game));
+  return true;
+}
+
+/**
+ * Skip whatever phase is running and start the next song. A song skipped
+ * before its answer was revealed is void (a broken track, say): nobody keeps
+ * points for it and it isn't counted in the results or anyone's stats.
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function skipSong(io, game) {
+  stopRounds(game);
+  if (!game.revealedSongs?.has(game.currentSong)) {
+    voidSong(io, game);
+  }
+  advanceSong(io, game);
+}
+
+/**
+ * Take back the points for the current song's answers
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+function voidSong(io, game) {
+  const songIndex = game.currentSong;
+  game.players.forEach((player) => {
+    player.answers.forEach((answer) => {
+      if (answer.songIndex !== songIndex) return;
+      player.score -= answer.points;
+      answer.points = 0;
+      answer.voided = true;
+    });
+  });
+
+  io.to(game.id).emit('songVoided', {
+    songIndex,
+    gameSession: sanitizeGameSession(game),
+  });
+  log(`Song ${songIndex + 1} in game ${game.id} skipped and voided`);
+}
+
+/**
+ * Jump the current song forward by one phase (host override)
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function advancePhase(io, game) {
+  switch (game.round?.phase) {
+    case PHASES.CLIP:
+      openAnswering(io, game);
+      break;
+    case PHASES.ANSWERING:
+    case PHASES.BUZZER:
+      revealAnswer(io, game);
+      break;
+    case PHASES.REVEAL:
+    case PHASES.INTERMISSION:
+      advanceSong(io, game);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Restart the current phase timer if it was lost (e.g. after a server restart
+ * restored the game from SQLite without its in-memory timers)
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function ensureRoundsRunning(io, game) {
+  if (game.state !== 'playing' || game.roundTimer) return;
+  const round = game.round;
+  if (!round || round.paused || round.waitingForHost) return;
+
+  if (round.phase === PHASES.LOBBY) {
+    startClip(io, game, game.currentSong || 0);
+    return;
+  }
+
+  const remaining = round.endsAt ? Math.max(0, round.endsAt - Date.now()) : 0;
+  scheduleTimeout(io, game, remaining);
+}
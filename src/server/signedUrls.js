@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+
+/**
+ * Signed, expiring URLs for media the server only hands to the host: whole
+ * uploaded songs and catalog audio. The signature covers the path and the
+ * expiry, so a URL can't be pointed at another song or kept for later.
+ */
+
+// Long enough for a host to set up and play a long game
+export const MEDIA_URL_TTL_MS = 12 * 60 * 60 * 1000;
+
+function sign(pathname, expires) {
+  return crypto
+    .createHmac('sha256', config.streamSecret)
+    .update(`${pathname}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Sign a media path
+ * @param {string} pathname - URL path, already encoded
+ * @param {number} [ttlMs]
+ * @returns {string} The path with expires and sig query parameters
+ */
+export function signPath(pathname, ttlMs = MEDIA_URL_TTL_MS) {
+  const expires = Date.now() + ttlMs;
+  return `${pathname}?${new URLSearchParams({ expires: String(expires), sig: sign(pathname, expires) })}`;
+}
+
+/**
+ * Check a request's signature and expiry
+ * @param {string} pathname - Request path as received, still encoded
+ * @param {Object} query - expires, sig
+ * @returns {boolean}
+ */
+export function verifySignedPath(pathname, query) {
+  const expires = Number(query.expires);
+  if (typeof query.sig !== 'string' || !Number.isFinite(expires) || expires < Date.now())
+    return false;
+
+  const expected = Buffer.from(sign(pathname, query.expires));
+  const actual = Buffer.from(query.sig);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
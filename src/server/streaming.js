@@ -0,0 +1,322 @@
+// Shared-audio "stream to players" support.
+//
+// When a game streams, the host's selected tracks are uploaded to /uploads
+// before the game is created, or come from the server's song catalog. For
+// every clip the round engine picks the start offset and hands players a
+// short-lived signed URL instead of a file path, so a URL copied out of one
+// round stops working shortly after the clip ends. The URL serves only the
+// clip's bytes (see clipExtractor.js), never the file, and names the song by
+// a random id that only means something in its game.
+//
+// Whole songs are only signed for the host of a game, whose device plays
+// them; single-player games get server-cut clips like players do.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseFile } from 'music-metadata';
+
+import { config } from './config.js';
+import { gameStore } from './gameStore.js';
+import { extractClip, canExtractClip } from './clipExtractor.js';
+import { fetchCatalogAudio, catalogStreamPath, catalogCoverPath } from './catalog.js';
+import { getCatalogSong } from './subsonic.js';
+import { signPath } from './signedUrls.js';
+import { pickClipOffset } from '../shared/difficulty.js';
+
+// How long a clip URL stays valid after the clip should have finished
+const URL_GRACE_MS = 30000;
+
+// Time players get to fetch and buffer the clip before playback starts
+export const STREAM_LEAD_MS = 1500;
+
+// Matches the longest clip duration validateGameSettings allows
+const MAX_CLIP_SECONDS = 60;
+
+// Every player fetches the same clip at once; keep the last few cut clips
+const CLIP_CACHE_SIZE = 8;
+const clipCache = new Map();
+
+// Clip source ids of catalog songs carry this prefix; all others are upload filenames
+const CATALOG_PREFIX = 'catalog:';
+
+// Single-player clips belong to no game; their URLs use this in place of a game id
+const SOLO_GAME_ID = 'solo';
+const soloClips = new Map(); // clipId -> { sourceId, expires }
+
+// =========================
+// SIGNED CLIP URLS
+// =========================
+
+function sign(clipPath, start, duration, expires) {
+  return crypto
+    .createHmac('sha256', config.streamSecret)
+    .update(`${clipPath}:${start}:${duration}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Random id a game's clips of a song go by, so a clip URL says nothing about
+ * which file or catalog song it was cut from
+ * @param {Object} song - Entry from game.songs
+ * @returns {string}
+ */
+function getClipId(song) {
+  if (!song.clipId) song.clipId = crypto.randomUUID();
+  return song.clipId;
+}
+
+/**
+ * Sign a clip path for one clip's start and length
+ * @param {string} clipPath - gameId/clipId
+ * @param {number} start - Start offset in seconds
+ * @param {number} duration - Clip length in seconds
+ * @param {number} expires - ms timestamp
+ * @returns {string}
+ */
+function signClipUrl(clipPath, start, duration, expires) {
+  const params = new URLSearchParams({
+    start: String(start),
+    duration: String(duration),
+    expires: String(expires),
+    sig: sign(clipPath, start, duration, expires),
+  });
+  return `/api/clip/${clipPath}?${params}`;
+}
+
+/**
+ * Create a signed, expiring /api/clip URL for one clip of a game's song
+ * @param {Object} game
+ * @param {Object} song - Entry from game.songs
+ * @param {number} start - Start offset in seconds
+ * @param {number} duration - Clip length in seconds
+ * @returns {string}
+ */
+export function createClipUrl(game, song, start, duration) {
+  const expires = Date.now() + STREAM_LEAD_MS + duration * 1000 + URL_GRACE_MS;
+  return signClipUrl(`${game.id}/${getClipId(song)}`, start, duration, expires);
+}
+
+/**
+ * Create a clip URL of an uploaded or catalog song for a single-player game,
+ * starting where the difficulty's clip position says
+ * @param {{filename?: string, catalogId?: string}} song
+ * @param {number} duration - Clip length in seconds
+ * @param {string} clipPosition - 'chorus', 'random' or 'intro'
+ * @returns {Promise<string|null>} null if no clip can be cut from the song
+ */
+export async function createSoloClipUrl(song, duration, clipPosition) {
+  const sourceId = getClipSourceId(song);
+  if (!sourceId || !canExtractClip(sourceId)) return null;
+
+  await readSongDuration(song);
+  const start = pickClipStart(song, duration, clipPosition) ?? 0;
+
+  const now = Date.now();
+  soloClips.forEach((clip, id) => {
+    if (clip.expires < now) soloClips.delete(id);
+  });
+
+  // Long enough to replay the clip while the player thinks it over
+  const expires = now + duration * 1000 + URL_GRACE_MS * 4;
+  const clipId = crypto.randomUUID();
+  soloClips.set(clipId, { sourceId, expires });
+  return signClipUrl(`${SOLO_GAME_ID}/${clipId}`, start, duration, expires);
+}
+
+/**
+ * Check a clip request's signature and expiry
+ * @param {string} gameId
+ * @param {string} clipId
+ * @param {Object} query - start, duration, expires, sig
+ * @returns {{start: number, duration: number}|null}
+ */
+export function verifyClipRequest(gameId, clipId, query) {
+  const start = Number(query.start);
+  const duration = Number(query.duration);
+  const expires = Number(query.expires);
+  if (typeof query.sig !== 'string' || !Number.isFinite(expires) || expires < Date.now())
+    return null;
+  if (!(start >= 0) || !(duration > 0 && duration <= MAX_CLIP_SECONDS)) return null;
+
+  const expected = Buffer.from(
+    sign(`${gameId}/${clipId}`, query.start, query.duration, query.expires)
+  );
+  const actual = Buffer.from(query.sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { start, duration };
+}
+
+// =========================
+// SONG FILES
+// =========================
+
+/**
+ * Resolve the uploaded file backing a game song
+ * @param {Object} song - Entry from game.songs
+ * @returns {string|null} Absolute path, or null if the song was not uploaded
+ */
+export function resolveSongFile(song) {
+  if (!song?.filename) return null;
+
+  // Only ever look inside the uploads directory
+  const filePath = path.join(config.uploadsDir, path.basename(song.filename));
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Id a song's clips are cut from: its upload filename, or its catalog id
+ * @param {Object} song - Entry from game.songs
+ * @returns {string|null}
+ */
+export function getClipSourceId(song) {
+  if (resolveSongFile(song)) return song.filename;
+  if (song?.catalogId && getCatalogSong(song.catalogId)) return CATALOG_PREFIX + song.catalogId;
+  return null;
+}
+
+/**
+ * Source id of the song a game's clip id stands for
+ * @param {string} gameId
+ * @param {string} clipId
+ * @returns {string|null}
+ */
+export function findClipSource(gameId, clipId) {
+  if (gameId === SOLO_GAME_ID) return soloClips.get(clipId)?.sourceId || null;
+
+  const song = gameStore.get(gameId)?.songs?.find((s) => s.clipId === clipId);
+  return song ? getClipSourceId(song) : null;
+}
+
+/**
+ * Signed URLs the host of a game plays its whole songs from. Only ever sent
+ * to the host's socket.
+ * @param {Object} game
+ * @returns {Array<string|null>} One per song; null for songs only on the host's device
+ */
+export function getHostSongUrls(game) {
+  return (game.songs || []).map((song) => {
+    if (resolveSongFile(song))
+      return signPath(`/api/audio/${encodeURIComponent(path.basename(song.filename))}`);
+    if (song.catalogId && getCatalogSong(song.catalogId)) return catalogStreamPath(song.catalogId);
+    return null;
+  });
+}
+
+/**
+ * Send the host the URLs of the game's whole songs
+ * @param {import('socket.io').Server} io
+ * @param {Object} game
+ */
+export function sendHostSongUrls(io, game) {
+  if (!game.hostId) return;
+  io.to(game.hostId).emit('hostSongUrls', { songUrls: getHostSongUrls(game) });
+}
+
+/**
+ * Signed cover art URL of a saved playlist song
+ * @param {Object} song - Playlist song
+ * @returns {string|null}
+ */
+export function getSongCoverUrl(song) {
+  return song.catalogId ? catalogCoverPath(song.catalogId) : null;
+}
+
+/**
+ * Read durations of a game's songs so clip offsets can be chosen
+ * server-side
+ * @param {Array<Object>} songs
+ */
+export async function probeSongDurations(songs) {
+  for (const song of songs) {
+    await readSongDuration(song);
+  }
+}
+
+/**
+ * Fill in a song's duration from the catalog or its uploaded file, if not known yet
+ * @param {Object} song
+ */
+async function readSongDuration(song) {
+  if (song.duration) return;
+
+  if (song.catalogId) {
+    song.duration = getCatalogSong(song.catalogId)?.duration || undefined;
+    return;
+  }
+
+  const filePath = resolveSongFile(song);
+  if (!filePath) return;
+
+  try {
+    const metadata = await parseFile(filePath, { duration: true, skipCovers: true });
+    if (metadata.format.duration) {
+      song.duration = metadata.format.duration;
+    }
+  } catch (err) {
+    console.warn(`Could not read duration of ${song.filename}:`, err.message);
+  }
+}
+
+/**
+ * Pick a clip start that keeps the whole clip inside the song
+ * @param {Object} song
+ * @param {number} clipDuration - seconds
+ * @param {string} [clipPosition='random'] - 'chorus', 'random' or 'intro' (see DIFFICULTIES)
+ * @returns {number|null} Offset in seconds, or null when the length is unknown
+ */
+export function pickClipStart(song, clipDuration, clipPosition = 'random') {
+  if (!song?.duration) return null;
+  return pickClipOffset(song.duration, clipDuration, clipPosition);
+}
+
+/**
+ * Whether players can be streamed clips of this song
+ * @param {Object} song
+ * @returns {boolean}
+ */
+export function canStreamSong(song) {
+  const sourceId = getClipSourceId(song);
+  return Boolean(sourceId) && canExtractClip(sourceId);
+}
+
+/**
+ * Read the whole audio a clip id refers to
+ * @param {string} songId - Upload filename or catalog clip id
+ * @returns {Promise<Buffer|null>}
+ */
+async function readClipSource(songId) {
+  if (songId.startsWith(CATALOG_PREFIX)) {
+    return fetchCatalogAudio(songId.slice(CATALOG_PREFIX.length));
+  }
+
+  const filePath = resolveSongFile({ filename: songId });
+  return filePath ? fs.promises.readFile(filePath) : null;
+}
+
+/**
+ * Cut (or fetch from cache) a clip of an uploaded file or catalog song
+ * @param {string} songId - Upload filename or catalog clip id
+ * @param {number} start - seconds
+ * @param {number} duration - seconds
+ * @returns {Promise<{data: Buffer, contentType: string}|null>}
+ */
+export async function getClip(songId, start, duration) {
+  const key = `${songId}:${start}:${duration}`;
+  if (clipCache.has(key)) return clipCache.get(key);
+
+  const source = await readClipSource(songId);
+  if (!source) return null;
+
+  const clip = extractClip(source, songId, start, duration);
+  if (clip) {
+    clipCache.set(key, clip);
+    if (clipCache.size > CLIP_CACHE_SIZE) {
+      clipCache.delete(clipCache.keys().next().value);
+    }
+  }
+  return clip;
+}
@@ -175,6 +175,108 @@ function albumSummary() {
   };
 }
 
+// =========================
+// CATALOG ACCESS
+// =========================
+// Shared by the Subsonic endpoints below and the quiz's /api/catalog routes,
+// which let hosts build games from the catalog without Subsonic credentials.
+
+/**
+ * Albums in the catalog (currently the single JW album, if it has songs)
+ * @returns {Array<Object>}
+ */
+export function getCatalogAlbums() {
+  refreshCache();
+  return cache.songs.length > 0 ? [albumSummary()] : [];
+}
+
+/**
+ * All songs of one album
+ * @param {string} albumId
+ * @returns {Array<Object>|null} null if the album doesn't exist
+ */
+export function getCatalogAlbumSongs(albumId) {
+  refreshCache();
+  return albumId === ALBUM_ID ? cache.songs : null;
+}
+
+/**
+ * Look up one catalog song
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getCatalogSong(id) {
+  refreshCache();
+  return cache.songs.find((s) => s.id === id) || null;
+}
+
+/**
+ * Songs whose title contains the query (case-insensitive)
+ * @param {string} query
+ * @param {number} count
+ * @returns {Array<Object>}
+ */
+export function searchCatalogSongs(query, count) {
+  refreshCache();
+  const q = String(query || '').toLowerCase().trim();
+  if (!q) return [];
+  return cache.songs.filter((s) => s.title.toLowerCase().includes(q)).slice(0, count);
+}
+
+/**
+ * A random selection of catalog songs
+ * @param {number} count
+ * @returns {Array<Object>}
+ */
+export function getRandomCatalogSongs(count) {
+  refreshCache();
+  const size = Math.min(count, cache.songs.length);
+  return [...cache.songs].sort(() => Math.random() - 0.5).slice(0, size);
+}
+
+/**
+ * Upstream audio URL for a catalog song (what stream.view redirects to)
+ * @param {string} id
+ * @returns {string|null}
+ */
+export function getCatalogStreamUrl(id) {
+  refreshCache();
+  return cache.urlMap.get(id) || null;
+}
+
+/**
+ * Send a song's (or the album's) cover art
+ * @param {import('express').Response} res
+ * @param {string} id - Song or album id
+ * @param {number} [size] - Requested size in px, 0 for the largest
+ */
+export function sendCoverArt(res, id, size = 0) {
+  // Per-song embedded cover (extracted from the MP3 APIC frame at refresh time).
+  // Song ids are MP3/M4A filenames; covers live at covers/<basename>.jpg.
+  const songMatch = id.match(/^(.+)\.(mp3|m4a)$/i);
+  if (songMatch) {
+    const file = path.join(COVERS_DIR, `${path.basename(songMatch[1])}.jpg`);
+    if (fs.existsSync(file)) {
+      res.setHeader('Cache-Control', 'public, max-age=86400');
+      return res.sendFile(file);
+    }
+    // Per-song id but no extracted cover on disk — make this loud so it doesn't
+    // silently fall back to the publication art (which would look like every
+    // song shares the same cover).
+    console.warn(`[subsonic] missing per-song cover for id=${id}; falling back to publication art`);
+  }
+
+  // Album-level / fallback: local override > JW publication cover.
+  if (fs.existsSync(COVER_FILE)) {
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    return res.sendFile(COVER_FILE);
+  }
+  const url = size > 0 && size <= 200 ? COVER_URL_XS
+            : size > 0 && size <= 500 ? COVER_URL_MD
+            : COVER_URL_LG;
+  res.redirect(302, url);
+}
+
 router.use(authMiddleware);
 
 router.get('/ping.view', (req, res) => {
@@ -311,7 +413,7 @@ router.get('/search3.view', (req, res) => {
   let artists = [];
 
   if (q && q !== '""') {
-    songs = cache.songs.filter((s) => s.title.toLowerCase().includes(q)).slice(0, songCount);
+    songs = searchCatalogSongs(q, songCount);
     if (ALBUM_NAME.toLowerCase().includes(q)) albums = [albumSummary()].slice(0, albumCount);
     if (ARTIST_NAME.toLowerCase().includes(q)) {
       artists = [{ id: ARTIST_ID, name: ARTIST_NAME, albumCount: 1 }].slice(0, artistCount);
@@ -329,7 +431,7 @@ router.get('/search2.view', (req, res) => {
   const songCount = parseInt(req.query.songCount || '20', 10);
   const albumCount = parseInt(req.query.albumCount || '20', 10);
 
-  const songs = q ? cache.songs.filter((s) => s.title.toLowerCase().includes(q)).slice(0, songCount) : [];
+  const songs = q ? searchCatalogSongs(q, songCount) : [];
   const albums = (q && ALBUM_NAME.toLowerCase().includes(q)) ? [albumSummary()].slice(0, albumCount) : [];
 
   res.json(envelope({
@@ -338,9 +440,7 @@ router.get('/search2.view', (req, res) => {
 });
 
 function streamRedirect(req, res) {
-  refreshCache();
-  const id = req.query.id;
-  const url = cache.urlMap.get(id);
+  const url = getCatalogStreamUrl(req.query.id);
   if (!url) return sendError(res, 70, 'Song not found');
   res.redirect(302, url);
 }
@@ -349,33 +449,7 @@ router.get('/stream.view', streamRedirect);
 router.get('/download.view', streamRedirect);
 
 router.get('/getCoverArt.view', (req, res) => {
-  const id = String(req.query.id || '');
-
-  // Per-song embedded cover (extracted from the MP3 APIC frame at refresh time).
-  // Song ids are MP3/M4A filenames; covers live at covers/<basename>.jpg.
-  const songMatch = id.match(/^(.+)\.(mp3|m4a)$/i);
-  if (songMatch) {
-    const file = path.join(COVERS_DIR, `${songMatch[1]}.jpg`);
-    if (fs.existsSync(file)) {
-      res.setHeader('Cache-Control', 'public, max-age=86400');
-      return res.sendFile(file);
-    }
-    // Per-song id but no extracted cover on disk — make this loud so it doesn't
-    // silently fall back to the publication art (which would look like every
-    // song shares the same cover).
-    console.warn(`[subsonic] missing per-song cover for id=${id}; falling back to publication art`);
-  }
-
-  // Album-level / fallback: local override > JW publication cover.
-  if (fs.existsSync(COVER_FILE)) {
-    res.setHeader('Cache-Control', 'public, max-age=86400');
-    return res.sendFile(COVER_FILE);
-  }
-  const size = parseInt(req.query.size || '0', 10);
-  const url = size > 0 && size <= 200 ? COVER_URL_XS
-            : size > 0 && size <= 500 ? COVER_URL_MD
-            : COVER_URL_LG;
-  res.redirect(302, url);
+  sendCoverArt(res, String(req.query.id || ''), parseInt(req.query.size || '0', 10));
 });
 
 router.get('/getGenres.view', (req, res) => {
@@ -388,10 +462,7 @@ router.get('/getGenres.view', (req, res) => {
 });
 
 router.get('/getRandomSongs.view', (req, res) => {
-  refreshCache();
-  const size = Math.min(parseInt(req.query.size || '10', 10), cache.songs.length);
-  const shuffled = [...cache.songs].sort(() => Math.random() - 0.5).slice(0, size);
-  res.json(envelope({ randomSongs: { song: shuffled } }));
+  res.json(envelope({ randomSongs: { song: getRandomCatalogSongs(parseInt(req.query.size || '10', 10)) } }));
 });
 
 // Shared refresh state — guards both the admin endpoint and the startup
@@ -0,0 +1,253 @@
+import { createHash, randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseFile } from 'music-metadata';
+import { config } from './config.js';
+import { gameStore } from './gameStore.js';
+import { log, warn } from './logger.js';
+
+/**
+ * Index of uploaded audio files, stored in the same SQLite database as games.
+ * Each upload is parsed on arrival for its tags, duration, bitrate and cover
+ * art. Files are de-duplicated by a SHA-256 of their contents, so uploading
+ * the same song again reuses the file already on disk.
+ */
+class TrackStore {
+  /**
+   * @param {import('better-sqlite3').Database} db
+   */
+  constructor(db) {
+    this.db = db;
+    this._initTables();
+  }
+
+  // =========================
+  // DATABASE INITIALIZATION
+  // =========================
+
+  _initTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS uploaded_tracks (
+        track_id TEXT PRIMARY KEY,
+        content_hash TEXT NOT NULL UNIQUE,
+        filename TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        title TEXT,
+        artist TEXT,
+        album TEXT,
+        year TEXT,
+        genre TEXT,
+        track_number INTEGER,
+        duration REAL,
+        bitrate INTEGER,
+        cover BLOB,
+        cover_mime TEXT,
+        uploaded_at INTEGER NOT NULL
+      );
+    `);
+
+    // Covers are only read by getCover, never by listings
+    const summaryColumns = `track_id, content_hash, filename, original_name, size, title, artist, album,
+      year, genre, track_number, duration, bitrate, cover IS NOT NULL AS has_cover, uploaded_at`;
+
+    this._stmts = {
+      listTracks: this.db.prepare(
+        `SELECT ${summaryColumns} FROM uploaded_tracks ORDER BY uploaded_at DESC LIMIT ? OFFSET ?`
+      ),
+      getTrack: this.db.prepare(`SELECT ${summaryColumns} FROM uploaded_tracks WHERE track_id = ?`),
+      getTrackByHash: this.db.prepare(
+        `SELECT ${summaryColumns} FROM uploaded_tracks WHERE content_hash = ?`
+      ),
+      getCover: this.db.prepare('SELECT cover, cover_mime FROM uploaded_tracks WHERE track_id = ?'),
+      insertTrack: this.db.prepare(`
+        INSERT INTO uploaded_tracks
+          (track_id, content_hash, filename, original_name, size, title, artist, album, year, genre,
+           track_number, duration, bitrate, cover, cover_mime, uploaded_at)
+        VALUES
+          (@trackId, @hash, @filename, @originalName, @size, @title, @artist, @album, @year, @genre,
+           @trackNumber, @duration, @bitrate, @cover, @coverMime, @uploadedAt)
+      `),
+      deleteTrack: this.db.prepare('DELETE FROM uploaded_tracks WHERE track_id = ?'),
+    };
+  }
+
+  _toTrack(row) {
+    return {
+      id: row.track_id,
+      hash: row.content_hash,
+      filename: row.filename,
+      originalName: row.original_name,
+      size: row.size,
+      metadata: {
+        title: row.title || '',
+        artist: row.artist || '',
+        album: row.album || '',
+        year: row.year || '',
+        genre: row.genre || '',
+        track: row.track_number,
+      },
+      duration: row.duration,
+      bitrate: row.bitrate,
+      coverUrl: row.has_cover ? `/api/tracks/${row.track_id}/cover` : null,
+      uploadedAt: row.uploaded_at,
+    };
+  }
+
+  // =========================
+  // INDEXING
+  // =========================
+
+  /**
+   * Index a file multer just saved. If the same audio was uploaded before,
+   * the new copy is deleted and the existing track is returned instead.
+   * @param {{filename: string, originalname: string, size: number}} file
+   * @returns {Promise<{track: Object, duplicate: boolean}>}
+   */
+  async addUpload(file) {
+    const filePath = path.join(config.uploadsDir, path.basename(file.filename));
+    const hash = await hashFile(filePath);
+
+    const existing = this._stmts.getTrackByHash.get(hash);
+    if (existing) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      return { track: this._toTrack(existing), duplicate: true };
+    }
+
+    const tags = await readTags(filePath);
+    const trackId = randomUUID();
+    this._stmts.insertTrack.run({
+      trackId,
+      hash,
+      filename: file.filename,
+      originalName: path.basename(file.originalname || '').slice(0, 255),
+      size: file.size,
+      ...tags,
+      uploadedAt: Date.now(),
+    });
+
+    return { track: this.get(trackId), duplicate: false };
+  }
+
+  // =========================
+  // QUERIES
+  // =========================
+
+  /**
+   * Indexed tracks, newest first. The listing is public, so it goes by track
+   * id only: file names beside titles would let anyone match a file to its answer.
+   * @param {{limit?: number, offset?: number}} [page]
+   * @returns {Array<Object>}
+   */
+  list({ limit = 100, offset = 0 } = {}) {
+    return this._stmts.listTracks.all(limit, offset).map((row) => {
+      const track = this._toTrack(row);
+      delete track.filename;
+      return track;
+    });
+  }
+
+  /**
+   * @param {string} trackId
+   * @returns {Object|null}
+   */
+  get(trackId) {
+    const row = this._stmts.getTrack.get(trackId);
+    return row ? this._toTrack(row) : null;
+  }
+
+  /**
+   * @param {string} trackId
+   * @returns {{data: Buffer, mimeType: string}|null}
+   */
+  getCover(trackId) {
+    const row = this._stmts.getCover.get(trackId);
+    return row?.cover ? { data: row.cover, mimeType: row.cover_mime || 'image/jpeg' } : null;
+  }
+
+  /**
+   * Remove a track from the index and delete its file. Saved playlists and
+   * games that still point at the file lose its audio.
+   * @param {string} trackId
+   * @returns {Promise<boolean>} False if there was no such track
+   */
+  async delete(trackId) {
+    const track = this.get(trackId);
+    if (!track) return false;
+
+    this._stmts.deleteTrack.run(trackId);
+    await fs.promises
+      .unlink(path.join(config.uploadsDir, path.basename(track.filename)))
+      .catch((err) => {
+        if (err.code !== 'ENOENT')
+          warn(`Failed to delete upload ${track.filename}: ${err.message}`);
+      });
+    log(`Deleted uploaded track ${track.originalName}`);
+    return true;
+  }
+}
+
+// =========================
+// FILE HELPERS
+// =========================
+
+/**
+ * SHA-256 of a file's contents, streamed so large files aren't held in memory
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Read an upload's tags. Files music-metadata can't parse are still indexed,
+ * just without tags.
+ * @param {string} filePath
+ * @returns {Promise<Object>} Columns for insertTrack
+ */
+async function readTags(filePath) {
+  const tags = {
+    title: null,
+    artist: null,
+    album: null,
+    year: null,
+    genre: null,
+    trackNumber: null,
+    duration: null,
+    bitrate: null,
+    cover: null,
+    coverMime: null,
+  };
+
+  try {
+    const { common, format } = await parseFile(filePath);
+    const picture = common.picture?.find((p) => p.type === 'Cover (front)') || common.picture?.[0];
+
+    Object.assign(tags, {
+      title: common.title || null,
+      artist: common.artist || null,
+      album: common.album || null,
+      year: common.year ? String(common.year) : null,
+      genre: common.genre?.[0] || null,
+      trackNumber: common.track?.no || null,
+      duration: format.duration || null,
+      bitrate: format.bitrate ? Math.round(format.bitrate / 1000) : null,
+      cover: picture?.data?.length ? Buffer.from(picture.data) : null,
+      coverMime: picture?.format || null,
+    });
+  } catch (err) {
+    warn(`Could not read tags of ${path.basename(filePath)}: ${err.message}`);
+  }
+
+  return tags;
+}
+
+// Export singleton instance sharing the game store's connection
+export const trackStore = new TrackStore(gameStore.db);
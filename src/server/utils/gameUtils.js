@@ -1,3 +1,6 @@
+import { buildSongOptions } from '../../shared/quizOptions.js';
+import { getDifficulty } from '../../shared/difficulty.js';
+
 /**
  * Generate a random 6-character game ID
  * @returns {string}
@@ -27,20 +30,77 @@ export function sanitizeGameSession(game) {
       id: p.id,
       name: p.name,
       isHost: p.isHost,
+      isCoHost: Boolean(p.isCoHost),
       isReady: p.isReady,
       score: p.score,
+      teamId: p.teamId || null,
     })),
+    teams: (game.teams || []).map((t) => ({ id: t.id, name: t.name, captainId: t.captainId })),
+    // Ban tokens stay on the server; everyone can see who is banned
+    bannedNames: (game.bans || []).map((ban) => ban.name),
+    lobbyLocked: Boolean(game.lobbyLocked),
     state: game.state,
     currentSong: game.currentSong,
-    songs: (game.songs || []).map(s => ({
-      metadata: s.metadata,
-      originalName: s.originalName,
-      filename: s.filename,
+    // Titles stay hidden until a song is revealed so players can't read ahead;
+    // file names would give them away too, so they never leave the server
+    songs: (game.songs || []).map((s, index) => ({
+      metadata: isSongRevealed(game, index) ? s.metadata : undefined,
     })),
     createdAt: game.createdAt,
   };
 }
 
+/**
+ * What a player joining mid-game starts on: zero, or level with whoever is
+ * last if the host picked that handicap
+ * @param {Object} game
+ * @returns {number}
+ */
+export function getLateJoinScore(game) {
+  if (game.settings.lateJoinScore !== 'lowest' || game.players.length === 0) return 0;
+  return Math.min(...game.players.map((p) => p.score));
+}
+
+/**
+ * Whether a song's answer may be shown to players
+ * @param {Object} game
+ * @param {number} songIndex
+ * @returns {boolean}
+ */
+function isSongRevealed(game, songIndex) {
+  return game.state === 'finished' || Boolean(game.revealedSongs?.has(songIndex));
+}
+
+/**
+ * Build the four answer options for a song from the game's own metadata.
+ * Wrong titles come from the other songs in the game plus the host's library titles;
+ * wrong artists and albums from the other songs only. Wrong answers that
+ * resemble the right one are favoured, and always picked on harder
+ * difficulties. Each song's options come from the game's seed, so the same
+ * seed rebuilds them.
+ * @param {Object} game
+ * @param {number} songIndex
+ * @param {string} [questionType='title'] - What the options name (see QUESTION_TYPES)
+ * @returns {{options: string[], correctIndex: number, seed: string}|null}
+ */
+export function generateSongOptions(game, songIndex, questionType = 'title') {
+  const song = game.songs?.[songIndex];
+  if (!song) return null;
+
+  const pool = [
+    ...game.songs,
+    ...(game.distractorTitles || []).map((title) => ({ metadata: { title } })),
+  ];
+  const { similarDistractors } = getDifficulty(game.settings?.difficulty);
+  const seed = `${game.optionSeed || game.id}:${songIndex}:${questionType}`;
+  const { options, correctIndex } = buildSongOptions(song, pool, songIndex, questionType, {
+    similar: similarDistractors,
+    seed,
+  });
+
+  return { options: options.map((opt) => opt.text), correctIndex, seed };
+}
+
 /**
  * Calculate points based on response time
  * Faster responses get more points (max 1000, min 100)
@@ -0,0 +1,39 @@
+/**
+ * Whether a socket may use the host controls: the host itself, or a player
+ * the host made co-host
+ * @param {Object} game
+ * @param {string} socketId
+ * @returns {boolean}
+ */
+export function canHost(game, socketId) {
+  if (!socketId) return false;
+  return game.hostId === socketId || game.players.some((p) => p.id === socketId && p.isCoHost);
+}
+
+/**
+ * Who takes over when the host is gone for good: a co-host if one is still
+ * connected, otherwise the player who has been connected the longest
+ * @param {Object} game
+ * @returns {Object|null} Player, or null if nobody is connected
+ */
+export function pickNextHost(game) {
+  const connected = game.players
+    .filter((p) => p.id && !p.disconnectTimer)
+    .sort((a, b) => (a.connectedAt || 0) - (b.connectedAt || 0));
+  return connected.find((p) => p.isCoHost) || connected[0] || null;
+}
+
+/**
+ * Make a player the host. The host doesn't play, so the player leaves the
+ * player list and gives up any team captaincy.
+ * @param {Object} game
+ * @param {Object} player
+ */
+export function promoteToHost(game, player) {
+  game.players = game.players.filter((p) => p !== player);
+  (game.teams || []).forEach((team) => {
+    if (team.captainId === player.id) team.captainId = null;
+  });
+  game.host = player.name;
+  game.hostId = player.id;
+}
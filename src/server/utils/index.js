@@ -1 +1,4 @@
 export * from './gameUtils.js';
+export * from './teamUtils.js';
+export * from './hostUtils.js';
+export * from './moderationUtils.js';
@@ -0,0 +1,43 @@
+/**
+ * Whether someone joining was banned from the game, by name, by a reconnect
+ * token they held before the ban or by the device they were banned on
+ * @param {Object} game
+ * @param {string} playerName
+ * @param {string} [reconnectToken]
+ * @param {string} [deviceId]
+ * @returns {boolean}
+ */
+export function isBanned(game, playerName, reconnectToken, deviceId) {
+  const name = playerName.toLowerCase();
+  return (game.bans || []).some(
+    (ban) =>
+      ban.name.toLowerCase() === name ||
+      (Boolean(reconnectToken) && ban.token === reconnectToken) ||
+      (Boolean(deviceId) && ban.deviceId === deviceId)
+  );
+}
+
+/**
+ * Keep a player out of the game for good, under their name, their token and
+ * their device, so a new name doesn't get them back in
+ * @param {Object} game
+ * @param {Object} player
+ * @param {string|null} reconnectToken
+ */
+export function banPlayer(game, player, reconnectToken) {
+  if (!game.bans) game.bans = [];
+  game.bans.push({ name: player.name, token: reconnectToken, deviceId: player.deviceId || null });
+}
+
+/**
+ * Lift a ban
+ * @param {Object} game
+ * @param {string} playerName
+ * @returns {boolean} Whether the name was banned
+ */
+export function unbanPlayer(game, playerName) {
+  const bans = game.bans || [];
+  const name = playerName.toLowerCase();
+  game.bans = bans.filter((ban) => ban.name.toLowerCase() !== name);
+  return game.bans.length < bans.length;
+}
@@ -0,0 +1,113 @@
+import { randomUUID } from 'crypto';
+import { getSmallestTeam, getTeamCaptainId } from '../../shared/teams.js';
+
+// Teams a new team game starts with; the host can rename, add or remove them
+const DEFAULT_TEAM_NAMES = ['Team 1', 'Team 2'];
+
+/**
+ * @param {string} name
+ * @returns {{id: string, name: string, captainId: string|null}}
+ */
+export function createTeam(name) {
+  return { id: randomUUID().slice(0, 8), name, captainId: null };
+}
+
+/**
+ * @returns {Array<Object>}
+ */
+export function createDefaultTeams() {
+  return DEFAULT_TEAM_NAMES.map((name) => createTeam(name));
+}
+
+/**
+ * Find a team by its ID or (ignoring case) its name
+ * @param {Object} game
+ * @param {*} idOrName
+ * @returns {Object|null}
+ */
+export function findTeam(game, idOrName) {
+  if (typeof idOrName !== 'string' || !idOrName.trim()) return null;
+  const wanted = idOrName.trim().toLowerCase();
+  return (
+    (game.teams || []).find((t) => t.id === idOrName) ||
+    (game.teams || []).find((t) => t.name.toLowerCase() === wanted) ||
+    null
+  );
+}
+
+/**
+ * Put a player on the team they asked for, or on the smallest team if that
+ * team doesn't exist
+ * @param {Object} game
+ * @param {Object} player
+ * @param {string} [requestedTeam] - Team ID or name
+ * @returns {Object|null} The player's team
+ */
+export function assignPlayerToTeam(game, player, requestedTeam) {
+  const team = findTeam(game, requestedTeam) || getSmallestTeam(game.teams, game.players);
+  player.teamId = team ? team.id : null;
+  return team;
+}
+
+/**
+ * Deal every player out across the teams in random order, so team sizes
+ * differ by at most one. Captains go back to each team's first player.
+ * @param {Object} game
+ */
+export function balanceTeams(game) {
+  const teams = game.teams || [];
+  if (teams.length === 0) return;
+
+  const players = game.players.filter((p) => !p.isHost);
+  for (let i = players.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [players[i], players[j]] = [players[j], players[i]];
+  }
+
+  players.forEach((player, index) => {
+    player.teamId = teams[index % teams.length].id;
+  });
+  teams.forEach((team) => {
+    team.captainId = null;
+  });
+}
+
+/**
+ * Make sure a team game is ready to play: it has teams and every player is
+ * on one. Games without team mode drop their teams.
+ * @param {Object} game
+ */
+export function prepareTeams(game) {
+  if (!game.settings.teamMode) {
+    game.teams = [];
+    game.players.forEach((player) => {
+      player.teamId = null;
+    });
+    return;
+  }
+
+  if (!game.teams?.length) game.teams = createDefaultTeams();
+  game.players.forEach((player) => {
+    if (!player.isHost && !findTeam(game, player.teamId)) {
+      assignPlayerToTeam(game, player);
+    }
+  });
+}
+
+/**
+ * Teammates a captain answers for, when the game only takes captains' answers
+ * @param {Object} game
+ * @param {Object} player
+ * @returns {{captainId: string|null, teammates: Array}|null} Null when the player answers for themselves
+ */
+export function getCaptainRule(game, player) {
+  if (!game.settings.teamMode || !game.settings.captainAnswers) return null;
+
+  const team = findTeam(game, player.teamId);
+  if (!team) return null;
+
+  return {
+    captainId: getTeamCaptainId(team, game.players),
+    teammates: game.players.filter((p) => p.teamId === team.id && p.id !== player.id),
+  };
+}
@@ -3,6 +3,67 @@
  * Prevents DOS attacks and ensures data integrity
  */
 
+import fs from 'fs';
+
+import { config } from './config.js';
+import { QUESTION_TYPES } from '../shared/quizOptions.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from '../shared/difficulty.js';
+import { TEAM_SCORING } from '../shared/teams.js';
+
+// Digits people swap in for letters to sneak a word past the filter
+const LOOKALIKE_DIGITS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't' };
+
+/** @type {string[]|null} Loaded on first use */
+let blockedWords = null;
+
+/**
+ * Read the blocked words list named by BLOCKED_WORDS_FILE: one word per line,
+ * blank lines and # comments ignored
+ * @returns {string[]}
+ */
+function getBlockedWords() {
+  if (blockedWords) return blockedWords;
+
+  blockedWords = [];
+  if (!config.blockedWordsFile) return blockedWords;
+  try {
+    blockedWords = fs
+      .readFileSync(config.blockedWordsFile, 'utf8')
+      .split(/\r?\n/)
+      .map((line) => squashName(line.replace(/#.*/, '')))
+      .filter(Boolean);
+  } catch (err) {
+    console.error(`Could not read blocked words from ${config.blockedWordsFile}:`, err.message);
+  }
+  return blockedWords;
+}
+
+/**
+ * A name as the filter compares it: lower case, no accents, lookalike digits
+ * read as letters, and nothing between the letters
+ * @param {string} name
+ * @returns {string}
+ */
+function squashName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[013457]/g, (digit) => LOOKALIKE_DIGITS[digit])
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Whether a name contains a word from the blocked words list
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isBlockedName(name) {
+  if (typeof name !== 'string') return false;
+  const squashed = squashName(name);
+  return getBlockedWords().some((word) => squashed.includes(word));
+}
+
 /**
  * Validate player name
  * @param {string} name - Player name to validate
@@ -18,6 +79,9 @@ export function validatePlayerName(name) {
   // Allow alphanumeric, spaces, hyphens, apostrophes, underscores, and common unicode chars
   if (!/^[\p{L}\p{N}\s\-'_]+$/u.test(trimmed)) return false;
 
+  // Optional server-wide word filter (see BLOCKED_WORDS_FILE)
+  if (isBlockedName(trimmed)) return false;
+
   return trimmed;
 }
 
@@ -41,6 +105,58 @@ export function validateGameSettings(settings) {
   };
 }
 
+/**
+ * Validate what a game's questions ask about each song
+ * @param {string} questionType
+ * @returns {string} - One of QUESTION_TYPES or 'mixed'; 'title' if invalid
+ */
+export function validateQuestionType(questionType) {
+  return [...QUESTION_TYPES, 'mixed'].includes(questionType) ? questionType : 'title';
+}
+
+/**
+ * Validate a game's difficulty preset
+ * @param {string} difficulty
+ * @returns {string} - A key of DIFFICULTIES; DEFAULT_DIFFICULTY if invalid
+ */
+export function validateDifficulty(difficulty) {
+  return Object.keys(DIFFICULTIES).includes(difficulty) ? difficulty : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Validate a game's team settings
+ * @param {Object} settings
+ * @returns {{teamMode: boolean, teamScoring: string, captainAnswers: boolean}}
+ */
+export function validateTeamSettings(settings) {
+  return {
+    teamMode: Boolean(settings?.teamMode),
+    teamScoring: TEAM_SCORING.includes(settings?.teamScoring) ? settings.teamScoring : 'sum',
+    captainAnswers: Boolean(settings?.captainAnswers),
+  };
+}
+
+/**
+ * Validate a game's mid-game join settings
+ * @param {Object} settings
+ * @returns {{allowLateJoin: boolean, lateJoinScore: 'zero'|'lowest'}}
+ */
+export function validateLateJoinSettings(settings) {
+  return {
+    allowLateJoin: Boolean(settings?.allowLateJoin),
+    lateJoinScore: settings?.lateJoinScore === 'lowest' ? 'lowest' : 'zero',
+  };
+}
+
+/**
+ * Validate team name (same rules as player names)
+ * @param {string} name
+ * @returns {string|false} - Sanitized name or false if invalid
+ */
+export function validateTeamName(name) {
+  return validatePlayerName(name);
+}
+
 /**
  * Validate game ID
  * @param {string} gameId - Game ID to validate
@@ -65,21 +181,26 @@ export function validateGameId(gameId) {
 export function validateAnswerSubmission(data) {
   if (!data || typeof data !== 'object') return false;
 
-  const { answerIndex, responseTime, responseTimeSeconds } = data;
-
-  // Answer index must be 0-3 (4 options)
-  const idx = parseInt(answerIndex, 10);
+  // Answer index must be 0-3 (4 options). Answers are timed by the server,
+  // so any responseTime the client sends is ignored.
+  const idx = parseInt(data.answerIndex, 10);
   if (isNaN(idx) || idx < 0 || idx > 3) return false;
 
-  // Response time must be positive and reasonable (max 60 seconds)
-  const time = parseFloat(responseTime);
-  if (isNaN(time) || time < 0 || time > 60000) return false;
+  return { answerIndex: idx };
+}
 
-  return {
-    answerIndex: idx,
-    responseTime: time,
-    responseTimeSeconds: clamp(parseFloat(responseTimeSeconds) || time / 1000, 0, 60),
-  };
+/**
+ * Validate a typed answer submission (free-text answer mode)
+ * @param {Object} data - Answer data
+ * @returns {Object|false} - Sanitized data or false if invalid
+ */
+export function validateTextAnswerSubmission(data) {
+  if (!data || typeof data !== 'object') return false;
+
+  const answerText = sanitizeString(data.answerText, 100);
+  if (!answerText) return false;
+
+  return { answerText };
 }
 
 /**
@@ -96,13 +217,15 @@ export function validateSongsMetadata(songs) {
   return limited.map(song => {
     if (!song || typeof song !== 'object') return null;
 
-    const { metadata, url, localUrl, audioUrl, originalName, filename } = song;
+    const { metadata, url, localUrl, audioUrl, originalName, filename, catalogId, acceptedAnswers } = song;
 
     return {
       metadata: {
         title: sanitizeString(metadata?.title, 200) || 'Unknown Title',
         artist: sanitizeString(metadata?.artist, 200) || 'Unknown Artist',
         album: sanitizeString(metadata?.album, 200) || '',
+        year: sanitizeString(metadata?.year == null ? '' : String(metadata.year), 10),
+        genre: sanitizeString(metadata?.genre, 100),
       },
       // Preserve all URL variants for compatibility
       url: typeof url === 'string' ? url : '',
@@ -110,39 +233,195 @@ export function validateSongsMetadata(songs) {
       audioUrl: typeof audioUrl === 'string' ? audioUrl : '',
       originalName: sanitizeString(originalName, 255) || '',
       filename: sanitizeString(filename, 255) || '',
+      // Song from the server's catalog (see catalog.js)
+      catalogId: sanitizeString(catalogId, 255) || '',
+      // Extra answers a playlist accepts for this song (kept server-side only)
+      acceptedAnswers: validateAnswerList(acceptedAnswers),
     };
   }).filter(Boolean);
 }
 
 /**
- * Validate kahoot options array
- * @param {Array} options - Pre-generated kahoot options
- * @returns {Array} - Sanitized options array
+ * Validate the library titles a host offers as wrong-answer candidates
+ * @param {Array} titles - Song titles from the host's music library
+ * @returns {string[]} - Sanitized, de-duplicated titles
  */
-export function validateKahootOptions(options) {
-  if (!Array.isArray(options)) return [];
+export function validateDistractorTitles(titles) {
+  if (!Array.isArray(titles)) return [];
 
-  return options.slice(0, 100).map(opt => {
-    if (!opt || typeof opt !== 'object') return null;
+  const seen = new Set();
+  const result = [];
+  for (const title of titles.slice(0, 1000)) {
+    const clean = sanitizeString(title, 200);
+    if (!clean || seen.has(clean.toLowerCase())) continue;
+    seen.add(clean.toLowerCase());
+    result.push(clean);
+    if (result.length >= 500) break;
+  }
+  return result;
+}
 
-    const { options: optList, correctIndex } = opt;
+/**
+ * Validate a playlist create/update body
+ * @param {Object} data - { name, songs }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow either field to be omitted (updates)
+ * @returns {{name?: string, songs?: Array}|false} - Sanitized playlist or false if invalid
+ */
+export function validatePlaylist(data, { partial = false } = {}) {
+  if (!data || typeof data !== 'object') return false;
 
-    if (!Array.isArray(optList) || optList.length !== 4) return null;
+  const result = {};
 
-    const idx = parseInt(correctIndex, 10);
-    if (isNaN(idx) || idx < 0 || idx >= optList.length) return null;
+  if (data.name !== undefined || !partial) {
+    const name = sanitizeString(data.name, 60);
+    if (!name) return false;
+    result.name = name;
+  }
 
-    return {
-      options: optList.map(o => sanitizeString(o, 200) || 'Unknown'),
-      correctIndex: idx,
-    };
-  }).filter(Boolean);
+  if (data.songs !== undefined || !partial) {
+    if (!Array.isArray(data.songs) || data.songs.length > 500) return false;
+    const songs = data.songs.map(validatePlaylistSong);
+    if (songs.length === 0 || songs.includes(null)) return false;
+    result.songs = songs;
+  }
+
+  return Object.keys(result).length > 0 ? result : false;
+}
+
+/**
+ * Validate one playlist song. A song is either an uploaded file (filename under
+ * /uploads) or a Subsonic catalog song (catalogId).
+ * @param {Object} song
+ * @returns {Object|null}
+ */
+function validatePlaylistSong(song) {
+  if (!song || typeof song !== 'object') return null;
+
+  // Stored upload names are generated by multer: digits, dashes and an extension
+  const filename = sanitizeString(song.filename, 255);
+  if (filename && !/^[\w.-]+$/.test(filename)) return null;
+  const catalogId = sanitizeString(song.catalogId, 255);
+  if (!filename && !catalogId) return null;
+
+  return {
+    metadata: {
+      title: sanitizeString(song.metadata?.title, 200) || 'Unknown Title',
+      artist: sanitizeString(song.metadata?.artist, 200) || 'Unknown Artist',
+      album: sanitizeString(song.metadata?.album, 200) || '',
+      year: sanitizeString(song.metadata?.year == null ? '' : String(song.metadata.year), 10),
+      genre: sanitizeString(song.metadata?.genre, 100),
+    },
+    filename: filename || '',
+    catalogId: filename ? '' : catalogId,
+    originalName: sanitizeString(song.originalName, 255) || '',
+    titleOverride: sanitizeString(song.titleOverride, 200) || '',
+    acceptedAnswers: validateAnswerList(song.acceptedAnswers),
+  };
+}
+
+/**
+ * Validate profile sign-in details
+ * @param {Object} data - { nickname, secret }
+ * @returns {{nickname: string, secret: string}|false} - Sanitized details or false if invalid
+ */
+export function validateProfileLogin(data) {
+  if (!data || typeof data !== 'object') return false;
+
+  const nickname = validatePlayerName(data.nickname);
+  const secret = validateProfileSecret(data.secret);
+  if (!nickname || !secret) return false;
+
+  return { nickname, secret };
+}
+
+/**
+ * Validate a profile secret: a 4-8 digit PIN or a device key generated by the client
+ * @param {*} secret
+ * @returns {string|false}
+ */
+export function validateProfileSecret(secret) {
+  if (typeof secret !== 'string') return false;
+  if (/^\d{4,8}$/.test(secret) || /^[0-9a-f-]{32,64}$/i.test(secret)) return secret;
+  return false;
+}
+
+/**
+ * Validate the ID a browser keeps for itself across games (see getDeviceId on the client)
+ * @param {*} deviceId
+ * @returns {string} The ID, or '' if missing or malformed
+ */
+export function validateDeviceId(deviceId) {
+  return typeof deviceId === 'string' && /^[0-9a-f]{32}$/.test(deviceId) ? deviceId : '';
+}
+
+/**
+ * Validate a single-player score submitted for the leaderboards.
+ * Single-player games are scored in the browser, so only sanity limits apply.
+ * @param {Object} data - { playerName, playlistId, score, correct, total, difficulty }
+ * @returns {Object|false} - Sanitized score or false if invalid
+ */
+export function validateSingleScore(data) {
+  if (!data || typeof data !== 'object') return false;
+
+  const playerName = validatePlayerName(data.playerName);
+  const difficulty = validateDifficulty(data.difficulty);
+  const total = parseInt(data.total, 10);
+  const correct = parseInt(data.correct, 10);
+  const score = parseInt(data.score, 10);
+  if (!playerName || !(total >= 1 && total <= 100)) return false;
+  if (!(correct >= 0 && correct <= total)) return false;
+  // A correct single-player answer is worth at most 200 points plus a streak bonus,
+  // scaled by the difficulty
+  const maxScore = total * (200 + total * 5) * DIFFICULTIES[difficulty].scoreMultiplier;
+  if (!(score >= 0 && score <= maxScore)) return false;
+
+  return {
+    playerName,
+    playlistId: sanitizeString(data.playlistId, 100) || null,
+    difficulty,
+    score,
+    correct,
+    total,
+  };
+}
+
+/**
+ * Validate a single-player request for a clip of an uploaded or catalog song
+ * @param {Object} data - { filename | catalogId, clipDuration, difficulty }
+ * @returns {Object|false} - Sanitized request or false if invalid
+ */
+export function validateSoloClipRequest(data) {
+  if (!data || typeof data !== 'object') return false;
+
+  const filename = sanitizeString(data.filename, 255);
+  const catalogId = sanitizeString(data.catalogId, 100);
+  if (!filename && !catalogId) return false;
+
+  return {
+    song: filename ? { filename } : { catalogId },
+    clipDuration: clamp(parseInt(data.clipDuration, 10) || 20, 5, 60),
+    difficulty: validateDifficulty(data.difficulty),
+  };
 }
 
 // =========================
 // HELPER FUNCTIONS
 // =========================
 
+/**
+ * Sanitize a list of alternative answers
+ * @param {any} answers
+ * @returns {string[]}
+ */
+function validateAnswerList(answers) {
+  if (!Array.isArray(answers)) return [];
+  return answers
+    .map((answer) => sanitizeString(answer, 200))
+    .filter(Boolean)
+    .slice(0, 10);
+}
+
 /**
  * Clamp a number between min and max
  * @param {number} value
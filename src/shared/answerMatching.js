@@ -0,0 +1,116 @@
+/**
+ * Free-text answer matching shared by the browser client and the server.
+ * Pure functions only — no DOM, no client state, no Node APIs.
+ */
+
+import { getSongAnswer, getSongTitle } from './quizOptions.js';
+
+// Similarity (0-1) a typed title needs for full or partial credit
+const FULL_MATCH = 0.8;
+const PARTIAL_MATCH = 0.6;
+
+/**
+ * Normalise an answer or title for comparison: lower case, no accents,
+ * leading track numbers, "feat." credits, bracketed parts or punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeAnswer(text) {
+  if (typeof text !== 'string') return '';
+
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^\d+[.\-\s]+/, '')
+    .replace(/\([^)]*\)|\[[^\]]*\]|\{[^}]*\}/g, ' ')
+    .replace(/\s(feat|ft|featuring)\b.*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/^the\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two normalised strings, from 0 (nothing alike) to 1 (equal)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Judge a typed answer against a song's title (and any extra answers a
+ * playlist accepts for it), artist or album. For titles, naming only the
+ * artist, or a title that is close but not quite right, earns partial credit.
+ * @param {string} guess - What the player typed
+ * @param {Object} song - Song with metadata and optional acceptedAnswers
+ * @param {string} [questionType='title'] - 'title', 'artist' or 'album'
+ * @returns {{match: 'full'|'partial'|'none', similarity: number}}
+ */
+export function matchTextAnswer(guess, song, questionType = 'title') {
+  const typed = normalizeAnswer(guess);
+  if (!typed) return { match: 'none', similarity: 0 };
+
+  const askingTitle = questionType === 'title';
+  const answers = askingTitle
+    ? [getSongTitle(song), ...(song?.acceptedAnswers || [])]
+    : [getSongAnswer(song, questionType)];
+  const titles = answers.map(normalizeAnswer).filter((title) => title && title !== 'unknown');
+  const artist = normalizeAnswer(song?.metadata?.artist);
+  const hasArtist = askingTitle && artist && artist !== 'unknown artist';
+
+  // "Title - Artist" and "Artist Title" are judged on the title alone
+  const withoutArtist =
+    hasArtist && typed.includes(artist)
+      ? typed.replace(artist, ' ').replace(/\s+/g, ' ').trim()
+      : typed;
+
+  const best = Math.max(
+    0,
+    ...titles.flatMap((title) => [similarity(typed, title), similarity(withoutArtist, title)])
+  );
+
+  if (best >= FULL_MATCH) return { match: 'full', similarity: best };
+
+  // Part of a long answer ("bohemian" for "Bohemian Rhapsody") is close enough for partial
+  const partOfTitle = titles.some(
+    (title) =>
+      withoutArtist.length >= 4 &&
+      title.includes(withoutArtist) &&
+      withoutArtist.length * 2 >= title.length
+  );
+  if (
+    best >= PARTIAL_MATCH ||
+    partOfTitle ||
+    (hasArtist && similarity(typed, artist) >= FULL_MATCH)
+  ) {
+    return { match: 'partial', similarity: best };
+  }
+
+  return { match: 'none', similarity: best };
+}
@@ -0,0 +1,76 @@
+/**
+ * Difficulty presets shared by the browser client and the server.
+ * Pure functions only — no DOM, no client state, no Node APIs.
+ */
+
+/**
+ * What each difficulty changes:
+ * - clipDuration: clip length (seconds) the preset fills in on the setup form
+ * - clipPosition: where clips start — 'chorus', 'random' or 'intro'
+ * - similarDistractors: always the wrong answers most like the right one
+ *   (otherwise alike answers are only more likely)
+ * - hints: whether single-player hints may be shown
+ * - scoreMultiplier: applied to every answer's points
+ */
+export const DIFFICULTIES = Object.freeze({
+  easy: Object.freeze({
+    clipDuration: 30,
+    clipPosition: 'chorus',
+    similarDistractors: false,
+    hints: true,
+    scoreMultiplier: 0.5,
+  }),
+  normal: Object.freeze({
+    clipDuration: 20,
+    clipPosition: 'random',
+    similarDistractors: false,
+    hints: true,
+    scoreMultiplier: 1,
+  }),
+  hard: Object.freeze({
+    clipDuration: 10,
+    clipPosition: 'random',
+    similarDistractors: true,
+    hints: false,
+    scoreMultiplier: 1.5,
+  }),
+  expert: Object.freeze({
+    clipDuration: 5,
+    clipPosition: 'intro',
+    similarDistractors: true,
+    hints: false,
+    scoreMultiplier: 2,
+  }),
+});
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Share of the way into a song where its first chorus usually starts
+const CHORUS_POSITION = 0.3;
+
+/**
+ * The preset for a difficulty, or Normal's for anything unknown
+ * @param {string} difficulty
+ * @returns {Object}
+ */
+export function getDifficulty(difficulty) {
+  return DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * Where a clip starts, keeping the whole clip inside the song
+ * @param {number} songDuration - seconds
+ * @param {number} clipDuration - seconds
+ * @param {string} [clipPosition='random'] - 'chorus', 'random' or 'intro'
+ * @returns {number} Offset in seconds
+ */
+export function pickClipOffset(songDuration, clipDuration, clipPosition = 'random') {
+  const maxStart = Math.max(0, songDuration - clipDuration);
+  if (clipPosition === 'intro' || !(maxStart > 0)) return 0;
+
+  const start =
+    clipPosition === 'chorus'
+      ? Math.min(maxStart, songDuration * CHORUS_POSITION)
+      : Math.random() * maxStart;
+  return Math.round(start * 10) / 10;
+}
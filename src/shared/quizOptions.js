@@ -0,0 +1,364 @@
+/**
+ * Answer option rules shared by the browser client and the server.
+ * Pure functions only — no DOM, no client state, no Node APIs.
+ */
+
+/**
+ * Get song title only from metadata
+ * @param {Object} song
+ * @returns {string}
+ */
+export function getSongTitle(song) {
+  const title = song?.metadata?.title;
+  if (!title) return 'Unknown';
+  return title.replace(/^\d+[.\-\s]+/, '').trim() || 'Unknown';
+}
+
+/**
+ * What a question can ask about a song. 'mixed' games pick one per round.
+ */
+export const QUESTION_TYPES = Object.freeze(['title', 'artist', 'album', 'year']);
+
+// A year guess this many years off (or more) earns nothing
+const YEAR_TOLERANCE = 5;
+
+/**
+ * Release year of a song, if its metadata has a plausible one
+ * @param {Object} song
+ * @returns {number|null}
+ */
+export function getSongYear(song) {
+  const match = String(song?.metadata?.year ?? '').match(/\b(1[89]\d\d|20\d\d)\b/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * The answer a question of the given type expects for a song
+ * @param {Object} song
+ * @param {string} [questionType='title']
+ * @returns {string} 'Unknown' when the metadata doesn't say
+ */
+export function getSongAnswer(song, questionType = 'title') {
+  switch (questionType) {
+    case 'artist':
+    case 'album': {
+      const value = (song?.metadata?.[questionType] || '').trim();
+      return value && !/^unknown( artist| album)?$/i.test(value) ? value : 'Unknown';
+    }
+    case 'year':
+      return String(getSongYear(song) ?? 'Unknown');
+    default:
+      return getSongTitle(song);
+  }
+}
+
+/**
+ * Question types a song's metadata can answer
+ * @param {Object} song
+ * @returns {string[]}
+ */
+export function getQuestionTypes(song) {
+  return QUESTION_TYPES.filter((type) => getSongAnswer(song, type) !== 'Unknown');
+}
+
+/**
+ * Pick the question type for one round. Songs that can't answer the chosen
+ * type (no album or year in their tags) fall back to their title.
+ * @param {string} setting - One of QUESTION_TYPES, or 'mixed'
+ * @param {Object} song
+ * @returns {string}
+ */
+export function pickQuestionType(setting, song) {
+  const available = getQuestionTypes(song);
+  if (setting === 'mixed' && available.length > 0) {
+    return available[Math.floor(Math.random() * available.length)];
+  }
+  return available.includes(setting) ? setting : 'title';
+}
+
+/**
+ * Share of the points a year guess earns: all of them for the exact year,
+ * less for every year it is off by
+ * @param {number} guessedYear
+ * @param {number} correctYear
+ * @returns {number} Between 0 and 1
+ */
+export function scoreYearGuess(guessedYear, correctYear) {
+  if (!Number.isFinite(guessedYear) || !Number.isFinite(correctYear)) return 0;
+  return Math.max(0, 1 - Math.abs(guessedYear - correctYear) / YEAR_TOLERANCE);
+}
+
+/**
+ * Seeded random number generator (mulberry32 over a string hash). The same
+ * seed always gives the same sequence, so a round's options can be rebuilt.
+ * @param {string|number} seed
+ * @returns {() => number} Numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  const text = String(seed);
+  let state = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    state = Math.imul(state ^ text.charCodeAt(i), 3432918353);
+    state = (state << 13) | (state >>> 19);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} array
+ * @param {() => number} [random=Math.random]
+ * @returns {Array}
+ */
+function shuffleInPlace(array, random = Math.random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Wrong years for a year question: distinct years near the right one, never in the future
+ * @param {number} year
+ * @param {number} count
+ * @param {boolean} close - Only years within a few of the right one
+ * @param {() => number} random
+ * @returns {string[]}
+ */
+function getNearbyYears(year, count, close, random) {
+  const latest = new Date().getFullYear();
+  const offsets = close
+    ? [-4, -3, -2, -1, 1, 2, 3, 4]
+    : [-10, -8, -6, -4, -3, -2, -1, 1, 2, 3, 4, 6, 8, 10];
+  return shuffleInPlace(offsets, random)
+    .map((offset) => year + offset)
+    .filter((candidate) => candidate <= latest)
+    .slice(0, count)
+    .map(String);
+}
+
+// =========================
+// DISTRACTOR SIMILARITY
+// =========================
+
+// How much each resemblance to the right song counts towards a wrong answer's rank
+const SIMILARITY_WEIGHTS = Object.freeze({
+  artist: 3,
+  album: 2,
+  genre: 1,
+  decade: 1,
+  length: 1,
+  sharedWord: 1,
+});
+
+// Shared words beyond this many don't make an answer any more alike
+const MAX_SHARED_WORDS = 2;
+
+const STOP_WORDS = new Set([
+  'the',
+  'and',
+  'for',
+  'with',
+  'feat',
+  'from',
+  'you',
+  'your',
+  'are',
+  'that',
+  'this',
+]);
+
+/**
+ * Distinctive words of an answer, lowercased
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function answerWords(text) {
+  return new Set(
+    text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}']+/u)
+      .filter((word) => word.length >= 3 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * How much a wrong song resembles the right one: same artist, album, genre or
+ * decade, and an answer of similar length or with words in common
+ * @param {Object} correctSong
+ * @param {Object} otherSong
+ * @param {string} questionType
+ * @returns {number} 0 for nothing in common, higher is more alike
+ */
+function scoreSimilarity(correctSong, otherSong, questionType) {
+  const tag = (song, field) =>
+    String(song?.metadata?.[field] || '')
+      .trim()
+      .toLowerCase();
+  let score = 0;
+
+  for (const field of ['artist', 'album', 'genre']) {
+    const value = tag(correctSong, field);
+    if (value && !value.startsWith('unknown') && value === tag(otherSong, field)) {
+      score += SIMILARITY_WEIGHTS[field];
+    }
+  }
+
+  const year = getSongYear(correctSong);
+  const otherYear = getSongYear(otherSong);
+  if (year && otherYear && Math.floor(year / 10) === Math.floor(otherYear / 10)) {
+    score += SIMILARITY_WEIGHTS.decade;
+  }
+
+  const answer = getSongAnswer(correctSong, questionType);
+  const otherAnswer = getSongAnswer(otherSong, questionType);
+  const longer = Math.max(answer.length, otherAnswer.length);
+  if (longer > 0) {
+    score +=
+      SIMILARITY_WEIGHTS.length * (1 - Math.abs(answer.length - otherAnswer.length) / longer);
+  }
+
+  const words = answerWords(answer);
+  const shared = [...answerWords(otherAnswer)].filter((word) => words.has(word)).length;
+  score += SIMILARITY_WEIGHTS.sharedWord * Math.min(shared, MAX_SHARED_WORDS);
+
+  return score;
+}
+
+// =========================
+// OPTION SELECTION
+// =========================
+
+/**
+ * Pick wrong answers using the given random source
+ * @param {Object} correctSong
+ * @param {Array} allSongs
+ * @param {number} count
+ * @param {number} songIndex
+ * @param {string} questionType
+ * @param {boolean} similar
+ * @param {() => number} random
+ * @returns {string[]}
+ */
+function pickWrongAnswers(correctSong, allSongs, count, songIndex, questionType, similar, random) {
+  if (questionType === 'year') {
+    const year = getSongYear(correctSong);
+    return year ? getNearbyYears(year, count, similar, random) : [];
+  }
+
+  const correctAnswerLower = getSongAnswer(correctSong, questionType).toLowerCase();
+
+  // One candidate per distinct answer, ranked by its most alike song
+  const candidates = new Map();
+  allSongs.forEach((song, idx) => {
+    if (songIndex >= 0 && idx === songIndex) return;
+    const answer = getSongAnswer(song, questionType);
+    const answerLower = answer.toLowerCase();
+    if (answerLower === correctAnswerLower || answerLower === 'unknown') return;
+
+    const score = scoreSimilarity(correctSong, song, questionType);
+    const existing = candidates.get(answerLower);
+    if (!existing || score > existing.score) {
+      candidates.set(answerLower, { answer, score });
+    }
+  });
+
+  // Shuffle first so equally alike answers come out in a seeded order
+  const pool = shuffleInPlace([...candidates.values()], random);
+
+  if (similar) {
+    // Sort is stable, so ties keep their shuffled order
+    return pool
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map((candidate) => candidate.answer);
+  }
+
+  // Otherwise alike answers are just more likely to be drawn
+  const wrongAnswers = [];
+  while (wrongAnswers.length < count && pool.length > 0) {
+    const total = pool.reduce((sum, candidate) => sum + 1 + candidate.score, 0);
+    let pick = random() * total;
+    let index = 0;
+    while (index < pool.length - 1 && pick >= 1 + pool[index].score) {
+      pick -= 1 + pool[index].score;
+      index++;
+    }
+    wrongAnswers.push(pool.splice(index, 1)[0].answer);
+  }
+  return wrongAnswers;
+}
+
+/**
+ * Get wrong answers for Kahoot options - ONLY answers from songs in the selected folder.
+ * Answers are ranked by how much their song resembles the right one. When the
+ * pool has fewer distinct answers than asked for, fewer are returned: an
+ * option is never repeated.
+ * @param {Object} correctSong
+ * @param {Array} allSongs
+ * @param {number} count
+ * @param {number} songIndex
+ * @param {string} [questionType='title'] - What the options name (see QUESTION_TYPES)
+ * @param {Object} [choice]
+ * @param {boolean} [choice.similar=false] - Always take the most alike answers (and, for
+ *   years, only nearby years) instead of just favouring them
+ * @param {string|number} [choice.seed] - Same seed, same answers; random when left out
+ * @returns {string[]}
+ */
+export function getWrongAnswers(
+  correctSong,
+  allSongs,
+  count,
+  songIndex,
+  questionType = 'title',
+  { similar = false, seed } = {}
+) {
+  const random = seed === undefined ? Math.random : createRandom(seed);
+  return pickWrongAnswers(correctSong, allSongs, count, songIndex, questionType, similar, random);
+}
+
+/**
+ * Build the shuffled option list for one song
+ * @param {Object} correctSong
+ * @param {Array} wrongOptionPool - Songs to draw wrong answers from
+ * @param {number} [songIndex=-1] - Index of correctSong in the pool, or -1 to match by answer
+ * @param {string} [questionType='title'] - What the options name (see QUESTION_TYPES)
+ * @param {Object} [choice] - How wrong answers are chosen (see getWrongAnswers); the
+ *   seed also fixes the option order
+ * @returns {{options: Array<{text: string, isCorrect: boolean}>, correctIndex: number}}
+ */
+export function buildSongOptions(
+  correctSong,
+  wrongOptionPool,
+  songIndex = -1,
+  questionType = 'title',
+  choice = {}
+) {
+  const { similar = false, seed } = choice;
+  const random = seed === undefined ? Math.random : createRandom(seed);
+  const options = [{ text: getSongAnswer(correctSong, questionType), isCorrect: true }];
+
+  pickWrongAnswers(
+    correctSong,
+    wrongOptionPool,
+    3,
+    songIndex,
+    questionType,
+    similar,
+    random
+  ).forEach((answer) => {
+    options.push({ text: answer, isCorrect: false });
+  });
+
+  shuffleInPlace(options, random);
+  const correctIndex = options.findIndex((opt) => opt.isCorrect);
+
+  return { options, correctIndex };
+}
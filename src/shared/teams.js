@@ -0,0 +1,78 @@
+/**
+ * Team rules shared by the browser client and the server.
+ * Pure functions only — no DOM, no client state, no Node APIs.
+ */
+
+/**
+ * How a team's score is worked out from its members' scores
+ */
+export const TEAM_SCORING = Object.freeze(['sum', 'average']);
+
+export const MAX_TEAMS = 8;
+
+/**
+ * Players on a team, in the order they joined
+ * @param {Object} team
+ * @param {Array} players
+ * @returns {Array}
+ */
+export function getTeamMembers(team, players) {
+  return (players || []).filter((p) => !p.isHost && p.teamId === team.id);
+}
+
+/**
+ * The player who answers for a team: its chosen captain while they are still
+ * on it, otherwise whoever joined the team first
+ * @param {Object} team
+ * @param {Array} players
+ * @returns {string|null} Player ID, or null for an empty team
+ */
+export function getTeamCaptainId(team, players) {
+  const members = getTeamMembers(team, players);
+  if (members.some((p) => p.id === team.captainId)) return team.captainId;
+  return members[0]?.id ?? null;
+}
+
+/**
+ * Team with the fewest players (the first such team on a tie)
+ * @param {Array} teams
+ * @param {Array} players
+ * @returns {Object|null}
+ */
+export function getSmallestTeam(teams, players) {
+  let smallest = null;
+  let smallestSize = Infinity;
+  for (const team of teams || []) {
+    const size = getTeamMembers(team, players).length;
+    if (size < smallestSize) {
+      smallest = team;
+      smallestSize = size;
+    }
+  }
+  return smallest;
+}
+
+/**
+ * Teams ranked by score. A team scores the sum or the average of its
+ * members' scores; empty teams score nothing.
+ * @param {Array} teams
+ * @param {Array} players
+ * @param {string} [scoring='sum'] - One of TEAM_SCORING
+ * @returns {Array<{id: string, name: string, score: number, captainId: string|null, members: Array}>}
+ */
+export function getTeamStandings(teams, players, scoring = 'sum') {
+  return (teams || [])
+    .map((team) => {
+      const members = getTeamMembers(team, players);
+      const total = members.reduce((sum, p) => sum + (p.score || 0), 0);
+      return {
+        id: team.id,
+        name: team.name,
+        score:
+          scoring === 'average' && members.length > 0 ? Math.round(total / members.length) : total,
+        captainId: getTeamCaptainId(team, players),
+        members: [...members].sort((a, b) => b.score - a.score),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
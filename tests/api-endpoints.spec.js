@@ -1,5 +1,6 @@
 // @ts-check
 import { test, expect } from '@playwright/test';
+import { io } from 'socket.io-client';
 
 /**
  * API Endpoints - Comprehensive E2E Tests
@@ -9,9 +10,31 @@ import { test, expect } from '@playwright/test';
  * - Server status
  * - Games list
  * - File upload
+ * - Uploaded tracks
  * - Stats
+ * - Playlists
+ * - Song catalog
+ * - Player profiles
+ * - Game history
+ * - Leaderboards
  */
 
+/**
+ * Create a game over Socket.IO and return the whole-song URLs the server signs
+ * for its host, which no REST endpoint hands out
+ * @param {string} baseURL
+ * @param {Array<Object>} songsMetadata
+ * @returns {Promise<Array<string|null>>}
+ */
+function hostSongUrls(baseURL, songsMetadata) {
+  const socket = io(baseURL, { transports: ['websocket'] });
+  return new Promise((resolve, reject) => {
+    socket.on('hostSongUrls', ({ songUrls }) => resolve(songUrls));
+    socket.on('error', ({ message }) => reject(new Error(message)));
+    socket.emit('createGame', { hostName: 'ApiHost', settings: {}, songsMetadata });
+  }).finally(() => socket.disconnect());
+}
+
 // ============================================
 // HEALTH CHECK TESTS
 // ============================================
@@ -319,7 +342,8 @@ test.describe('API - File Upload', () => {
 
     expect(data.files[0].originalName).toBe('upload-test.mp3');
     expect(data.files[0].filename).toBeDefined();
-    expect(data.files[0].path).toBeDefined();
+    // Whole songs are only signed for a game's host
+    expect(data.files[0].path).toBeUndefined();
     expect(data.files[0].size).toBeDefined();
   });
 
@@ -361,6 +385,380 @@ test.describe('API - File Upload', () => {
   });
 });
 
+// ============================================
+// UPLOADED TRACK TESTS
+// ============================================
+
+test.describe('API - Uploaded Tracks', () => {
+  /**
+   * A tiny MP3 with an ID3v2.3 title and artist, unique per call so earlier
+   * runs don't de-duplicate it. A cover of the given type is embedded if asked for.
+   */
+  function taggedMp3(title, coverMime = '') {
+    const frame = (id, body) => {
+      const header = Buffer.alloc(10);
+      header.write(id, 0, 'latin1');
+      header.writeUInt32BE(body.length, 4);
+      return Buffer.concat([header, body]);
+    };
+    const text = (value) => Buffer.concat([Buffer.from([0]), Buffer.from(value, 'latin1')]);
+    // Encoding, MIME type, front cover picture type, empty description, data
+    const picture = (mime) =>
+      Buffer.concat([Buffer.from([0]), Buffer.from(`${mime}\0`, 'latin1'), Buffer.from([3, 0]), Buffer.from('<b>cover</b>')]);
+    const frames = Buffer.concat([
+      frame('TIT2', text(title)),
+      frame('TPE1', text('Test Artist')),
+      ...(coverMime ? [frame('APIC', picture(coverMime))] : []),
+    ]);
+    const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, frames.length]);
+    const audio = Buffer.from([0xff, 0xfb, 0x90, 0x00, 0x00, 0x00, 0x00, 0x00]);
+    return Buffer.concat([header, frames, audio]);
+  }
+
+  test('POST /api/upload should index tags and de-duplicate identical files', async ({ request }) => {
+    const title = `Indexed ${Date.now()}`;
+    const upload = async (name) => {
+      const response = await request.post('/api/upload', {
+        multipart: { music: { name, mimeType: 'audio/mpeg', buffer: taggedMp3(title) } },
+      });
+      expect(response.ok()).toBeTruthy();
+      return (await response.json()).files[0];
+    };
+
+    const first = await upload('first.mp3');
+    expect(first.duplicate).toBe(false);
+    expect(first.trackId).toBeDefined();
+    expect(first.metadata.title).toBe(title);
+    expect(first.metadata.artist).toBe('Test Artist');
+
+    const second = await upload('second.mp3');
+    expect(second.duplicate).toBe(true);
+    expect(second.trackId).toBe(first.trackId);
+    expect(second.filename).toBe(first.filename);
+
+    const { tracks } = await (await request.get('/api/tracks')).json();
+    expect(tracks.filter((track) => track.id === first.trackId)).toHaveLength(1);
+    // The public listing never pairs file names with titles
+    expect(tracks.some((track) => 'filename' in track || 'path' in track)).toBe(false);
+  });
+
+  test('DELETE /api/tracks/:id should remove the track', async ({ request }) => {
+    const response = await request.post('/api/upload', {
+      multipart: {
+        music: { name: 'delete-me.mp3', mimeType: 'audio/mpeg', buffer: taggedMp3(`Delete ${Date.now()}`) },
+      },
+    });
+    const [file] = (await response.json()).files;
+
+    const deleted = await request.delete(`/api/tracks/${file.trackId}`);
+    expect(deleted.ok()).toBeTruthy();
+
+    const { tracks } = await (await request.get('/api/tracks')).json();
+    expect(tracks.some((track) => track.id === file.trackId)).toBe(false);
+
+    const again = await request.delete(`/api/tracks/${file.trackId}`);
+    expect(again.status()).toBe(404);
+  });
+
+  test('uploaded songs should only play from signed URLs, and covers only as images', async ({
+    request,
+    baseURL,
+  }) => {
+    // One request for both files, since uploads have a tight per-minute limit
+    const multipart = new FormData();
+    for (const mimeType of ['image/png', 'text/html']) {
+      const buffer = taggedMp3(`Signed ${Date.now()} ${mimeType}`, mimeType);
+      multipart.append('music', new Blob([buffer], { type: 'audio/mpeg' }), 'signed-audio.mp3');
+    }
+    const response = await request.post('/api/upload', { multipart });
+    const [file, pageCoverFile] = (await response.json()).files;
+
+    expect((await request.get(`/uploads/${file.filename}`)).status()).toBe(404);
+    expect((await request.get(`/api/audio/${file.filename}`)).status()).toBe(403);
+
+    // Only a game's host is sent a signed URL for the whole song
+    expect(file.path).toBeUndefined();
+    const [url] = await hostSongUrls(baseURL, [{ metadata: { title: 'Signed' }, filename: file.filename }]);
+    expect((await request.get(url)).status()).toBe(200);
+
+    // A cover's type comes from the file's tags, so anything but an image is refused
+    const cover = await request.get(`/api/tracks/${file.trackId}/cover`);
+    expect(cover.status()).toBe(200);
+    expect(cover.headers()['content-type']).toContain('image/png');
+    expect(cover.headers()['x-content-type-options']).toBe('nosniff');
+    expect((await request.get(`/api/tracks/${pageCoverFile.trackId}/cover`)).status()).toBe(404);
+  });
+});
+
+// ============================================
+// PLAYLIST TESTS
+// ============================================
+
+test.describe('API - Playlists', () => {
+  // These tests make many requests; start each in a fresh 1s rate-limit window
+  test.beforeEach(async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+  });
+
+  const song = (title, extra = {}) => ({
+    metadata: { title, artist: 'Test Artist' },
+    filename: `${title.replace(/\W/g, '')}.mp3`,
+    ...extra,
+  });
+
+  test('playlists can be created, read, updated and deleted', async ({ request }) => {
+    const name = `Playlist ${Date.now()}`;
+
+    const created = await request.post('/api/playlists', {
+      data: {
+        name,
+        songs: [
+          song('First Song', { titleOverride: 'Song One', acceptedAnswers: ['first', ' '] }),
+          { metadata: { title: 'Catalog Song' }, catalogId: 'catalog-1' },
+        ],
+      },
+    });
+    expect(created.status()).toBe(201);
+    const { playlist } = await created.json();
+    expect(playlist.id).toBeTruthy();
+    expect(playlist.songs[0].titleOverride).toBe('Song One');
+    expect(playlist.songs[0].acceptedAnswers).toEqual(['first']);
+    expect(playlist.songs[1].catalogId).toBe('catalog-1');
+
+    const list = await (await request.get('/api/playlists')).json();
+    const summary = list.playlists.find((p) => p.id === playlist.id);
+    expect(summary.name).toBe(name);
+    expect(summary.songCount).toBe(2);
+    expect(summary.songs).toBeUndefined();
+
+    const updated = await request.put(`/api/playlists/${playlist.id}`, {
+      data: { songs: [song('Replacement')] },
+    });
+    expect(updated.ok()).toBeTruthy();
+    const updatedBody = await updated.json();
+    expect(updatedBody.playlist.name).toBe(name);
+    expect(updatedBody.playlist.songs.map((s) => s.metadata.title)).toEqual(['Replacement']);
+
+    const fetched = await request.get(`/api/playlists/${playlist.id}`);
+    const fetchedSongs = (await fetched.json()).playlist.songs;
+    expect(fetchedSongs).toHaveLength(1);
+    // Songs only play from URLs signed for a running game's host
+    expect(fetchedSongs[0].url).toBeUndefined();
+
+    expect((await request.delete(`/api/playlists/${playlist.id}`)).ok()).toBeTruthy();
+    expect((await request.get(`/api/playlists/${playlist.id}`)).status()).toBe(404);
+    expect((await request.delete(`/api/playlists/${playlist.id}`)).status()).toBe(404);
+  });
+
+  test('invalid or duplicate playlists are rejected', async ({ request }) => {
+    const name = `Dupe ${Date.now()}`;
+
+    const noSongs = await request.post('/api/playlists', { data: { name, songs: [] } });
+    expect(noSongs.status()).toBe(400);
+
+    const badFile = await request.post('/api/playlists', {
+      data: { name, songs: [song('Bad', { filename: '../../etc/passwd' })] },
+    });
+    expect(badFile.status()).toBe(400);
+
+    const first = await request.post('/api/playlists', { data: { name, songs: [song('One')] } });
+    expect(first.status()).toBe(201);
+    const { playlist } = await first.json();
+
+    const dupe = await request.post('/api/playlists', {
+      data: { name: name.toUpperCase(), songs: [song('Two')] },
+    });
+    expect(dupe.status()).toBe(409);
+
+    await request.delete(`/api/playlists/${playlist.id}`);
+  });
+});
+
+// ============================================
+// SONG CATALOG TESTS
+// ============================================
+
+test.describe('API - Song Catalog', () => {
+  // These tests make many requests; start each in a fresh 1s rate-limit window
+  test.beforeEach(async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+  });
+
+  test('catalog songs can be listed randomly, by search or by album', async ({ request }) => {
+    const { albums } = await (await request.get('/api/catalog/albums')).json();
+    expect(albums.length).toBeGreaterThan(0);
+
+    const random = await (await request.get('/api/catalog/songs?source=random&count=5')).json();
+    expect(random.songs).toHaveLength(5);
+    const song = random.songs[0];
+    expect(song.catalogId).toBeTruthy();
+    expect(song.metadata.title).toBeTruthy();
+    // Whole songs are only signed for a game's host
+    expect(song.url).toBeUndefined();
+    expect(song.coverUrl).toContain(`/api/catalog/cover/${encodeURIComponent(song.catalogId)}?`);
+
+    const word = song.metadata.title.split(' ')[0];
+    const search = await (await request.get(`/api/catalog/songs?source=search&query=${encodeURIComponent(word)}`)).json();
+    expect(search.songs.length).toBeGreaterThan(0);
+    expect(search.songs.every((s) => s.metadata.title.toLowerCase().includes(word.toLowerCase()))).toBeTruthy();
+
+    const album = await (await request.get(`/api/catalog/songs?source=album&albumId=${albums[0].id}`)).json();
+    expect(album.songs).toHaveLength(albums[0].songCount);
+
+    expect((await request.get('/api/catalog/songs?source=everything')).status()).toBe(400);
+    expect((await request.get('/api/catalog/songs?source=album&albumId=missing')).status()).toBe(400);
+  });
+
+  test('catalog songs stream through a redirect like stream.view', async ({ request, baseURL }) => {
+    const { songs } = await (await request.get('/api/catalog/songs?source=random&count=1')).json();
+    const [url] = await hostSongUrls(baseURL, songs);
+    expect(url).toContain(`/api/catalog/stream/${encodeURIComponent(songs[0].catalogId)}?`);
+
+    const stream = await request.get(url, { maxRedirects: 0 });
+    expect(stream.status()).toBe(302);
+    expect(stream.headers()['location']).toMatch(/^https:\/\//);
+
+    // Only signed URLs stream
+    const unsigned = await request.get(`/api/catalog/stream/${encodeURIComponent(songs[0].catalogId)}`, {
+      maxRedirects: 0,
+    });
+    expect(unsigned.status()).toBe(403);
+  });
+});
+
+// ============================================
+// PLAYER PROFILE TESTS
+// ============================================
+
+test.describe('API - Player Profiles', () => {
+  // Profile sign-ins have their own per-minute limit, so these tests stay small
+  const nickname = () => `P${Date.now().toString(36)}`;
+
+  test('profiles can be created, signed in to and read', async ({ request }) => {
+    const name = nickname();
+
+    const created = await request.post('/api/profiles', { data: { nickname: name, secret: '2468' } });
+    expect(created.status()).toBe(201);
+    const { profile } = await created.json();
+    expect(profile.nickname).toBe(name);
+    expect(profile.stats.gamesPlayed).toBe(0);
+    expect(profile.stats.accuracy).toBeNull();
+    expect(profile.secret_hash).toBeUndefined();
+
+    const signedIn = await request.post('/api/profiles/login', {
+      data: { nickname: name.toLowerCase(), secret: '2468' },
+    });
+    expect(signedIn.ok()).toBeTruthy();
+    expect((await signedIn.json()).profile.id).toBe(profile.id);
+
+    const fetched = await request.get(`/api/profiles/${profile.id}`);
+    expect(fetched.ok()).toBeTruthy();
+    expect((await fetched.json()).profile.nickname).toBe(name);
+  });
+
+  test('profiles reject taken nicknames, wrong PINs and bad input', async ({ request }) => {
+    const name = nickname();
+    await request.post('/api/profiles', { data: { nickname: name, secret: '1357' } });
+
+    const duplicate = await request.post('/api/profiles', { data: { nickname: name, secret: '9999' } });
+    expect(duplicate.status()).toBe(409);
+
+    const wrongPin = await request.post('/api/profiles/login', { data: { nickname: name, secret: '0000' } });
+    expect(wrongPin.status()).toBe(401);
+
+    const shortPin = await request.post('/api/profiles', { data: { nickname: `${name}x`, secret: '12' } });
+    expect(shortPin.status()).toBe(400);
+
+    const missing = await request.get('/api/profiles/does-not-exist');
+    expect(missing.status()).toBe(404);
+  });
+});
+
+// ============================================
+// GAME HISTORY TESTS
+// ============================================
+
+test.describe('API - Game History', () => {
+  test('GET /api/history should list archived games', async ({ request }) => {
+    const response = await request.get('/api/history?limit=5');
+    expect(response.ok()).toBeTruthy();
+
+    const data = await response.json();
+    expect(Array.isArray(data.games)).toBeTruthy();
+    expect(data.games.length).toBeLessThanOrEqual(5);
+    for (const game of data.games) {
+      expect(game.gameId).toMatch(/^[A-Z0-9]{6}$/);
+      expect(typeof game.finishedAt).toBe('number');
+    }
+  });
+
+  test('GET /api/history/:gameId should reject bad and unknown game IDs', async ({ request }) => {
+    const invalid = await request.get('/api/history/not-a-game');
+    expect(invalid.status()).toBe(400);
+
+    const unknown = await request.get('/api/history/ZZZZZZ');
+    expect(unknown.status()).toBe(404);
+  });
+});
+
+// ============================================
+// LEADERBOARD TESTS
+// ============================================
+
+test.describe('API - Leaderboards', () => {
+  test('GET /api/leaderboards should return ranked entries', async ({ request }) => {
+    const response = await request.get('/api/leaderboards?period=month');
+    expect(response.ok()).toBeTruthy();
+
+    const { leaderboard } = await response.json();
+    expect(leaderboard.mode).toBe('multiplayer');
+    expect(leaderboard.period).toBe('month');
+    expect(Array.isArray(leaderboard.entries)).toBeTruthy();
+
+    const invalid = await request.get('/api/leaderboards?mode=team');
+    expect(invalid.status()).toBe(400);
+  });
+
+  test('single-player scores are ranked per playlist', async ({ request }) => {
+    const created = await request.post('/api/playlists', {
+      data: {
+        name: `Leaderboard ${Date.now()}`,
+        songs: [{ metadata: { title: 'Song' }, filename: 'song.mp3' }],
+      },
+    });
+    const { playlist } = await created.json();
+
+    const submitted = await request.post('/api/leaderboards/single', {
+      data: { playerName: 'Solo Star', playlistId: playlist.id, score: 640, correct: 4, total: 5 },
+    });
+    expect(submitted.status()).toBe(201);
+
+    const impossible = await request.post('/api/leaderboards/single', {
+      data: { playerName: 'Solo Star', score: 640, correct: 6, total: 5 },
+    });
+    expect(impossible.status()).toBe(400);
+
+    const response = await request.get(`/api/leaderboards?mode=single&playlistId=${playlist.id}`);
+    const { leaderboard } = await response.json();
+    expect(leaderboard.entries).toEqual([
+      expect.objectContaining({ rank: 1, name: 'Solo Star', totalScore: 640, accuracy: 0.8 }),
+    ]);
+
+    await request.delete(`/api/playlists/${playlist.id}`);
+  });
+
+  test('single-player score limits scale with the difficulty', async ({ request }) => {
+    // One song is worth at most 205 points on Normal and twice that on Expert
+    const entry = { playerName: 'Expert Ear', score: 300, correct: 1, total: 1 };
+
+    const normal = await request.post('/api/leaderboards/single', { data: entry });
+    expect(normal.status()).toBe(400);
+
+    const expert = await request.post('/api/leaderboards/single', { data: { ...entry, difficulty: 'expert' } });
+    expect(expert.status()).toBe(201);
+  });
+});
+
 // ============================================
 // STATIC FILE SERVING TESTS
 // ============================================
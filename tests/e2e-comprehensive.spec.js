@@ -668,7 +668,7 @@ test.describe('Player Management', () => {
     }
   });
 
-  test('host leaving deletes game and sends players home', async ({ browser }) => {
+  test('host leaving hands the game to a remaining player', async ({ browser }) => {
     const hostCtx = await browser.newContext();
     const playerCtx = await browser.newContext();
     const hostPage = await hostCtx.newPage();
@@ -681,8 +681,9 @@ test.describe('Player Management', () => {
       // Host leaves
       await hostPage.locator('#lobby-panel button.btn-danger:has-text("Leave")').click();
 
-      // Player should get notification and return to home
-      await expect(playerPage.locator('#home-panel')).toBeVisible({ timeout: 15000 });
+      // Player takes over instead of being sent home
+      await expect(playerPage.locator('#host-controls')).toBeVisible({ timeout: 15000 });
+      await expect(playerPage.locator('#lobby-panel')).toBeVisible();
     } finally {
       await hostCtx.close();
       await playerCtx.close();
@@ -334,13 +334,13 @@ test.describe('Security - submitAnswer race & validation', () => {
       await hostShowOptions(hostPage);
       await waitForKahootOptions(playerPage);
 
-      // Directly advance the server's current song from the host socket — the
+      // Directly skip the server's current song from the host socket — the
       // UI helper `revealAnswerAndNext` waits 6s before it advances, too slow
-      // for a deterministic test.
+      // for a deterministic test. (nextSong only moves on after the reveal.)
       await hostPage.evaluate(() => {
-        window.__socket.emit('nextSong', {
+        window.__socket.emit('hostCommand', {
           gameId: window.state.gameId,
-          currentSongIndex: 0,
+          command: 'skip',
         });
       });
 
@@ -528,6 +528,23 @@ test.describe('Security - upload hardening', () => {
   });
 });
 
+test.describe('Security - clip streaming URLs', () => {
+  test('unsigned or forged clip URLs are refused', async ({ request }) => {
+    const expires = Date.now() + 60000;
+    const urls = [
+      '/api/clip/ABC123/clip-id?start=0&duration=5',
+      `/api/clip/ABC123/clip-id?start=0&duration=5&expires=${expires}&sig=bogus-signature`,
+      // Asking for more than a clip is never signed
+      `/api/clip/ABC123/clip-id?start=0&duration=600&expires=${expires}&sig=bogus-signature`,
+    ];
+
+    for (const url of urls) {
+      const response = await request.get(url);
+      expect(response.status()).toBe(403);
+    }
+  });
+});
+
 // ============================================
 // 4. CORS — disallowed origin in dev
 // ============================================
@@ -545,3 +545,45 @@ test.describe('Game Creation - Validation', () => {
     await expect(page.locator('#lobby-panel')).toBeVisible({ timeout: 15000 });
   });
 });
+
+// ============================================
+// SUBSONIC SERVER TESTS
+// ============================================
+
+// The app's own /rest API stands in for a Navidrome server (see playwright.config.js)
+test.describe('Game Creation - Subsonic Server', () => {
+  test('should load an album from a Subsonic server', async ({ page }) => {
+    await page.goto('/');
+    await page.click('button:has-text("Create Game")');
+    await waitForConnection(page);
+
+    await page.fill('#subsonic-url', new URL(page.url()).origin);
+    await page.fill('#subsonic-username', process.env.SUBSONIC_USER || 'quiz');
+    await page.fill('#subsonic-password', process.env.SUBSONIC_PASSWORD || 'quiz-password');
+    await page.click('button:has-text("Connect")');
+
+    await expect(page.locator('#subsonic-browser')).toBeVisible();
+    // The password is only needed to derive the token
+    await expect(page.locator('#subsonic-password')).toHaveValue('');
+
+    await page.selectOption('#subsonic-browse-by', 'album');
+    await page.click('#subsonic-browser button:has-text("Load")');
+
+    await expect(page.locator('#music-folder-path')).toContainText('songs');
+    await expect(page.locator('#start-game-button')).toBeEnabled();
+  });
+
+  test('should reject wrong Subsonic credentials', async ({ page }) => {
+    await page.goto('/');
+    await page.click('button:has-text("Create Game")');
+    await waitForConnection(page);
+
+    await page.fill('#subsonic-url', new URL(page.url()).origin);
+    await page.fill('#subsonic-username', process.env.SUBSONIC_USER || 'quiz');
+    await page.fill('#subsonic-password', 'not-the-password');
+    await page.click('button:has-text("Connect")');
+
+    await expect(page.locator('#subsonic-browser')).toBeHidden();
+    await expect(page.locator('#start-game-button')).toBeDisabled();
+  });
+});
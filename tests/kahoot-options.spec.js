@@ -9,6 +9,7 @@ import { test, expect } from '@playwright/test';
  * - Players wait while song plays, then see options
  * - Response time tracking for scoring
  * - Answer timer countdown
+ * - Artist and year question types
  */
 
 // Helper to generate unique player names
@@ -116,6 +117,36 @@ test.describe('Single Player - Kahoot Options', () => {
     await expect(page.locator('#single-kahoot-options .kahoot-green .kahoot-shape')).toContainText('■');
   });
 
+  test('artist questions offer artists as options', async ({ page }) => {
+    await page.goto('/');
+    await page.click('button:has-text("Play Solo")');
+    await loadMockMusic(page);
+
+    await page.click('#question-options button[data-value="artist"]');
+    await page.click('#start-game-button');
+    await expect(page.locator('#game-panel')).toBeVisible({ timeout: 10000 });
+
+    await expect(page.locator('#single-song-title')).toHaveText('Who is the artist?');
+    const options = await page.locator('#single-kahoot-options .kahoot-answer').allTextContents();
+    const artists = ['Queen', 'Led Zeppelin', 'Eagles', 'Guns N Roses', 'Nirvana'];
+    expect(options.every((option) => artists.includes(option))).toBe(true);
+  });
+
+  test('year questions offer years near the right one', async ({ page }) => {
+    await page.goto('/');
+    await page.click('button:has-text("Play Solo")');
+    await loadMockMusic(page);
+
+    await page.click('#question-options button[data-value="year"]');
+    await page.click('#start-game-button');
+    await expect(page.locator('#game-panel')).toBeVisible({ timeout: 10000 });
+
+    await expect(page.locator('#single-song-title')).toHaveText('What year is it from?');
+    const options = await page.locator('#single-kahoot-options .kahoot-answer').allTextContents();
+    expect(options).toHaveLength(4);
+    options.forEach((option) => expect(option).toMatch(/^(19|20)\d\d$/));
+  });
+
 });
 
 // ============================================
@@ -11,6 +11,8 @@ import { test, expect } from '@playwright/test';
  * - Answer submission and scoring
  * - Song progression
  * - Timer mechanics
+ * - Free-text answers
+ * - Team games
  */
 
 // Helper to wait for socket connection
@@ -84,8 +86,25 @@ async function loadMockMusic(page, count = 5) {
   await page.waitForTimeout(500);
 }
 
-// Helper to setup a game with host and player in lobby
-async function setupGameWithPlayer(browser, hostName, playerName) {
+// Helper to join a game from the home page, optionally naming a team
+async function joinAsPlayer(page, gameId, playerName, team = '') {
+  await page.goto('/');
+  await page.click('button:has-text("Join Game")');
+  await waitForConnection(page);
+  await page.fill('#join-player-name', playerName);
+  await page.fill('#game-id-input', gameId);
+  if (team) await page.fill('#join-team-name', team);
+  await page.click('#join-panel button:has-text("Join")');
+}
+
+// Helper to setup a game with host and player in lobby. Options turn on the
+// matching game settings; `team` is the team the player asks to join.
+async function setupGameWithPlayer(
+  browser,
+  hostName,
+  playerName,
+  { textAnswers = false, teamMode = false, team = '', buzzerMode = false, lateJoin = false } = {}
+) {
   const hostContext = await browser.newContext();
   const playerContext = await browser.newContext();
 
@@ -99,6 +118,10 @@ async function setupGameWithPlayer(browser, hostName, playerName) {
   await setPlayerName(hostPage, hostName);
   await loadMockMusic(hostPage);
   await hostPage.selectOption('#songs-count', '3');
+  if (textAnswers) await hostPage.check('#text-answers', { force: true });
+  if (teamMode) await hostPage.check('#team-mode', { force: true });
+  if (buzzerMode) await hostPage.check('#buzzer-mode', { force: true });
+  if (lateJoin) await hostPage.check('#late-join', { force: true });
   await hostPage.click('#start-game-button');
   await expect(hostPage.locator('#lobby-panel')).toBeVisible({ timeout: 15000 });
 
@@ -106,12 +129,7 @@ async function setupGameWithPlayer(browser, hostName, playerName) {
   const gameId = gameIdText?.match(/[A-Z0-9]{6}/)?.[0] || '';
 
   // Player joins
-  await playerPage.goto('/');
-  await playerPage.click('button:has-text("Join Game")');
-  await waitForConnection(playerPage);
-  await playerPage.fill('#join-player-name', playerName);
-  await playerPage.fill('#game-id-input', gameId);
-  await playerPage.click('#join-panel button:has-text("Join")');
+  await joinAsPlayer(playerPage, gameId, playerName, team);
   await expect(playerPage.locator('#lobby-panel')).toBeVisible({ timeout: 15000 });
 
   return { hostContext, playerContext, hostPage, playerPage, gameId };
@@ -519,6 +537,255 @@ test.describe('Multiplayer Gameplay - Answer Submission', () => {
   });
 });
 
+// ============================================
+// FREE-TEXT ANSWER TESTS
+// ============================================
+
+test.describe('Multiplayer Gameplay - Free-Text Answers', () => {
+  test('player types the title and the host can accept a near miss', async ({ browser }) => {
+    const { hostContext, playerContext, hostPage, playerPage } =
+      await setupGameWithPlayer(browser, uniqueName('Host'), uniqueName('Player'), { textAnswers: true });
+
+    try {
+      await hostPage.click('#start-game-btn');
+      await expect(playerPage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+
+      await triggerHostShowOptions(hostPage, playerPage);
+
+      // Players get an answer box instead of the four options
+      await expect(playerPage.locator('#text-answer-form')).toBeVisible({ timeout: 10000 });
+      await expect(playerPage.locator('#nonhost-kahoot-options')).toBeHidden();
+
+      await playerPage.fill('#text-answer-input', 'Not even close');
+      await playerPage.click('#text-answer-form button[type="submit"]');
+
+      // The host sees the typed answer and accepts it
+      const typedAnswer = hostPage.locator('#host-text-answer-list .host-text-answer');
+      await expect(typedAnswer).toContainText('Not even close', { timeout: 5000 });
+      await expect(typedAnswer).toHaveClass(/wrong/);
+
+      await typedAnswer.locator('button:has-text("Accept")').click();
+      await expect(typedAnswer).toHaveClass(/correct/, { timeout: 5000 });
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+});
+
+// ============================================
+// ANSWER TIMING TESTS
+// ============================================
+
+test.describe('Multiplayer Gameplay - Answer Timing', () => {
+  test('server times answers instead of trusting the response time a client claims', async ({ browser }) => {
+    const { hostContext, playerContext, hostPage, playerPage } =
+      await setupGameWithPlayer(browser, uniqueName('Host'), uniqueName('Player'), { textAnswers: true });
+
+    try {
+      await hostPage.click('#start-game-btn');
+      await expect(playerPage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+
+      await triggerHostShowOptions(hostPage, playerPage);
+      await expect(playerPage.locator('#text-answer-form')).toBeVisible({ timeout: 10000 });
+
+      // Take a few seconds, then claim the answer took no time at all
+      await playerPage.waitForTimeout(3000);
+      const result = playerPage.evaluate(
+        () =>
+          new Promise((resolve) => {
+            window.__socket.on('answerResult', (data) => {
+              if (data.acceptedByHost) resolve(data);
+            });
+            setTimeout(() => resolve(null), 10000);
+            window.__socket.emit('submitAnswer', {
+              gameId: window.state.gameId,
+              playerId: window.state.currentPlayer?.id,
+              songIndex: window.state.currentSongIndex,
+              answerText: 'Not even close',
+              responseTime: 0,
+              responseTimeSeconds: 0,
+            });
+          })
+      );
+
+      // Accepting scores the answer as right, at the speed the server measured
+      const typedAnswer = hostPage.locator('#host-text-answer-list .host-text-answer');
+      await expect(typedAnswer).toContainText('Not even close', { timeout: 5000 });
+      await typedAnswer.locator('button:has-text("Accept")').click();
+
+      const accepted = await result;
+      expect(accepted).not.toBeNull();
+      expect(accepted.points).toBeGreaterThan(100);
+      expect(accepted.points).toBeLessThan(1000);
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+});
+
+// ============================================
+// PAUSE AND SKIP TESTS
+// ============================================
+
+test.describe('Multiplayer Gameplay - Pause and Skip', () => {
+  test('host pauses and resumes for everyone, and a skipped song is void', async ({ browser }) => {
+    const { hostContext, playerContext, hostPage, playerPage } =
+      await setupGameWithPlayer(browser, uniqueName('Host'), uniqueName('Player'));
+
+    try {
+      await hostPage.click('#start-game-btn');
+      await expect(playerPage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+
+      await hostPage.locator('#host-music-player .pause-game-btn').click();
+      await expect(playerPage.locator('#paused-overlay')).toBeVisible({ timeout: 5000 });
+      // Only the host can resume
+      await expect(playerPage.locator('#paused-resume-btn')).toBeHidden();
+
+      await hostPage.click('#paused-resume-btn');
+      await expect(playerPage.locator('#paused-overlay')).toBeHidden({ timeout: 5000 });
+
+      await hostPage.click('#skip-song-btn');
+      await expect(playerPage.locator('#live-feed')).toContainText('Song 1 was skipped', { timeout: 5000 });
+      await expect(playerPage.locator('#current-song-num')).toHaveText('2', { timeout: 5000 });
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+});
+
+// ============================================
+// TEAM GAME TESTS
+// ============================================
+
+test.describe('Multiplayer Gameplay - Teams', () => {
+  test('player joins the team they name and scoreboards rank teams', async ({ browser }) => {
+    const { hostContext, playerContext, hostPage, playerPage } =
+      await setupGameWithPlayer(browser, uniqueName('Host'), uniqueName('Player'), {
+        teamMode: true,
+        team: 'Team 2',
+      });
+
+    try {
+      // Both see the two starting teams, with the player on Team 2
+      await expect(playerPage.locator('#teams-section')).toBeVisible();
+      const hostTeam2 = hostPage.locator('.team-card').nth(1);
+      await expect(hostTeam2.locator('.team-name-input')).toHaveValue('Team 2');
+      await expect(hostTeam2).toContainText('Player_');
+      await expect(playerPage.locator('.team-card').first().locator('.btn-team-join')).toBeVisible();
+
+      await hostPage.click('#start-game-btn');
+      await expect(playerPage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+
+      // Any answer refreshes the host's scoreboard
+      await triggerHostShowOptions(hostPage, playerPage);
+      await expect(playerPage.locator('#nonhost-kahoot-options')).toBeVisible({ timeout: 10000 });
+      await playerPage.locator('#nonhost-kahoot-options .kahoot-option').first().click();
+
+      await hostPage.evaluate(() => window.toggleScoreboard?.());
+      await expect(hostPage.locator('#live-scoreboard .scoreboard-entry').first()).toContainText('Team 2', {
+        timeout: 5000,
+      });
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+});
+
+// ============================================
+// BUZZER TESTS
+// ============================================
+
+test.describe('Multiplayer Gameplay - Buzzer', () => {
+  test('first buzz gets the options and shows in the host queue', async ({ browser }) => {
+    const playerName = uniqueName('Player');
+    const { hostContext, playerContext, hostPage, playerPage } =
+      await setupGameWithPlayer(browser, uniqueName('Host'), playerName, { buzzerMode: true });
+
+    try {
+      await hostPage.click('#start-game-btn');
+      await expect(playerPage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+
+      const buzzButton = playerPage.locator('#buzz-button');
+      await expect(buzzButton).toBeVisible({ timeout: 10000 });
+      await buzzButton.click();
+
+      // Only the buzzer sees the options; the host sees who holds the buzz
+      await expect(playerPage.locator('#nonhost-kahoot-options')).toBeVisible({ timeout: 10000 });
+      const holder = hostPage.locator('#host-buzz-list .buzz-answering');
+      await expect(holder).toContainText(playerName);
+      await expect(holder).toContainText('first');
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+});
+
+// ============================================
+// BIG-SCREEN DISPLAY TESTS
+// ============================================
+
+test.describe('Multiplayer Gameplay - Big-Screen Display', () => {
+  test('display watches the game without joining it', async ({ browser }) => {
+    const { hostContext, playerContext, hostPage, playerPage, gameId } =
+      await setupGameWithPlayer(browser, uniqueName('Host'), uniqueName('Player'));
+    const displayContext = await browser.newContext();
+    const displayPage = await displayContext.newPage();
+
+    try {
+      await displayPage.goto(`/?display=${gameId}`);
+      await expect(displayPage.locator('#display-panel')).toBeVisible();
+      await expect(displayPage.locator('#display-status')).toContainText('1 player joined', { timeout: 10000 });
+
+      await hostPage.click('#start-game-btn');
+      await expect(playerPage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+
+      await triggerHostShowOptions(hostPage, playerPage);
+      await expect(displayPage.locator('#display-options .display-option')).toHaveCount(4, { timeout: 10000 });
+      // Only the real player is waited for
+      await expect(displayPage.locator('#display-answered')).toContainText('0 / 1 answered');
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+      await displayContext.close();
+    }
+  });
+});
+
+// ============================================
+// LATE JOIN TESTS
+// ============================================
+
+test.describe('Multiplayer Gameplay - Late Join', () => {
+  test('a player joining mid-game lands on the open question', async ({ browser }) => {
+    const { hostContext, playerContext, hostPage, playerPage, gameId } =
+      await setupGameWithPlayer(browser, uniqueName('Host'), uniqueName('Player'), { lateJoin: true });
+    const lateContext = await browser.newContext();
+    const latePage = await lateContext.newPage();
+
+    try {
+      await hostPage.click('#start-game-btn');
+      await expect(playerPage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+      await triggerHostShowOptions(hostPage, playerPage);
+
+      await joinAsPlayer(latePage, gameId, uniqueName('Late'));
+
+      // Straight into the game with the question still open, not the lobby
+      await expect(latePage.locator('#game-panel')).toBeVisible({ timeout: 15000 });
+      await expect(latePage.locator('#nonhost-kahoot-options')).toBeVisible({ timeout: 10000 });
+      await expect(hostPage.locator('#live-feed')).toContainText('joined the game');
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+      await lateContext.close();
+    }
+  });
+});
+
 // ============================================
 // SCORING TESTS
 // ============================================
@@ -9,6 +9,8 @@ import { test, expect } from '@playwright/test';
  * - Player list updates
  * - Leaving games
  * - Kicking players (host only)
+ * - Co-hosts and handing the game to another player
+ * - Bans and locking the lobby
  * - Duplicate name handling
  * - Max player limits
  */
@@ -484,7 +486,7 @@ test.describe('Player Management - Leaving Game', () => {
     }
   });
 
-  test('host leaving should delete game for all players', async ({ browser }) => {
+  test('host leaving should hand the game to a player', async ({ browser }) => {
     const hostContext = await browser.newContext();
     const playerContext = await browser.newContext();
 
@@ -508,8 +510,9 @@ test.describe('Player Management - Leaving Game', () => {
       // Host leaves (use specific selector for lobby panel)
       await hostPage.click('#lobby-panel button:has-text("Leave Game")');
 
-      // Player should be redirected to home (game deleted)
-      await expect(playerPage.locator('#home-panel')).toBeVisible({ timeout: 15000 });
+      // The only player takes over and the game stays open
+      await expect(playerPage.locator('#lobby-panel')).toBeVisible();
+      await expect(playerPage.locator('#host-controls')).toBeVisible({ timeout: 15000 });
     } finally {
       await hostContext.close();
       await playerContext.close();
@@ -700,6 +703,143 @@ test.describe('Player Management - Kicking Players', () => {
   });
 });
 
+// ============================================
+// CO-HOST AND HOST TRANSFER TESTS
+// ============================================
+
+test.describe('Player Management - Co-hosts and Host Transfer', () => {
+  test('host can make a player co-host and then hand them the game', async ({ browser }) => {
+    const hostContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+
+    const hostPage = await hostContext.newPage();
+    const playerPage = await playerContext.newPage();
+
+    try {
+      const gameId = await createGame(hostPage, uniqueName('Host'));
+
+      await playerPage.goto('/');
+      await playerPage.click('button:has-text("Join Game")');
+      await waitForConnection(playerPage);
+
+      await playerPage.fill('#join-player-name', uniqueName('Player'));
+      await playerPage.fill('#game-id-input', gameId);
+      await playerPage.click('#join-panel button:has-text("Join")');
+
+      await expect(playerPage.locator('#lobby-panel')).toBeVisible({ timeout: 15000 });
+      await expect(playerPage.locator('#host-controls')).toBeHidden();
+
+      // Co-host: the player gets the start button while still a player
+      await hostPage.click('.btn-host-action[data-action="toggleCoHost"]');
+      await expect(playerPage.locator('#host-controls')).toBeVisible({ timeout: 10000 });
+      await expect(hostPage.locator('.status-cohost')).toBeVisible();
+
+      // Host transfer: the roles swap
+      await hostPage.click('.btn-host-action[data-action="transferHost"]');
+      await expect(hostPage.locator('#player-controls')).toBeVisible({ timeout: 10000 });
+      await expect(hostPage.locator('#host-controls')).toBeHidden();
+      await expect(playerPage.locator('#host-controls')).toBeVisible();
+      await expect(playerPage.locator('.btn-host-action[data-action="transferHost"]')).toHaveCount(1);
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+});
+
+// ============================================
+// BAN AND LOBBY LOCK TESTS
+// ============================================
+
+test.describe('Player Management - Bans and Lobby Lock', () => {
+  test('banned player cannot rejoin and a locked game turns new players away', async ({ browser }) => {
+    const hostContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+
+    const hostPage = await hostContext.newPage();
+    const playerPage = await playerContext.newPage();
+
+    const joinAs = async (name, gameId) => {
+      await playerPage.goto('/');
+      await playerPage.click('button:has-text("Join Game")');
+      await waitForConnection(playerPage);
+      await playerPage.fill('#join-player-name', name);
+      await playerPage.fill('#game-id-input', gameId);
+      await playerPage.click('#join-panel button:has-text("Join")');
+    };
+
+    try {
+      const gameId = await createGame(hostPage, uniqueName('Host'));
+      const playerName = uniqueName('Player');
+
+      await joinAs(playerName, gameId);
+      await expect(playerPage.locator('#lobby-panel')).toBeVisible({ timeout: 15000 });
+
+      // Ban: the player is sent home and shows up in the host's banned list
+      await hostPage.click('#players-container .btn-host-action[data-action="banPlayer"]');
+      await expect(playerPage.locator('#home-panel')).toBeVisible({ timeout: 10000 });
+      await expect(hostPage.locator('#lobby-banned-list')).toContainText(playerName);
+
+      // Joining again under the banned name is refused
+      await joinAs(playerName, gameId);
+      await expect(playerPage.locator('.notification')).toContainText(/banned/i, { timeout: 10000 });
+
+      // Unban, then lock: now the game is closed to everyone new
+      await hostPage.click('#lobby-banned-list .btn-host-action[data-action="unbanPlayer"]');
+      await expect(hostPage.locator('#lobby-banned')).toBeHidden({ timeout: 10000 });
+      await hostPage.click('#host-controls .lock-lobby-btn');
+      await expect(hostPage.locator('#host-controls .lock-lobby-btn')).toHaveText('Unlock Game', {
+        timeout: 10000,
+      });
+
+      await joinAs(playerName, gameId);
+      await expect(playerPage.locator('.notification').last()).toContainText(/locked/i, {
+        timeout: 10000,
+      });
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+
+  test('banned player rejoins under a new name', async ({ browser }) => {
+    const hostContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+
+    const hostPage = await hostContext.newPage();
+    const playerPage = await playerContext.newPage();
+
+    const joinAs = async (name, gameId) => {
+      await playerPage.goto('/');
+      await playerPage.click('button:has-text("Join Game")');
+      await waitForConnection(playerPage);
+      await playerPage.fill('#join-player-name', name);
+      await playerPage.fill('#game-id-input', gameId);
+      await playerPage.click('#join-panel button:has-text("Join")');
+    };
+
+    try {
+      const gameId = await createGame(hostPage, uniqueName('Host'));
+
+      await joinAs(uniqueName('Player'), gameId);
+      await expect(playerPage.locator('#lobby-panel')).toBeVisible({ timeout: 15000 });
+
+      await hostPage.click('#players-container .btn-host-action[data-action="banPlayer"]');
+      await expect(playerPage.locator('#home-panel')).toBeVisible({ timeout: 10000 });
+
+      // The ban is held against the device too, so a new name is refused
+      await joinAs(uniqueName('Other'), gameId);
+      await expect(playerPage.locator('.notification').last()).toContainText(/banned/i, {
+        timeout: 10000,
+      });
+      await expect(playerPage.locator('#lobby-panel')).toBeHidden();
+    } finally {
+      await hostContext.close();
+      await playerContext.close();
+    }
+  });
+});
+
 // ============================================
 // MULTIPLE PLAYERS TESTS
 // ============================================
@@ -41,6 +41,56 @@ async function loadMockMusic(page) {
   });
 }
 
+/**
+ * Create a game from the home page and return its ID
+ * @param {import('@playwright/test').Page} page
+ * @param {string} hostName
+ */
+async function createLobby(page, hostName) {
+  await page.goto('/');
+  await page.locator('.create-game button.btn').click();
+  await waitForSocket(page);
+  await loadMockMusic(page);
+  await page.evaluate((name) => {
+    const input = document.getElementById('player-name-input');
+    if (input) input.value = name;
+  }, hostName);
+  await page.click('#start-game-button');
+  await page.waitForSelector('#lobby-panel:not(.hidden)', { timeout: 10000 });
+  return page.evaluate(() => window.state?.gameId);
+}
+
+/**
+ * Join a game from the home page and wait for its lobby
+ * @param {import('@playwright/test').Page} page
+ * @param {string} gameId
+ * @param {string} playerName
+ */
+async function joinLobby(page, gameId, playerName) {
+  await page.goto('/');
+  await page.locator('.join-game button.btn').click();
+  await waitForSocket(page);
+  await page.fill('#join-player-name', playerName);
+  await page.fill('#game-id-input', gameId);
+  await page.locator('#join-panel button.btn:has-text("Join Game")').click();
+  await page.waitForSelector('#lobby-panel:not(.hidden)', { timeout: 10000 });
+}
+
+/**
+ * Reload a page and wait for it to rejoin its game's lobby
+ * @param {import('@playwright/test').Page} page
+ * @returns {Promise<{gameId: string, isHost: boolean}>}
+ */
+async function reloadIntoLobby(page) {
+  await page.reload();
+  await page.waitForFunction(() => window.__socketConnected === true, { timeout: 10000 });
+  await page.waitForSelector('#lobby-panel:not(.hidden)', { timeout: 15000 });
+  return page.evaluate(() => ({
+    gameId: window.state?.gameId,
+    isHost: Boolean(window.state?.currentPlayer?.isHost),
+  }));
+}
+
 test.describe('Reconnection', () => {
 
   test('player can rejoin lobby after page reload', async ({ browser }) => {
@@ -232,6 +282,100 @@ test.describe('Reconnection', () => {
     await hostContext.close();
   });
 
+  test('player reloading mid-question gets the question and their answer back', async ({ browser }) => {
+    const hostContext = await browser.newContext();
+    const hostPage = await hostContext.newPage();
+    await hostPage.goto('/');
+    await hostPage.locator('.create-game button.btn').click();
+    await waitForSocket(hostPage);
+    await loadMockMusic(hostPage);
+    await hostPage.evaluate(() => {
+      const input = document.getElementById('player-name-input');
+      if (input) input.value = 'TestHost';
+    });
+    await hostPage.click('#start-game-button');
+    await hostPage.waitForSelector('#lobby-panel:not(.hidden)', { timeout: 10000 });
+    const gameId = await hostPage.evaluate(() => window.state?.gameId);
+
+    // Two players, so the answer window stays open after the first answers
+    const contexts = [];
+    const pages = [];
+    for (const base of ['Reloader', 'Other']) {
+      const context = await browser.newContext();
+      const page = await context.newPage();
+      await page.goto('/');
+      await page.locator('.join-game button.btn').click();
+      await waitForSocket(page);
+      await page.fill('#join-player-name', uniqueName(base));
+      await page.fill('#game-id-input', gameId);
+      await page.locator('#join-panel button.btn:has-text("Join Game")').click();
+      await page.waitForSelector('#lobby-panel:not(.hidden)', { timeout: 10000 });
+      contexts.push(context);
+      pages.push(page);
+    }
+    const [playerPage] = pages;
+
+    await hostPage.click('#start-game-btn');
+    await playerPage.waitForSelector('#game-panel:not(.hidden)', { timeout: 10000 });
+    await hostPage.evaluate(() => window.hostShowOptions?.());
+
+    await playerPage.locator('#nonhost-kahoot-options .kahoot-option[data-option="0"]').click();
+    await expect(playerPage.locator('#player-result-display')).toBeVisible({ timeout: 10000 });
+
+    // --- Player reloads while the options are still up ---
+    await playerPage.reload();
+    await playerPage.waitForFunction(() => window.__socketConnected === true, { timeout: 10000 });
+    await playerPage.waitForSelector('#game-panel:not(.hidden)', { timeout: 10000 });
+
+    await expect(playerPage.locator('#nonhost-kahoot-options')).toBeVisible();
+    await expect(playerPage.locator('#nonhost-kahoot-options .kahoot-option[data-option="0"]')).toHaveClass(/selected/);
+    await expect(playerPage.locator('#player-result-display')).toBeVisible();
+
+    await hostContext.close();
+    for (const context of contexts) await context.close();
+  });
+
+  test('player handed the game when the host leaves rejoins as host after reload', async ({ browser }) => {
+    const hostContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+    const hostPage = await hostContext.newPage();
+    const playerPage = await playerContext.newPage();
+
+    const gameId = await createLobby(hostPage, 'LeavingHost');
+    await joinLobby(playerPage, gameId, uniqueName('Heir'));
+
+    // --- Host leaves, the player takes over ---
+    await hostPage.evaluate(() => window.leaveGame());
+    await playerPage.waitForFunction(() => window.state?.currentPlayer?.isHost === true, null, { timeout: 10000 });
+
+    // Their saved token now has to be a host's
+    expect(await reloadIntoLobby(playerPage)).toEqual({ gameId, isHost: true });
+
+    await hostContext.close();
+    await playerContext.close();
+  });
+
+  test('both sides of a host transfer rejoin in their new roles after reload', async ({ browser }) => {
+    const hostContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+    const hostPage = await hostContext.newPage();
+    const playerPage = await playerContext.newPage();
+
+    const gameId = await createLobby(hostPage, 'TransferHost');
+    await joinLobby(playerPage, gameId, uniqueName('NewHost'));
+
+    // --- Host hands the game over and plays on ---
+    await hostPage.click('.btn-host-action[data-action="transferHost"]');
+    await playerPage.waitForFunction(() => window.state?.currentPlayer?.isHost === true, null, { timeout: 10000 });
+    await hostPage.waitForFunction(() => window.state?.currentPlayer?.isHost === false, null, { timeout: 10000 });
+
+    expect(await reloadIntoLobby(playerPage)).toEqual({ gameId, isHost: true });
+    expect(await reloadIntoLobby(hostPage)).toEqual({ gameId, isHost: false });
+
+    await hostContext.close();
+    await playerContext.close();
+  });
+
   test('expired reconnection state is cleared', async ({ page }) => {
     await page.goto('/');
 